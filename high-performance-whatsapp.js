@@ -10,7 +10,7 @@ const path = require('path');
 const pino = require('pino');
 const QRCode = require('qrcode');
 const logger = require('./src/utils/logger');
-const { safeSendText } = require('./src/utils/jidHelper');
+const { safeSendText } = require('./src/utils/safe-send');
 
 // Path for auth credentials
 const AUTH_FOLDER = './auth_info_baileys';
@@ -0,0 +1,178 @@
+/**
+ * Repair script for records stored under invalid JIDs
+ *
+ * Older versions passed whole message objects or group JIDs where a user JID was expected,
+ * which left keys such as "[object Object]" in the data files. This script moves recoverable
+ * keys (legacy "@c.us" server, device suffixes) to their canonical JID and moves everything
+ * else into a backup folder, so nothing is deleted outright.
+ *
+ * Usage: node scripts/repair-jids.js [--apply]
+ * Without --apply it only reports what would change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toJid } = require('../src/utils/jid');
+const { openStorage } = require('../src/utils/storage');
+
+const apply = process.argv.includes('--apply');
+const dataDir = path.join(process.cwd(), 'data');
+const backupDir = path.join(dataDir, `jid-repair-${Date.now()}`);
+
+// User data collections keyed by the JID of a user
+const USER_COLLECTIONS = ['profiles', 'games', 'marriages', 'bank', 'jobs', 'pets', 'afk', 'streaks', 'checkins', 'lottery'];
+const USER_JID_TYPES = ['user', 'lid'];
+
+const report = { renamed: 0, removed: 0 };
+const removed = {}; // source -> { key: value } of records moved to the backup
+
+/**
+ * Record a change and print it
+ * @param {string} source File or collection
+ * @param {string} key Original key
+ * @param {string|null} jid Canonical JID
+ * @param {boolean} renamed Whether the key is renamed to jid rather than moved to the backup
+ */
+function logChange(source, key, jid, renamed) {
+    if (renamed) {
+        report.renamed++;
+        console.log(`${source}: "${key}" -> "${jid}"`);
+    } else {
+        report.removed++;
+        const reason = jid ? `duplicates "${jid}"` : 'is not a valid JID';
+        console.log(`${source}: "${key}" ${reason}, moving it to the backup`);
+    }
+}
+
+/**
+ * Repair the keys of a record collection
+ * Records whose canonical key is already taken are moved to the backup instead of overwriting it
+ * @param {string} source Name used in the report and backup
+ * @param {Object} records Records keyed by JID
+ * @param {string|Array<string>} [types] Accepted JID types
+ * @returns {{records: Object, changed: boolean}} Repaired records
+ */
+function repairRecords(source, records, types) {
+    const repaired = {};
+    let changed = false;
+
+    for (const [key, value] of Object.entries(records)) {
+        const jid = toJid(key, types);
+        if (jid === key) {
+            repaired[key] = value;
+            continue;
+        }
+
+        changed = true;
+        if (jid && !(jid in records) && !(jid in repaired)) {
+            logChange(source, key, jid, true);
+            repaired[jid] = value;
+        } else {
+            logChange(source, key, jid, false);
+            removed[source] = { ...removed[source], [key]: value };
+        }
+    }
+
+    return { records: repaired, changed };
+}
+
+/**
+ * Repair the file names of the group settings in data/groups
+ */
+function repairGroupFiles() {
+    const groupsDir = path.join(dataDir, 'groups');
+    if (!fs.existsSync(groupsDir)) return;
+
+    for (const entry of fs.readdirSync(groupsDir, { withFileTypes: true })) {
+        if (!entry.isFile() || !entry.name.endsWith('.json')) continue;
+
+        const key = entry.name.slice(0, -'.json'.length);
+        const jid = toJid(key);
+        if (jid === key) continue;
+
+        const source = path.join(groupsDir, entry.name);
+        const target = jid ? path.join(groupsDir, `${jid}.json`) : null;
+
+        if (target && !fs.existsSync(target)) {
+            logChange(`groups/${entry.name}`, key, jid, true);
+            if (apply) fs.renameSync(source, target);
+        } else {
+            logChange(`groups/${entry.name}`, key, jid, false);
+            if (apply) {
+                fs.mkdirSync(path.join(backupDir, 'groups'), { recursive: true });
+                fs.renameSync(source, path.join(backupDir, 'groups', entry.name));
+            }
+        }
+    }
+}
+
+/**
+ * Repair the keys of data/verified_users.json
+ */
+function repairVerifiedUsers() {
+    const filePath = path.join(dataDir, 'verified_users.json');
+    if (!fs.existsSync(filePath)) return;
+
+    let records;
+    try {
+        records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.error(`Could not read ${filePath}: ${error.message}`);
+        return;
+    }
+
+    const result = repairRecords('verified_users.json', records, USER_JID_TYPES);
+    if (apply && result.changed) {
+        fs.writeFileSync(filePath, JSON.stringify(result.records, null, 2));
+    }
+}
+
+/**
+ * Repair the keys of the user data in the configured storage backend
+ */
+async function repairUserData() {
+    // A dry run must not change anything, not even the cleanup done when storage opens
+    const storage = await openStorage({ readOnly: !apply });
+    try {
+        const data = await storage.load();
+        let changed = false;
+
+        for (const name of USER_COLLECTIONS) {
+            if (!data[name]) continue;
+            const result = repairRecords(name, data[name], USER_JID_TYPES);
+            data[name] = result.records;
+            changed = changed || result.changed;
+        }
+
+        if (apply && changed) await storage.saveAll(data);
+    } finally {
+        await storage.close();
+    }
+}
+
+async function main() {
+    console.log(`${apply ? 'Repairing' : 'Checking'} JIDs in ${dataDir}`);
+
+    repairGroupFiles();
+    repairVerifiedUsers();
+    await repairUserData();
+
+    if (apply && Object.keys(removed).length) {
+        fs.mkdirSync(backupDir, { recursive: true });
+        fs.writeFileSync(path.join(backupDir, 'records.json'), JSON.stringify(removed, null, 2));
+    }
+
+    console.log(`${report.renamed} keys renamed, ${report.removed} moved to the backup`);
+    if (!report.renamed && !report.removed) return;
+
+    if (apply) {
+        if (report.removed) console.log(`Backup written to ${backupDir}`);
+    } else {
+        console.log('Nothing was changed; run with --apply to repair');
+    }
+}
+
+main().catch(error => {
+    console.error('JID repair failed:', error);
+    process.exit(1);
+});
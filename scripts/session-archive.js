@@ -0,0 +1,112 @@
+/**
+ * Export and import the WhatsApp login of a bot session as an encrypted archive
+ *
+ * Moves a linked session to another host without scanning a QR code again, see
+ * src/utils/sessionArchive.js for the format. Stop the bot before importing.
+ *
+ * Usage:
+ *   node scripts/session-archive.js export [--session <id>] [--out <file>]
+ *   node scripts/session-archive.js import <file|archive text> [--session <id>] [--force]
+ * The passphrase is taken from SESSION_PASSPHRASE or asked for. Without --out the archive is
+ * printed. --force replaces credentials already in the auth folder after backing them up.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { exportAuthState, importAuthState, isSessionArchive, MIN_PASSPHRASE_LENGTH } = require('../src/utils/sessionArchive');
+const { SessionManager } = require('../src/core/sessionManager');
+
+const USAGE = 'Usage: node scripts/session-archive.js export [--session <id>] [--out <file>]\n' +
+    '       node scripts/session-archive.js import <file|archive> [--session <id>] [--force]';
+
+// Same ID rules and folders as src/core/sessionRegistry.js
+const SESSION_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+/**
+ * Get the auth and backup folders of a session
+ * @param {string} id Session ID
+ * @returns {{authDir: string, backupDir: string}} Folders
+ */
+function getSessionFolders(id) {
+    if (id === 'main') {
+        return {
+            authDir: path.join(process.cwd(), 'auth_info_baileys'),
+            backupDir: path.join(process.cwd(), 'auth_info_baileys_backup')
+        };
+    }
+    const sessionDir = path.join(process.cwd(), 'sessions', id);
+    return { authDir: path.join(sessionDir, 'auth'), backupDir: path.join(sessionDir, 'auth_backup') };
+}
+
+/**
+ * Get the value of an option such as --out <file>
+ * @param {Array<string>} args Arguments
+ * @param {string} name Option name
+ * @returns {string|null} Value
+ */
+function getOption(args, name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] || null : null;
+}
+
+/**
+ * Get the passphrase from SESSION_PASSPHRASE or ask for it
+ * @returns {Promise<string>} Passphrase
+ */
+async function getPassphrase() {
+    if (process.env.SESSION_PASSPHRASE) return process.env.SESSION_PASSPHRASE;
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    const answer = await new Promise(resolve => rl.question('Passphrase: ', resolve));
+    rl.close();
+    return answer;
+}
+
+async function main() {
+    const [action, ...args] = process.argv.slice(2);
+    const id = getOption(args, '--session') || 'main';
+    if (!SESSION_ID_PATTERN.test(id)) throw new Error(`Invalid session ID ${id}`);
+    const { authDir, backupDir } = getSessionFolders(id);
+
+    if (action === 'export') {
+        const passphrase = await getPassphrase();
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`The passphrase must have at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+
+        const { archive, files, checksum } = exportAuthState(authDir, passphrase);
+        const out = getOption(args, '--out');
+        if (out) {
+            fs.writeFileSync(out, archive + '\n', { mode: 0o600 });
+            console.error(`Exported session ${id} (${files} files, checksum ${checksum.slice(0, 12)}) to ${out}`);
+        } else {
+            console.log(archive);
+            console.error(`Exported session ${id} (${files} files, checksum ${checksum.slice(0, 12)})`);
+        }
+        return;
+    }
+
+    if (action === 'import') {
+        const input = args[0];
+        if (!input || input.startsWith('--')) throw new Error(USAGE);
+
+        const archive = isSessionArchive(input) ? input : fs.readFileSync(input, 'utf8');
+        const overwrite = args.includes('--force');
+        if (fs.existsSync(path.join(authDir, 'creds.json'))) {
+            if (!overwrite) throw new Error(`${authDir} has credentials already, use --force to replace them`);
+            await new SessionManager({ authFolder: authDir, backupFolder: backupDir }).backupSession();
+        }
+
+        const result = importAuthState(archive, await getPassphrase(), authDir, { overwrite });
+        console.error(`Imported ${result.files} files into ${authDir} (exported ${new Date(result.createdAt).toISOString()})`);
+        return;
+    }
+
+    throw new Error(USAGE);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
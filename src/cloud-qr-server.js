@@ -1,6 +1,10 @@
 /**
  * Cloud-Optimized WhatsApp QR Web Server
  * Enhanced for Heroku deployment
+ *
+ * Set PAIRING_NUMBER (or run with --pairing-code <number>) to show a pairing code instead of
+ * the QR code; the page falls back to the QR code if no pairing code can be used.
+ * A session archive in SESSION_ARCHIVE or SESSION_ARCHIVE_FILE is imported before connecting.
  */
 
 const express = require('express');
@@ -11,6 +15,8 @@ const path = require('path');
 const fs = require('fs');
 const { default: makeWASocket, DisconnectReason, useMultiFileAuthState } = require('@whiskeysockets/baileys');
 const pino = require('pino');
+const { PairingCodeLogin, getPairingNumber } = require('./utils/pairingCode');
+const { importFromEnvironment } = require('./utils/sessionArchive');
 
 // Configuration with enhanced environment variable support
 const PORT = process.env.PORT || 5000;
@@ -63,9 +69,20 @@ let connectionState = {
     isConnected: false,
     lastDisconnectReason: null,
     reconnectAttempts: 0,
-    maxReconnectAttempts: IS_PRODUCTION ? 20 : 10
+    maxReconnectAttempts: IS_PRODUCTION ? 20 : 10,
+    pairing: null
 };
 
+// Pairing code login for the configured number, kept across reconnects
+if (getPairingNumber()) {
+    try {
+        connectionState.pairing = new PairingCodeLogin(getPairingNumber());
+        logger.info(`Linking +${connectionState.pairing.phoneNumber} with a pairing code`);
+    } catch (error) {
+        logger.warn(`${error.message}; showing the QR code instead`);
+    }
+}
+
 // Basic health check route for Heroku
 app.get('/health', (req, res) => {
     res.status(200).json({ status: 'ok' });
@@ -80,10 +97,20 @@ app.get('/status', (req, res) => {
     res.json({
         connected: connectionState.isConnected,
         lastDisconnect: connectionState.lastDisconnectReason,
-        reconnectAttempts: connectionState.reconnectAttempts
+        reconnectAttempts: connectionState.reconnectAttempts,
+        pairingCode: connectionState.pairing?.getCode() || null
     });
 });
 
+app.get('/pairing-code', (req, res) => {
+    const pairingCode = connectionState.pairing?.getCode();
+    if (pairingCode) {
+        res.json(pairingCode);
+    } else {
+        res.status(404).json({ error: 'No pairing code available' });
+    }
+});
+
 // Start WhatsApp connection
 async function startConnection() {
     try {
@@ -91,7 +118,7 @@ async function startConnection() {
 
         const sock = makeWASocket({
             logger,
-            printQRInTerminal: !IS_PRODUCTION,
+            printQRInTerminal: !IS_PRODUCTION && !connectionState.pairing?.active,
             auth: state,
             browser: ['BLACKSKY-MD', 'Chrome', '4.0.0'],
             defaultQueryTimeoutMs: 60000
@@ -100,7 +127,11 @@ async function startConnection() {
         connectionState.sock = sock;
 
         sock.ev.on('creds.update', saveCreds);
-        sock.ev.on('connection.update', handleConnectionUpdate);
+        sock.ev.on('connection.update', update => {
+            handleConnectionUpdate(update, sock).catch(error => {
+                logger.error('Error handling connection update:', error);
+            });
+        });
         sock.ev.on('messages.upsert', handleMessages);
 
         logger.info('WhatsApp connection initialized');
@@ -128,6 +159,9 @@ async function startServer() {
             }
         });
 
+        // Bring in the session exported on another host (SESSION_ARCHIVE), if not linked yet
+        importFromEnvironment(AUTH_FOLDER);
+
         // Start WhatsApp connection
         await startConnection();
 
@@ -150,8 +184,11 @@ function handleWebSocketConnection(ws, req) {
         reason: connectionState.lastDisconnectReason
     }));
 
-    // Send QR if available
-    if (connectionState.qr && !connectionState.isConnected) {
+    // Send the pairing code or QR if available
+    const pairingCode = connectionState.pairing?.getCode();
+    if (pairingCode && !connectionState.isConnected) {
+        ws.send(JSON.stringify({ type: 'pairing-code', ...pairingCode }));
+    } else if (connectionState.qr && !connectionState.isConnected) {
         qrcode.toDataURL(connectionState.qr, (err, url) => {
             if (!err) {
                 ws.send(JSON.stringify({
@@ -164,9 +201,22 @@ function handleWebSocketConnection(ws, req) {
 }
 
 // Handle WhatsApp connection updates
-function handleConnectionUpdate(update) {
+async function handleConnectionUpdate(update, sock) {
+    if (connectionState.pairing) {
+        update = await connectionState.pairing.handleUpdate(sock, update);
+    }
     const { connection, lastDisconnect, qr } = update;
 
+    if (update.pairingCode) {
+        logger.info(`Pairing code for +${connectionState.pairing.phoneNumber}: ${update.pairingCode}`);
+        connectionState.qr = null;
+        broadcastToClients({ type: 'pairing-code', ...connectionState.pairing.getCode() });
+    }
+
+    if (update.pairingFallback) {
+        logger.warn(`Pairing code login failed (${update.pairingFallback}), showing the QR code instead`);
+    }
+
     if (qr) {
         connectionState.qr = qr;
         broadcastQR(qr);
@@ -372,18 +422,3 @@ async function backupAuthFolder() {
         return false;
     }
 }
-
-//Save session credentials to persist between restarts (modified for Heroku compatibility)
-
-async function saveSessionToEnv(creds) {
-    if (!creds) return false;
-
-    try {
-        const credsJSON = JSON.stringify(creds);
-        logger.info('Session credentials saved'); //Heroku will handle saving to the filesystem
-        return true;
-    } catch (error) {
-        logger.error('Failed to save session credentials:', error);
-        return false;
-    }
-}
\ No newline at end of file
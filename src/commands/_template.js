@@ -5,6 +5,7 @@
  */
 
 const logger = require('../utils/logger');
+const { safeSendMessage } = require('../utils/safe-send');
 
 /**
  * Command implementations
@@ -19,7 +20,7 @@ const commands = {
     examplecommand: async (sock, message, args, options = {}) => {
         try {
             const sender = message.key.remoteJid;
-            await sock.sendMessage(sender, { 
+            await safeSendMessage(sock, sender, { 
                 text: 'This is an example command' 
             });
         } catch (err) {
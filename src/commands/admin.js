@@ -2,7 +2,7 @@
  * Admin Commands Module
  * Provides commands for bot administration and system management
  */
-const { safeSendMessage, safeSendText } = require('../utils/jidHelper');
+const { safeSendMessage, safeSendText } = require('../utils/safe-send');
 const userDatabase = require('../utils/userDatabase');
 const levelingSystem = require('../utils/levelingSystem');
 const logger = require('../utils/logger');
@@ -6,7 +6,8 @@
 const logger = require('../utils/logger');
 const os = require('os');
 const { proto } = require('@whiskeysockets/baileys');
-const { safeSendText, safeSendMessage, formatJidForLogging } = require('../utils/jidHelper');
+const { formatJidForLogging } = require('../utils/jidHelper');
+const { safeSendText, safeSendMessage } = require('../utils/safe-send');
 const { languageManager } = require('../utils/language');
 
 // Basic bot commands
@@ -3,17 +3,19 @@
  * Provides essential utility commands for the bot
  */
 
+const { safeSendMessage } = require('../utils/safe-send');
+
 // Basic ping command to check if the bot is active
 const ping = async (sock, msg) => {
     const jid = msg.key.remoteJid;
-    await sock.sendMessage(jid, { text: 'Pong! 🏓 Bot is active!' });
+    await safeSendMessage(sock, jid, { text: 'Pong! 🏓 Bot is active!' });
 };
 
 // Echo command to repeat a message
 const echo = async (sock, msg, args) => {
     const jid = msg.key.remoteJid;
     const text = args.join(' ') || 'You did not provide any text to echo!';
-    await sock.sendMessage(jid, { text });
+    await safeSendMessage(sock, jid, { text });
 };
 
 // Info command to show bot information
@@ -32,7 +34,7 @@ const info = async (sock, msg) => {
 
 Type !help to see available commands.`;
     
-    await sock.sendMessage(jid, { text: infoText });
+    await safeSendMessage(sock, jid, { text: infoText });
 };
 
 // List available commands
@@ -53,7 +55,7 @@ There are additional commands available. Try these:
 Commands start with ! followed by the command name. For example: !ping
 Some commands take arguments, like !echo hello world`;
     
-    await sock.sendMessage(jid, { text: helpText });
+    await safeSendMessage(sock, jid, { text: helpText });
 };
 
 // Export commands
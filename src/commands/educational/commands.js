@@ -7,7 +7,7 @@
 const logger = require('../../utils/logger');
 const axios = require('axios');
 const mathjs = require('mathjs');
-const { safeSendText } = require('../../utils/jidHelper');
+const { safeSendText } = require('../../utils/safe-send');
 
 // Create a basic educational module
 const educationalCommands = {
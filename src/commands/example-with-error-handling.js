@@ -5,7 +5,7 @@
 
 const errorHandler = require('../utils/errorHandler');
 const { calculate } = require('../utils/calculationUtils');
-const { safeSendText, safeSendMessage, safeSendImage } = require('../utils/jidHelper');
+const { safeSendText, safeSendMessage, safeSendImage } = require('../utils/safe-send');
 
 module.exports = {
   /**
@@ -8,7 +8,7 @@ const { formatNumber, randomInt, shuffleArray, sleep } = require('../utils/helpe
 const crypto = require('crypto');
 const mathjs = require('mathjs');
 const moment = require('moment');
-const { safeSendText, safeSendMessage, safeSendImage } = require('../utils/jidHelper');
+const { safeSendText, safeSendMessage, safeSendImage } = require('../utils/safe-send');
 
 /**
  * Helper function to check if games are enabled for a group
@@ -1,12 +1,41 @@
 const logger = require('../utils/logger');
-const { isAdmin, isBotAdmin } = require('../utils/permissions');
-const { downloadMediaMessage, formatPhoneNumber, formatPhoneForMention, formatNumber } = require('../utils/helpers');
-const { getGroupSettings, saveGroupSettings } = require('../utils/groupSettings');
-const { safeSendText, safeSendMessage, safeSendImage } = require('../utils/jidHelper');
+const {
+    ROLE_LEVELS,
+    ASSIGNABLE_ROLES,
+    normalizeRole,
+    isAdmin,
+    isBotAdmin,
+    getUserRole,
+    hasRole,
+    canRunCommand: canRunAnyCommand,
+    getRequiredRoles
+} = require('../utils/permissions');
+const { formatPhoneNumber, formatPhoneForMention, formatNumber } = require('../utils/helpers');
+const { downloadMediaMessage } = require('@whiskeysockets/baileys');
+const cron = require('node-cron');
+const { getGroupSettings, saveGroupSettings, updateGroupSettings } = require('../utils/groupSettings');
+const { parseReminderTime } = require('../utils/reminderScheduler');
+const groupScheduler = require('../utils/groupScheduler');
+const moderationPolicy = require('../utils/moderationPolicy');
+const linkDetector = require('../utils/linkDetector');
+const toxicityFilter = require('../utils/toxicityFilter');
+const { commandRegistry, PROTECTED_COMMANDS, isValidPrefix } = require('../core/commandRegistry');
+const { sendMemberMessage, clearRaidLock } = require('../handlers/groupParticipantHandler');
+const { safeSendText, safeSendMessage, safeSendImage } = require('../utils/safe-send');
 const path = require('path');
 const fs = require('fs');
 const fsPromises = fs.promises;
 
+/**
+ * Check whether the sender may run a command of this module
+ * Names such as schedule are also used by other config files, so group.json is asked for explicitly
+ * @param {Object} sock WhatsApp socket connection
+ * @param {Object} message Message object
+ * @param {string} command Command name
+ * @returns {Promise<boolean>} Whether the command is allowed
+ */
+const canRunCommand = (sock, message, command) => canRunAnyCommand(sock, message, command, 'group');
+
 // Initialize directories needed for group functionality
 const initializeDirectories = async () => {
     try {
@@ -58,7 +87,172 @@ function formatDuration(seconds) {
     return `${Math.floor(seconds / 86400)} days`;
 }
 
+/**
+ * Shared handler for !setwelcome and !setgoodbye
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} message Command message
+ * @param {Array<string>} args Command arguments
+ * @param {string} type 'welcome' or 'goodbye'
+ */
+async function configureMemberMessage(sock, message, args, type) {
+    const command = type === 'welcome' ? 'setwelcome' : 'setgoodbye';
+    const messageKey = `${type}Message`;
+    const cardKey = `${type}Card`;
+
+    try {
+        const remoteJid = message.key.remoteJid;
+
+        if (!remoteJid.endsWith('@g.us')) {
+            await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
+            return;
+        }
+
+        const sender = message.key.participant || message.key.remoteJid;
+        const isUserAdmin = await canRunCommand(sock, message, command);
+        if (!isUserAdmin) {
+            await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+            return;
+        }
+
+        const settings = await getGroupSettings(remoteJid);
+        const action = args[0]?.toLowerCase();
+
+        // Show the current configuration
+        if (!action) {
+            await safeSendText(sock, remoteJid, `👋 *${type === 'welcome' ? 'Welcome' : 'Goodbye'} message*\n\n` +
+                `Status: ${settings[messageKey] ? '✅ On' : '❌ Off'}\n` +
+                `Image card: ${settings[cardKey] ? '✅ On' : '❌ Off'}\n` +
+                (settings[messageKey] ? `Message: ${settings[messageKey]}\n` : '') +
+                `\nUsage:\n!${command} [message]\n!${command} off\n!${command} card on/off\n!${command} test\n\n` +
+                'Placeholders: {user}, {group}, {memberCount}, {desc}'
+            );
+            return;
+        }
+
+        if (action === 'off') {
+            settings[messageKey] = null;
+            await saveGroupSettings(remoteJid, settings);
+            await safeSendText(sock, remoteJid, `✅ ${type === 'welcome' ? 'Welcome' : 'Goodbye'} message has been turned off` );
+            return;
+        }
+
+        if (action === 'card') {
+            const toggle = args[1]?.toLowerCase();
+            if (!['on', 'off'].includes(toggle)) {
+                await safeSendText(sock, remoteJid, `❌ Usage: !${command} card on/off` );
+                return;
+            }
+            settings[cardKey] = toggle === 'on';
+            await saveGroupSettings(remoteJid, settings);
+            await safeSendText(sock, remoteJid, `✅ ${type === 'welcome' ? 'Welcome' : 'Goodbye'} image card has been turned ${toggle}` );
+            return;
+        }
+
+        if (action === 'test') {
+            if (!settings[messageKey]) {
+                await safeSendText(sock, remoteJid, `❌ No ${type} message is set. Use !${command} [message] first` );
+                return;
+            }
+            const metadata = await sock.groupMetadata(remoteJid);
+            await sendMemberMessage(sock, remoteJid, sender, metadata, type, settings[messageKey], settings[cardKey]);
+            return;
+        }
+
+        const template = args.join(' ');
+        if (template.length > 1000) {
+            await safeSendText(sock, remoteJid, '❌ Message must be 1000 characters or less' );
+            return;
+        }
+
+        settings[messageKey] = template;
+        await saveGroupSettings(remoteJid, settings);
+        await safeSendText(sock, remoteJid, `✅ ${type === 'welcome' ? 'Welcome' : 'Goodbye'} message has been set. Use !${command} test to preview it` );
+
+    } catch (err) {
+        logger.error(`Error in ${command} command:`, err);
+        await safeSendText(sock, message.key.remoteJid, `❌ Failed to update ${type} message` );
+    }
+}
+
 // Group command handlers
+/**
+ * Enable or disable a command or a whole category in a group
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} message Message object
+ * @param {Array} args Command arguments
+ * @param {boolean} enable Whether to enable (true) or disable (false)
+ */
+async function toggleCommands(sock, message, args, enable) {
+    const action = enable ? 'enable' : 'disable';
+    try {
+        const remoteJid = message.key.remoteJid;
+
+        if (!remoteJid.endsWith('@g.us')) {
+            await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
+            return;
+        }
+
+        const sender = message.key.participant || message.key.remoteJid;
+        if (!await canRunCommand(sock, message, action)) {
+            await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+            return;
+        }
+
+        const settings = await getGroupSettings(remoteJid);
+        const disabledCommands = settings.disabledCommands || [];
+        const disabledCategories = settings.disabledCategories || [];
+        const target = args[0]?.toLowerCase().replace(/^[^\p{L}\p{N}]+/u, '');
+
+        if (!target) {
+            const categories = commandRegistry.getCategories().join(', ');
+            await safeSendText(sock, remoteJid,
+                `⚙️ *Disabled in this group*\n\n` +
+                `Commands: ${disabledCommands.length ? disabledCommands.join(', ') : 'none'}\n` +
+                `Categories: ${disabledCategories.length ? disabledCategories.join(', ') : 'none'}\n\n` +
+                `Usage: ${settings.prefix || commandRegistry.defaultPrefix}${action} <command|category>\nCategories: ${categories}`
+            );
+            return;
+        }
+
+        const isCategory = commandRegistry.getCategories().some(category => category.toLowerCase() === target);
+        const commandInfo = commandRegistry.getCommand(target);
+        if (!isCategory && !commandInfo) {
+            await safeSendText(sock, remoteJid, `❌ "${target}" is not a command or category` );
+            return;
+        }
+
+        // Category names win when a command has the same name (e.g. "group")
+        const name = isCategory ? target : commandInfo.name.toLowerCase();
+        if (!isCategory && PROTECTED_COMMANDS.includes(name)) {
+            await safeSendText(sock, remoteJid, `❌ The ${name} command cannot be disabled` );
+            return;
+        }
+
+        const list = isCategory ? disabledCategories : disabledCommands;
+        const isDisabled = list.includes(name);
+        const label = isCategory ? `category ${name}` : `command ${name}`;
+
+        if (enable !== isDisabled) {
+            await safeSendText(sock, remoteJid, `ℹ️ The ${label} is already ${enable ? 'enabled' : 'disabled'}` );
+            return;
+        }
+
+        const updated = enable ? list.filter(entry => entry !== name) : [...list, name];
+        if (isCategory) {
+            settings.disabledCategories = updated;
+        } else {
+            settings.disabledCommands = updated;
+        }
+        await saveGroupSettings(remoteJid, settings);
+
+        await safeSendText(sock, remoteJid, `✅ The ${label} has been ${enable ? 'enabled' : 'disabled'} in this group` );
+
+    } catch (err) {
+        logger.error(`Error in ${action} command:`, err);
+        await safeSendText(sock, message.key.remoteJid, `❌ Failed to ${action} the command` );
+    }
+}
+
 const groupCommands = {
     async everyone(sock, message, args) {
         try {
@@ -70,7 +264,7 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'everyone');
 
             if (!isUserAdmin) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins');
@@ -137,7 +331,7 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'bocchi');
 
             if (!isUserAdmin) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins');
@@ -200,7 +394,7 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'hier');
 
             if (!isUserAdmin) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins');
@@ -255,7 +449,7 @@ const groupCommands = {
             await safeSendText(sock, message.key.remoteJid, '❌ Failed to tag everyone');
         }
     },
-    async kick(sock, message, args) {
+    async kick(sock, message, args, { params = {} } = {}) {
         try {
             const remoteJid = message.key.remoteJid;
 
@@ -265,7 +459,7 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'kick');
             const isBotGroupAdmin = await isBotAdmin(sock, remoteJid);
 
             if (!isUserAdmin) {
@@ -278,13 +472,7 @@ const groupCommands = {
                 return;
             }
 
-            let target;
-            if (message.message.extendedTextMessage?.contextInfo?.participant) {
-                target = message.message.extendedTextMessage.contextInfo.participant;
-            } else if (args[0]) {
-                target = args[0].replace('@', '') + '@s.whatsapp.net';
-            }
-
+            const target = params.user;
             if (!target) {
                 await safeSendText(sock, remoteJid, '❌ Please mention a user to kick' );
                 return;
@@ -315,7 +503,7 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'add');
             const isBotGroupAdmin = await isBotAdmin(sock, remoteJid);
 
             if (!isUserAdmin) {
@@ -354,7 +542,7 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'promote');
             const isBotGroupAdmin = await isBotAdmin(sock, remoteJid);
 
             if (!isUserAdmin) {
@@ -398,7 +586,7 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'demote');
             const isBotGroupAdmin = await isBotAdmin(sock, remoteJid);
 
             if (!isUserAdmin) {
@@ -448,7 +636,7 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'mute');
             const isBotGroupAdmin = await isBotAdmin(sock, remoteJid);
 
             if (!isUserAdmin) {
@@ -480,7 +668,7 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'unmute');
             const isBotGroupAdmin = await isBotAdmin(sock, remoteJid);
 
             if (!isUserAdmin) {
@@ -494,6 +682,7 @@ const groupCommands = {
             }
 
             await sock.groupSettingUpdate(remoteJid, 'not_announcement');
+            clearRaidLock(remoteJid);
             await safeSendText(sock, remoteJid, '🔊 Group has been unmuted' );
 
         } catch (err) {
@@ -511,7 +700,7 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'antispam');
             if (!isUserAdmin) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
@@ -548,25 +737,110 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'antilink');
             if (!isUserAdmin) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
 
-            const [action] = args;
-            if (!action || !['on', 'off'].includes(action.toLowerCase())) {
-                await safeSendText(sock, remoteJid, '❌ Usage: !antilink <on/off>' );
+            const usage = '❌ Usage:\n' +
+                '!antilink <on|off|status>\n' +
+                '!antilink allow <domain>\n' +
+                '!antilink block <domain>\n' +
+                '!antilink remove <domain>\n' +
+                '!antilink mode <all|invites>\n' +
+                '!antilink obfuscated <on|off>';
+
+            const action = args[0]?.toLowerCase();
+            const value = args[1]?.toLowerCase();
+            if (!action) {
+                await safeSendText(sock, remoteJid, usage );
                 return;
             }
 
             // Store the setting in the group settings map
             const settings = await getGroupSettings(remoteJid);
-            settings.antilink = action.toLowerCase() === 'on';
+            const filter = linkDetector.getLinkFilter(settings);
+            let reply;
+
+            switch (action) {
+                case 'on':
+                case 'off':
+                    settings.antilink = action === 'on';
+                    reply = `✅ Anti-link has been turned ${action}`;
+                    break;
+
+                case 'status': {
+                    const modeText = filter.mode === 'invites' ? 'only WhatsApp group invites' : 'all links';
+                    await safeSendText(sock, remoteJid,
+                        `🔗 *Anti-link settings*\n\n` +
+                        `Status: ${settings.antilink ? 'on' : 'off'}\n` +
+                        `Blocking: ${modeText}\n` +
+                        `Obfuscated link detection: ${filter.detectObfuscated ? 'on' : 'off'}\n` +
+                        `Allowed domains: ${filter.allow.length ? filter.allow.join(', ') : 'none'}\n` +
+                        `Blocked domains: ${filter.block.length ? filter.block.join(', ') : 'none'}`
+                    );
+                    return;
+                }
+
+                case 'allow':
+                case 'block': {
+                    const domain = linkDetector.normalizeDomain(value);
+                    if (!domain) {
+                        await safeSendText(sock, remoteJid, `❌ Please provide a valid domain, e.g. !antilink ${action} youtube.com` );
+                        return;
+                    }
+                    const other = action === 'allow' ? 'block' : 'allow';
+                    filter[other] = filter[other].filter(entry => entry !== domain);
+                    if (!filter[action].includes(domain)) filter[action] = [...filter[action], domain];
+                    reply = action === 'allow'
+                        ? `✅ Links to ${domain} (and its subdomains) are now allowed`
+                        : `✅ Links to ${domain} (and its subdomains) are now always blocked`;
+                    break;
+                }
+
+                case 'remove': {
+                    const domain = linkDetector.normalizeDomain(value);
+                    if (!domain || (!filter.allow.includes(domain) && !filter.block.includes(domain))) {
+                        await safeSendText(sock, remoteJid, '❌ That domain is not on the allow or block list' );
+                        return;
+                    }
+                    filter.allow = filter.allow.filter(entry => entry !== domain);
+                    filter.block = filter.block.filter(entry => entry !== domain);
+                    reply = `✅ Removed ${domain} from the link lists`;
+                    break;
+                }
+
+                case 'mode':
+                    if (!linkDetector.LINK_MODES.includes(value)) {
+                        await safeSendText(sock, remoteJid, '❌ Usage: !antilink mode <all|invites>' );
+                        return;
+                    }
+                    filter.mode = value;
+                    reply = value === 'invites'
+                        ? '✅ Anti-link now only blocks WhatsApp group invite links (and blocked domains)'
+                        : '✅ Anti-link now blocks all links except allowed domains';
+                    break;
+
+                case 'obfuscated':
+                    if (!['on', 'off'].includes(value)) {
+                        await safeSendText(sock, remoteJid, '❌ Usage: !antilink obfuscated <on|off>' );
+                        return;
+                    }
+                    filter.detectObfuscated = value === 'on';
+                    reply = `✅ Obfuscated link detection has been turned ${value}`;
+                    break;
+
+                default:
+                    await safeSendText(sock, remoteJid, usage );
+                    return;
+            }
+
+            settings.linkFilter = filter;
             await saveGroupSettings(remoteJid, settings);
 
             await safeSendMessage(sock, remoteJid, {
-                text: `✅ Anti-link has been turned ${action.toLowerCase()}`
+                text: reply
             });
 
         } catch (err) {
@@ -585,25 +859,144 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'antitoxic');
             if (!isUserAdmin) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
 
-            const [action] = args;
-            if (!action || !['on', 'off'].includes(action.toLowerCase())) {
-                await safeSendText(sock, remoteJid, '❌ Usage: !antitoxic <on/off>' );
+            const levels = Object.keys(toxicityFilter.SEVERITY);
+            const usage = '❌ Usage:\n' +
+                '!antitoxic <on|off|status>\n' +
+                `!antitoxic add <word> [${levels.join('|')}]\n` +
+                '!antitoxic remove <word>\n' +
+                '!antitoxic list\n' +
+                '!antitoxic allow <word>\n' +
+                '!antitoxic disallow <word>\n' +
+                '!antitoxic lang <all|code,code...>\n' +
+                'Use * as a wildcard, e.g. noob*';
+
+            const action = args[0]?.toLowerCase();
+            if (!action) {
+                await safeSendText(sock, remoteJid, usage );
                 return;
             }
 
             // Store the setting in the group settings map
             const settings = await getGroupSettings(remoteJid);
-            settings.antitoxic = action.toLowerCase() === 'on';
+            const filter = toxicityFilter.getToxicFilter(settings);
+            const bundled = toxicityFilter.getBundledLanguages();
+            let reply;
+
+            switch (action) {
+                case 'on':
+                case 'off':
+                    settings.antitoxic = action === 'on';
+                    reply = `✅ Anti-toxic has been turned ${action}`;
+                    break;
+
+                case 'status':
+                case 'list': {
+                    const custom = Object.entries(filter.custom)
+                        .map(([word, level]) => `• ${word} (${level})`);
+                    const languages = filter.languages === 'all' ? `all (${bundled.join(', ')})` : filter.languages.join(', ') || 'none';
+                    await safeSendText(sock, remoteJid,
+                        `🧼 *Anti-toxic settings*\n\n` +
+                        `Status: ${settings.antitoxic ? 'on' : 'off'}\n` +
+                        `Bundled word lists: ${languages}\n\n` +
+                        `*Custom words:*\n${custom.length ? custom.join('\n') : 'none'}\n\n` +
+                        `*Ignored bundled words:*\n${filter.exclude.length ? filter.exclude.join(', ') : 'none'}\n\n` +
+                        `*Allowed words:*\n${filter.allow.length ? filter.allow.join(', ') : 'none'}\n\n` +
+                        'Mild and moderate words follow the moderation ladder, severe words go straight to its last step (see !modpolicy)'
+                    );
+                    return;
+                }
+
+                case 'add': {
+                    const hasLevel = args.length > 2 && levels.includes(args[args.length - 1].toLowerCase());
+                    const level = hasLevel ? args[args.length - 1].toLowerCase() : 'mild';
+                    const word = toxicityFilter.normalizeWord(args.slice(1, hasLevel ? -1 : undefined).join(' '));
+                    if (!word || word.replace(/\*/g, '').length < 2 || word.length > 50) {
+                        await safeSendText(sock, remoteJid, `❌ Usage: !antitoxic add <word> [${levels.join('|')}]` );
+                        return;
+                    }
+                    filter.custom = { ...filter.custom, [word]: level };
+                    filter.exclude = filter.exclude.filter(entry => toxicityFilter.normalizeWord(entry) !== word);
+                    reply = `✅ Added "${word}" to the word list (${level})`;
+                    break;
+                }
+
+                case 'remove': {
+                    const word = toxicityFilter.normalizeWord(args.slice(1).join(' '));
+                    if (!word) {
+                        await safeSendText(sock, remoteJid, '❌ Usage: !antitoxic remove <word>' );
+                        return;
+                    }
+                    if (filter.custom[word]) {
+                        const { [word]: removed, ...rest } = filter.custom;
+                        filter.custom = rest;
+                        reply = `✅ Removed "${word}" from the word list`;
+                    } else if (toxicityFilter.isBundledWord(word)) {
+                        // Bundled words cannot be deleted, so the group ignores them instead
+                        if (!filter.exclude.includes(word)) filter.exclude = [...filter.exclude, word];
+                        reply = `✅ "${word}" will no longer be filtered in this group`;
+                    } else {
+                        await safeSendText(sock, remoteJid, `❌ "${word}" is not on the word list` );
+                        return;
+                    }
+                    break;
+                }
+
+                case 'allow': {
+                    // For harmless words a wildcard entry catches, e.g. "shiitake" for "shit*"
+                    const word = toxicityFilter.normalizeWord(args.slice(1).join(' '));
+                    if (!word || word.includes('*') || word.length > 50) {
+                        await safeSendText(sock, remoteJid, '❌ Usage: !antitoxic allow <word>' );
+                        return;
+                    }
+                    if (!filter.allow.includes(word)) filter.allow = [...filter.allow, word];
+                    reply = `✅ "${word}" will never be filtered in this group`;
+                    break;
+                }
+
+                case 'disallow': {
+                    const word = toxicityFilter.normalizeWord(args.slice(1).join(' '));
+                    if (!filter.allow.includes(word)) {
+                        await safeSendText(sock, remoteJid, `❌ "${word}" is not on the allowed list` );
+                        return;
+                    }
+                    filter.allow = filter.allow.filter(entry => entry !== word);
+                    reply = `✅ Removed "${word}" from the allowed words`;
+                    break;
+                }
+
+                case 'lang': {
+                    const value = args.slice(1).join(',').toLowerCase();
+                    if (value === 'all') {
+                        filter.languages = 'all';
+                    } else {
+                        const languages = [...new Set(value.split(',').map(code => code.trim()).filter(Boolean))];
+                        const unknown = languages.filter(code => !bundled.includes(code));
+                        if (!languages.length || unknown.length) {
+                            await safeSendText(sock, remoteJid, `❌ Available word lists: ${bundled.join(', ')} or all` );
+                            return;
+                        }
+                        filter.languages = languages;
+                    }
+                    reply = `✅ Using word lists: ${filter.languages === 'all' ? 'all' : filter.languages.join(', ')}`;
+                    break;
+                }
+
+                default:
+                    await safeSendText(sock, remoteJid, usage );
+                    return;
+            }
+
+            settings.toxicFilter = filter;
             await saveGroupSettings(remoteJid, settings);
 
             await safeSendMessage(sock, remoteJid, {
-                text: `✅ Anti-toxic has been turned ${action.toLowerCase()}`
+                text: reply
             });
 
         } catch (err) {
@@ -622,30 +1015,37 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'antiraid');
             if (!isUserAdmin) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
 
-            const [action, threshold] = args;
+            const [action, threshold, window] = args;
             if (!action || !['on', 'off'].includes(action.toLowerCase())) {
-                await safeSendText(sock, remoteJid, '❌ Usage: !antiraid <on/off> [max_joins_per_minute]'
+                await safeSendText(sock, remoteJid, '❌ Usage: !antiraid <on/off> [max_joins] [seconds]\nExample: !antiraid on 5 60 (lock the group when more than 5 members join within 60 seconds)'
                 );
                 return;
             }
 
-            // Store the settings in the group settings map
+            // Store the settings in the group settings file
             const settings = await getGroupSettings(remoteJid);
             settings.antiraid = action.toLowerCase() === 'on';
-            if (threshold && !isNaN(threshold)) {
+            if (threshold && !isNaN(threshold) && parseInt(threshold) > 0) {
                 settings.raidThreshold = parseInt(threshold);
             }
+            if (window && !isNaN(window) && parseInt(window) > 0) {
+                settings.raidWindow = parseInt(window);
+            }
             await saveGroupSettings(remoteJid, settings);
 
+            if (!settings.antiraid) {
+                clearRaidLock(remoteJid);
+            }
+
             await safeSendMessage(sock, remoteJid, {
                 text: `✅ Anti-raid has been turned ${action.toLowerCase()}${
-                    threshold ? ` with threshold of ${threshold} joins per minute` : ''
+                    settings.antiraid ? ` (locks the group when more than ${settings.raidThreshold} members join within ${settings.raidWindow} seconds)` : ''
                 }`
             });
 
@@ -654,7 +1054,8 @@ const groupCommands = {
             await safeSendText(sock, message.key.remoteJid, '❌ Failed to update anti-raid settings' );
         }
     },
-    async warn(sock, message, args) {
+
+    async warn(sock, message, args, { params = {} } = {}) {
         try {
             const remoteJid = message.key.remoteJid;
 
@@ -664,52 +1065,50 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'warn');
             if (!isUserAdmin) {
-                await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+                await safeSendText(sock, remoteJid, '❌ This command can only be used by moderators and admins' );
                 return;
             }
 
-            let target;
-            if (message.message.extendedTextMessage?.contextInfo?.participant) {
-                target = message.message.extendedTextMessage.contextInfo.participant;
-            } else if (args[0]) {
-                target = args[0].replace('@', '') + '@s.whatsapp.net';
-            }
-
+            const target = params.user;
             if (!target) {
                 await safeSendText(sock, remoteJid, '❌ Please mention a user to warn' );
                 return;
             }
 
-            const reason = args.slice(1).join(' ') || 'No reason provided';
+            const reason = params.reason || 'No reason provided';
 
-            // Get current warnings
-            const settings = await getGroupSettings(remoteJid);
-            if (!settings.warnings) settings.warnings = {};
-            if (!settings.warnings[target]) settings.warnings[target] = [];
+            // Warnings are stored in the group settings and expire after the group's warning expiry
+            const { warningCount, maxWarnings } = await updateGroupSettings(remoteJid, settings => {
+                moderationPolicy.pruneWarnings(settings);
+                moderationPolicy.addWarning(settings, target, { type: 'manual', reason, by: sender });
+                moderationPolicy.logAction(settings, { user: target, type: 'manual', actions: ['warn'], reason, by: sender });
 
-            settings.warnings[target].push({
-                reason,
-                time: Date.now(),
-                by: sender
+                // Automatic warnings escalate through their own ladders, so only manual ones count here
+                return {
+                    warningCount: moderationPolicy.getActiveWarnings(settings, target, 'manual').length,
+                    maxWarnings: moderationPolicy.getModerationConfig(settings).maxWarnings
+                };
             });
+            const shouldRemove = warningCount >= maxWarnings;
 
-            await saveGroupSettings(remoteJid, settings);
-
-            const warningCount = settings.warnings[target].length;
             await safeSendMessage(sock, remoteJid, {
-                text: `⚠️ User has been warned (${warningCount} warnings)\nReason: ${reason}`
+                text: `⚠️ @${target.split('@')[0]} has been warned (${warningCount}/${maxWarnings} warnings)\nReason: ${reason}`,
+                mentions: [target]
             });
 
             // Check if user should be kicked
-            if (warningCount >= 3) {
+            if (shouldRemove) {
                 try {
                     await sock.groupParticipantsUpdate(remoteJid, [target], 'remove');
-                    await safeSendText(sock, remoteJid, '🚫 User has been removed for receiving 3 warnings'
+                    await updateGroupSettings(remoteJid, settings => {
+                        moderationPolicy.logAction(settings, { user: target, type: 'manual', actions: ['kick'], reason: `Reached ${maxWarnings} warnings`, by: sender });
+                    });
+                    await safeSendText(sock, remoteJid, `🚫 User has been removed for receiving ${maxWarnings} warnings`
                     );
                 } catch (err) {
-                    logger.error('Failed to remove user after 3 warnings:', err);
+                    logger.error(`Failed to remove user after ${maxWarnings} warnings:`, err);
                 }
             }
 
@@ -729,9 +1128,9 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'removewarn');
             if (!isUserAdmin) {
-                await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+                await safeSendText(sock, remoteJid, '❌ This command can only be used by moderators and admins' );
                 return;
             }
 
@@ -747,19 +1146,32 @@ const groupCommands = {
                 return;
             }
 
-            // Get current warnings
-            const settings = await getGroupSettings(remoteJid);
-            if (!settings.warnings || !settings.warnings[target] || !settings.warnings[target].length) {
+            const clearAll = args.some(arg => arg.toLowerCase() === 'all');
+            const warningCount = await updateGroupSettings(remoteJid, settings => {
+                moderationPolicy.pruneWarnings(settings);
+                if (!settings.warnings || !settings.warnings[target] || !settings.warnings[target].length) {
+                    return null;
+                }
+
+                if (clearAll) {
+                    delete settings.warnings[target];
+                } else {
+                    settings.warnings[target].pop(); // Remove the last warning
+                    if (!settings.warnings[target].length) delete settings.warnings[target];
+                }
+                moderationPolicy.logAction(settings, { user: target, type: 'manual', actions: [clearAll ? 'clearwarns' : 'removewarn'], by: sender });
+                return moderationPolicy.getActiveWarnings(settings, target).length;
+            });
+
+            if (warningCount === null) {
                 await safeSendText(sock, remoteJid, '❌ User has no warnings' );
                 return;
             }
 
-            settings.warnings[target].pop(); // Remove the last warning
-            await saveGroupSettings(remoteJid, settings);
-
-            const warningCount = settings.warnings[target].length;
             await safeSendMessage(sock, remoteJid, {
-                text: `✅ Removed 1 warning from user (${warningCount} warnings remaining)`
+                text: clearAll
+                    ? '✅ Removed all warnings from user'
+                    : `✅ Removed 1 warning from user (${warningCount} warnings remaining)`
             });
 
         } catch (err) {
@@ -786,19 +1198,24 @@ const groupCommands = {
                 target = message.key.participant || message.key.remoteJid;
             }
 
-            // Get current warnings
+            // Only warnings that have not expired are shown
             const settings = await getGroupSettings(remoteJid);
-            if (!settings.warnings || !settings.warnings[target] || !settings.warnings[target].length) {
+            const active = moderationPolicy.getActiveWarnings(settings, target);
+            if (!active.length) {
                 await safeSendText(sock, remoteJid, '✅ User has no warnings' );
                 return;
             }
 
-            const warningList = settings.warnings[target]
-                .map((w, i) => `${i + 1}. ${w.reason} (${new Date(w.time).toLocaleString()})`)
+            const warningList = active
+                .map((w, i) => {
+                    const expires = w.expiresAt ? `, expires ${new Date(w.expiresAt).toLocaleString()}` : '';
+                    return `${i + 1}. [${w.type || 'manual'}] ${w.reason} (${new Date(w.time).toLocaleString()}${expires})`;
+                })
                 .join('\n');
 
             await safeSendMessage(sock, remoteJid, {
-                text: `⚠️ Warnings for user:\n${warningList}`
+                text: `⚠️ Warnings for @${target.split('@')[0]}:\n${warningList}`,
+                mentions: [target]
             });
 
         } catch (err) {
@@ -806,6 +1223,204 @@ const groupCommands = {
             await safeSendText(sock, message.key.remoteJid, '❌ Failed to fetch warnings' );
         }
     },
+
+    async modpolicy(sock, message, args) {
+        try {
+            const remoteJid = message.key.remoteJid;
+
+            if (!remoteJid.endsWith('@g.us')) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
+                return;
+            }
+
+            const sender = message.key.participant || message.key.remoteJid;
+            if (!await canRunCommand(sock, message, 'modpolicy')) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+                return;
+            }
+
+            const settings = await getGroupSettings(remoteJid);
+            const config = moderationPolicy.getModerationConfig(settings);
+            const types = Object.keys(moderationPolicy.VIOLATION_TYPES);
+            const [option, ...rest] = args.map(arg => arg.toLowerCase());
+
+            if (!option) {
+                const ladders = types.map(type => {
+                    const { setting } = moderationPolicy.VIOLATION_TYPES[type];
+                    const steps = moderationPolicy.getLadder(settings, type).map(moderationPolicy.formatStep).join(' → ');
+                    return `${settings[setting] ? '🟢' : '🔴'} *${type}*: ${steps}`;
+                }).join('\n');
+
+                await safeSendText(sock, remoteJid,
+                    `🛡️ *Moderation Policy*\n\n${ladders}\n\n` +
+                    `Warning expiry: ${config.warningExpiry > 0 ? `${config.warningExpiry}h` : 'never'}\n` +
+                    `Mute duration: ${config.muteDuration}m\n` +
+                    `Manual warnings before removal: ${config.maxWarnings}\n` +
+                    `Mass mention limit: ${config.maxMentions}\n\n` +
+                    'Usage:\n' +
+                    '!modpolicy <type> on|off\n' +
+                    '!modpolicy <type> <step> [step...] (e.g. warn delete+warn mute kick)\n' +
+                    '!modpolicy <type> reset\n' +
+                    '!modpolicy expiry <hours|0>\n' +
+                    '!modpolicy mute <minutes>\n' +
+                    '!modpolicy maxwarn <count>\n' +
+                    '!modpolicy mentions <count>'
+                );
+                return;
+            }
+
+            const moderation = { ...(settings.moderation || {}) };
+            moderation.ladders = { ...(moderation.ladders || {}) };
+
+            const numericOptions = {
+                expiry: { key: 'warningExpiry', min: 0, max: 24 * 365, label: 'Warning expiry', unit: 'h' },
+                mute: { key: 'muteDuration', min: 1, max: 7 * 24 * 60, label: 'Mute duration', unit: 'm' },
+                maxwarn: { key: 'maxWarnings', min: 1, max: 20, label: 'Manual warnings before removal', unit: '' },
+                mentions: { key: 'maxMentions', min: 2, max: 256, label: 'Mass mention limit', unit: '' }
+            };
+
+            let reply;
+            if (numericOptions[option]) {
+                const { key, min, max, label, unit } = numericOptions[option];
+                const value = parseInt(rest[0]);
+                if (isNaN(value) || value < min || value > max) {
+                    await safeSendText(sock, remoteJid, `❌ ${label} must be a number between ${min} and ${max}` );
+                    return;
+                }
+                moderation[key] = value;
+                reply = `✅ ${label} set to ${value === 0 && key === 'warningExpiry' ? 'never' : `${value}${unit}`}`;
+            } else if (types.includes(option)) {
+                const { setting } = moderationPolicy.VIOLATION_TYPES[option];
+                if (!rest.length) {
+                    await safeSendText(sock, remoteJid, `❌ Usage: !modpolicy ${option} <on|off|reset|steps...>` );
+                    return;
+                }
+
+                if (rest[0] === 'on' || rest[0] === 'off') {
+                    settings[setting] = rest[0] === 'on';
+                    reply = `✅ ${option} moderation has been turned ${rest[0]}`;
+                } else if (rest[0] === 'reset') {
+                    delete moderation.ladders[option];
+                    reply = `✅ ${option} ladder reset to: ${moderationPolicy.DEFAULT_LADDER.map(moderationPolicy.formatStep).join(' → ')}`;
+                } else {
+                    const { ladder, error } = moderationPolicy.parseLadder(rest);
+                    if (error) {
+                        await safeSendText(sock, remoteJid, `❌ ${error}` );
+                        return;
+                    }
+                    moderation.ladders[option] = ladder;
+                    reply = `✅ ${option} ladder set to: ${ladder.map(moderationPolicy.formatStep).join(' → ')}`;
+                }
+            } else {
+                await safeSendText(sock, remoteJid, `❌ Unknown option. Violation types: ${types.join(', ')}. Settings: ${Object.keys(numericOptions).join(', ')}` );
+                return;
+            }
+
+            settings.moderation = moderation;
+            await saveGroupSettings(remoteJid, settings);
+            await safeSendText(sock, remoteJid, reply );
+
+        } catch (err) {
+            logger.error('Error in modpolicy command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to update moderation policy' );
+        }
+    },
+
+    async modlog(sock, message, args) {
+        try {
+            const remoteJid = message.key.remoteJid;
+
+            if (!remoteJid.endsWith('@g.us')) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
+                return;
+            }
+
+            const sender = message.key.participant || message.key.remoteJid;
+            if (!await canRunCommand(sock, message, 'modlog')) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used by moderators and admins' );
+                return;
+            }
+
+            const settings = await getGroupSettings(remoteJid);
+            const log = Array.isArray(settings.modlog) ? settings.modlog : [];
+            if (!log.length) {
+                await safeSendText(sock, remoteJid, '📋 No moderation actions recorded yet' );
+                return;
+            }
+
+            const limit = Math.min(Math.max(parseInt(args[0]) || 10, 1), 50);
+            const entries = log.slice(-limit).reverse();
+            const mentions = new Set();
+
+            const lines = entries.map(entry => {
+                mentions.add(entry.user);
+                if (entry.by) mentions.add(entry.by);
+                const actions = entry.actions?.length ? entry.actions.join('+') : 'none';
+                const reason = entry.reason ? ` - ${entry.reason}` : '';
+                const by = entry.by ? ` by @${entry.by.split('@')[0]}` : ' (auto)';
+                return `• ${new Date(entry.time).toLocaleString()}\n  @${entry.user.split('@')[0]} [${entry.type}] ${actions}${reason}${by}`;
+            });
+
+            await safeSendMessage(sock, remoteJid, {
+                text: `📋 *Moderation Log* (last ${entries.length})\n\n${lines.join('\n')}`,
+                mentions: [...mentions]
+            });
+
+        } catch (err) {
+            logger.error('Error in modlog command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to fetch the moderation log' );
+        }
+    },
+
+    async botunmute(sock, message, args) {
+        try {
+            const remoteJid = message.key.remoteJid;
+
+            if (!remoteJid.endsWith('@g.us')) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
+                return;
+            }
+
+            const sender = message.key.participant || message.key.remoteJid;
+            if (!await canRunCommand(sock, message, 'botunmute')) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used by moderators and admins' );
+                return;
+            }
+
+            let target;
+            if (message.message.extendedTextMessage?.contextInfo?.mentionedJid?.length) {
+                target = message.message.extendedTextMessage.contextInfo.mentionedJid[0];
+            } else if (message.message.extendedTextMessage?.contextInfo?.participant) {
+                target = message.message.extendedTextMessage.contextInfo.participant;
+            } else if (args[0]) {
+                target = args[0].replace('@', '') + '@s.whatsapp.net';
+            }
+
+            if (!target) {
+                await safeSendText(sock, remoteJid, '❌ Please mention a user to unmute' );
+                return;
+            }
+
+            const unmuted = await updateGroupSettings(remoteJid, settings => {
+                if (!moderationPolicy.unmuteUser(settings, target)) return false;
+                moderationPolicy.logAction(settings, { user: target, type: 'manual', actions: ['unmute'], by: sender });
+                return true;
+            });
+            if (!unmuted) {
+                await safeSendText(sock, remoteJid, '❌ User is not muted' );
+                return;
+            }
+
+            await safeSendMessage(sock, remoteJid, {
+                text: `🔊 @${target.split('@')[0]} has been unmuted`,
+                mentions: [target]
+            });
+
+        } catch (err) {
+            logger.error('Error in botunmute command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to unmute user' );
+        }
+    },
     async setname(sock, message, args) {
         try {
             const remoteJid = message.key.remoteJid;
@@ -816,7 +1431,7 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'setname');
             if (!isUserAdmin) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
@@ -847,7 +1462,7 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'setdesc');
             if (!isUserAdmin) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
@@ -878,7 +1493,7 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'setppic');
             if (!isUserAdmin) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
@@ -910,7 +1525,7 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'feature');
             if (!isUserAdmin) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
@@ -983,7 +1598,7 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'link');
 
             if (!isUserAdmin) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
@@ -1011,7 +1626,7 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'revoke');
             const isBotGroupAdmin = await isBotAdmin(sock, remoteJid);
 
             if (!isUserAdmin) {
@@ -1043,7 +1658,7 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'tagall');
 
             if (!isUserAdmin) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
@@ -1171,7 +1786,7 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'mentionall');
 
             if (!isUserAdmin) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
@@ -1476,7 +2091,7 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'endpoll');
             if (!isUserAdmin) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
@@ -1518,6 +2133,186 @@ const groupCommands = {
         }
     },
 
+    async prefix(sock, message, args) {
+        try {
+            const remoteJid = message.key.remoteJid;
+
+            if (!remoteJid.endsWith('@g.us')) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
+                return;
+            }
+
+            const settings = await getGroupSettings(remoteJid);
+            const globalPrefixes = commandRegistry.prefixes.join(' ');
+            const value = args[0];
+
+            if (!value) {
+                await safeSendText(sock, remoteJid, settings.prefix
+                    ? `🔤 This group uses the prefix: ${settings.prefix}`
+                    : `🔤 This group uses the global prefix: ${globalPrefixes}`
+                );
+                return;
+            }
+
+            const sender = message.key.participant || message.key.remoteJid;
+            if (!await hasRole(sock, remoteJid, sender, 'admin')) {
+                await safeSendText(sock, remoteJid, '❌ Only admins can change the group prefix' );
+                return;
+            }
+
+            if (value.toLowerCase() === 'reset') {
+                settings.prefix = null;
+                await saveGroupSettings(remoteJid, settings);
+                await safeSendText(sock, remoteJid, `✅ This group now uses the global prefix: ${globalPrefixes}` );
+                return;
+            }
+
+            if (!isValidPrefix(value)) {
+                await safeSendText(sock, remoteJid, '❌ A prefix must be 1-3 characters and cannot start with a letter or number' );
+                return;
+            }
+
+            settings.prefix = value;
+            await saveGroupSettings(remoteJid, settings);
+            await safeSendText(sock, remoteJid, `✅ Group prefix set to: ${value}\nExample: ${value}help` );
+
+        } catch (err) {
+            logger.error('Error in prefix command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to update the group prefix' );
+        }
+    },
+
+    async disable(sock, message, args) {
+        await toggleCommands(sock, message, args, false);
+    },
+
+    async enable(sock, message, args) {
+        await toggleCommands(sock, message, args, true);
+    },
+
+    async schedule(sock, message, args) {
+        try {
+            const remoteJid = message.key.remoteJid;
+
+            if (!remoteJid.endsWith('@g.us')) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
+                return;
+            }
+
+            const sender = message.key.participant || message.key.remoteJid;
+            const isUserAdmin = await canRunCommand(sock, message, 'schedule');
+            if (!isUserAdmin) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+                return;
+            }
+
+            const action = args[0]?.toLowerCase();
+
+            if (action === 'list') {
+                const jobs = await groupScheduler.listScheduledMessages(remoteJid);
+                if (jobs.length === 0) {
+                    await safeSendText(sock, remoteJid, '📅 No scheduled messages in this group' );
+                    return;
+                }
+
+                const lines = jobs.map(job => {
+                    const flags = [
+                        job.media ? `📎 ${job.media.type}` : null,
+                        groupScheduler.mentionsEveryone(job) ? '📢 @everyone' : null
+                    ].filter(Boolean).join(' ');
+                    const preview = job.text.length > 60 ? `${job.text.slice(0, 57)}...` : job.text;
+                    return `*${job.id}* - ${groupScheduler.describeSchedule(job)}${flags ? ` ${flags}` : ''}\n${preview || '_(no text)_'}`;
+                });
+
+                await safeSendText(sock, remoteJid, `📅 *Scheduled Messages:*\n\n${lines.join('\n\n')}\n\nUse !schedule remove [id] to delete one` );
+                return;
+            }
+
+            if (action === 'remove' || action === 'delete') {
+                if (!args[1]) {
+                    await safeSendText(sock, remoteJid, '❌ Usage: !schedule remove [id]' );
+                    return;
+                }
+
+                const removed = await groupScheduler.removeScheduledMessage(remoteJid, args[1]);
+                await safeSendText(sock, remoteJid, removed
+                    ? `✅ Scheduled message ${removed.id} removed`
+                    : '❌ Scheduled message not found. Use !schedule list to see them' );
+                return;
+            }
+
+            if (action !== 'add' || args.length < 2) {
+                await safeSendText(sock, remoteJid, '❌ Usage:\n!schedule add [cron|time] [message]\n!schedule list\n!schedule remove [id]\n\nExamples:\n!schedule add 0 9 * * 1 Weekly meeting @everyone\n!schedule add at 20:00 Game night starts!\n!schedule add every day 8:00 Good morning\n!schedule add 2h Reminder (send or reply to media to attach it)'
+                );
+                return;
+            }
+
+            // A cron expression is the first five arguments, otherwise use the reminder time formats
+            const timeArgs = args.slice(1);
+            const job = { createdBy: sender };
+            let rest;
+
+            const cronExpression = timeArgs.slice(0, 5).join(' ');
+            if (timeArgs.length >= 5 && /^[\d*]/.test(timeArgs[0]) && cron.validate(cronExpression)) {
+                job.cron = cronExpression;
+                rest = timeArgs.slice(5);
+            } else {
+                const schedule = parseReminderTime(timeArgs);
+                if (!schedule || schedule.error) {
+                    await safeSendText(sock, remoteJid, `❌ ${schedule?.error || 'Invalid time. Use a cron expression (0 9 * * 1), a duration (2h), a time (at 20:00), a date (2026-12-24 18:00) or every day 8:00'}` );
+                    return;
+                }
+                job.nextRun = schedule.dueAt;
+                job.recurrence = schedule.recurrence;
+                rest = schedule.rest;
+            }
+
+            job.text = rest.join(' ').trim();
+
+            // Attach media sent with the command or in the replied-to message
+            const quotedMessage = message.message?.extendedTextMessage?.contextInfo?.quotedMessage;
+            const mediaTypes = ['image', 'video', 'audio', 'document'];
+            for (const [source, content] of [[message, message.message], [{ message: quotedMessage }, quotedMessage]]) {
+                const type = content && mediaTypes.find(mediaType => content[`${mediaType}Message`]);
+                if (!type) continue;
+
+                const mediaMessage = content[`${type}Message`];
+                const buffer = await downloadMediaMessage(source, 'buffer', {});
+                job.media = await groupScheduler.saveJobMedia(buffer, {
+                    type,
+                    mimetype: mediaMessage.mimetype,
+                    fileName: mediaMessage.fileName
+                });
+                break;
+            }
+
+            if (!job.text && !job.media) {
+                await safeSendText(sock, remoteJid, '❌ Please provide a message or attach media' );
+                return;
+            }
+
+            const result = await groupScheduler.addScheduledMessage(remoteJid, job);
+            if (!result.success) {
+                await safeSendText(sock, remoteJid, `❌ ${result.message}` );
+                return;
+            }
+
+            await safeSendText(sock, remoteJid, `✅ Message scheduled (ID: ${result.job.id})\n📅 ${groupScheduler.describeSchedule(result.job)}${result.job.media ? `\n📎 ${result.job.media.type} attached` : ''}${groupScheduler.mentionsEveryone(result.job) ? '\n📢 Everyone will be mentioned' : ''}` );
+
+        } catch (err) {
+            logger.error('Error in schedule command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to manage scheduled messages' );
+        }
+    },
+
+    async setwelcome(sock, message, args) {
+        await configureMemberMessage(sock, message, args, 'welcome');
+    },
+
+    async setgoodbye(sock, message, args) {
+        await configureMemberMessage(sock, message, args, 'goodbye');
+    },
+
     async quiz(sock, message, args) {
         try {
             const remoteJid = message.key.remoteJid;
@@ -1580,13 +2375,162 @@ const groupCommands = {
             const remoteJid = message.key.remoteJid;
 
             if (!remoteJid.endsWith('@g.us')) {
-                await safeSendText(sock, remoteJid, '❌ Thiscommandcan only be used in groups' );
+                await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
                 return;
             }
 
-            // For now, return a placeholder message
-            await safeSendText(sock, remoteJid, '👥 Role management feature coming soon!'
-            );
+            const sender = message.key.participant || message.key.remoteJid;
+            const settings = await getGroupSettings(remoteJid);
+            const action = args[0]?.toLowerCase();
+            const contextInfo = message.message?.extendedTextMessage?.contextInfo;
+            const target = contextInfo?.mentionedJid?.[0] || contextInfo?.participant ||
+                (args[1] && /^@?\d+$/.test(args[1]) ? `${args[1].replace('@', '')}@s.whatsapp.net` : null);
+            const formatRole = info => info.customRole ? `${info.customRole} (${info.role})` : info.role;
+
+            if (!action) {
+                const info = await getUserRole(sock, remoteJid, sender, settings);
+                await safeSendText(sock, remoteJid, `👤 Your role in this group: *${formatRole(info)}*` );
+                return;
+            }
+
+            if (action === 'list') {
+                const customRoles = Object.entries(settings.customRoles || {})
+                    .map(([name, base]) => `• ${name} (based on ${base})`);
+                const members = Object.entries(settings.roles || {})
+                    .map(([jid, role]) => `• @${jid.split('@')[0]}: ${role}`);
+                const requirements = Object.entries(settings.commandRoles || {})
+                    .map(([command, role]) => `• ${command}: ${role}`);
+
+                await safeSendMessage(sock, remoteJid, {
+                    text: `👥 *Group Roles*\n\nBuilt-in: ${Object.keys(ROLE_LEVELS).reverse().join(', ')}\n\n` +
+                        `*Custom roles:*\n${customRoles.join('\n') || 'None'}\n\n` +
+                        `*Members:*\n${members.join('\n') || 'None'}\n\n` +
+                        `*Command requirements:*\n${requirements.join('\n') || 'Defaults'}`,
+                    mentions: Object.keys(settings.roles || {})
+                });
+                return;
+            }
+
+            if (!await hasRole(sock, remoteJid, sender, 'admin')) {
+                await safeSendText(sock, remoteJid, '❌ Only admins can manage roles' );
+                return;
+            }
+
+            const roleName = name => {
+                const role = normalizeRole(name);
+                if (ASSIGNABLE_ROLES.includes(role) || settings.customRoles?.[role]) return role;
+                return null;
+            };
+
+            switch (action) {
+                case 'add': {
+                    const role = roleName(args[args.length - 1]);
+                    if (!target || args.length < 3 || !role) {
+                        await safeSendText(sock, remoteJid, `❌ Usage: !role add @user <${[...ASSIGNABLE_ROLES, ...Object.keys(settings.customRoles || {})].join('|')}>` );
+                        return;
+                    }
+
+                    settings.roles = { ...(settings.roles || {}), [target]: role };
+                    await saveGroupSettings(remoteJid, settings);
+                    await safeSendMessage(sock, remoteJid, {
+                        text: `✅ @${target.split('@')[0]} now has the *${role}* role`,
+                        mentions: [target]
+                    });
+                    return;
+                }
+
+                case 'remove': {
+                    if (!target) {
+                        await safeSendText(sock, remoteJid, '❌ Usage: !role remove @user' );
+                        return;
+                    }
+                    if (!settings.roles?.[target]) {
+                        await safeSendText(sock, remoteJid, '❌ That user has no assigned role' );
+                        return;
+                    }
+
+                    delete settings.roles[target];
+                    await saveGroupSettings(remoteJid, settings);
+                    await safeSendMessage(sock, remoteJid, {
+                        text: `✅ Removed the role of @${target.split('@')[0]}`,
+                        mentions: [target]
+                    });
+                    return;
+                }
+
+                case 'create': {
+                    const name = args[1]?.toLowerCase();
+                    const base = normalizeRole(args[2] || 'user');
+                    if (!name || !/^[a-z][a-z0-9_-]{1,19}$/.test(name) || ROLE_LEVELS[normalizeRole(name)] !== undefined) {
+                        await safeSendText(sock, remoteJid, '❌ Usage: !role create <name> [user|vip|moderator]\nNames use 2-20 letters, numbers, - or _ and cannot be a built-in role' );
+                        return;
+                    }
+                    if (base !== 'user' && !ASSIGNABLE_ROLES.includes(base)) {
+                        await safeSendText(sock, remoteJid, '❌ Custom roles can be based on user, vip or moderator' );
+                        return;
+                    }
+
+                    settings.customRoles = { ...(settings.customRoles || {}), [name]: base };
+                    await saveGroupSettings(remoteJid, settings);
+                    await safeSendText(sock, remoteJid, `✅ Created the role *${name}* (based on ${base})` );
+                    return;
+                }
+
+                case 'delete': {
+                    const name = args[1]?.toLowerCase();
+                    if (!name || !settings.customRoles?.[name]) {
+                        await safeSendText(sock, remoteJid, '❌ Usage: !role delete <custom role>' );
+                        return;
+                    }
+
+                    // Members and command requirements using the role fall back to the defaults
+                    delete settings.customRoles[name];
+                    for (const [jid, role] of Object.entries(settings.roles || {})) {
+                        if (role === name) delete settings.roles[jid];
+                    }
+                    for (const [command, role] of Object.entries(settings.commandRoles || {})) {
+                        if (role === name) delete settings.commandRoles[command];
+                    }
+                    await saveGroupSettings(remoteJid, settings);
+                    await safeSendText(sock, remoteJid, `✅ Deleted the role *${name}*` );
+                    return;
+                }
+
+                case 'require': {
+                    const command = args[1]?.toLowerCase();
+                    const value = args[2]?.toLowerCase();
+                    if (!command || !value || !commandRegistry.getCommand(command)) {
+                        await safeSendText(sock, remoteJid, '❌ Usage: !role require <command> <role|default>' );
+                        return;
+                    }
+                    // Groups cannot open up owner commands or lock admins out of role management
+                    const configCategory = commandRegistry.getCommand(command).configCategory;
+                    const ownerOnly = getRequiredRoles(command, null, configCategory).every(role => (ROLE_LEVELS[role] ?? 0) > ROLE_LEVELS.admin);
+                    if (command === 'role' || ownerOnly) {
+                        await safeSendText(sock, remoteJid, '❌ The requirement of this command cannot be changed' );
+                        return;
+                    }
+
+                    if (value === 'default') {
+                        if (settings.commandRoles) delete settings.commandRoles[command];
+                    } else {
+                        const role = normalizeRole(value);
+                        if (ROLE_LEVELS[role] === undefined && !settings.customRoles?.[role]) {
+                            await safeSendText(sock, remoteJid, `❌ Unknown role: ${value}` );
+                            return;
+                        }
+                        settings.commandRoles = { ...(settings.commandRoles || {}), [command]: role };
+                    }
+
+                    await saveGroupSettings(remoteJid, settings);
+                    const required = value === 'default' ? getRequiredRoles(command, null, configCategory).join(' or ') : settings.commandRoles[command];
+                    await safeSendText(sock, remoteJid, `✅ !${command} now requires the *${required}* role in this group` );
+                    return;
+                }
+
+                default:
+                    await safeSendText(sock, remoteJid, '❌ Usage: !role [list|add|remove|create|delete|require]' );
+            }
 
         } catch (err) {
             logger.error('Error in role command:', err);
@@ -1604,7 +2548,7 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'setname');
             if (!isUserAdmin) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
@@ -1635,7 +2579,7 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'setdesc');
             if (!isUserAdmin) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
@@ -1666,7 +2610,7 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'setppic');
             if (!isUserAdmin) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
@@ -1698,7 +2642,7 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const isUserAdmin = await canRunCommand(sock, message, 'feature');
             if (!isUserAdmin) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
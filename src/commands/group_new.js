@@ -2,7 +2,7 @@ const logger = require('../utils/logger');
 const { isAdmin, isBotAdmin } = require('../utils/permissions');
 const { downloadMediaMessage } = require('../utils/helpers');
 const { getGroupSettings, saveGroupSettings } = require('../utils/groupSettings');
-const { safeSendText, safeSendMessage, safeSendImage } = require('../utils/jidHelper');
+const { safeSendText, safeSendMessage, safeSendImage } = require('../utils/safe-send');
 const path = require('path');
 const fs = require('fs');
 const fsPromises = fs.promises;
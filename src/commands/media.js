@@ -15,7 +15,7 @@ const yts = require('yt-search');
 const { getLyrics } = require('genius-lyrics-api');
 const webp = require('node-webpmux');
 const { isFeatureEnabled } = require('../utils/groupSettings');
-const { safeSendText, safeSendMessage, safeSendImage } = require('../utils/jidHelper');
+const { safeSendText, safeSendMessage, safeSendImage } = require('../utils/safe-send');
 
 // Initialize required directories
 const initializeDirectories = async () => {
@@ -172,7 +172,7 @@ const mediaCommands = {
         }
     },
 
-    async sticker(sock, message) {
+    async sticker(sock, message, args, { params = {} } = {}) {
         try {
             const remoteJid = message.key.remoteJid;
             
@@ -181,14 +181,16 @@ const mediaCommands = {
                 return;
             }
             
-            if (!message.message?.imageMessage && !message.message?.videoMessage) {
+            // The image or video sent with the command or replied to
+            const media = params.media;
+            if (!media) {
                 await safeSendText(sock, remoteJid, '*📝 Usage:* Reply to an image/video with .sticker' );
                 return;
             }
 
             await safeSendText(sock, remoteJid, '*⏳ Processing:* Creating sticker...' );
 
-            const buffer = await downloadMediaMessage(message, 'buffer', {});
+            const buffer = await downloadMediaMessage(media.message, 'buffer', {});
             const tempDir = path.join(process.cwd(), 'temp');
             await fsPromises.mkdir(tempDir, { recursive: true });
 
@@ -259,7 +261,7 @@ const mediaCommands = {
         }
     },
 
-    async ytmp3(sock, message, args) {
+    async ytmp3(sock, message, args, { params = {} } = {}) {
         try {
             const remoteJid = message.key.remoteJid;
             
@@ -268,7 +270,8 @@ const mediaCommands = {
                 return;
             }
             
-            if (!args[0]) {
+            const url = params.url;
+            if (!url) {
                 await safeSendText(sock, remoteJid, '*📝 Usage:* .ytmp3 [YouTube URL]' );
                 return;
             }
@@ -277,7 +280,7 @@ const mediaCommands = {
 
             try {
                 // Get video info using ytdl-core to provide metadata
-                const videoInfo = await ytdl.getInfo(args[0]);
+                const videoInfo = await ytdl.getInfo(url);
                 const videoDetails = videoInfo.videoDetails;
                 
                 // Format duration in minutes and seconds
@@ -324,7 +327,7 @@ const mediaCommands = {
         }
     },
 
-    async ytmp4(sock, message, args) {
+    async ytmp4(sock, message, args, { params = {} } = {}) {
         try {
             const remoteJid = message.key.remoteJid;
             
@@ -333,7 +336,8 @@ const mediaCommands = {
                 return;
             }
             
-            if (!args[0]) {
+            const url = params.url;
+            if (!url) {
                 await safeSendText(sock, remoteJid, '*📝 Usage:* .ytmp4 [YouTube URL]' );
                 return;
             }
@@ -342,7 +346,7 @@ const mediaCommands = {
 
             try {
                 // Get video info using ytdl-core to provide metadata
-                const videoInfo = await ytdl.getInfo(args[0]);
+                const videoInfo = await ytdl.getInfo(url);
                 const videoDetails = videoInfo.videoDetails;
                 
                 // Format duration in minutes and seconds
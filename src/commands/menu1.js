@@ -6,7 +6,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
-const { safeSendMessage, safeSendImage } = require('../utils/jidHelper');
+const { safeSendMessage, safeSendImage } = require('../utils/safe-send');
 const { languageManager } = require('../utils/language');
 const config = require('../config/config');
 
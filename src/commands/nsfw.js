@@ -8,17 +8,20 @@ const FormData = require('form-data');
 const sharp = require('sharp');
 const ffmpeg = require('fluent-ffmpeg');
 const { getGroupSettings, saveGroupSettings } = require('../utils/groupSettings');
+const { toJid, requireJid, getChatJid, getSenderJid } = require('../utils/jid');
 const { languageManager } = require('../utils/language');
-const { 
-    safeSendMessage, 
-    safeSendText, 
-    safeSendImage, 
-    isJidGroup, 
+const {
+    isJidGroup,
     isJidUser,
-    safeSendAnimatedGif,
     ensureJidString,
     formatJidForLogging
 } = require('../utils/jidHelper');
+const {
+    safeSendMessage,
+    safeSendText,
+    safeSendImage,
+    safeSendAnimatedGif
+} = require('../utils/safe-send');
 
 // Import optimized NSFW image fetching utility with correct exports
 const nsfwUtils = require('../utils/fetchNsfwImage');
@@ -100,7 +103,12 @@ async function loadVerifiedUsers() {
             const verifiedData = JSON.parse(data);
             
             for (const [userId, userData] of Object.entries(verifiedData)) {
-                verifiedUsers.set(userId, userData);
+                const jid = toJid(userId, ['user', 'lid']);
+                if (!jid) {
+                    logger.warn(`NSFW: Ignoring invalid verified user key ${JSON.stringify(userId)}, run scripts/repair-jids.js to clean it up`);
+                    continue;
+                }
+                verifiedUsers.set(jid, userData);
             }
             
             logger.info(`✅ NSFW: Loaded ${verifiedUsers.size} verified users from file`);
@@ -144,35 +152,16 @@ async function initDirectories() {
 }
 
 function isUserVerified(userId) {
-    // Ensure userId is a string and normalize it
-    const normalizedId = String(userId || '');
+    const normalizedId = toJid(userId, ['user', 'lid']);
+    if (!normalizedId) return false;
     
-    // Debug log to help troubleshoot the verification issue
     logger.debug(`Checking verification for user: ${normalizedId}, result: ${verifiedUsers.has(normalizedId)}`);
-    logger.debug(`Verified users: ${Array.from(verifiedUsers.keys()).join(', ')}`);
-    
     return verifiedUsers.has(normalizedId);
 }
 
 function setUserVerification(userId, verified = true) {
-    // Ensure userId is a string and normalize it
-    let normalizedId = String(userId || '');
-    
-    // Fix for [object Object] issue - ensure we have a proper string
-    if (normalizedId === '[object Object]' || normalizedId.includes('[object')) {
-        // This means we're dealing with a JID object instead of a string
-        logger.warn(`Received invalid userId format: ${normalizedId}, using fallback`);
-        // If we can extract a string ID from it, do so 
-        if (userId && userId.user) {
-            normalizedId = `${userId.user}@${userId.server || 's.whatsapp.net'}`;
-        }
-    }
-    
-    // Additional validation to prevent invalid JIDs
-    if (!normalizedId.includes('@')) {
-        logger.warn(`Invalid JID format for verification: ${normalizedId}, appending domain`);
-        normalizedId = `${normalizedId}@s.whatsapp.net`;
-    }
+    // Throws for anything but a user JID, so no bogus keys end up in verified_users.json
+    const normalizedId = requireJid(userId, ['user', 'lid']);
     
     if (verified) {
         verifiedUsers.set(normalizedId, {
@@ -193,8 +182,8 @@ function setUserVerification(userId, verified = true) {
 }
 
 async function isNsfwEnabledForGroup(groupId) {
-    // Ensure groupId is a string - fix for "endsWith is not a function" error
-    const safeGroupId = String(groupId || '');
+    const safeGroupId = toJid(groupId);
+    if (!safeGroupId) return false;
     
     if (groupNsfwSettings.has(safeGroupId)) {
         return groupNsfwSettings.get(safeGroupId).enabled;
@@ -213,8 +202,7 @@ async function isNsfwEnabledForGroup(groupId) {
 
 async function saveNsfwSettingsForGroup(groupId, enabled) {
     try {
-        // Ensure groupId is a string - fix for "endsWith is not a function" error
-        const safeGroupId = String(groupId || '');
+        const safeGroupId = requireJid(groupId);
         
         const settings = await getGroupSettings(safeGroupId);
         settings.nsfw = {
@@ -600,7 +588,7 @@ const nsfwCommands = {
             }
 
             const isEnabled = action.toLowerCase() === 'on';
-            await saveNsfwSettingsForGroup(sender, isEnabled);
+            await saveNsfwSettingsForGroup(getChatJid(sender), isEnabled);
 
             await safeSendText(sock, sender, `NSFW commands are now ${isEnabled ? 'enabled' : 'disabled'} for this chat`);
 
@@ -689,7 +677,7 @@ NSFW Statistics:
                 return;
             }
 
-            setUserVerification(sender, true);
+            setUserVerification(getSenderJid(sender), true);
             await safeSendText(sock, sender, '✅ Age verification successful. You can now use NSFW commands.');
 
             logger.info(`User ${formatJidForLogging(sender)} verified for NSFW content, age: ${parsedAge}`);
@@ -701,7 +689,7 @@ NSFW Statistics:
 
     async nsfwhelp(sock, sender) {
         try {
-            if (!isNsfwEnabledForGroup(sender)) {
+            if (!isNsfwEnabledForGroup(getChatJid(sender))) {
                 await safeSendText(sock, sender, `❌ NSFW commands are disabled for this group. An admin can enable them with .togglensfw on`);
                 return;
             }
@@ -750,18 +738,18 @@ NSFW Statistics:
 
     async waifu(sock, sender) {
         try {
-            if (!await isNsfwEnabledForGroup(sender)) {
+            if (!await isNsfwEnabledForGroup(getChatJid(sender))) {
                 await safeSendText(sock, sender, '❌ NSFW commands are disabled for this group');
                 return;
             }
 
-            if (!isUserVerified(sender)) {
+            if (!isUserVerified(getSenderJid(sender))) {
                 await safeSendText(sock, sender, '⚠️ You need to verify your age first. Use .verify <your_age>');
                 return;
             }
 
-            if (!applyCooldown(sender, 30)) {
-                const remaining = getRemainingCooldown(sender);
+            if (!applyCooldown(getSenderJid(sender), 30)) {
+                const remaining = getRemainingCooldown(getSenderJid(sender));
                 await safeSendText(sock, sender, `⏳ Please wait ${remaining} seconds before using this command again.`);
                 return;
             }
@@ -788,18 +776,18 @@ NSFW Statistics:
 
     async neko(sock, sender) {
         try {
-            if (!await isNsfwEnabledForGroup(sender)) {
+            if (!await isNsfwEnabledForGroup(getChatJid(sender))) {
                 await safeSendText(sock, sender, '❌ NSFW commands are disabled for this group');
                 return;
             }
 
-            if (!isUserVerified(sender)) {
+            if (!isUserVerified(getSenderJid(sender))) {
                 await safeSendText(sock, sender, '⚠️ You need to verify your age first. Use .verify <your_age>');
                 return;
             }
 
-            if (!applyCooldown(sender, 30)) {
-                const remaining = getRemainingCooldown(sender);
+            if (!applyCooldown(getSenderJid(sender), 30)) {
+                const remaining = getRemainingCooldown(getSenderJid(sender));
                 await safeSendText(sock, sender, `⏳ Please wait ${remaining} seconds before using this command again.`);
                 return;
             }
@@ -826,18 +814,18 @@ NSFW Statistics:
 
     async hentai(sock, sender) {
         try {
-            if (!await isNsfwEnabledForGroup(sender)) {
+            if (!await isNsfwEnabledForGroup(getChatJid(sender))) {
                 await safeSendText(sock, sender, '❌ NSFW commands are disabled for this group');
                 return;
             }
 
-            if (!isUserVerified(sender)) {
+            if (!isUserVerified(getSenderJid(sender))) {
                 await safeSendText(sock, sender, '⚠️ You need to verify your age first. Use .verify <your_age>');
                 return;
             }
 
-            if (!applyCooldown(sender, 30)) {
-                const remaining = getRemainingCooldown(sender);
+            if (!applyCooldown(getSenderJid(sender), 30)) {
+                const remaining = getRemainingCooldown(getSenderJid(sender));
                 await safeSendText(sock, sender, `⏳ Please wait ${remaining} seconds before using this command again.`);
                 return;
             }
@@ -907,18 +895,18 @@ NSFW Statistics:
 
     async boobs(sock, sender) {
         try {
-            if (!await isNsfwEnabledForGroup(sender)) {
+            if (!await isNsfwEnabledForGroup(getChatJid(sender))) {
                 await safeSendText(sock, sender, '❌ NSFW commands are disabled for this group');
                 return;
             }
 
-            if (!isUserVerified(sender)) {
+            if (!isUserVerified(getSenderJid(sender))) {
                 await safeSendText(sock, sender, '⚠️ You need to verify your age first. Use .verify <your_age>');
                 return;
             }
 
-            if (!applyCooldown(sender, 30)) {
-                const remaining = getRemainingCooldown(sender);
+            if (!applyCooldown(getSenderJid(sender), 30)) {
+                const remaining = getRemainingCooldown(getSenderJid(sender));
                 await safeSendText(sock, sender, `⏳ Please wait ${remaining} seconds before using this command again.`);
                 return;
             }
@@ -948,18 +936,18 @@ NSFW Statistics:
 
     async ass(sock, sender) {
         try {
-            if (!await isNsfwEnabledForGroup(sender)) {
+            if (!await isNsfwEnabledForGroup(getChatJid(sender))) {
                 await safeSendText(sock, sender, '❌ NSFW commands are disabled for this group');
                 return;
             }
 
-            if (!isUserVerified(sender)) {
+            if (!isUserVerified(getSenderJid(sender))) {
                 await safeSendText(sock, sender, '⚠️ You need to verify your age first. Use .verify <your_age>');
                 return;
             }
 
-            if (!applyCooldown(sender, 30)) {
-                const remaining = getRemainingCooldown(sender);
+            if (!applyCooldown(getSenderJid(sender), 30)) {
+                const remaining = getRemainingCooldown(getSenderJid(sender));
                 await safeSendText(sock, sender, `⏳ Please wait ${remaining} seconds before using this command again.`);
                 return;
             }
@@ -1029,18 +1017,18 @@ NSFW Statistics:
 
     async pussy(sock, sender) {
         try {
-            if (!await isNsfwEnabledForGroup(sender)) {
+            if (!await isNsfwEnabledForGroup(getChatJid(sender))) {
                 await safeSendText(sock, sender, '❌ NSFW commands are disabled for this group');
                 return;
             }
 
-            if (!isUserVerified(sender)) {
+            if (!isUserVerified(getSenderJid(sender))) {
                 await safeSendText(sock, sender, '⚠️ You need to verify your age first. Use .verify <your_age>');
                 return;
             }
 
-            if (!applyCooldown(sender, 30)) {
-                const remaining = getRemainingCooldown(sender);
+            if (!applyCooldown(getSenderJid(sender), 30)) {
+                const remaining = getRemainingCooldown(getSenderJid(sender));
                 await safeSendText(sock, sender, `⏳ Please wait ${remaining} seconds before using this command again.`);
                 return;
             }
@@ -1057,18 +1045,18 @@ NSFW Statistics:
 
     async blowjob(sock, sender) {
         try {
-            if (!await isNsfwEnabledForGroup(sender)) {
+            if (!await isNsfwEnabledForGroup(getChatJid(sender))) {
                 await safeSendText(sock, sender, '❌ NSFW commands are disabled for this group');
                 return;
             }
 
-            if (!isUserVerified(sender)) {
+            if (!isUserVerified(getSenderJid(sender))) {
                 await safeSendText(sock, sender, '⚠️ You need to verify your age first. Use .verify <your_age>');
                 return;
             }
 
-            if (!applyCooldown(sender, 30)) {
-                const remaining = getRemainingCooldown(sender);
+            if (!applyCooldown(getSenderJid(sender), 30)) {
+                const remaining = getRemainingCooldown(getSenderJid(sender));
                 await safeSendText(sock, sender, `⏳ Please wait ${remaining} seconds before using this command again.`);
                 return;
             }
@@ -1085,18 +1073,18 @@ NSFW Statistics:
 
     async anal(sock, sender) {
         try {
-            if (!await isNsfwEnabledForGroup(sender)) {
+            if (!await isNsfwEnabledForGroup(getChatJid(sender))) {
                 await safeSendText(sock, sender, '❌ NSFW commands are disabled for this group');
                 return;
             }
 
-            if (!isUserVerified(sender)) {
+            if (!isUserVerified(getSenderJid(sender))) {
                 await safeSendText(sock, sender, '⚠️ You need to verify your age first. Use .verify <your_age>');
                 return;
             }
 
-            if (!applyCooldown(sender, 30)) {
-                const remaining = getRemainingCooldown(sender);
+            if (!applyCooldown(getSenderJid(sender), 30)) {
+                const remaining = getRemainingCooldown(getSenderJid(sender));
                 await safeSendText(sock, sender, `⏳ Please wait ${remaining} seconds before using this command again.`);
                 return;
             }
@@ -1113,18 +1101,18 @@ NSFW Statistics:
 
     async feet(sock, sender) {
         try {
-            if (!await isNsfwEnabledForGroup(sender)) {
+            if (!await isNsfwEnabledForGroup(getChatJid(sender))) {
                 await safeSendText(sock, sender, '❌ NSFW commands are disabled for this group');
                 return;
             }
 
-            if (!isUserVerified(sender)) {
+            if (!isUserVerified(getSenderJid(sender))) {
                 await safeSendText(sock, sender, '⚠️ You need to verify your age first. Use .verify <your_age>');
                 return;
             }
 
-            if (!applyCooldown(sender, 30)) {
-                const remaining = getRemainingCooldown(sender);
+            if (!applyCooldown(getSenderJid(sender), 30)) {
+                const remaining = getRemainingCooldown(getSenderJid(sender));
                 await safeSendText(sock, sender, `⏳ Please wait ${remaining} seconds before using this command again.`);
                 return;
             }
@@ -1142,18 +1130,18 @@ NSFW Statistics:
     // GIF commands
     async gifboobs(sock, sender) {
         try {
-            if (!await isNsfwEnabledForGroup(sender)) {
+            if (!await isNsfwEnabledForGroup(getChatJid(sender))) {
                 await safeSendText(sock, sender, '❌ NSFW commands are disabled for this group');
                 return;
             }
 
-            if (!isUserVerified(sender)) {
+            if (!isUserVerified(getSenderJid(sender))) {
                 await safeSendText(sock, sender, '⚠️ You need to verify your age first. Use .verify <your_age>');
                 return;
             }
 
-            if (!applyCooldown(sender, 45)) {
-                const remaining = getRemainingCooldown(sender);
+            if (!applyCooldown(getSenderJid(sender), 45)) {
+                const remaining = getRemainingCooldown(getSenderJid(sender));
                 await safeSendText(sock, sender, `⏳ Please wait ${remaining} seconds before using this command again.`);
                 return;
             }
@@ -1171,18 +1159,18 @@ NSFW Statistics:
 
     async gifass(sock, sender) {
         try {
-            if (!await isNsfwEnabledForGroup(sender)) {
+            if (!await isNsfwEnabledForGroup(getChatJid(sender))) {
                 await safeSendText(sock, sender, '❌ NSFW commands are disabled for this group');
                 return;
             }
 
-            if (!isUserVerified(sender)) {
+            if (!isUserVerified(getSenderJid(sender))) {
                 await safeSendText(sock, sender, '⚠️ You need to verify your age first. Use .verify <your_age>');
                 return;
             }
 
-            if (!applyCooldown(sender, 45)) {
-                const remaining = getRemainingCooldown(sender);
+            if (!applyCooldown(getSenderJid(sender), 45)) {
+                const remaining = getRemainingCooldown(getSenderJid(sender));
                 await safeSendText(sock, sender, `⏳ Please wait ${remaining} seconds before using this command again.`);
                 return;
             }
@@ -1199,18 +1187,18 @@ NSFW Statistics:
     
     async gifhentai(sock, sender) {
         try {
-            if (!await isNsfwEnabledForGroup(sender)) {
+            if (!await isNsfwEnabledForGroup(getChatJid(sender))) {
                 await safeSendText(sock, sender, '❌ NSFW commands are disabled for this group');
                 return;
             }
 
-            if (!isUserVerified(sender)) {
+            if (!isUserVerified(getSenderJid(sender))) {
                 await safeSendText(sock, sender, '⚠️ You need to verify your age first. Use .verify <your_age>');
                 return;
             }
 
-            if (!applyCooldown(sender, 45)) {
-                const remaining = getRemainingCooldown(sender);
+            if (!applyCooldown(getSenderJid(sender), 45)) {
+                const remaining = getRemainingCooldown(getSenderJid(sender));
                 await safeSendText(sock, sender, `⏳ Please wait ${remaining} seconds before using this command again.`);
                 return;
             }
@@ -1234,20 +1222,20 @@ NSFW Statistics:
         
         try {
             // Rule validation with detailed feedback
-            if (!await isNsfwEnabledForGroup(sender)) {
+            if (!await isNsfwEnabledForGroup(getChatJid(sender))) {
                 await safeSendText(sock, sender, '❌ NSFW commands are disabled for this group');
                 status = 'disabled';
                 return;
             }
 
-            if (!isUserVerified(sender)) {
+            if (!isUserVerified(getSenderJid(sender))) {
                 await safeSendText(sock, sender, '⚠️ You need to verify your age first. Use .verify <your_age>');
                 status = 'unverified';
                 return;
             }
 
-            if (!applyCooldown(sender, 45)) {
-                const remaining = getRemainingCooldown(sender);
+            if (!applyCooldown(getSenderJid(sender), 45)) {
+                const remaining = getRemainingCooldown(getSenderJid(sender));
                 await safeSendText(sock, sender, `⏳ Please wait ${remaining} seconds before using this command again.`);
                 status = 'cooldown';
                 return;
@@ -1342,18 +1330,18 @@ NSFW Statistics:
     // Fetish commands
     async uniform(sock, sender) {
         try {
-            if (!await isNsfwEnabledForGroup(sender)) {
+            if (!await isNsfwEnabledForGroup(getChatJid(sender))) {
                 await safeSendText(sock, sender, '❌ NSFW commands are disabled for this group');
                 return;
             }
 
-            if (!isUserVerified(sender)) {
+            if (!isUserVerified(getSenderJid(sender))) {
                 await safeSendText(sock, sender, '⚠️ You need to verify your age first. Use .verify <your_age>');
                 return;
             }
 
-            if (!applyCooldown(sender, 30)) {
-                const remaining = getRemainingCooldown(sender);
+            if (!applyCooldown(getSenderJid(sender), 30)) {
+                const remaining = getRemainingCooldown(getSenderJid(sender));
                 await safeSendText(sock, sender, `⏳ Please wait ${remaining} seconds before using this command again.`);
                 return;
             }
@@ -1383,18 +1371,18 @@ NSFW Statistics:
 
     async thighs(sock, sender) {
         try {
-            if (!await isNsfwEnabledForGroup(sender)) {
+            if (!await isNsfwEnabledForGroup(getChatJid(sender))) {
                 await safeSendText(sock, sender, '❌ NSFW commands are disabled for this group');
                 return;
             }
 
-            if (!isUserVerified(sender)) {
+            if (!isUserVerified(getSenderJid(sender))) {
                 await safeSendText(sock, sender, '⚠️ You need to verify your age first. Use .verify <your_age>');
                 return;
             }
 
-            if (!applyCooldown(sender, 30)) {
-                const remaining = getRemainingCooldown(sender);
+            if (!applyCooldown(getSenderJid(sender), 30)) {
+                const remaining = getRemainingCooldown(getSenderJid(sender));
                 await safeSendText(sock, sender, `⏳ Please wait ${remaining} seconds before using this command again.`);
                 return;
             }
@@ -1424,18 +1412,18 @@ NSFW Statistics:
 
     async femdom(sock, sender) {
         try {
-            if (!await isNsfwEnabledForGroup(sender)) {
+            if (!await isNsfwEnabledForGroup(getChatJid(sender))) {
                 await safeSendText(sock, sender, '❌ NSFW commands are disabled for this group');
                 return;
             }
 
-            if (!isUserVerified(sender)) {
+            if (!isUserVerified(getSenderJid(sender))) {
                 await safeSendText(sock, sender, '⚠️ You need to verify your age first. Use .verify <your_age>');
                 return;
             }
 
-            if (!applyCooldown(sender, 30)) {
-                const remaining = getRemainingCooldown(sender);
+            if (!applyCooldown(getSenderJid(sender), 30)) {
+                const remaining = getRemainingCooldown(getSenderJid(sender));
                 await safeSendText(sock, sender, `⏳ Please wait ${remaining} seconds before using this command again.`);
                 return;
             }
@@ -1465,18 +1453,18 @@ NSFW Statistics:
 
     async tentacle(sock, sender) {
         try {
-            if (!await isNsfwEnabledForGroup(sender)) {
+            if (!await isNsfwEnabledForGroup(getChatJid(sender))) {
                 await safeSendText(sock, sender, '❌ NSFW commands are disabled for this group');
                 return;
             }
 
-            if (!isUserVerified(sender)) {
+            if (!isUserVerified(getSenderJid(sender))) {
                 await safeSendText(sock, sender, '⚠️ You need to verify your age first. Use .verify <your_age>');
                 return;
             }
 
-            if (!applyCooldown(sender, 30)) {
-                const remaining = getRemainingCooldown(sender);
+            if (!applyCooldown(getSenderJid(sender), 30)) {
+                const remaining = getRemainingCooldown(getSenderJid(sender));
                 await safeSendText(sock, sender, `⏳ Please wait ${remaining} seconds before using this command again.`);
                 return;
             }
@@ -1506,18 +1494,18 @@ NSFW Statistics:
 
     async pantsu(sock, sender) {
         try {
-            if (!await isNsfwEnabledForGroup(sender)) {
+            if (!await isNsfwEnabledForGroup(getChatJid(sender))) {
                 await safeSendText(sock, sender, '❌ NSFW commands are disabled for this group');
                 return;
             }
 
-            if (!isUserVerified(sender)) {
+            if (!isUserVerified(getSenderJid(sender))) {
                 await safeSendText(sock, sender, '⚠️ You need to verify your age first. Use .verify <your_age>');
                 return;
             }
 
-            if (!applyCooldown(sender, 30)) {
-                const remaining = getRemainingCooldown(sender);
+            if (!applyCooldown(getSenderJid(sender), 30)) {
+                const remaining = getRemainingCooldown(getSenderJid(sender));
                 await safeSendText(sock, sender, `⏳ Please wait ${remaining} seconds before using this command again.`);
                 return;
             }
@@ -1547,18 +1535,18 @@ NSFW Statistics:
 
     async kitsune(sock, sender) {
         try {
-            if (!await isNsfwEnabledForGroup(sender)) {
+            if (!await isNsfwEnabledForGroup(getChatJid(sender))) {
                 await safeSendText(sock, sender, '❌ NSFW commands are disabled for this group');
                 return;
             }
 
-            if (!isUserVerified(sender)) {
+            if (!isUserVerified(getSenderJid(sender))) {
                 await safeSendText(sock, sender, '⚠️ You need to verify your age first. Use .verify <your_age>');
                 return;
             }
 
-            if (!applyCooldown(sender, 30)) {
-                const remaining = getRemainingCooldown(sender);
+            if (!applyCooldown(getSenderJid(sender), 30)) {
+                const remaining = getRemainingCooldown(getSenderJid(sender));
                 await safeSendText(sock, sender, `⏳ Please wait ${remaining} seconds before using this command again.`);
                 return;
             }
@@ -1,7 +1,25 @@
 const logger = require('../utils/logger');
 const globalConfig = require('../config/globalConfig');
+const { DEFAULT_PREFIXES, isValidPrefix, commandRegistry } = require('../core/commandRegistry');
 const os = require('os');
-const { safeSendText, safeSendMessage, safeSendImage } = require('../utils/jidHelper');
+const { safeSendText, safeSendMessage, safeSendImage, getStats: getSendStats } = require('../utils/safe-send');
+const { formatDuration } = require('../utils/helpers');
+const userDatabase = require('../utils/userDatabase');
+const ownerRegistry = require('../utils/ownerRegistry');
+const { pluginManager } = require('../core/pluginManager');
+const { sessionRegistry, isValidSessionId } = require('../core/sessionRegistry');
+const QRCode = require('qrcode');
+const { normalizePhoneNumber } = require('../utils/pairingCode');
+const { exportAuthState, SessionArchiveError } = require('../utils/sessionArchive');
+const { getJidType } = require('../utils/jid');
+const {
+    getBanKey,
+    banUser,
+    unbanUser,
+    getBannedUsers,
+    setMaintenanceMode,
+    getMaintenanceState
+} = require('../utils/accessControl');
 
 // Helper function to format time
 function formatTime(seconds) {
@@ -17,6 +35,100 @@ const fs = require('fs');
 const path = require('path');
 const dotenv = require('dotenv');
 
+/**
+ * Shared handler for addsudo, delsudo, addowner and delowner
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} message Command message
+ * @param {Array<string>} args Command arguments
+ * @param {string} list 'sudo' or 'owner'
+ * @param {boolean} add Whether to add or remove the user
+ */
+async function manageList(sock, message, args, list, add) {
+    const remoteJid = message.key.remoteJid;
+    const command = `${add ? 'add' : 'del'}${list}`;
+    try {
+        const contextInfo = message.message?.extendedTextMessage?.contextInfo;
+        const target = contextInfo?.mentionedJid?.[0] || contextInfo?.participant || args[0];
+        const jid = ownerRegistry.normalizeUserJid(target);
+        if (!jid) {
+            await safeSendText(sock, remoteJid, `⚠️ Please specify a user\n\nUsage: .${command} <number|@user>` );
+            return;
+        }
+
+        const number = jid.split('@')[0];
+        const label = list === 'owner' ? 'an owner' : 'a sudo user';
+
+        if (!add) {
+            if (list === 'owner' && ownerRegistry.isPrimaryOwner(jid)) {
+                await safeSendText(sock, remoteJid, `❌ ${number} is set in OWNER_NUMBER and can only be removed there` );
+                return;
+            }
+
+            const removed = list === 'owner' ? ownerRegistry.removeOwner(jid) : ownerRegistry.removeSudo(jid);
+            await safeSendText(sock, remoteJid, removed
+                ? `✅ ${number} is no longer ${label}`
+                : `ℹ️ ${number} is not ${label}${list === 'sudo' && ownerRegistry.isSudo(jid) ? ' added by command (set in SUDO_NUMBERS)' : ''}`
+            );
+            return;
+        }
+
+        if (ownerRegistry.isOwner(jid)) {
+            await safeSendText(sock, remoteJid, `ℹ️ ${number} is already an owner` );
+            return;
+        }
+        if (list === 'sudo' && ownerRegistry.isSudo(jid)) {
+            await safeSendText(sock, remoteJid, `ℹ️ ${number} is already a sudo user` );
+            return;
+        }
+
+        const addedBy = message.key.participant || remoteJid;
+        if (list === 'owner') {
+            ownerRegistry.addOwner(jid, addedBy);
+            ownerRegistry.removeSudo(jid);
+        } else {
+            ownerRegistry.addSudo(jid, addedBy);
+        }
+
+        await safeSendText(sock, remoteJid, `✅ ${number} is now ${label}` );
+    } catch (err) {
+        logger.error(`Error in ${command} command:`, err);
+        await safeSendText(sock, remoteJid, `❌ Error updating the ${list} list. Please check logs.` );
+    }
+}
+
+// Time to wait for the QR or pairing code of a session that was started or paired
+const SESSION_LOGIN_TIMEOUT = 30 * 1000;
+
+/**
+ * Send the QR code or pairing code of a session that is waiting to be linked
+ * @param {Object} sock WhatsApp socket
+ * @param {string} remoteJid Chat to send the code to
+ * @param {Object} session Session that was started
+ */
+async function sendSessionLogin(sock, remoteJid, session) {
+    const login = await session.waitForLogin(SESSION_LOGIN_TIMEOUT);
+    if (!login) {
+        await safeSendText(sock, remoteJid, `📱 Session ${session.id}: ${session.getState()}`);
+        return;
+    }
+
+    if (login.pairingCode) {
+        const { code, expiresAt, phoneNumber } = login.pairingCode;
+        const minutes = Math.max(1, Math.round((expiresAt - Date.now()) / 60000));
+        await safeSendText(sock, remoteJid,
+            `🔑 Pairing code for session ${session.id}: *${code}*\n\n` +
+            `On the phone of +${phoneNumber} open WhatsApp > Linked devices > Link a device > ` +
+            `Link with phone number instead, and enter the code within ${minutes} minute(s). ` +
+            `Send !session qr ${session.id} for the current code.`);
+        return;
+    }
+
+    const image = await QRCode.toBuffer(login.qr, { width: 300, margin: 2 });
+    await safeSendImage(sock, remoteJid, image,
+        `📱 Scan this code in WhatsApp > Linked devices to link session ${session.id}. ` +
+        `Codes expire after a minute, send !session qr ${session.id} for a new one.`);
+}
+
 const ownerCommands = {
     /**
      * Set or change the owner number
@@ -30,11 +142,10 @@ const ownerCommands = {
         const currentNumber = currentJid.split('@')[0];
         
         try {
-            // Check if command is sent by the current owner or from the same number in .env
-            const configOwnerNumber = process.env.OWNER_NUMBER?.replace(/[^0-9]/g, '') || '4915563151347';
-            const senderNumber = currentJid.split('@')[0];
+            // Only a primary owner from .env may replace the owner number
+            const configOwnerNumber = process.env.OWNER_NUMBER || 'not set';
             
-            if (senderNumber !== configOwnerNumber) {
+            if (!message.key.fromMe && !ownerRegistry.isPrimaryOwner(currentJid)) {
                 await safeSendText(sock, remoteJid, '❌ Only the current owner can change the owner number.');
                 return;
             }
@@ -158,21 +269,31 @@ Note: Use your number in international format without any + sign, spaces, or das
     async maintenance(sock, message, args) {
         const remoteJid = message.key.remoteJid;
         try {
-            const mode = args[0]?.toLowerCase() === 'on';
+            const action = args[0]?.toLowerCase();
+
+            if (!action || !['on', 'off'].includes(action)) {
+                const state = getMaintenanceState();
+                await safeSendText(sock, remoteJid,
+                    `🛠️ Maintenance mode is ${state.enabled ? 'enabled' : 'disabled'}` +
+                    (state.enabled && state.message ? `\nNotice: ${state.message}` : '') +
+                    '\n\nUsage: .maintenance <on|off> [notice]'
+                );
+                return;
+            }
+
+            const mode = action === 'on';
+            const notice = args.slice(1).join(' ');
             logger.info(`Setting maintenance mode to: ${mode}`);
 
-            // Set maintenance mode in global config
-            global.maintenanceMode = mode;
+            setMaintenanceMode(mode, {
+                message: notice,
+                enabledBy: message.key.participant || remoteJid
+            });
 
             await safeSendMessage(sock, remoteJid, { 
-                text: `🛠️ Maintenance mode ${mode ? 'enabled' : 'disabled'}\n${mode ? 'Only owner commands will work.' : 'Normal operations resumed.'}` 
+                text: `🛠️ Maintenance mode ${mode ? 'enabled' : 'disabled'}\n${mode ? 'Only owner commands will work.' : 'Normal operations resumed.'}` +
+                    (mode && notice ? `\nNotice: ${notice}` : '')
             });
-
-            // Broadcast maintenance status to all active chats
-            if (mode) {
-                // TODO: Implement broadcast to active chats
-                logger.info('Broadcasting maintenance mode status');
-            }
         } catch (err) {
             logger.error('Error setting maintenance mode:', err);
             await safeSendText(sock, remoteJid, '❌ Error setting maintenance mode. Please check logs.' );
@@ -227,10 +348,21 @@ Note: Use your number in international format without any + sign, spaces, or das
         }
 
         try {
-            // Update prefix using the global config
+            if (prefix.toLowerCase() === 'reset') {
+                globalConfig.resetPrefix();
+                await safeSendMessage(sock, remoteJid, { text: `✅ Prefix reset to the defaults: ${DEFAULT_PREFIXES.join(' ')}` });
+                return;
+            }
+
+            if (!isValidPrefix(prefix)) {
+                await safeSendText(sock, remoteJid, '⚠️ A prefix must be 1-3 characters and cannot start with a letter or number' );
+                return;
+            }
+
+            // Update prefix using the global config; the command registry follows the change
             globalConfig.prefix = prefix;
             logger.info(`Bot prefix changed to: ${prefix}`);
-            await safeSendMessage(sock, remoteJid, { text: `✅ Prefix updated to: ${prefix}` });
+            await safeSendMessage(sock, remoteJid, { text: `✅ Prefix updated to: ${prefix}\nGroups and sessions with their own prefix keep using it.` });
         } catch (err) {
             logger.error('Error setting prefix:', err);
             await safeSendText(sock, remoteJid, '❌ Error updating prefix. Please try again.' );
@@ -274,25 +406,32 @@ Note: Use your number in international format without any + sign, spaces, or das
     },
 
     // Security Management
-    async ban(sock, message, args) {
+    async ban(sock, message, args, { params = {} } = {}) {
         const remoteJid = message.key.remoteJid;
         try {
-            const target = args[0];
+            // Optional duration (e.g. 30m, 12h, 7d) followed by a reason
+            const { user: target, duration, reason } = params;
             if (!target) {
-                await safeSendText(sock, remoteJid, '⚠️ Please specify a user to ban' );
+                await safeSendText(sock, remoteJid, '⚠️ Please specify a user to ban\n\nUsage: .ban <number|@user> [duration] [reason]\nExample: .ban @user 7d spamming' );
                 return;
             }
 
-            // Normalize the phone number
-            const normalizedNumber = target.replace(/[^0-9]/g, '');
+            const entry = banUser(target, {
+                reason: reason || '',
+                duration,
+                bannedBy: message.key.participant || remoteJid
+            });
 
-            // Add to banned users list (implement in database)
-            // For now using temporary array
-            if (!global.bannedUsers) global.bannedUsers = new Set();
-            global.bannedUsers.add(normalizedNumber);
+            if (!entry) {
+                await safeSendText(sock, remoteJid, '❌ Invalid user. Provide a phone number or mention a user.' );
+                return;
+            }
 
-            logger.info(`Banned user: ${normalizedNumber}`);
-            await safeSendMessage(sock, remoteJid, { text: `🚫 User ${target} has been banned` });
+            const number = getBanKey(target);
+            await safeSendMessage(sock, remoteJid, {
+                text: `🚫 User ${number} has been banned ${duration ? `for ${formatDuration(duration)}` : 'permanently'}` +
+                    (reason ? `\nReason: ${reason}` : '')
+            });
         } catch (err) {
             logger.error('Error banning user:', err);
             await safeSendText(sock, remoteJid, '❌ Error banning user. Please check logs.' );
@@ -302,22 +441,20 @@ Note: Use your number in international format without any + sign, spaces, or das
     async unban(sock, message, args) {
         const remoteJid = message.key.remoteJid;
         try {
-            const target = args[0];
+            const mentioned = message.message?.extendedTextMessage?.contextInfo?.mentionedJid?.[0];
+            const target = mentioned || args[0];
             if (!target) {
                 await safeSendText(sock, remoteJid, '⚠️ Please specify a user to unban' );
                 return;
             }
 
-            // Normalize the phone number
-            const normalizedNumber = target.replace(/[^0-9]/g, '');
-
-            // Remove from banned users list
-            if (global.bannedUsers) {
-                global.bannedUsers.delete(normalizedNumber);
+            const number = getBanKey(target);
+            if (!unbanUser(target)) {
+                await safeSendText(sock, remoteJid, `ℹ️ User ${number} is not banned` );
+                return;
             }
 
-            logger.info(`Unbanned user: ${normalizedNumber}`);
-            await safeSendMessage(sock, remoteJid, { text: `✅ User ${target} has been unbanned` });
+            await safeSendMessage(sock, remoteJid, { text: `✅ User ${number} has been unbanned` });
         } catch (err) {
             logger.error('Error unbanning user:', err);
             await safeSendText(sock, remoteJid, '❌ Error unbanning user. Please check logs.' );
@@ -327,14 +464,21 @@ Note: Use your number in international format without any + sign, spaces, or das
     async banlist(sock, message, args) {
         const remoteJid = message.key.remoteJid;
         try {
-            if (!global.bannedUsers || global.bannedUsers.size === 0) {
+            const bans = getBannedUsers();
+            if (bans.length === 0) {
                 await safeSendText(sock, remoteJid, '📋 No banned users' );
                 return;
             }
 
-            const bannedList = Array.from(global.bannedUsers).join('\n• ');
+            const bannedList = bans.map(ban => {
+                const expiry = ban.expiresAt
+                    ? `expires in ${formatDuration(Math.ceil((ban.expiresAt - Date.now()) / 1000))}`
+                    : 'permanent';
+                return `• ${ban.number} (${expiry})${ban.reason ? `\n  Reason: ${ban.reason}` : ''}`;
+            }).join('\n');
+
             await safeSendMessage(sock, remoteJid, { 
-                text: `📋 Banned users list:\n• ${bannedList}` 
+                text: `📋 Banned users list:\n${bannedList}` 
             });
         } catch (err) {
             logger.error('Error getting banned list:', err);
@@ -342,6 +486,294 @@ Note: Use your number in international format without any + sign, spaces, or das
         }
     },
 
+    // Owner and Sudo Management
+    async addsudo(sock, message, args) {
+        await manageList(sock, message, args, 'sudo', true);
+    },
+
+    async delsudo(sock, message, args) {
+        await manageList(sock, message, args, 'sudo', false);
+    },
+
+    async addowner(sock, message, args) {
+        await manageList(sock, message, args, 'owner', true);
+    },
+
+    async delowner(sock, message, args) {
+        await manageList(sock, message, args, 'owner', false);
+    },
+
+    async sudolist(sock, message, args) {
+        const remoteJid = message.key.remoteJid;
+        try {
+            const { owners, sudo } = ownerRegistry.getRegistry();
+            const formatEntry = entry => `• ${entry.jid.split('@')[0]}${entry.jid.endsWith('@lid') ? ' (LID)' : ''}` +
+                (entry.source === 'config' ? ' (config)' : '');
+
+            await safeSendText(sock, remoteJid,
+                `👑 *Owners*\n${owners.map(formatEntry).join('\n') || 'None configured'}\n\n` +
+                `🛡️ *Sudo users*\n${sudo.map(formatEntry).join('\n') || 'None'}`
+            );
+        } catch (err) {
+            logger.error('Error listing sudo users:', err);
+            await safeSendText(sock, remoteJid, '❌ Error listing sudo users. Please check logs.' );
+        }
+    },
+
+    async reload(sock, message, args) {
+        const remoteJid = message.key.remoteJid;
+        try {
+            const moduleName = args[0];
+            const report = moduleName
+                ? await commandRegistry.reloadModule(moduleName)
+                : await commandRegistry.reloadAll();
+
+            if (!report) {
+                await safeSendText(sock, remoteJid, `❌ No command module named "${moduleName}"`);
+                return;
+            }
+            if (!report.success) {
+                await safeSendText(sock, remoteJid,
+                    `❌ Reload failed, the previous version is still active:\n${report.error}`);
+                return;
+            }
+
+            const formatList = (label, names) => names.length ? `\n${label} (${names.length}): ${names.join(', ')}` : '';
+            const changes = formatList('➕ Added', report.added) +
+                formatList('➖ Removed', report.removed) +
+                formatList('✏️ Changed', report.changed);
+
+            await safeSendText(sock, remoteJid,
+                `🔄 Reloaded ${report.modules.length} module(s)` +
+                (changes || '\nNo command changes'));
+        } catch (err) {
+            logger.error('Error reloading commands:', err);
+            await safeSendText(sock, remoteJid, '❌ Error reloading commands. Please check logs.' );
+        }
+    },
+
+    async plugin(sock, message, args) {
+        const remoteJid = message.key.remoteJid;
+        try {
+            const [action = 'list', name] = args.map(arg => arg.toLowerCase());
+
+            if (action === 'list') {
+                const plugins = pluginManager.getPlugins();
+                if (!plugins.length) {
+                    await safeSendText(sock, remoteJid, '🧩 No plugins installed. Add them to the plugins folder.');
+                    return;
+                }
+
+                const lines = plugins.map(plugin => {
+                    const status = plugin.loaded ? '✅' : plugin.enabled ? '⚠️' : '⏸️';
+                    const version = plugin.version ? ` v${plugin.version}` : '';
+                    const commands = plugin.commands.length ? `\n   Commands: ${plugin.commands.join(', ')}` : '';
+                    const error = plugin.error ? `\n   Error: ${plugin.error}` : '';
+                    return `${status} *${plugin.name}*${version}${plugin.description ? ` - ${plugin.description}` : ''}${commands}${error}`;
+                });
+                await safeSendText(sock, remoteJid, `🧩 *Plugins*\n\n${lines.join('\n\n')}`);
+                return;
+            }
+
+            if (!['enable', 'disable'].includes(action) || !name) {
+                await safeSendText(sock, remoteJid, '⚠️ Usage: !plugin list | enable <name> | disable <name>');
+                return;
+            }
+
+            const result = action === 'enable'
+                ? await pluginManager.enable(name)
+                : await pluginManager.disable(name);
+
+            if (result.success) {
+                await safeSendText(sock, remoteJid, `✅ Plugin ${name} ${action}d`);
+            } else {
+                await safeSendText(sock, remoteJid, `❌ Could not ${action} plugin ${name}: ${result.error}`);
+            }
+        } catch (err) {
+            logger.error('Error managing plugins:', err);
+            await safeSendText(sock, remoteJid, '❌ Error managing plugins. Please check logs.' );
+        }
+    },
+
+    async session(sock, message, args, { ask, session: current } = {}) {
+        const remoteJid = message.key.remoteJid;
+        const [action = 'list', id, value, ...rest] = args;
+        try {
+            const usage = '⚠️ Usage: !session list | add <id> [prefix] | start <id> | stop <id> | pair <id> [number] | qr <id> | prefix <id> <prefix|reset> | export <id> [passphrase] | remove <id>';
+
+            if (action.toLowerCase() === 'list') {
+                const lines = sessionRegistry.getStatus().map(status => {
+                    const icon = status.state === 'connected' ? '🟢' : status.state === 'stopped' ? '⏸️' : '🟡';
+                    const phone = status.phone ? ` +${status.phone}` : '';
+                    const here = status.id === current?.id ? ' (this chat)' : '';
+                    return `${icon} *${status.id}*${phone}${here}\n   ${status.state}, prefix ${status.prefix || 'global'}, ` +
+                        `${status.outbound.sent} sent, ${status.outbound.queued} queued`;
+                });
+                await safeSendText(sock, remoteJid, `📱 *Sessions*\n\n${lines.join('\n\n')}`);
+                return;
+            }
+
+            const name = id?.toLowerCase();
+            if (!name || !['add', 'start', 'stop', 'pair', 'qr', 'prefix', 'export', 'remove'].includes(action.toLowerCase())) {
+                await safeSendText(sock, remoteJid, usage);
+                return;
+            }
+
+            if (action.toLowerCase() === 'add') {
+                if (!isValidSessionId(name)) {
+                    await safeSendText(sock, remoteJid, '⚠️ A session ID can have up to 32 lowercase letters, digits, - and _');
+                    return;
+                }
+                if (value && !isValidPrefix(value)) {
+                    await safeSendText(sock, remoteJid, '⚠️ A prefix must be 1-3 characters and cannot start with a letter or number');
+                    return;
+                }
+                if (sessionRegistry.get(name)) {
+                    await safeSendText(sock, remoteJid, `ℹ️ Session ${name} exists already`);
+                    return;
+                }
+
+                const added = sessionRegistry.add({ id: name, prefix: value || null });
+                await safeSendText(sock, remoteJid, `✅ Session ${name} added, starting it...`);
+                await added.start();
+                await sendSessionLogin(sock, remoteJid, added);
+                return;
+            }
+
+            const target = sessionRegistry.get(name);
+            if (!target) {
+                await safeSendText(sock, remoteJid, `❌ No session named ${name}. Use !session list to see them.`);
+                return;
+            }
+
+            switch (action.toLowerCase()) {
+                case 'start':
+                    if (target.running) {
+                        await safeSendText(sock, remoteJid, `ℹ️ Session ${name} is already running (${target.getState()})`);
+                        return;
+                    }
+                    await sessionRegistry.start(name);
+                    await safeSendText(sock, remoteJid, `▶️ Session ${name} started`);
+                    await sendSessionLogin(sock, remoteJid, target);
+                    return;
+
+                case 'stop':
+                    if (!target.running) {
+                        await safeSendText(sock, remoteJid, `ℹ️ Session ${name} is not running`);
+                        return;
+                    }
+                    // A session stopping itself has to answer before it disconnects
+                    await safeSendText(sock, remoteJid, `⏹️ Session ${name} stopped, ` +
+                        (target.isDefault ? 'it starts again when the bot restarts' : 'it stays off after restarts until started again'));
+                    await sessionRegistry.stop(name);
+                    return;
+
+                case 'pair': {
+                    if (target === current) {
+                        await safeSendText(sock, remoteJid, '⚠️ A session cannot pair itself, send this command through another session');
+                        return;
+                    }
+                    // The number may be written with spaces, e.g. +49 155 1234567
+                    const phoneNumber = value ? [value, ...rest].join('') : null;
+                    if (phoneNumber && !normalizePhoneNumber(phoneNumber)) {
+                        await safeSendText(sock, remoteJid, '⚠️ Please give the full phone number with country code, e.g. +49 155 1234567');
+                        return;
+                    }
+
+                    const confirmed = await ask(
+                        `⚠️ Pairing unlinks the WhatsApp account of session ${name} (its credentials are backed up) and shows ` +
+                        (phoneNumber ? `a pairing code for +${normalizePhoneNumber(phoneNumber)}` : 'a new QR code') + '. Continue?',
+                        { choices: ['yes', 'no'] }
+                    );
+                    if (confirmed !== 'yes') {
+                        if (confirmed === 'no') await safeSendText(sock, remoteJid, 'ℹ️ Pairing cancelled');
+                        return;
+                    }
+
+                    await sessionRegistry.pair(name, phoneNumber);
+                    await sendSessionLogin(sock, remoteJid, target);
+                    return;
+                }
+
+                case 'qr':
+                    if (!target.getLogin()) {
+                        await safeSendText(sock, remoteJid, `ℹ️ Session ${name} is not waiting to be linked (${target.getState()})`);
+                        return;
+                    }
+                    await sendSessionLogin(sock, remoteJid, target);
+                    return;
+
+                case 'prefix': {
+                    if (!value) {
+                        await safeSendText(sock, remoteJid, `⚠️ Usage: !session prefix ${name} <prefix|reset>`);
+                        return;
+                    }
+                    const prefix = value.toLowerCase() === 'reset' ? null : value;
+                    if (prefix && !isValidPrefix(prefix)) {
+                        await safeSendText(sock, remoteJid, '⚠️ A prefix must be 1-3 characters and cannot start with a letter or number');
+                        return;
+                    }
+
+                    sessionRegistry.update(name, { prefix });
+                    await safeSendText(sock, remoteJid, prefix
+                        ? `✅ Session ${name} now uses the prefix ${prefix}`
+                        : `✅ Session ${name} now uses the global prefix`);
+                    return;
+                }
+
+                case 'export': {
+                    // The archive and its passphrase give full access to the account
+                    if (!['user', 'lid'].includes(getJidType(remoteJid))) {
+                        await safeSendText(sock, remoteJid, '🔒 Send this command in a private chat with the bot');
+                        return;
+                    }
+                    const passphrase = value ? [value, ...rest].join(' ') : process.env.SESSION_PASSPHRASE;
+                    if (!passphrase) {
+                        await safeSendText(sock, remoteJid, `⚠️ Usage: !session export ${name} <passphrase>, or set SESSION_PASSPHRASE`);
+                        return;
+                    }
+
+                    let exported;
+                    try {
+                        exported = exportAuthState(target.authDir, passphrase);
+                    } catch (error) {
+                        if (!(error instanceof SessionArchiveError)) throw error;
+                        await safeSendText(sock, remoteJid, `❌ ${error.message}`);
+                        return;
+                    }
+
+                    const date = new Date().toISOString().slice(0, 10);
+                    await safeSendMessage(sock, remoteJid, {
+                        document: Buffer.from(exported.archive + '\n'),
+                        mimetype: 'text/plain',
+                        fileName: `blacksky-session-${name}-${date}.txt`,
+                        caption: `🔐 Session ${name} (${exported.files} files, checksum ${exported.checksum.slice(0, 12)}). ` +
+                            'Put the text into SESSION_ARCHIVE or the file into SESSION_ARCHIVE_FILE on the new host, with the ' +
+                            'passphrase in SESSION_PASSPHRASE, or run node scripts/session-archive.js import <file>. ' +
+                            'Do not run both hosts at once.'
+                    });
+                    return;
+                }
+
+                case 'remove':
+                    if (target.isDefault) {
+                        await safeSendText(sock, remoteJid, '❌ The main session cannot be removed');
+                        return;
+                    }
+                    if (target === current) {
+                        await safeSendText(sock, remoteJid, '⚠️ A session cannot remove itself, send this command through another session');
+                        return;
+                    }
+                    await sessionRegistry.remove(name);
+                    await safeSendText(sock, remoteJid, `🗑️ Session ${name} removed. Its credentials are kept in ${target.authDir}`);
+                    return;
+            }
+        } catch (err) {
+            logger.error('Error managing sessions:', err);
+            await safeSendText(sock, remoteJid, `❌ Error managing sessions: ${err.message}`);
+        }
+    },
+
     // Broadcast System
     async broadcast(sock, message, args) {
         const remoteJid = message.key.remoteJid;
@@ -379,6 +811,43 @@ Note: Use your number in international format without any + sign, spaces, or das
         }
     },
 
+    // Database Management
+    async migratedb(sock, message, args) {
+        const remoteJid = message.key.remoteJid;
+        try {
+            const overwrite = args.includes('--overwrite');
+            const file = args.find(arg => arg !== '--overwrite');
+            const filePath = file
+                ? path.resolve(process.cwd(), file)
+                : path.join(process.cwd(), 'data', 'user_data.json');
+
+            if (!fs.existsSync(filePath)) {
+                await safeSendText(sock, remoteJid, `❌ File not found: ${filePath}\n\nUsage: .migratedb [file] [--overwrite]` );
+                return;
+            }
+
+            await safeSendText(sock, remoteJid, '🗄️ Importing user data...' );
+
+            const result = await userDatabase.migrateFromJson(filePath, { overwrite });
+            if (!result.success) {
+                await safeSendText(sock, remoteJid, `❌ Migration failed: ${result.message}` );
+                return;
+            }
+
+            const storage = userDatabase.getStorageInfo();
+            const details = Object.entries(result.imported)
+                .map(([collection, count]) => `• ${collection}: ${count}`)
+                .join('\n');
+
+            await safeSendText(sock, remoteJid,
+                `✅ ${result.message}\n\n${details}\n\n*Backend:* ${storage.type}\n*Location:* ${storage.path}`
+            );
+        } catch (err) {
+            logger.error('Error migrating user data:', err);
+            await safeSendText(sock, remoteJid, '❌ Error migrating user data. Please check logs.' );
+        }
+    },
+
     // Server Information
     async serverinfo(sock, message, args) {
         const remoteJid = message.key.remoteJid;
@@ -392,6 +861,8 @@ Note: Use your number in international format without any + sign, spaces, or das
             const memTotal = (totalmem() / 1024 / 1024 / 1024).toFixed(2);
             const memPercent = ((totalmem() - freemem()) / totalmem() * 100).toFixed(2);
             const nodeVersion = process.version;
+            const { queue, rateLimits } = commandRegistry.getStats();
+            const sends = getSendStats();
             
             const info = `*📊 Server Information*\n\n` +
                          `*OS:* ${platform()}\n` +
@@ -399,7 +870,10 @@ Note: Use your number in international format without any + sign, spaces, or das
                          `*CPU:* ${cpuModel}\n` +
                          `*CPU Cores:* ${cpuCount}\n` +
                          `*Memory:* ${memUsed}GB / ${memTotal}GB (${memPercent}%)\n` +
-                         `*Node.js:* ${nodeVersion}`;
+                         `*Node.js:* ${nodeVersion}\n` +
+                         `*Command queue:* ${queue.queued} waiting, ${queue.running} running (${queue.rejected} rejected)\n` +
+                         `*Rate limits:* ${rateLimits.limited} commands limited, ${sends.budget.delayed} sends delayed\n` +
+                         `*Messages:* ${sends.sent} sent, ${sends.failed} failed, ${sends.retried} retries, ${sends.queued} queued${sends.connected ? '' : ' (offline)'}`;
             
             await safeSendText(sock, remoteJid, info );
         } catch (err) {
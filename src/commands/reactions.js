@@ -6,7 +6,7 @@
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
-const { safeSendMessage, safeSendAnimatedGif } = require('../utils/jidHelper');
+const { safeSendMessage, safeSendAnimatedGif } = require('../utils/safe-send');
 const { convertGifToMp4 } = require('../utils/gifConverter');
 
 // Path to reaction GIFs directory
@@ -8,6 +8,7 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { exec } = require('child_process');
+const { safeSendMessage } = require('../utils/safe-send');
 
 // Create commands object
 const commands = {
@@ -101,10 +102,10 @@ const commands = {
                 `*Free Memory:* ${(os.freemem() / 1024 / 1024).toFixed(0)} MB\n\n` +
                 `Type !help for command list`;
             
-            await sock.sendMessage(message.key.remoteJid, { text: statusMessage });
+            await safeSendMessage(sock, message.key.remoteJid, { text: statusMessage });
         } catch (err) {
             console.error('Error in status command:', err);
-            await sock.sendMessage(message.key.remoteJid, { 
+            await safeSendMessage(sock, message.key.remoteJid, { 
                 text: 'Error getting status: ' + err.message 
             });
         }
@@ -226,10 +227,10 @@ const commands = {
                 helpMessage += '\nFor more details: !help <command>';
             }
             
-            await sock.sendMessage(message.key.remoteJid, { text: helpMessage });
+            await safeSendMessage(sock, message.key.remoteJid, { text: helpMessage });
         } catch (err) {
             console.error('Error in help command:', err);
-            await sock.sendMessage(message.key.remoteJid, { 
+            await safeSendMessage(sock, message.key.remoteJid, { 
                 text: 'Error showing help: ' + err.message 
             });
         }
@@ -243,15 +244,15 @@ const commands = {
     async ping(sock, message) {
         try {
             const start = Date.now();
-            await sock.sendMessage(message.key.remoteJid, { text: 'Measuring response time...' });
+            await safeSendMessage(sock, message.key.remoteJid, { text: 'Measuring response time...' });
             const ping = Date.now() - start;
             
-            await sock.sendMessage(message.key.remoteJid, { 
+            await safeSendMessage(sock, message.key.remoteJid, { 
                 text: `🏓 Pong!\n\nResponse time: ${ping}ms\nStatus: Online\nMode: Termux`
             });
         } catch (err) {
             console.error('Error in ping command:', err);
-            await sock.sendMessage(message.key.remoteJid, { 
+            await safeSendMessage(sock, message.key.remoteJid, { 
                 text: 'Error: ' + err.message 
             });
         }
@@ -277,10 +278,10 @@ const commands = {
                 `- Full command support\n\n` +
                 `Type !help for available commands`;
             
-            await sock.sendMessage(message.key.remoteJid, { text: infoMessage });
+            await safeSendMessage(sock, message.key.remoteJid, { text: infoMessage });
         } catch (err) {
             console.error('Error in info command:', err);
-            await sock.sendMessage(message.key.remoteJid, { 
+            await safeSendMessage(sock, message.key.remoteJid, { 
                 text: 'Error: ' + err.message 
             });
         }
@@ -298,7 +299,7 @@ const commands = {
             const isAdmin = true; // In a real implementation, check if sender is admin
             
             if (isAdmin) {
-                await sock.sendMessage(sender, { 
+                await safeSendMessage(sock, sender, { 
                     text: '🔄 Restarting bot...\nThe bot will be back online shortly.' 
                 });
                 
@@ -308,13 +309,13 @@ const commands = {
                     process.exit(0); // Exit with success code to allow restart script to work
                 }, 1000);
             } else {
-                await sock.sendMessage(sender, { 
+                await safeSendMessage(sock, sender, { 
                     text: '⛔ Access denied. Only admins can restart the bot.' 
                 });
             }
         } catch (err) {
             console.error('Error in restart command:', err);
-            await sock.sendMessage(message.key.remoteJid, { 
+            await safeSendMessage(sock, message.key.remoteJid, { 
                 text: 'Error: ' + err.message 
             });
         }
@@ -375,10 +376,10 @@ const commands = {
             debugInfo += `Heap Total: ${(memoryUsage.heapTotal / 1024 / 1024).toFixed(2)} MB\n`;
             debugInfo += `Heap Used: ${(memoryUsage.heapUsed / 1024 / 1024).toFixed(2)} MB\n`;
             
-            await sock.sendMessage(message.key.remoteJid, { text: debugInfo });
+            await safeSendMessage(sock, message.key.remoteJid, { text: debugInfo });
         } catch (err) {
             console.error('Error in debug command:', err);
-            await sock.sendMessage(message.key.remoteJid, { 
+            await safeSendMessage(sock, message.key.remoteJid, { 
                 text: 'Error generating debug info: ' + err.message 
             });
         }
@@ -452,10 +453,10 @@ const commands = {
                 modulesInfo += `Commands directory not found at: ${cmdDir}`;
             }
             
-            await sock.sendMessage(message.key.remoteJid, { text: modulesInfo });
+            await safeSendMessage(sock, message.key.remoteJid, { text: modulesInfo });
         } catch (err) {
             console.error('Error in modules command:', err);
-            await sock.sendMessage(message.key.remoteJid, { 
+            await safeSendMessage(sock, message.key.remoteJid, { 
                 text: 'Error listing modules: ' + err.message 
             });
         }
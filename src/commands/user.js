@@ -94,7 +94,9 @@ const achievementsList = [
 
 // Level thresholds
 const levelThresholds = [0, 100, 300, 600, 1000, 1500, 2100, 2800, 3600, 4500, 5500, 6600, 7800, 9100, 10500, 12000, 13600, 15300, 17100, 19000];
-const { safeSendText, safeSendMessage, safeSendImage, safeSendGroupMessage, formatJidForLogging } = require('../utils/jidHelper');
+const { formatJidForLogging } = require('../utils/jidHelper');
+const { safeSendText, safeSendMessage, safeSendImage } = require('../utils/safe-send');
+const { getSenderJid } = require('../utils/jid');
 
 /**
  * Create temp directories if they don't exist
@@ -410,7 +412,7 @@ function wrapText(ctx, text, maxWidth, fontSize) {
 }
 
 const userCommands = {
-    async register(sock, message, args) {
+    async register(sock, message, args, { ask } = {}) {
         try {
             // Get the proper user JID, checking if we're in a group chat
             const remoteJid = message.key.remoteJid;
@@ -419,22 +421,35 @@ const userCommands = {
             // Get the actual sender JID, whether in group or not
             const sender = isGroup ? (message.key.participant || remoteJid) : remoteJid;
             
-            // Extract name and age from arguments
-            const name = args.slice(0, -1).join(' ') || args[0];
-            const age = args[args.length - 1];
-
-            if (!name || !age || isNaN(age)) {
-                await safeSendText(sock, sender, '*📝 Registration Usage:*\n.register [name] [age]\n\n*Examples:*\n.register John 25\n.register John Doe 25' 
-                );
-                return;
-            }
-
             if (userProfiles.has(sender)) {
                 await safeSendText(sock, sender, '*❌ Error:* You are already registered!' 
                 );
                 return;
             }
 
+            // Extract name and age from arguments
+            let name = args.slice(0, -1).join(' ') || args[0];
+            let age = args[args.length - 1];
+
+            if (!name || !age || isNaN(age)) {
+                if (!ask) {
+                    await safeSendText(sock, sender, '*📝 Registration Usage:*\n.register [name] [age]\n\n*Examples:*\n.register John 25\n.register John Doe 25' 
+                    );
+                    return;
+                }
+
+                // Ask for whatever is missing: ".register" asks for both, ".register John" only for the age
+                name = args.join(' ') || await ask('*📝 Registration*\n\n👤 What name should your profile show?', {
+                    validate: answer => answer.length <= 30 || 'Please use a name of at most 30 characters'
+                });
+                if (name === null) return;
+
+                age = await ask(`🎯 Nice to meet you, ${name}! How old are you?`, {
+                    type: 'number', integer: true, min: 13, max: 120
+                });
+                if (age === null) return;
+            }
+
             // Validate age
             const ageInt = parseInt(age);
             if (ageInt < 13 || ageInt > 120) {
@@ -781,21 +796,23 @@ ${rankText}
         }
     },
 
-    async settitle(sock, sender, args) {
+    async settitle(sock, message, args) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
         const profile = userProfiles.get(sender);
         if (!profile) {
-            await safeSendText(sock, sender, '❌ You need to register first!' );
+            await safeSendText(sock, chatJid, '❌ You need to register first!' );
             return;
         }
 
         const title = args.join(' ');
         if (!title) {
-            await safeSendText(sock, sender, '👑 Please provide a title' );
+            await safeSendText(sock, chatJid, '👑 Please provide a title' );
             return;
         }
 
         profile.customTitle = title;
-        await safeSendText(sock, sender, '✅ Title updated successfully!' );
+        await safeSendText(sock, chatJid, '✅ Title updated successfully!' );
     },
     
     async settheme(sock, message, args) {
@@ -1298,13 +1315,15 @@ Your XP: ${profile.xp}
             );
         }
     },
-    async leaderboard(sock, sender, args) {
+    async leaderboard(sock, message, args) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
         try {
             const [type = 'xp'] = args;
             const validTypes = ['xp', 'coins', 'level'];
 
             if (!validTypes.includes(type)) {
-                await safeSendMessage(sock, sender, { 
+                await safeSendMessage(sock, chatJid, { 
                     text: `*📊 Available Leaderboard Types:*\n${validTypes.join(', ')}` 
                 });
                 return;
@@ -1334,7 +1353,7 @@ Your XP: ${profile.xp}
 ${users.map((user, i) => `${i + 1}. *${user.name}*: ${formatNumber(user.value)} ${type === 'xp' ? 'XP' : type === 'coins' ? '💰' : '📊'}`).join('\n')}
             `.trim();
 
-            await safeSendText(sock, sender, leaderboardText );
+            await safeSendText(sock, chatJid, leaderboardText );
             
             // Send top user card if it's XP leaderboard
             if (type === 'xp' && users.length > 0) {
@@ -1347,7 +1366,7 @@ ${users.map((user, i) => `${i + 1}. *${user.name}*: ${formatNumber(user.value)}
                         const cardResult = await levelingSystem.getLevelCardBuffer(topUser.id, topUserProfile);
                         if (cardResult && cardResult.buffer) {
                             try {
-                                await safeSendMessage(sock, sender, {
+                                await safeSendMessage(sock, chatJid, {
                                     image: cardResult.buffer,
                                     caption: `👑 Top user: ${topUser.name} (Level ${topUserProfile.level || 1})`
                                 });
@@ -1355,7 +1374,7 @@ ${users.map((user, i) => `${i + 1}. *${user.name}*: ${formatNumber(user.value)}
                                 logger.error(`Error sending leaderboard card buffer: ${cardErr.message}`);
                                 // If buffer fails, try URL as fallback
                                 if (cardResult.path && await fs.access(cardResult.path).then(() => true).catch(() => false)) {
-                                    await safeSendMessage(sock, sender, {
+                                    await safeSendMessage(sock, chatJid, {
                                         image: { url: cardResult.path },
                                         caption: `👑 Top user: ${topUser.name} (Level ${topUserProfile.level || 1})`
                                     });
@@ -1370,15 +1389,17 @@ ${users.map((user, i) => `${i + 1}. *${user.name}*: ${formatNumber(user.value)}
             }
         } catch (err) {
             logger.error(`Error in leaderboard command for ${formatJidForLogging(sender)}:`, err);
-            await safeSendText(sock, sender, '❌ Error fetching leaderboard data. Please try again.' 
+            await safeSendText(sock, chatJid, '❌ Error fetching leaderboard data. Please try again.' 
             );
         }
     },
 
-    async achievements(sock, sender) {
+    async achievements(sock, message) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
         const profile = userProfiles.get(sender);
         if (!profile) {
-            await safeSendText(sock, sender, '❌ You need to register first!' );
+            await safeSendText(sock, chatJid, '❌ You need to register first!' );
             return;
         }
 
@@ -1389,7 +1410,7 @@ Total: ${profile.achievements ? profile.achievements.length : 0}
 ${profile.achievements && profile.achievements.length > 0 ? profile.achievements.map(a => `• ${a}`).join('\n') : 'No achievements yet'}
         `.trim();
 
-        await safeSendText(sock, sender, achievementsText );
+        await safeSendText(sock, chatJid, achievementsText );
     },
     
     async stats(sock, message) {
@@ -1561,10 +1582,12 @@ ${profile.achievements && profile.achievements.length > 0 ? profile.achievements
         }
     },
 
-    async inventory(sock, sender) {
+    async inventory(sock, message) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
         const profile = userProfiles.get(sender);
         if (!profile) {
-            await safeSendText(sock, sender, '❌ You need to register first!' );
+            await safeSendText(sock, chatJid, '❌ You need to register first!' );
             return;
         }
 
@@ -1575,13 +1598,15 @@ Total Items: ${profile.inventory.length}
 ${profile.inventory.map(item => `• ${item}`).join('\n') || 'Inventory is empty'}
         `.trim();
 
-        await safeSendText(sock, sender, inventoryText );
+        await safeSendText(sock, chatJid, inventoryText );
     },
 
-    async transfer(sock, sender, args) {
+    async transfer(sock, message, args) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
         const [target, amount] = args;
         if (!target || !amount || isNaN(amount)) {
-            await safeSendText(sock, sender, '💰 Usage: .transfer @user [amount]' 
+            await safeSendText(sock, chatJid, '💰 Usage: .transfer @user [amount]' 
             );
             return;
         }
@@ -1590,25 +1615,25 @@ ${profile.inventory.map(item => `• ${item}`).join('\n') || 'Inventory is empty
         const targetProfile = userProfiles.get(target);
 
         if (!profile || !targetProfile) {
-            await safeSendText(sock, sender, '❌ Invalid user!' );
+            await safeSendText(sock, chatJid, '❌ Invalid user!' );
             return;
         }
 
         const transferAmount = parseInt(amount);
         if (transferAmount <= 0) {
-            await safeSendText(sock, sender, '❌ Invalid amount!' );
+            await safeSendText(sock, chatJid, '❌ Invalid amount!' );
             return;
         }
 
         if (profile.coins < transferAmount) {
-            await safeSendText(sock, sender, '❌ Insufficient coins!' );
+            await safeSendText(sock, chatJid, '❌ Insufficient coins!' );
             return;
         }
 
         profile.coins -= transferAmount;
         targetProfile.coins += transferAmount;
 
-        await safeSendMessage(sock, sender, {
+        await safeSendMessage(sock, chatJid, {
             text: `✅ Successfully transferred ${transferAmount} coins to ${targetProfile.name}`
         });
     },
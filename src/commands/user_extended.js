@@ -11,6 +11,8 @@ const fs = require('fs').promises;
 const path = require('path');
 const axios = require('axios');
 const userDatabase = require('../utils/userDatabase');
+const lotterySystem = require('../utils/lotterySystem');
+const clanSystem = require('../utils/clanSystem');
 
 // Access centralized user data
 const { 
@@ -22,13 +24,14 @@ const {
     petData, 
     userAfk, 
     streakData, 
-    checkinData, 
-    lotteryParticipants 
+    checkinData
 } = userDatabase;
 
 // Create necessary directories
 const TEMP_DIR = path.join(process.cwd(), 'temp', 'user_extended');
-const { safeSendText, safeSendMessage, safeSendImage, formatJidForLogging } = require('../utils/jidHelper');
+const { formatJidForLogging } = require('../utils/jidHelper');
+const { safeSendText, safeSendMessage, safeSendImage } = require('../utils/safe-send');
+const { getSenderJid } = require('../utils/jid');
 
 /**
  * Create temp directories if they don't exist
@@ -49,14 +52,15 @@ initDirectories();
  * Get a user profile or show error message
  * @param {object} sock - WhatsApp socket
  * @param {string} userId - User ID
+ * @param {string} replyJid - Chat to send the error message to (defaults to the user)
  * @param {boolean} sendError - Whether to send error message
  * @returns {object|null} User profile or null if not found
  */
-async function getUserProfile(sock, userId, sendError = true) {
+async function getUserProfile(sock, userId, replyJid = userId, sendError = true) {
     const profile = userProfiles.get(userId);
     
     if (!profile && sendError) {
-        await safeSendText(sock, userId, '*❌ Error:* You need to register first! Use .register to create a profile.'
+        await safeSendText(sock, replyJid, '*❌ Error:* You need to register first! Use .register to create a profile.'
         );
         return null;
     }
@@ -73,6 +77,33 @@ function formatNumber(amount) {
     return amount.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
 }
 
+/**
+ * Resolve the user targeted by a command from a mention or a phone number argument
+ * @param {object} message - WhatsApp message
+ * @param {string} arg - Argument given for the target (e.g. @1234567890)
+ * @returns {string|null} Target JID or null if none was given
+ */
+function getTargetJid(message, arg) {
+    const mentioned = message.message?.extendedTextMessage?.contextInfo?.mentionedJid;
+    if (mentioned && mentioned.length > 0) {
+        return mentioned[0];
+    }
+    
+    const number = (arg || '').replace(/[^0-9]/g, '');
+    return number ? `${number}@s.whatsapp.net` : null;
+}
+
+/**
+ * Describe when the next lottery draw happens
+ * @returns {string} Next draw description
+ */
+function formatNextDraw() {
+    const nextDraw = lotterySystem.getNextDrawTime();
+    return nextDraw
+        ? `Next draw: ${moment(nextDraw).format('YYYY-MM-DD HH:mm')} (${moment(nextDraw).fromNow()}).`
+        : `Draw schedule: ${lotterySystem.DRAW_SCHEDULE}.`;
+}
+
 /**
  * Format time in seconds to readable format
  * @param {number} seconds - Time in seconds
@@ -361,8 +392,10 @@ const adventureLocations = [
 // Define the commands object
 const commands = {
     // 1. Economy System - Crime and Work
-    async crime(sock, sender) {
-        const profile = await getUserProfile(sock, sender);
+    async crime(sock, message) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         // Check cooldown (3 hours)
@@ -371,7 +404,7 @@ const commands = {
         
         if (Date.now() - lastCrime < cooldown) {
             const timeLeft = Math.ceil((lastCrime + cooldown - Date.now()) / (1000 * 60 * 60));
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*⏳ Cooldown:* The police are still looking for you! Try again in ${timeLeft} hours.`
             });
             return;
@@ -418,18 +451,18 @@ const commands = {
             
             // Add achievement if first crime
             if (addAchievement(profile, 'crime')) {
-                await safeSendText(sock, sender, '*🏆 Achievement Unlocked:* Criminal\nYou committed your first crime!'
+                await safeSendText(sock, chatJid, '*🏆 Achievement Unlocked:* Criminal\nYou committed your first crime!'
                 );
             }
             
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*🦹‍♂️ Crime Successful:* Your ${scenario.name} went undetected!\n\nYou earned ${formatNumber(reward)} coins from your illegal activities.\n\nCurrent Balance: ${formatNumber(profile.coins)} coins`
             });
         } else {
             // Don't go below 0 coins
             profile.coins = Math.max(0, profile.coins - penalty);
             
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*🚨 Crime Failed:* You were caught during your ${scenario.name}!\n\nYou paid ${formatNumber(penalty)} coins in fines and legal fees.\n\nCurrent Balance: ${formatNumber(profile.coins)} coins`
             });
         }
@@ -438,14 +471,16 @@ const commands = {
         userProfiles.set(sender, profile);
     },
     
-    async work(sock, sender) {
-        const profile = await getUserProfile(sock, sender);
+    async work(sock, message) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         let job = userJobs.get(sender);
         
         if (!job) {
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: '*❌ Error:* You don\'t have a job yet. Use .getjob [job name] to get a job!\n\n*Available Jobs:*\n' + 
                 jobsList.map(j => `• ${j.name} - Income: ${j.income} coins/hr (Level ${j.requirements.level}+)`).join('\n')
             });
@@ -454,7 +489,7 @@ const commands = {
         
         const cooldown = calculateWorkCooldown(job);
         if (cooldown > 0) {
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*⏳ Cooldown:* You need to rest before working again. Try again in ${formatTimeRemaining(cooldown)}.`
             });
             return;
@@ -484,28 +519,43 @@ const commands = {
         userProfiles.set(sender, profile);
         userJobs.set(sender, job);
         
-        await safeSendMessage(sock, sender, {
+        await safeSendMessage(sock, chatJid, {
             text: `*💼 Work Complete!*\n\n${randomMessage}\n\nYour balance: ${formatNumber(profile.coins)} coins\nCooldown: 1 hour`
         });
     },
     
-    async getjob(sock, sender, args) {
-        const profile = await getUserProfile(sock, sender);
+    async getjob(sock, message, args, { ask } = {}) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
-        if (args.length < 1) {
-            await safeSendMessage(sock, sender, {
-                text: '*⚠️ Usage:* .getjob [job name]\n\n*Available Jobs:*\n' + 
-                jobsList.map(j => `• ${j.name} - Income: ${j.income} coins/hr (Level ${j.requirements.level}+)`).join('\n')
+        let jobName = args.join(' ');
+        
+        if (!jobName) {
+            if (!ask) {
+                await safeSendMessage(sock, chatJid, {
+                    text: '*⚠️ Usage:* .getjob [job name]\n\n*Available Jobs:*\n' + 
+                    jobsList.map(j => `• ${j.name} - Income: ${j.income} coins/hr (Level ${j.requirements.level}+)`).join('\n')
+                });
+                return;
+            }
+            
+            // Let the user pick from the jobs instead of typing the exact name
+            // (a numbered list, there are more jobs than a WhatsApp list can show)
+            jobName = await ask('*💼 Available Jobs*\n\nWhich job do you want?', {
+                choices: jobsList.map(j => ({
+                    id: j.name,
+                    title: `${j.name} - Income: ${j.income} coins/hr (Level ${j.requirements.level}+)`
+                }))
             });
-            return;
+            if (jobName === null) return;
         }
         
-        const jobName = args.join(' ');
         const job = jobsList.find(j => j.name.toLowerCase() === jobName.toLowerCase());
         
         if (!job) {
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: '*❌ Error:* Job not found. Please choose from the available jobs:\n\n' + 
                 jobsList.map(j => `• ${j.name} - Income: ${j.income} coins/hr (Level ${j.requirements.level}+)`).join('\n')
             });
@@ -513,7 +563,7 @@ const commands = {
         }
         
         if (profile.level < job.requirements.level) {
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*❌ Error:* You need to be level ${job.requirements.level} to work as a ${job.name}. Your current level: ${profile.level}`
             });
             return;
@@ -527,25 +577,27 @@ const commands = {
         
         // Add achievement if it's their first job
         if (addAchievement(profile, 'job')) {
-            await safeSendText(sock, sender, '*🏆 Achievement Unlocked:* Employed\nYou got your first job!'
+            await safeSendText(sock, chatJid, '*🏆 Achievement Unlocked:* Employed\nYou got your first job!'
             );
         }
         
         // Save profile
         userProfiles.set(sender, profile);
         
-        await safeSendMessage(sock, sender, {
+        await safeSendMessage(sock, chatJid, {
             text: `*💼 Job Acquired!*\n\nYou are now working as a ${job.name}!\nSalary: ${job.income} coins/hr\n\nUse .work to start earning coins.`
         });
     },
     
-    async resign(sock, sender) {
-        const profile = await getUserProfile(sock, sender);
+    async resign(sock, message) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         const job = userJobs.get(sender);
         if (!job) {
-            await safeSendText(sock, sender, '*❌ Error:* You don\'t have a job to resign from.'
+            await safeSendText(sock, chatJid, '*❌ Error:* You don\'t have a job to resign from.'
             );
             return;
         }
@@ -553,15 +605,15 @@ const commands = {
         const jobName = job.name;
         userJobs.delete(sender);
         
-        await safeSendMessage(sock, sender, {
+        await safeSendMessage(sock, chatJid, {
             text: `*💼 Resignation:* You've successfully resigned from your position as a ${jobName}.\n\nUse .getjob to find a new job.`
         });
     },
     
     // 2. Social System - AFK and Reputation
-    async afk(sock, sender, args) {
-        const profile = await getUserProfile(sock, sender);
-        if (!profile) return;
+    async afk(sock, message, args) {
+        const remoteJid = message.key.remoteJid;
+        const sender = message.key.participant || remoteJid;
         
         // Set AFK status
         let reason = 'Away from keyboard';
@@ -569,24 +621,25 @@ const commands = {
             reason = args.join(' ');
         }
         
+        // Keyed by the user's JID, the AFK middleware clears it when they write again
         userAfk.set(sender, {
             status: true,
             reason: reason,
             timestamp: Date.now()
         });
         
-        await safeSendMessage(sock, sender, {
+        await safeSendMessage(sock, remoteJid, {
             text: `*💤 AFK Status Set:* You are now AFK.\nReason: ${reason}\n\nAnyone who mentions you will be informed of your AFK status.`
         });
     },
     
-    async unafk(sock, sender) {
-        const profile = await getUserProfile(sock, sender);
-        if (!profile) return;
+    async unafk(sock, message) {
+        const remoteJid = message.key.remoteJid;
+        const sender = message.key.participant || remoteJid;
         
         // Check if user is AFK
         if (!userAfk.get(sender)?.status) {
-            await safeSendText(sock, sender, '*❌ Error:* You are not currently AFK.'
+            await safeSendText(sock, remoteJid, '*❌ Error:* You are not currently AFK.'
             );
             return;
         }
@@ -600,17 +653,19 @@ const commands = {
         // Remove AFK status
         userAfk.delete(sender);
         
-        await safeSendMessage(sock, sender, {
+        await safeSendMessage(sock, remoteJid, {
             text: `*🔄 AFK Status Removed:* Welcome back! You were AFK for ${hours}h ${minutes}m.`
         });
     },
     
-    async rep(sock, sender, args) {
-        const profile = await getUserProfile(sock, sender);
+    async rep(sock, message, args) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         if (args.length < 1) {
-            await safeSendText(sock, sender, '*⚠️ Usage:* .rep @user'
+            await safeSendText(sock, chatJid, '*⚠️ Usage:* .rep @user'
             );
             return;
         }
@@ -618,7 +673,7 @@ const commands = {
         const targetId = args[0].replace('@', '') + '@s.whatsapp.net';
         
         if (targetId === sender) {
-            await safeSendText(sock, sender, '*❌ Error:* You cannot give reputation to yourself!'
+            await safeSendText(sock, chatJid, '*❌ Error:* You cannot give reputation to yourself!'
             );
             return;
         }
@@ -626,7 +681,7 @@ const commands = {
         // Check target profile
         const targetProfile = userProfiles.get(targetId);
         if (!targetProfile) {
-            await safeSendText(sock, sender, '*❌ Error:* That user doesn\'t have a profile yet.'
+            await safeSendText(sock, chatJid, '*❌ Error:* That user doesn\'t have a profile yet.'
             );
             return;
         }
@@ -637,7 +692,7 @@ const commands = {
         
         if (Date.now() - lastRep < cooldown) {
             const timeLeft = Math.ceil((lastRep + cooldown - Date.now()) / (1000 * 60 * 60));
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*⏳ Cooldown:* You can give reputation again in ${timeLeft} hours.`
             });
             return;
@@ -656,7 +711,7 @@ const commands = {
         userProfiles.set(targetId, targetProfile);
         userProfiles.set(sender, profile);
         
-        await safeSendMessage(sock, sender, {
+        await safeSendMessage(sock, chatJid, {
             text: `*👍 Reputation:* You gave +1 reputation to ${targetProfile.name}!`
         });
         
@@ -666,13 +721,15 @@ const commands = {
     },
     
     // 3. Mini-games - Fishing and Mining
-    async fish(sock, sender) {
-        const profile = await getUserProfile(sock, sender);
+    async fish(sock, message) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         // Check if player has a fishing rod
         if (!profile.inventory?.fishingRod) {
-            await safeSendText(sock, sender, '*❌ Error:* You need a fishing rod to fish! Buy one at the shop with .shop items'
+            await safeSendText(sock, chatJid, '*❌ Error:* You need a fishing rod to fish! Buy one at the shop with .shop items'
             );
             return;
         }
@@ -683,7 +740,7 @@ const commands = {
         
         if (Date.now() - lastFishing < cooldown) {
             const timeLeft = Math.ceil((lastFishing + cooldown - Date.now()) / 1000);
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*⏳ Cooldown:* You need to wait before fishing again. Try again in ${formatTimeRemaining(timeLeft)}.`
             });
             return;
@@ -715,7 +772,7 @@ const commands = {
             profile.lastFishing = Date.now();
             userProfiles.set(sender, profile);
             
-            await safeSendText(sock, sender, '*🎣 Fishing:* You didn\'t catch anything this time. Try again later!'
+            await safeSendText(sock, chatJid, '*🎣 Fishing:* You didn\'t catch anything this time. Try again later!'
             );
             return;
         }
@@ -745,25 +802,27 @@ const commands = {
         
         // Add achievement if first fish
         if (addAchievement(profile, 'fishing')) {
-            await safeSendText(sock, sender, '*🏆 Achievement Unlocked:* Fisherman\nYou caught your first fish!'
+            await safeSendText(sock, chatJid, '*🏆 Achievement Unlocked:* Fisherman\nYou caught your first fish!'
             );
         }
         
         // Save profile
         userProfiles.set(sender, profile);
         
-        await safeSendMessage(sock, sender, {
+        await safeSendMessage(sock, chatJid, {
             text: `*🎣 Fishing Success:* You caught a ${caughtFish.name} worth ${caughtFish.value} coins!\n\nYou can sell it with .sell fish [name|all]`
         });
     },
     
-    async mine(sock, sender) {
-        const profile = await getUserProfile(sock, sender);
+    async mine(sock, message) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         // Check if player has a pickaxe
         if (!profile.inventory?.pickaxe) {
-            await safeSendText(sock, sender, '*❌ Error:* You need a pickaxe to mine! Buy one at the shop with .shop items'
+            await safeSendText(sock, chatJid, '*❌ Error:* You need a pickaxe to mine! Buy one at the shop with .shop items'
             );
             return;
         }
@@ -774,7 +833,7 @@ const commands = {
         
         if (Date.now() - lastMining < cooldown) {
             const timeLeft = Math.ceil((lastMining + cooldown - Date.now()) / 1000);
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*⏳ Cooldown:* You need to rest before mining again. Try again in ${formatTimeRemaining(timeLeft)}.`
             });
             return;
@@ -827,25 +886,26 @@ const commands = {
         
         // Add achievement if first mining
         if (addAchievement(profile, 'mining')) {
-            await safeSendText(sock, sender, '*🏆 Achievement Unlocked:* Miner\nYou mined your first resource!'
+            await safeSendText(sock, chatJid, '*🏆 Achievement Unlocked:* Miner\nYou mined your first resource!'
             );
         }
         
         // Save profile
         userProfiles.set(sender, profile);
         
-        await safeSendMessage(sock, sender, {
+        await safeSendMessage(sock, chatJid, {
             text: `*⛏️ Mining Success:* You mined ${quantity} ${minedMineral.name}${quantity !== 1 ? 's' : ''} worth ${minedMineral.value * quantity} coins!\n\nYou can sell them with .sell mineral [name|all]`
         });
     },
     
     async sell(sock, message, args) {
-        const sender = message.key.remoteJid;
-        const profile = await getUserProfile(sock, sender);
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         if (args.length < 2) {
-            await safeSendText(sock, sender, '*⚠️ Usage:* !sell [type] [name|all]\n\nTypes: fish, mineral'
+            await safeSendText(sock, chatJid, '*⚠️ Usage:* !sell [type] [name|all]\n\nTypes: fish, mineral'
             );
             return;
         }
@@ -862,7 +922,7 @@ const commands = {
         const itemName = args.slice(1).join(' ').toLowerCase();
         
         if (type !== 'fish' && type !== 'mineral') {
-            await safeSendText(sock, sender, '*❌ Error:* Invalid type. Use "fish" or "mineral".'
+            await safeSendText(sock, chatJid, '*❌ Error:* Invalid type. Use "fish" or "mineral".'
             );
             return;
         }
@@ -870,7 +930,7 @@ const commands = {
         const inventory = type === 'fish' ? profile.inventory.fish : profile.inventory.minerals;
         
         if (!inventory || Object.keys(inventory).length === 0) {
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*❌ Error:* You don't have any ${type === 'fish' ? 'fish' : 'minerals'} to sell.`
             });
             return;
@@ -916,7 +976,7 @@ const commands = {
             );
             
             if (!matchedItem || !inventory[matchedItem]) {
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*❌ Error:* You don't have any ${itemName}. Check your inventory with .inventory.`
                 });
                 return;
@@ -931,14 +991,15 @@ const commands = {
         profile.coins += totalEarned;
         userProfiles.set(sender, profile);
         
-        await safeSendMessage(sock, sender, {
+        await safeSendMessage(sock, chatJid, {
             text: `*💰 Sale Complete:* You sold ${itemsSold} ${type === 'fish' ? 'fish' : 'minerals'} for ${formatNumber(totalEarned)} coins!\n\nYour balance: ${formatNumber(profile.coins)} coins`
         });
     },
     
     async extendedInventory(sock, message, args) {
-        const sender = message.key.remoteJid;
-        const profile = await getUserProfile(sock, sender);
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         // Initialize inventory if needed
@@ -956,7 +1017,7 @@ const commands = {
             if (type === 'fish') {
                 const fishInventory = profile.inventory.fish || {};
                 if (Object.keys(fishInventory).length === 0) {
-                    await safeSendText(sock, sender, '*🐟 Fish Inventory:* You don\'t have any fish yet. Use .fish to catch some!'
+                    await safeSendText(sock, chatJid, '*🐟 Fish Inventory:* You don\'t have any fish yet. Use .fish to catch some!'
                     );
                     return;
                 }
@@ -966,14 +1027,14 @@ const commands = {
                     fishText += `${fish}: ${quantity}\n`;
                 }
                 
-                await safeSendText(sock, sender, fishText );
+                await safeSendText(sock, chatJid, fishText );
                 return;
             }
             
             if (type === 'mineral' || type === 'minerals') {
                 const mineralInventory = profile.inventory.minerals || {};
                 if (Object.keys(mineralInventory).length === 0) {
-                    await safeSendText(sock, sender, '*⛏️ Mineral Inventory:* You don\'t have any minerals yet. Use .mine to mine some!'
+                    await safeSendText(sock, chatJid, '*⛏️ Mineral Inventory:* You don\'t have any minerals yet. Use .mine to mine some!'
                     );
                     return;
                 }
@@ -983,7 +1044,7 @@ const commands = {
                     mineralText += `${mineral}: ${quantity}\n`;
                 }
                 
-                await safeSendText(sock, sender, mineralText );
+                await safeSendText(sock, chatJid, mineralText );
                 return;
             }
         }
@@ -1023,13 +1084,14 @@ const commands = {
             }
         }
         
-        await safeSendText(sock, sender, inventoryText );
+        await safeSendText(sock, chatJid, inventoryText );
     },
     
     // 4. Crafting System
-    async craft(sock, message, args) {
-        const sender = message.key.remoteJid;
-        const profile = await getUserProfile(sock, sender);
+    async craft(sock, message, args, { ask } = {}) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         // Define crafting recipes
@@ -1060,6 +1122,25 @@ const commands = {
             }
         };
         
+        // Let the user pick a recipe if no args
+        if (args.length === 0 && ask) {
+            const describeRecipe = recipe => Object.entries(recipe.requires)
+                .map(([material, quantity]) => `${material} x${quantity}`)
+                .join(', ');
+            
+            const item = await ask('*🔨 Crafting Recipes*\n\nWhat do you want to craft?', {
+                choices: Object.entries(recipes).map(([name, recipe]) => ({
+                    id: name,
+                    title: name.charAt(0).toUpperCase() + name.slice(1),
+                    description: `Requires: ${describeRecipe(recipe)}`
+                })),
+                style: 'list',
+                buttonText: 'Choose an item'
+            });
+            if (item === null) return;
+            args = [item];
+        }
+        
         // Show recipe list if no args
         if (args.length === 0) {
             let recipeText = '*🔨 Crafting Recipes:*\n\n';
@@ -1078,7 +1159,7 @@ const commands = {
             
             recipeText += 'Use .craft [item] to craft an item';
             
-            await safeSendText(sock, sender, recipeText );
+            await safeSendText(sock, chatJid, recipeText );
             return;
         }
         
@@ -1087,7 +1168,7 @@ const commands = {
         const recipe = recipes[requestedItem];
         
         if (!recipe) {
-            await safeSendText(sock, sender, '*❌ Error:* Invalid crafting recipe. Use .craft to see available recipes.'
+            await safeSendText(sock, chatJid, '*❌ Error:* Invalid crafting recipe. Use .craft to see available recipes.'
             );
             return;
         }
@@ -1112,7 +1193,7 @@ const commands = {
         }
         
         if (missingMaterials.length > 0) {
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*❌ Missing Materials:* You don't have all required materials to craft a ${requestedItem}.\n\nMissing: ${missingMaterials.join(', ')}`
             });
             return;
@@ -1120,7 +1201,7 @@ const commands = {
         
         // Check if already has the item
         if (profile.inventory[recipe.result]) {
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*❌ Error:* You already have a ${requestedItem}.`
             });
             return;
@@ -1141,21 +1222,23 @@ const commands = {
         
         // Add achievement if first craft
         if (addAchievement(profile, 'crafting')) {
-            await safeSendText(sock, sender, '*🏆 Achievement Unlocked:* Craftsman\nYou crafted your first item!'
+            await safeSendText(sock, chatJid, '*🏆 Achievement Unlocked:* Craftsman\nYou crafted your first item!'
             );
         }
         
         // Save profile
         userProfiles.set(sender, profile);
         
-        await safeSendMessage(sock, sender, {
+        await safeSendMessage(sock, chatJid, {
             text: `*🔨 Crafting Success:* You have crafted a ${requestedItem}!`
         });
     },
     
     // 5. Investment System
-    async invest(sock, sender, args) {
-        const profile = await getUserProfile(sock, sender);
+    async invest(sock, message, args) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         // Initialize investment data if needed
@@ -1166,7 +1249,7 @@ const commands = {
         // Show current investments if no args
         if (args.length === 0) {
             if (profile.investments.length === 0) {
-                await safeSendText(sock, sender, '*📊 Investments:* You don\'t have any active investments. Use .invest [amount] [duration] to invest.'
+                await safeSendText(sock, chatJid, '*📊 Investments:* You don\'t have any active investments. Use .invest [amount] [duration] to invest.'
                 );
                 return;
             }
@@ -1206,13 +1289,13 @@ const commands = {
             // Save profile after processing matured investments
             userProfiles.set(sender, profile);
             
-            await safeSendText(sock, sender, investmentText );
+            await safeSendText(sock, chatJid, investmentText );
             return;
         }
         
         // Check args
         if (args.length < 2) {
-            await safeSendText(sock, sender, '*⚠️ Usage:* .invest [amount] [duration in days (1-30)]'
+            await safeSendText(sock, chatJid, '*⚠️ Usage:* .invest [amount] [duration in days (1-30)]'
             );
             return;
         }
@@ -1226,13 +1309,13 @@ const commands = {
         }
         
         if (!amount || amount <= 0 || isNaN(amount)) {
-            await safeSendText(sock, sender, '*❌ Error:* Please provide a valid positive amount to invest.'
+            await safeSendText(sock, chatJid, '*❌ Error:* Please provide a valid positive amount to invest.'
             );
             return;
         }
         
         if (amount > profile.coins) {
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*❌ Error:* You don't have enough coins. Your balance: ${formatNumber(profile.coins)} coins.`
             });
             return;
@@ -1242,7 +1325,7 @@ const commands = {
         const duration = parseInt(args[1]);
         
         if (!duration || duration < 1 || duration > 30 || isNaN(duration)) {
-            await safeSendText(sock, sender, '*❌ Error:* Duration must be between 1 and 30 days.'
+            await safeSendText(sock, chatJid, '*❌ Error:* Duration must be between 1 and 30 days.'
             );
             return;
         }
@@ -1265,7 +1348,7 @@ const commands = {
         
         // Add achievement if first investment
         if (addAchievement(profile, 'investor')) {
-            await safeSendText(sock, sender, '*🏆 Achievement Unlocked:* Investor\nYou made your first investment!'
+            await safeSendText(sock, chatJid, '*🏆 Achievement Unlocked:* Investor\nYou made your first investment!'
             );
         }
         
@@ -1274,14 +1357,16 @@ const commands = {
         
         const expectedReturn = Math.floor(amount * (1 + interestRate));
         
-        await safeSendMessage(sock, sender, {
+        await safeSendMessage(sock, chatJid, {
             text: `*📊 Investment Made:*\n\nAmount: ${formatNumber(amount)} coins\nDuration: ${duration} day${duration !== 1 ? 's' : ''}\nInterest Rate: ${(interestRate * 100).toFixed(1)}%\nExpected Return: ${formatNumber(expectedReturn)} coins\n\nYour investment will mature in ${duration} day${duration !== 1 ? 's' : ''}.`
         });
     },
     
     // 6. Email System
-    async mail(sock, sender, args) {
-        const profile = await getUserProfile(sock, sender);
+    async mail(sock, message, args) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         // Initialize mail system if needed
@@ -1298,7 +1383,7 @@ const commands = {
         // Show inbox
         if (args.length === 0 || args[0].toLowerCase() === 'inbox') {
             if (mailbox.inbox.length === 0) {
-                await safeSendText(sock, sender, '*📬 Inbox:* Your inbox is empty.'
+                await safeSendText(sock, chatJid, '*📬 Inbox:* Your inbox is empty.'
                 );
                 return;
             }
@@ -1317,14 +1402,14 @@ const commands = {
             
             inboxText += 'Use .mail read [number] to read a mail.';
             
-            await safeSendText(sock, sender, inboxText );
+            await safeSendText(sock, chatJid, inboxText );
             return;
         }
         
         // Read a specific mail
         if (args[0].toLowerCase() === 'read') {
             if (args.length < 2) {
-                await safeSendText(sock, sender, '*⚠️ Usage:* .mail read [mail number]'
+                await safeSendText(sock, chatJid, '*⚠️ Usage:* .mail read [mail number]'
                 );
                 return;
             }
@@ -1332,7 +1417,7 @@ const commands = {
             const mailNumber = parseInt(args[1]);
             
             if (isNaN(mailNumber) || mailNumber < 1 || mailNumber > mailbox.inbox.length) {
-                await safeSendText(sock, sender, '*❌ Error:* Invalid mail number.'
+                await safeSendText(sock, chatJid, '*❌ Error:* Invalid mail number.'
                 );
                 return;
             }
@@ -1350,14 +1435,14 @@ const commands = {
                 mailText += `Use .mail claim ${mailNumber} to claim the attachment.`;
             }
             
-            await safeSendText(sock, sender, mailText );
+            await safeSendText(sock, chatJid, mailText );
             return;
         }
         
         // Claim attachment
         if (args[0].toLowerCase() === 'claim') {
             if (args.length < 2) {
-                await safeSendText(sock, sender, '*⚠️ Usage:* .mail claim [mail number]'
+                await safeSendText(sock, chatJid, '*⚠️ Usage:* .mail claim [mail number]'
                 );
                 return;
             }
@@ -1365,7 +1450,7 @@ const commands = {
             const mailNumber = parseInt(args[1]);
             
             if (isNaN(mailNumber) || mailNumber < 1 || mailNumber > mailbox.inbox.length) {
-                await safeSendText(sock, sender, '*❌ Error:* Invalid mail number.'
+                await safeSendText(sock, chatJid, '*❌ Error:* Invalid mail number.'
                 );
                 return;
             }
@@ -1373,7 +1458,7 @@ const commands = {
             const mail = mailbox.inbox[mailNumber - 1];
             
             if (!mail.attachment) {
-                await safeSendText(sock, sender, '*❌ Error:* This mail has no attachment to claim.'
+                await safeSendText(sock, chatJid, '*❌ Error:* This mail has no attachment to claim.'
                 );
                 return;
             }
@@ -1382,7 +1467,7 @@ const commands = {
             if (mail.attachment.type === 'coins') {
                 profile.coins += mail.attachment.amount;
                 
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*💰 Attachment Claimed:* You received ${formatNumber(mail.attachment.amount)} coins!`
                 });
             } else if (mail.attachment.type === 'item') {
@@ -1394,7 +1479,7 @@ const commands = {
                 // Add item
                 profile.inventory[mail.attachment.item] = true;
                 
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*📦 Attachment Claimed:* You received a ${mail.attachment.name}!`
                 });
             }
@@ -1412,7 +1497,7 @@ const commands = {
         // Send mail
         if (args[0].toLowerCase() === 'send') {
             if (args.length < 4) {
-                await safeSendText(sock, sender, '*⚠️ Usage:* .mail send @user "subject" message'
+                await safeSendText(sock, chatJid, '*⚠️ Usage:* .mail send @user "subject" message'
                 );
                 return;
             }
@@ -1423,7 +1508,7 @@ const commands = {
             // Check target profile
             const targetProfile = userProfiles.get(targetId);
             if (!targetProfile) {
-                await safeSendText(sock, sender, '*❌ Error:* That user doesn\'t have a profile yet.'
+                await safeSendText(sock, chatJid, '*❌ Error:* That user doesn\'t have a profile yet.'
                 );
                 return;
             }
@@ -1432,7 +1517,7 @@ const commands = {
             let subjectMatch = args.slice(2).join(' ').match(/"([^"]+)"/);
             
             if (!subjectMatch) {
-                await safeSendText(sock, sender, '*❌ Error:* Subject must be enclosed in quotes, e.g., "Hello there"'
+                await safeSendText(sock, chatJid, '*❌ Error:* Subject must be enclosed in quotes, e.g., "Hello there"'
                 );
                 return;
             }
@@ -1443,7 +1528,7 @@ const commands = {
             const content = args.slice(2).join(' ').replace(/"([^"]+)"/, '').trim();
             
             if (!content) {
-                await safeSendText(sock, sender, '*❌ Error:* Mail content cannot be empty.'
+                await safeSendText(sock, chatJid, '*❌ Error:* Mail content cannot be empty.'
                 );
                 return;
             }
@@ -1474,7 +1559,7 @@ const commands = {
             global.mailSystem.mailboxes.set(sender, mailbox);
             global.mailSystem.mailboxes.set(targetId, targetMailbox);
             
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*📨 Mail Sent:* Your mail to ${targetProfile.name} has been sent!`
             });
             
@@ -1489,7 +1574,7 @@ const commands = {
         // Delete mail
         if (args[0].toLowerCase() === 'delete') {
             if (args.length < 2) {
-                await safeSendText(sock, sender, '*⚠️ Usage:* .mail delete [mail number|all]'
+                await safeSendText(sock, chatJid, '*⚠️ Usage:* .mail delete [mail number|all]'
                 );
                 return;
             }
@@ -1501,7 +1586,7 @@ const commands = {
                 // Save mailbox
                 global.mailSystem.mailboxes.set(sender, mailbox);
                 
-                await safeSendText(sock, sender, '*🗑️ Inbox Cleared:* All mails have been deleted.'
+                await safeSendText(sock, chatJid, '*🗑️ Inbox Cleared:* All mails have been deleted.'
                 );
                 return;
             }
@@ -1509,7 +1594,7 @@ const commands = {
             const mailNumber = parseInt(args[1]);
             
             if (isNaN(mailNumber) || mailNumber < 1 || mailNumber > mailbox.inbox.length) {
-                await safeSendText(sock, sender, '*❌ Error:* Invalid mail number.'
+                await safeSendText(sock, chatJid, '*❌ Error:* Invalid mail number.'
                 );
                 return;
             }
@@ -1520,18 +1605,20 @@ const commands = {
             // Save mailbox
             global.mailSystem.mailboxes.set(sender, mailbox);
             
-            await safeSendText(sock, sender, '*🗑️ Mail Deleted:* The mail has been deleted.'
+            await safeSendText(sock, chatJid, '*🗑️ Mail Deleted:* The mail has been deleted.'
             );
             return;
         }
         
         // Unknown command
-        await safeSendText(sock, sender, '*⚠️ Usage:* .mail [inbox|read|claim|send|delete]'
+        await safeSendText(sock, chatJid, '*⚠️ Usage:* .mail [inbox|read|claim|send|delete]'
         );
     },
     
     // 7. Daily Reward System
-    async reward(sock, sender) {
+    async reward(sock, message) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
         // Get the user's JID from the sender object
         const userJid = typeof sender === 'object' ? sender.jid || sender : sender;
         
@@ -1640,8 +1727,10 @@ const commands = {
     },
     
     // 8. Passive Income with Idle Game Mechanics
-    async business(sock, sender, args) {
-        const profile = await getUserProfile(sock, sender);
+    async business(sock, message, args) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         // Initialize business data if needed
@@ -1665,7 +1754,7 @@ const commands = {
         // Showing business info
         if (args.length === 0) {
             if (profile.business.level === 0) {
-                await safeSendText(sock, sender, '*🏭 Business:* You don\'t have a business yet. Use .business start to set up a business for 5,000 coins.'
+                await safeSendText(sock, chatJid, '*🏭 Business:* You don\'t have a business yet. Use .business start to set up a business for 5,000 coins.'
                 );
                 return;
             }
@@ -1695,14 +1784,14 @@ const commands = {
             businessText += '.business upgrade - Upgrade your business\n';
             businessText += '.business automate - Make collection automatic (50,000 coins)';
             
-            await safeSendText(sock, sender, businessText );
+            await safeSendText(sock, chatJid, businessText );
             return;
         }
         
         // Starting a business
         if (args[0].toLowerCase() === 'start') {
             if (profile.business.level > 0) {
-                await safeSendText(sock, sender, '*❌ Error:* You already have a business! Use .business to see your stats.'
+                await safeSendText(sock, chatJid, '*❌ Error:* You already have a business! Use .business to see your stats.'
                 );
                 return;
             }
@@ -1710,7 +1799,7 @@ const commands = {
             const startupCost = businessInfo.upgradeBaseCost;
             
             if (profile.coins < startupCost) {
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*❌ Error:* You need ${formatNumber(startupCost)} coins to start a business. You have ${formatNumber(profile.coins)} coins.`
                 });
                 return;
@@ -1730,7 +1819,7 @@ const commands = {
             // Save profile
             userProfiles.set(sender, profile);
             
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*🏭 Business Started:* You've invested ${formatNumber(startupCost)} coins to start your own business!\n\nUse .business to view your business and .business collect to collect earnings.`
             });
             return;
@@ -1738,7 +1827,7 @@ const commands = {
         
         // Make sure they have a business for other commands
         if (profile.business.level === 0) {
-            await safeSendText(sock, sender, '*❌ Error:* You don\'t have a business yet. Use .business start to set up a business.'
+            await safeSendText(sock, chatJid, '*❌ Error:* You don\'t have a business yet. Use .business start to set up a business.'
             );
             return;
         }
@@ -1756,7 +1845,7 @@ const commands = {
             }
             
             if (pendingIncome <= 0) {
-                await safeSendText(sock, sender, '*❌ Error:* There are no earnings to collect yet. Wait a bit longer.'
+                await safeSendText(sock, chatJid, '*❌ Error:* There are no earnings to collect yet. Wait a bit longer.'
                 );
                 return;
             }
@@ -1769,7 +1858,7 @@ const commands = {
             // Save profile
             userProfiles.set(sender, profile);
             
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*💰 Earnings Collected:* You collected ${formatNumber(pendingIncome)} coins from your business!\n\nTotal Profit: ${formatNumber(profile.business.totalProfit)} coins\nCurrent Balance: ${formatNumber(profile.coins)} coins`
             });
             return;
@@ -1780,7 +1869,7 @@ const commands = {
             const upgradeCost = Math.floor(businessInfo.upgradeBaseCost * Math.pow(businessInfo.upgradeCostMultiplier, profile.business.level));
             
             if (profile.coins < upgradeCost) {
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*❌ Error:* You need ${formatNumber(upgradeCost)} coins to upgrade your business. You have ${formatNumber(profile.coins)} coins.`
                 });
                 return;
@@ -1798,7 +1887,7 @@ const commands = {
             // Save profile
             userProfiles.set(sender, profile);
             
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*🏭 Business Upgraded:* You spent ${formatNumber(upgradeCost)} coins to upgrade your business to level ${profile.business.level}!\n\nNew Hourly Income: ${formatNumber(Math.floor(newHourlyIncome))} coins`
             });
             return;
@@ -1807,7 +1896,7 @@ const commands = {
         // Automating business
         if (args[0].toLowerCase() === 'automate') {
             if (profile.business.automated) {
-                await safeSendText(sock, sender, '*❌ Error:* Your business is already automated!'
+                await safeSendText(sock, chatJid, '*❌ Error:* Your business is already automated!'
                 );
                 return;
             }
@@ -1815,7 +1904,7 @@ const commands = {
             const automationCost = 50000;
             
             if (profile.coins < automationCost) {
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*❌ Error:* You need ${formatNumber(automationCost)} coins to automate your business. You have ${formatNumber(profile.coins)} coins.`
                 });
                 return;
@@ -1830,20 +1919,22 @@ const commands = {
             // Save profile
             userProfiles.set(sender, profile);
             
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*🤖 Business Automated:* You spent ${formatNumber(automationCost)} coins to fully automate your business!\n\nYour business will now continue to generate income beyond the 24-hour limit, and earnings will be automatically collected when you check your business status.`
             });
             return;
         }
         
         // Unknown command
-        await safeSendText(sock, sender, '*⚠️ Usage:* .business [start|collect|upgrade|automate]'
+        await safeSendText(sock, chatJid, '*⚠️ Usage:* .business [start|collect|upgrade|automate]'
         );
     },
     
     // 9. Bounty hunting system
-    async bounty(sock, sender, args) {
-        const profile = await getUserProfile(sock, sender);
+    async bounty(sock, message, args) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         // Initialize global bounty system if needed
@@ -1933,14 +2024,14 @@ const commands = {
             
             bountyText += 'Use .bounty hunt [id] to accept a bounty.';
             
-            await safeSendText(sock, sender, bountyText );
+            await safeSendText(sock, chatJid, bountyText );
             return;
         }
         
         // Hunt/complete a bounty
         if (args[0].toLowerCase() === 'hunt') {
             if (args.length < 2) {
-                await safeSendText(sock, sender, '*⚠️ Usage:* .bounty hunt [bounty id]'
+                await safeSendText(sock, chatJid, '*⚠️ Usage:* .bounty hunt [bounty id]'
                 );
                 return;
             }
@@ -1949,7 +2040,7 @@ const commands = {
             const cooldownTime = profile.bounties.cooldown;
             if (cooldownTime > Date.now()) {
                 const timeLeft = Math.ceil((cooldownTime - Date.now()) / (1000 * 60));
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*⏳ Cooldown:* You need to rest before taking another bounty. Try again in ${timeLeft} minutes.`
                 });
                 return;
@@ -1962,7 +2053,7 @@ const commands = {
             const bounty = global.bountySystem.activeBounties.find(b => b.id === bountyId);
             
             if (!bounty) {
-                await safeSendText(sock, sender, '*❌ Error:* Bounty not found or expired. Use .bounty list to see active bounties.'
+                await safeSendText(sock, chatJid, '*❌ Error:* Bounty not found or expired. Use .bounty list to see active bounties.'
                 );
                 return;
             }
@@ -2023,12 +2114,12 @@ const commands = {
                 // Add new random bounty
                 global.bountySystem.activeBounties.push(generateBounty());
                 
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*🎯 Bounty Completed:* You successfully completed the ${bounty.name} bounty!\n\nReward: ${formatNumber(bounty.reward)} coins\nXP Gained: ${bounty.exp}\n\nYour Balance: ${formatNumber(profile.coins)} coins\nCooldown: ${cooldownMinutes} minutes`
                 });
             } else {
                 // Failed attempt
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*❌ Bounty Failed:* You were unable to complete the ${bounty.name} bounty.\n\nThe bounty was too challenging. Try an easier one next time.\n\nCooldown: ${cooldownMinutes} minutes`
                 });
             }
@@ -2059,52 +2150,42 @@ const commands = {
                 statsText += `\nRank: Novice Bounty Hunter`;
             }
             
-            await safeSendText(sock, sender, statsText );
+            await safeSendText(sock, chatJid, statsText );
             return;
         }
         
         // Unknown command
-        await safeSendText(sock, sender, '*⚠️ Usage:* .bounty [list|hunt|stats]'
+        await safeSendText(sock, chatJid, '*⚠️ Usage:* .bounty [list|hunt|stats]'
         );
     },
     
     // 10. Clans/guilds system
-    async clan(sock, sender, args) {
-        const profile = await getUserProfile(sock, sender);
-        if (!profile) return;
+    async clan(sock, message, args) {
+        const chatJid = message.key.remoteJid;
+        const sender = message.key.participant || chatJid;
+        const profile = userProfiles.get(sender);
         
-        // Initialize global clan system if needed
-        global.clanSystem = global.clanSystem || {
-            clans: new Map()
-        };
+        if (!profile) {
+            await safeSendText(sock, chatJid, '*❌ Error:* You need to register first! Use .register to create a profile.'
+            );
+            return;
+        }
+        
+        const subcommand = args.length > 0 ? args[0].toLowerCase() : '';
+        const membership = clanSystem.findUserClan(sender);
         
         // View current clan or clan list
-        if (args.length === 0 || args[0].toLowerCase() === 'list') {
-            // Check if user is in a clan
-            let userClan = null;
-            let userRole = null;
-            
-            for (const [clanName, clan] of global.clanSystem.clans.entries()) {
-                if (clan.leader === sender) {
-                    userClan = clan;
-                    userRole = 'leader';
-                    break;
-                } else if (clan.officers.includes(sender)) {
-                    userClan = clan;
-                    userRole = 'officer';
-                    break;
-                } else if (clan.members.includes(sender)) {
-                    userClan = clan;
-                    userRole = 'member';
-                    break;
-                }
-            }
-            
-            if (userClan && args.length === 0) {
+        if (subcommand === '' || subcommand === 'list') {
+            if (membership && subcommand === '') {
+                const { clan: userClan, role: userRole } = membership;
+                const nextLevelXp = clanSystem.getXpForLevel(userClan.level + 1);
+                
                 // Display user's clan info
                 let clanText = `*👥 Clan: ${userClan.name}*\n\n`;
-                clanText += `Level: ${userClan.level}\n`;
-                clanText += `Members: ${userClan.members.length + userClan.officers.length + 1}/50\n`;
+                clanText += `Level: ${userClan.level} (${formatNumber(userClan.xp)}/${formatNumber(nextLevelXp)} XP)\n`;
+                clanText += `Treasury: ${formatNumber(userClan.treasury)} coins\n`;
+                clanText += `Wars: ${userClan.warStats.won}W / ${userClan.warStats.lost}L / ${userClan.warStats.draws}D\n`;
+                clanText += `Members: ${clanSystem.getMemberIds(userClan).length}/${clanSystem.MAX_MEMBERS}\n`;
                 clanText += `Your Role: ${userRole.charAt(0).toUpperCase() + userRole.slice(1)}\n\n`;
                 
                 // Show leader
@@ -2126,220 +2207,196 @@ const commands = {
                     clanText += `*Description:*\n${userClan.description}\n\n`;
                 }
                 
-                clanText += 'Commands:\n.clan chat [message] - Send message to clan\n.clan leave - Leave your clan';
+                clanText += 'Commands:\n.clan chat [message] - Send message to clan\n.clan deposit [amount] - Fund the treasury\n.clan treasury - View treasury and contributions\n.clan war - View war status\n.clan top - Clan leaderboard\n.clan leave - Leave your clan';
                 
                 if (userRole === 'leader' || userRole === 'officer') {
                     clanText += '\n.clan invite @user - Invite a user\n.clan kick @user - Remove a member';
                 }
                 
                 if (userRole === 'leader') {
-                    clanText += '\n.clan promote @user - Promote to officer\n.clan demote @user - Demote an officer\n.clan setdesc [text] - Set clan description';
+                    clanText += '\n.clan promote @user - Promote to officer\n.clan demote @user - Demote an officer\n.clan setdesc [text] - Set clan description\n.clan withdraw [amount] - Withdraw from the treasury\n.clan war [name] - Challenge another clan';
                 }
                 
-                await safeSendText(sock, sender, clanText );
+                await safeSendText(sock, chatJid, clanText );
                 return;
-            } else if (args[0]?.toLowerCase() === 'list') {
+            } else if (subcommand === 'list') {
+                const allClans = clanSystem.getAllClans();
+                
                 // Show list of all clans
-                if (global.clanSystem.clans.size === 0) {
-                    await safeSendText(sock, sender, '*👥 Clans:* No clans have been created yet. Use .clan create [name] to create one!'
+                if (allClans.length === 0) {
+                    await safeSendText(sock, chatJid, '*👥 Clans:* No clans have been created yet. Use .clan create [name] to create one!'
                     );
                     return;
                 }
                 
                 let clanListText = '*👥 Active Clans:*\n\n';
                 
-                for (const [clanName, clan] of global.clanSystem.clans.entries()) {
-                    const memberCount = clan.members.length + clan.officers.length + 1;
+                for (const clan of allClans) {
                     const leaderProfile = userProfiles.get(clan.leader);
                     
-                    clanListText += `*${clanName}*\n`;
+                    clanListText += `*${clan.name}*\n`;
                     clanListText += `Level: ${clan.level}\n`;
-                    clanListText += `Members: ${memberCount}/50\n`;
+                    clanListText += `Members: ${clanSystem.getMemberIds(clan).length}/${clanSystem.MAX_MEMBERS}\n`;
                     clanListText += `Leader: ${leaderProfile ? leaderProfile.name : 'Unknown'}\n\n`;
                 }
                 
                 clanListText += 'Use .clan join [name] to join a clan or .clan create [name] to create your own.';
                 
-                await safeSendText(sock, sender, clanListText );
+                await safeSendText(sock, chatJid, clanListText );
                 return;
             } else {
                 // User not in a clan
-                await safeSendText(sock, sender, '*👥 Clan:* You are not in a clan.\n\nUse .clan list to see available clans, .clan join [name] to join one, or .clan create [name] to create your own.'
+                await safeSendText(sock, chatJid, '*👥 Clan:* You are not in a clan.\n\nUse .clan list to see available clans, .clan join [name] to join one, or .clan create [name] to create your own.'
                 );
                 return;
             }
         }
         
+        // Clan leaderboard
+        if (subcommand === 'top') {
+            const topClans = clanSystem.getLeaderboard(10);
+            
+            if (topClans.length === 0) {
+                await safeSendText(sock, chatJid, '*🏆 Clan Leaderboard:* No clans have been created yet. Use .clan create [name] to create one!'
+                );
+                return;
+            }
+            
+            const medals = ['🥇', '🥈', '🥉'];
+            let topText = '*🏆 Clan Leaderboard:*\n\n';
+            
+            topClans.forEach((clan, index) => {
+                topText += `${medals[index] || `${index + 1}.`} *${clan.name}*\n`;
+                topText += `   Level ${clan.level} • ${formatNumber(clan.xp)} XP\n`;
+                topText += `   Treasury: ${formatNumber(clan.treasury)} coins • Wars won: ${clan.warStats.won}\n`;
+                topText += `   Members: ${clanSystem.getMemberIds(clan).length}\n\n`;
+            });
+            
+            if (membership) {
+                const rank = clanSystem.getLeaderboard(Infinity).findIndex(clan => clan.name === membership.clan.name) + 1;
+                topText += `Your clan is ranked #${rank}.`;
+            }
+            
+            await safeSendText(sock, chatJid, topText.trim() );
+            return;
+        }
+        
         // Create a new clan
-        if (args[0].toLowerCase() === 'create') {
+        if (subcommand === 'create') {
             if (args.length < 2) {
-                await safeSendText(sock, sender, '*⚠️ Usage:* .clan create [name]'
+                await safeSendText(sock, chatJid, '*⚠️ Usage:* .clan create [name]'
                 );
                 return;
             }
             
             // Check if user is already in a clan
-            for (const [clanName, clan] of global.clanSystem.clans.entries()) {
-                if (clan.leader === sender || clan.officers.includes(sender) || clan.members.includes(sender)) {
-                    await safeSendText(sock, sender, '*❌ Error:* You are already in a clan. Leave your current clan first with .clan leave.'
-                    );
-                    return;
-                }
+            if (membership) {
+                await safeSendText(sock, chatJid, '*❌ Error:* You are already in a clan. Leave your current clan first with .clan leave.'
+                );
+                return;
             }
             
             // Check if clan name already exists
             const clanName = args.slice(1).join(' ');
             
-            if (clanName.length > 20) {
-                await safeSendText(sock, sender, '*❌ Error:* Clan name must be 20 characters or less.'
+            if (clanName.length > clanSystem.MAX_NAME_LENGTH) {
+                await safeSendText(sock, chatJid, `*❌ Error:* Clan name must be ${clanSystem.MAX_NAME_LENGTH} characters or less.`
                 );
                 return;
             }
             
-            if (global.clanSystem.clans.has(clanName.toLowerCase())) {
-                await safeSendText(sock, sender, '*❌ Error:* A clan with this name already exists. Choose a different name.'
+            if (clanSystem.getClan(clanName)) {
+                await safeSendText(sock, chatJid, '*❌ Error:* A clan with this name already exists. Choose a different name.'
                 );
                 return;
             }
             
             // Check if player has enough coins
-            const creationCost = 10000;
+            const creationCost = clanSystem.CREATION_COST;
             
             if (profile.coins < creationCost) {
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*❌ Error:* You need ${formatNumber(creationCost)} coins to create a clan. You have ${formatNumber(profile.coins)} coins.`
                 });
                 return;
             }
             
-            // Deduct creation cost
-            profile.coins -= creationCost;
-            
-            // Create clan
-            const newClan = {
-                name: clanName,
-                leader: sender,
-                officers: [],
-                members: [],
-                level: 1,
-                treasury: 0,
-                description: '',
-                createdAt: Date.now()
-            };
-            
-            global.clanSystem.clans.set(clanName.toLowerCase(), newClan);
-            
-            // Save profile
-            userProfiles.set(sender, profile);
+            // Deduct creation cost and create the clan
+            userDatabase.updateUserProfile(sender, { coins: profile.coins - creationCost });
+            clanSystem.createClan(clanName, sender);
             
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*👥 Clan Created:* You've successfully created the clan "${clanName}"!\n\nYou are the clan leader. Use .clan setdesc [text] to set a description and .clan invite @user to invite members.`
             });
             return;
         }
         
         // Join a clan
-        if (args[0].toLowerCase() === 'join') {
+        if (subcommand === 'join') {
             if (args.length < 2) {
-                await safeSendText(sock, sender, '*⚠️ Usage:* .clan join [name]'
+                await safeSendText(sock, chatJid, '*⚠️ Usage:* .clan join [name]'
                 );
                 return;
             }
             
             // Check if user is already in a clan
-            for (const [clanName, clan] of global.clanSystem.clans.entries()) {
-                if (clan.leader === sender || clan.officers.includes(sender) || clan.members.includes(sender)) {
-                    await safeSendText(sock, sender, '*❌ Error:* You are already in a clan. Leave your current clan first with .clan leave.'
-                    );
-                    return;
-                }
+            if (membership) {
+                await safeSendText(sock, chatJid, '*❌ Error:* You are already in a clan. Leave your current clan first with .clan leave.'
+                );
+                return;
             }
             
             // Find clan
-            const clanName = args.slice(1).join(' ').toLowerCase();
-            const clan = global.clanSystem.clans.get(clanName);
+            const clan = clanSystem.getClan(args.slice(1).join(' '));
             
             if (!clan) {
-                await safeSendText(sock, sender, '*❌ Error:* Clan not found. Use .clan list to see available clans.'
+                await safeSendText(sock, chatJid, '*❌ Error:* Clan not found. Use .clan list to see available clans.'
                 );
                 return;
             }
             
             // Check if clan is full
-            const memberCount = clan.members.length + clan.officers.length + 1;
-            if (memberCount >= 50) {
-                await safeSendText(sock, sender, '*❌ Error:* This clan is already at maximum capacity (50 members).'
+            if (clanSystem.getMemberIds(clan).length >= clanSystem.MAX_MEMBERS) {
+                await safeSendText(sock, chatJid, `*❌ Error:* This clan is already at maximum capacity (${clanSystem.MAX_MEMBERS} members).`
                 );
                 return;
             }
             
             // Join the clan
             clan.members.push(sender);
+            clanSystem.saveClan(clan);
             
             // Notify leader
             await safeSendMessage(sock, clan.leader, {
                 text: `*👥 Clan Update:* ${profile.name} has joined your clan!`
             });
             
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*👥 Clan Joined:* You have successfully joined the clan "${clan.name}"!`
             });
             return;
         }
         
+        // Check if user is in a clan for other commands
+        if (!membership) {
+            await safeSendText(sock, chatJid, '*❌ Error:* You are not in a clan. Use .clan list to see available clans or .clan create to create one.'
+            );
+            return;
+        }
+        
+        const { clan: userClan, key: clanKey, role: userRole } = membership;
+        
         // Leave current clan
-        if (args[0].toLowerCase() === 'leave') {
-            let userClan = null;
-            let userRole = null;
-            let clanName = null;
-            
-            for (const [name, clan] of global.clanSystem.clans.entries()) {
-                if (clan.leader === sender) {
-                    userClan = clan;
-                    userRole = 'leader';
-                    clanName = name;
-                    break;
-                } else if (clan.officers.includes(sender)) {
-                    userClan = clan;
-                    userRole = 'officer';
-                    clanName = name;
-                    break;
-                } else if (clan.members.includes(sender)) {
-                    userClan = clan;
-                    userRole = 'member';
-                    clanName = name;
-                    break;
-                }
-            }
-            
-            if (!userClan) {
-                await safeSendText(sock, sender, '*❌ Error:* You are not in a clan.'
-                );
-                return;
-            }
-            
+        if (subcommand === 'leave') {
             if (userRole === 'leader') {
-                // Leader is leaving - disband the clan or transfer leadership
-                if (userClan.officers.length > 0) {
-                    // Transfer to first officer
-                    const newLeaderId = userClan.officers[0];
-                    userClan.leader = newLeaderId;
-                    userClan.officers.splice(0, 1);
-                    
-                    // Notify new leader
-                    const newLeaderProfile = userProfiles.get(newLeaderId);
-                    await safeSendMessage(sock, newLeaderId, {
-                        text: `*👑 Leadership Transferred:* ${profile.name} has left the clan and transferred leadership to you!`
-                    });
-                    
-                    await safeSendMessage(sock, sender, {
-                        text: `*👥 Clan Left:* You have left the clan "${userClan.name}" and transferred leadership to ${newLeaderProfile ? newLeaderProfile.name : 'another member'}.`
-                    });
-                } else if (userClan.members.length > 0) {
-                    // Transfer to first member
-                    const newLeaderId = userClan.members[0];
+                // Leader is leaving - transfer leadership to the first officer, then the first member
+                const successorList = userClan.officers.length > 0 ? userClan.officers : userClan.members;
+                
+                if (successorList.length > 0) {
+                    const newLeaderId = successorList[0];
                     userClan.leader = newLeaderId;
-                    userClan.members.splice(0, 1);
+                    successorList.splice(0, 1);
+                    clanSystem.saveClan(userClan);
                     
                     // Notify new leader
                     const newLeaderProfile = userProfiles.get(newLeaderId);
@@ -2347,39 +2404,35 @@ const commands = {
                         text: `*👑 Leadership Transferred:* ${profile.name} has left the clan and transferred leadership to you!`
                     });
                     
-                    await safeSendMessage(sock, sender, {
+                    await safeSendMessage(sock, chatJid, {
                         text: `*👥 Clan Left:* You have left the clan "${userClan.name}" and transferred leadership to ${newLeaderProfile ? newLeaderProfile.name : 'another member'}.`
                     });
                 } else {
-                    // No other members, disband the clan
-                    global.clanSystem.clans.delete(clanName);
+                    // No other members, disband the clan and return the treasury to the last member
+                    clanSystem.deleteClan(userClan.name);
+                    
+                    if (userClan.treasury > 0) {
+                        userDatabase.updateUserProfile(sender, { coins: profile.coins + userClan.treasury });
+                    }
                     
-                    await safeSendMessage(sock, sender, {
-                        text: `*👥 Clan Disbanded:* As you were the only member, the clan "${userClan.name}" has been disbanded.`
+                    await safeSendMessage(sock, chatJid, {
+                        text: `*👥 Clan Disbanded:* As you were the only member, the clan "${userClan.name}" has been disbanded.${userClan.treasury > 0 ? ` The treasury (${formatNumber(userClan.treasury)} coins) has been returned to you.` : ''}`
                     });
                 }
-            } else if (userRole === 'officer') {
-                // Remove from officers
-                userClan.officers = userClan.officers.filter(id => id !== sender);
-                
-                // Notify leader
-                await safeSendMessage(sock, userClan.leader, {
-                    text: `*👥 Clan Update:* ${profile.name}, an officer, has left your clan.`
-                });
-                
-                await safeSendMessage(sock, sender, {
-                    text: `*👥 Clan Left:* You have left the clan "${userClan.name}".`
-                });
             } else {
-                // Remove from members
+                // Remove from officers or members
+                userClan.officers = userClan.officers.filter(id => id !== sender);
                 userClan.members = userClan.members.filter(id => id !== sender);
+                clanSystem.saveClan(userClan);
                 
                 // Notify leader
                 await safeSendMessage(sock, userClan.leader, {
-                    text: `*👥 Clan Update:* ${profile.name} has left your clan.`
+                    text: userRole === 'officer'
+                        ? `*👥 Clan Update:* ${profile.name}, an officer, has left your clan.`
+                        : `*👥 Clan Update:* ${profile.name} has left your clan.`
                 });
                 
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*👥 Clan Left:* You have left the clan "${userClan.name}".`
                 });
             }
@@ -2387,185 +2440,236 @@ const commands = {
             return;
         }
         
-        // Check if user is in a clan for other commands
-        let userClan = null;
-        let userRole = null;
-        let clanName = null;
-        
-        for (const [name, clan] of global.clanSystem.clans.entries()) {
-            if (clan.leader === sender) {
-                userClan = clan;
-                userRole = 'leader';
-                clanName = name;
-                break;
-            } else if (clan.officers.includes(sender)) {
-                userClan = clan;
-                userRole = 'officer';
-                clanName = name;
-                break;
-            } else if (clan.members.includes(sender)) {
-                userClan = clan;
-                userRole = 'member';
-                clanName = name;
-                break;
+        // Clan chat
+        if (subcommand === 'chat') {
+            if (args.length < 2) {
+                await safeSendText(sock, chatJid, '*⚠️ Usage:* .clan chat [message]'
+                );
+                return;
             }
-        }
-        
-        if (!userClan) {
-            await safeSendText(sock, sender, '*❌ Error:* You are not in a clan. Use .clan list to see available clans or .clan create to create one.'
+            
+            // Send message to all clan members
+            const chatMessage = `*👥 [${userClan.name} Clan Chat]*\n${profile.name}: ${args.slice(1).join(' ')}`;
+            
+            for (const memberId of clanSystem.getMemberIds(userClan)) {
+                if (memberId !== sender) {
+                    await safeSendText(sock, memberId, chatMessage );
+                }
+            }
+            
+            // Confirmation to sender
+            await safeSendText(sock, chatJid, `*👥 Message Sent:* Your message has been sent to all clan members.`
             );
             return;
         }
         
-        // Clan chat
-        if (args[0].toLowerCase() === 'chat') {
-            if (args.length < 2) {
-                await safeSendText(sock, sender, '*⚠️ Usage:* .clan chat [message]'
+        // Deposit coins into the treasury
+        if (subcommand === 'deposit') {
+            const amount = args[1]?.toLowerCase() === 'all' ? profile.coins : parseInt(args[1]);
+            
+            if (!amount || isNaN(amount) || amount <= 0) {
+                await safeSendText(sock, chatJid, '*⚠️ Usage:* .clan deposit [amount|all]'
                 );
                 return;
             }
             
-            const message = args.slice(1).join(' ');
+            const result = clanSystem.depositToTreasury(sender, amount);
             
-            // Send message to all clan members
-            const chatMessage = `*👥 [${userClan.name} Clan Chat]*\n${profile.name}: ${message}`;
+            if (!result.success) {
+                await safeSendText(sock, chatJid, `*❌ Error:* ${result.message}`
+                );
+                return;
+            }
+            
+            await safeSendMessage(sock, chatJid, {
+                text: `*🏦 Treasury Deposit:* You deposited ${formatNumber(amount)} coins into the "${userClan.name}" treasury.\n\nTreasury: ${formatNumber(result.treasury)} coins\nYour balance: ${formatNumber(result.balance)} coins`
+            });
+            return;
+        }
+        
+        // View the treasury and top contributors
+        if (subcommand === 'treasury') {
+            const contributors = Object.entries(userClan.contributions)
+                .sort(([, a], [, b]) => (b.coins || 0) - (a.coins || 0))
+                .slice(0, 10);
+            
+            let treasuryText = `*🏦 ${userClan.name} Treasury:*\n\nBalance: ${formatNumber(userClan.treasury)} coins\n\n`;
             
-            // Send to leader
-            if (userClan.leader !== sender) {
-                await safeSendText(sock, userClan.leader, chatMessage );
+            if (contributors.length > 0) {
+                treasuryText += '*Top Contributors:*\n';
+                contributors.forEach(([memberId, contribution], index) => {
+                    const memberProfile = userProfiles.get(memberId);
+                    treasuryText += `${index + 1}. ${memberProfile ? memberProfile.name : 'Unknown'} - ${formatNumber(contribution.coins || 0)} coins, ${formatNumber(contribution.xp || 0)} XP\n`;
+                });
+            } else {
+                treasuryText += 'No contributions yet. Use .clan deposit [amount] to fund your clan.';
             }
             
-            // Send to officers
-            for (const officerId of userClan.officers) {
-                if (officerId !== sender) {
-                    await safeSendText(sock, officerId, chatMessage );
+            await safeSendText(sock, chatJid, treasuryText.trim() );
+            return;
+        }
+        
+        // Clan wars
+        if (subcommand === 'war') {
+            const action = args[1]?.toLowerCase();
+            
+            // Show current war status
+            if (!action || action === 'status') {
+                const war = clanSystem.getCurrentWar(clanKey);
+                
+                if (!war) {
+                    await safeSendText(sock, chatJid, '*⚔️ Clan War:* Your clan is not at war.\n\nThe clan leader can use .clan war [name] to challenge another clan.'
+                    );
+                    return;
+                }
+                
+                const [attacker, defender] = war.clans.map(key => clanSystem.getClan(key) || { name: key });
+                
+                if (war.status === 'pending') {
+                    const expiresIn = Math.max(0, Math.floor((war.challengedAt + clanSystem.CHALLENGE_TTL_MS - Date.now()) / 1000));
+                    await safeSendText(sock, chatJid, `*⚔️ Clan War:* ${attacker.name} has challenged ${defender.name}.\n\nWaiting for ${defender.name}'s leader to answer with .clan war accept or .clan war decline (expires in ${formatTimeRemaining(expiresIn)}).`
+                    );
+                    return;
                 }
+                
+                const scores = clanSystem.getWarScores(war);
+                const [attackerScore, defenderScore] = war.clans.map(key => scores[key]);
+                const remaining = Math.max(0, Math.floor((war.endsAt - Date.now()) / 1000));
+                
+                await safeSendText(sock, chatJid, `*⚔️ Clan War: ${attacker.name} vs ${defender.name}*\n\n*${attacker.name}*: ${formatNumber(attackerScore.score)} points (${formatNumber(attackerScore.xp)} XP, ${formatNumber(attackerScore.coins)} coins)\n*${defender.name}*: ${formatNumber(defenderScore.score)} points (${formatNumber(defenderScore.xp)} XP, ${formatNumber(defenderScore.coins)} coins)\n\nTime remaining: ${formatTimeRemaining(remaining)}\n\nEarn XP and coins to score points for your clan (1 point per XP, 1 point per 10 coins).`
+                );
+                return;
             }
             
-            // Send to members
-            for (const memberId of userClan.members) {
-                if (memberId !== sender) {
-                    await safeSendText(sock, memberId, chatMessage );
+            // Answer a challenge
+            if (action === 'accept' || action === 'decline') {
+                const result = clanSystem.respondToChallenge(sender, action === 'accept', chatJid);
+                
+                if (!result.success) {
+                    await safeSendText(sock, chatJid, `*❌ Error:* ${result.message}`
+                    );
+                    return;
+                }
+                
+                const challenger = clanSystem.getClan(result.war.clans[0]);
+                const notice = action === 'accept'
+                    ? `*⚔️ War Declared!* ${userClan.name} has accepted the challenge from ${challenger ? challenger.name : 'the other clan'}. The war ends in ${formatTimeRemaining(clanSystem.WAR_DURATION_MS / 1000)}.`
+                    : `*🏳️ Challenge Declined:* ${userClan.name} has declined the war challenge from ${challenger ? challenger.name : 'the other clan'}.`;
+                
+                if (challenger) {
+                    await safeSendText(sock, challenger.leader, notice );
                 }
+                
+                await safeSendText(sock, chatJid, notice );
+                return;
             }
             
-            // Confirmation to sender
-            await safeSendText(sock, sender, `*👥 Message Sent:* Your message has been sent to all clan members.`
-            );
+            // Challenge another clan
+            const result = clanSystem.challengeClan(sender, args.slice(1).join(' '), chatJid);
+            
+            if (!result.success) {
+                await safeSendText(sock, chatJid, `*❌ Error:* ${result.message}`
+                );
+                return;
+            }
+            
+            await safeSendMessage(sock, result.target.leader, {
+                text: `*⚔️ War Challenge:* The clan "${userClan.name}" has challenged your clan "${result.target.name}" to a war!\n\nUse .clan war accept to fight or .clan war decline to refuse.`
+            });
+            
+            await safeSendMessage(sock, chatJid, {
+                text: `*⚔️ Challenge Sent:* You have challenged "${result.target.name}" to a clan war. Their leader has ${formatTimeRemaining(clanSystem.CHALLENGE_TTL_MS / 1000)} to accept.`
+            });
             return;
         }
         
         // Leader/officer commands
         if (userRole !== 'leader' && userRole !== 'officer') {
-            await safeSendText(sock, sender, '*❌ Error:* You must be a clan leader or officer to use this command.'
+            await safeSendText(sock, chatJid, '*❌ Error:* You must be a clan leader or officer to use this command.'
             );
             return;
         }
         
         // Invite a user
-        if (args[0].toLowerCase() === 'invite') {
-            if (args.length < 2) {
-                await safeSendText(sock, sender, '*⚠️ Usage:* .clan invite @user'
+        if (subcommand === 'invite') {
+            const targetId = getTargetJid(message, args[1]);
+            
+            if (!targetId) {
+                await safeSendText(sock, chatJid, '*⚠️ Usage:* .clan invite @user'
                 );
                 return;
             }
             
-            const targetId = args[1].replace('@', '') + '@s.whatsapp.net';
-            
             // Check if target has a profile
             const targetProfile = userProfiles.get(targetId);
             if (!targetProfile) {
-                await safeSendText(sock, sender, '*❌ Error:* That user doesn\'t have a profile yet.'
+                await safeSendText(sock, chatJid, '*❌ Error:* That user doesn\'t have a profile yet.'
                 );
                 return;
             }
             
             // Check if clan is full
-            const memberCount = userClan.members.length + userClan.officers.length + 1;
-            if (memberCount >= 50) {
-                await safeSendText(sock, sender, '*❌ Error:* Your clan is already at maximum capacity (50 members).'
-                );
-                return;
-            }
-            
-            // Check if user is already in the clan
-            if (userClan.leader === targetId || userClan.officers.includes(targetId) || userClan.members.includes(targetId)) {
-                await safeSendText(sock, sender, '*❌ Error:* That user is already in your clan.'
+            if (clanSystem.getMemberIds(userClan).length >= clanSystem.MAX_MEMBERS) {
+                await safeSendText(sock, chatJid, `*❌ Error:* Your clan is already at maximum capacity (${clanSystem.MAX_MEMBERS} members).`
                 );
                 return;
             }
             
-            // Check if user is in another clan
-            let targetInClan = false;
-            for (const [name, clan] of global.clanSystem.clans.entries()) {
-                if (clan.leader === targetId || clan.officers.includes(targetId) || clan.members.includes(targetId)) {
-                    targetInClan = true;
-                    break;
-                }
-            }
-            
-            if (targetInClan) {
-                await safeSendText(sock, sender, '*❌ Error:* That user is already in another clan.'
+            // Check if user is already in a clan
+            const targetMembership = clanSystem.findUserClan(targetId);
+            if (targetMembership) {
+                await safeSendText(sock, chatJid, targetMembership.key === clanKey
+                    ? '*❌ Error:* That user is already in your clan.'
+                    : '*❌ Error:* That user is already in another clan.'
                 );
                 return;
             }
             
             // Send invitation
             await safeSendMessage(sock, targetId, {
-                text: `*👥 Clan Invitation:*\n\n${profile.name} has invited you to join the clan "${userClan.name}"!\n\nUse .clan join ${clanName} to accept the invitation.`
+                text: `*👥 Clan Invitation:*\n\n${profile.name} has invited you to join the clan "${userClan.name}"!\n\nUse .clan join ${userClan.name} to accept the invitation.`
             });
             
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*👥 Invitation Sent:* You've invited ${targetProfile.name} to join your clan.`
             });
             return;
         }
         
         // Kick a member
-        if (args[0].toLowerCase() === 'kick') {
-            if (args.length < 2) {
-                await safeSendText(sock, sender, '*⚠️ Usage:* .clan kick @user'
+        if (subcommand === 'kick') {
+            const targetId = getTargetJid(message, args[1]);
+            
+            if (!targetId) {
+                await safeSendText(sock, chatJid, '*⚠️ Usage:* .clan kick @user'
                 );
                 return;
             }
             
-            const targetId = args[1].replace('@', '') + '@s.whatsapp.net';
-            
             // Check permissions
-            if (userRole === 'officer' && userClan.leader === targetId) {
-                await safeSendText(sock, sender, '*❌ Error:* You cannot kick the clan leader.'
+            if (userClan.leader === targetId) {
+                await safeSendText(sock, chatJid, '*❌ Error:* You cannot kick the clan leader.'
                 );
                 return;
             }
             
             if (userRole === 'officer' && userClan.officers.includes(targetId)) {
-                await safeSendText(sock, sender, '*❌ Error:* Officers cannot kick other officers.'
+                await safeSendText(sock, chatJid, '*❌ Error:* Officers cannot kick other officers.'
                 );
                 return;
             }
             
             // Check if target is in the clan
-            let targetRole = null;
-            if (userClan.leader === targetId) {
-                targetRole = 'leader';
-            } else if (userClan.officers.includes(targetId)) {
-                targetRole = 'officer';
-            } else if (userClan.members.includes(targetId)) {
-                targetRole = 'member';
-            }
-            
-            if (!targetRole) {
-                await safeSendText(sock, sender, '*❌ Error:* That user is not in your clan.'
+            if (!userClan.officers.includes(targetId) && !userClan.members.includes(targetId)) {
+                await safeSendText(sock, chatJid, '*❌ Error:* That user is not in your clan.'
                 );
                 return;
             }
             
             // Kick the user
-            if (targetRole === 'officer') {
-                userClan.officers = userClan.officers.filter(id => id !== targetId);
-            } else {
-                userClan.members = userClan.members.filter(id => id !== targetId);
-            }
+            userClan.officers = userClan.officers.filter(id => id !== targetId);
+            userClan.members = userClan.members.filter(id => id !== targetId);
+            clanSystem.saveClan(userClan);
             
             // Get target name
             const targetProfile = userProfiles.get(targetId);
@@ -2576,7 +2680,7 @@ const commands = {
                 text: `*👥 Clan Notification:* You have been removed from the clan "${userClan.name}" by ${profile.name}.`
             });
             
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*👥 Member Removed:* You have removed ${targetName} from your clan.`
             });
             return;
@@ -2584,24 +2688,48 @@ const commands = {
         
         // Leader-only commands
         if (userRole !== 'leader') {
-            await safeSendText(sock, sender, '*❌ Error:* You must be the clan leader to use this command.'
+            await safeSendText(sock, chatJid, '*❌ Error:* You must be the clan leader to use this command.'
             );
             return;
         }
         
-        // Promote a member to officer
-        if (args[0].toLowerCase() === 'promote') {
-            if (args.length < 2) {
-                await safeSendText(sock, sender, '*⚠️ Usage:* .clan promote @user'
+        // Withdraw coins from the treasury
+        if (subcommand === 'withdraw') {
+            const amount = parseInt(args[1]);
+            
+            if (!amount || isNaN(amount) || amount <= 0) {
+                await safeSendText(sock, chatJid, '*⚠️ Usage:* .clan withdraw [amount]'
                 );
                 return;
             }
             
-            const targetId = args[1].replace('@', '') + '@s.whatsapp.net';
+            const result = clanSystem.withdrawFromTreasury(sender, amount);
+            
+            if (!result.success) {
+                await safeSendText(sock, chatJid, `*❌ Error:* ${result.message}`
+                );
+                return;
+            }
+            
+            await safeSendMessage(sock, chatJid, {
+                text: `*🏦 Treasury Withdrawal:* You withdrew ${formatNumber(amount)} coins from the "${userClan.name}" treasury.\n\nTreasury: ${formatNumber(result.treasury)} coins\nYour balance: ${formatNumber(result.balance)} coins`
+            });
+            return;
+        }
+        
+        // Promote a member to officer
+        if (subcommand === 'promote') {
+            const targetId = getTargetJid(message, args[1]);
+            
+            if (!targetId) {
+                await safeSendText(sock, chatJid, '*⚠️ Usage:* .clan promote @user'
+                );
+                return;
+            }
             
             // Check if target is a member
             if (!userClan.members.includes(targetId)) {
-                await safeSendText(sock, sender, '*❌ Error:* That user is not a member of your clan or is already an officer.'
+                await safeSendText(sock, chatJid, '*❌ Error:* That user is not a member of your clan or is already an officer.'
                 );
                 return;
             }
@@ -2609,6 +2737,7 @@ const commands = {
             // Promote to officer
             userClan.members = userClan.members.filter(id => id !== targetId);
             userClan.officers.push(targetId);
+            clanSystem.saveClan(userClan);
             
             // Get target name
             const targetProfile = userProfiles.get(targetId);
@@ -2619,25 +2748,25 @@ const commands = {
                 text: `*👥 Clan Promotion:* You have been promoted to officer in the clan "${userClan.name}"!`
             });
             
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*👥 Member Promoted:* You have promoted ${targetName} to officer.`
             });
             return;
         }
         
         // Demote an officer to member
-        if (args[0].toLowerCase() === 'demote') {
-            if (args.length < 2) {
-                await safeSendText(sock, sender, '*⚠️ Usage:* .clan demote @user'
+        if (subcommand === 'demote') {
+            const targetId = getTargetJid(message, args[1]);
+            
+            if (!targetId) {
+                await safeSendText(sock, chatJid, '*⚠️ Usage:* .clan demote @user'
                 );
                 return;
             }
             
-            const targetId = args[1].replace('@', '') + '@s.whatsapp.net';
-            
             // Check if target is an officer
             if (!userClan.officers.includes(targetId)) {
-                await safeSendText(sock, sender, '*❌ Error:* That user is not an officer in your clan.'
+                await safeSendText(sock, chatJid, '*❌ Error:* That user is not an officer in your clan.'
                 );
                 return;
             }
@@ -2645,6 +2774,7 @@ const commands = {
             // Demote to member
             userClan.officers = userClan.officers.filter(id => id !== targetId);
             userClan.members.push(targetId);
+            clanSystem.saveClan(userClan);
             
             // Get target name
             const targetProfile = userProfiles.get(targetId);
@@ -2655,16 +2785,16 @@ const commands = {
                 text: `*👥 Clan Demotion:* You have been demoted from officer to member in the clan "${userClan.name}".`
             });
             
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*👥 Officer Demoted:* You have demoted ${targetName} to member.`
             });
             return;
         }
         
         // Set clan description
-        if (args[0].toLowerCase() === 'setdesc') {
+        if (subcommand === 'setdesc') {
             if (args.length < 2) {
-                await safeSendText(sock, sender, '*⚠️ Usage:* .clan setdesc [description]'
+                await safeSendText(sock, chatJid, '*⚠️ Usage:* .clan setdesc [description]'
                 );
                 return;
             }
@@ -2672,28 +2802,31 @@ const commands = {
             const description = args.slice(1).join(' ');
             
             if (description.length > 200) {
-                await safeSendText(sock, sender, '*❌ Error:* Clan description must be 200 characters or less.'
+                await safeSendText(sock, chatJid, '*❌ Error:* Clan description must be 200 characters or less.'
                 );
                 return;
             }
             
             // Set description
             userClan.description = description;
+            clanSystem.saveClan(userClan);
             
-            await safeSendText(sock, sender, `*👥 Description Updated:* You have updated your clan's description.`
+            await safeSendText(sock, chatJid, `*👥 Description Updated:* You have updated your clan's description.`
             );
             return;
         }
         
         // Unknown command
-        await safeSendText(sock, sender, '*⚠️ Usage:* .clan [list|create|join|leave|chat|invite|kick|promote|demote|setdesc]'
+        await safeSendText(sock, chatJid, '*⚠️ Usage:* .clan [list|top|create|join|leave|chat|deposit|treasury|withdraw|war|invite|kick|promote|demote|setdesc]'
         );
     },
     
     category: 'user',
     // 7. Additional RPG features
-    async hunt(sock, sender, args) {
-        const profile = await getUserProfile(sock, sender);
+    async hunt(sock, message, args) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         // Check cooldown (1 hour)
@@ -2702,7 +2835,7 @@ const commands = {
         
         if (Date.now() - lastHunt < cooldown) {
             const timeLeft = Math.ceil((lastHunt + cooldown - Date.now()) / 1000);
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*⏳ Cooldown:* You need to rest after your last hunt! Try again in ${formatTimeRemaining(timeLeft)}.`
             });
             return;
@@ -2751,11 +2884,11 @@ const commands = {
             profile.coins += selectedAnimal.reward.coins;
             
             // Create success message
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*🏹 Hunt Successful!*\n\nYou successfully hunted a ${selectedAnimal.name}!\n\n*Rewards:*\n• ${selectedAnimal.reward.leather}x leather\n• ${selectedAnimal.reward.coins} coins\n\n*Current balance:* ${formatNumber(profile.coins)} coins`
             });
         } else {
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*🏹 Hunt Failed!*\n\nYou tried to hunt a ${selectedAnimal.name}, but it escaped!\n\n*Current balance:* ${formatNumber(profile.coins)} coins`
             });
         }
@@ -2764,8 +2897,10 @@ const commands = {
         userProfiles.set(sender, profile);
     },
     
-    async farm(sock, sender, args) {
-        const profile = await getUserProfile(sock, sender);
+    async farm(sock, message, args) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         // Initialize farm data if not exists
@@ -2808,7 +2943,7 @@ const commands = {
                     }
                 }
                 
-                await safeSendText(sock, sender, farmStatus );
+                await safeSendText(sock, chatJid, farmStatus );
                 break;
                 
             case 'plant':
@@ -2818,7 +2953,7 @@ const commands = {
                         cropsList += `• ${crop.name} - Growth: ${crop.growTime}m, Value: ${crop.value} coins, Seed Cost: ${crop.seedCost} coins\n`;
                     });
                     
-                    await safeSendMessage(sock, sender, {
+                    await safeSendMessage(sock, chatJid, {
                         text: `*⚠️ Usage:* .farm plant [crop name]\n\n${cropsList}`
                     });
                     return;
@@ -2828,21 +2963,21 @@ const commands = {
                 const cropInfo = crops.find(c => c.name.toLowerCase() === cropName);
                 
                 if (!cropInfo) {
-                    await safeSendText(sock, sender, '*❌ Error:* Invalid crop name. Use .farm plant to see available crops.'
+                    await safeSendText(sock, chatJid, '*❌ Error:* Invalid crop name. Use .farm plant to see available crops.'
                     );
                     return;
                 }
                 
                 // Check if there's an available plot
                 if (profile.farm.crops.length >= profile.farm.plots) {
-                    await safeSendText(sock, sender, '*❌ Error:* All plots are occupied. Harvest crops or buy more plots.'
+                    await safeSendText(sock, chatJid, '*❌ Error:* All plots are occupied. Harvest crops or buy more plots.'
                     );
                     return;
                 }
                 
                 // Check if user has enough coins
                 if (profile.coins < cropInfo.seedCost) {
-                    await safeSendMessage(sock, sender, {
+                    await safeSendMessage(sock, chatJid, {
                         text: `*❌ Error:* You don't have enough coins to buy ${cropInfo.name} seeds. You need ${cropInfo.seedCost} coins.`
                     });
                     return;
@@ -2855,14 +2990,14 @@ const commands = {
                     plantedAt: Date.now()
                 });
                 
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*🌱 Crop Planted!*\n\nYou planted ${cropInfo.name} seeds.\nGrowing time: ${cropInfo.growTime} minutes\nHarvest value: ${cropInfo.value} coins\n\nCurrent balance: ${formatNumber(profile.coins)} coins`
                 });
                 break;
                 
             case 'harvest':
                 if (profile.farm.crops.length === 0) {
-                    await safeSendText(sock, sender, '*❌ Error:* You don\'t have any crops to harvest.'
+                    await safeSendText(sock, chatJid, '*❌ Error:* You don\'t have any crops to harvest.'
                     );
                     return;
                 }
@@ -2897,7 +3032,7 @@ const commands = {
                 }
                 
                 if (harvestedCrops.length === 0) {
-                    await safeSendText(sock, sender, '*❌ Error:* None of your crops are ready to harvest yet.'
+                    await safeSendText(sock, chatJid, '*❌ Error:* None of your crops are ready to harvest yet.'
                     );
                     return;
                 }
@@ -2908,7 +3043,7 @@ const commands = {
                 
                 harvestMessage += `\n*Total harvest value:* ${formatNumber(totalValue)} coins\n*Current balance:* ${formatNumber(profile.coins)} coins`;
                 
-                await safeSendText(sock, sender, harvestMessage
+                await safeSendText(sock, chatJid, harvestMessage
                 );
                 break;
                 
@@ -2918,7 +3053,7 @@ const commands = {
                 const upgradeCost = basePlotPrice * profile.farm.plots;
                 
                 if (args.length < 2 || args[1].toLowerCase() !== 'confirm') {
-                    await safeSendMessage(sock, sender, {
+                    await safeSendMessage(sock, chatJid, {
                         text: `*🌾 Farm Upgrade:*\n\nCurrent plots: ${profile.farm.plots}\nUpgrade cost: ${formatNumber(upgradeCost)} coins\n\nTo confirm, use: .farm upgrade confirm`
                     });
                     return;
@@ -2926,7 +3061,7 @@ const commands = {
                 
                 // Check if user has enough coins
                 if (profile.coins < upgradeCost) {
-                    await safeSendMessage(sock, sender, {
+                    await safeSendMessage(sock, chatJid, {
                         text: `*❌ Error:* You don't have enough coins for this upgrade. You need ${formatNumber(upgradeCost)} coins.`
                     });
                     return;
@@ -2936,13 +3071,13 @@ const commands = {
                 profile.coins -= upgradeCost;
                 profile.farm.plots += 1;
                 
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*🌾 Farm Upgraded!*\n\nYou purchased a new plot of land!\nTotal plots: ${profile.farm.plots}\n\nCurrent balance: ${formatNumber(profile.coins)} coins`
                 });
                 break;
                 
             default:
-                await safeSendText(sock, sender, '*⚠️ Usage:* .farm [status|plant|harvest|upgrade]\n\n• status - View your farm\n• plant [crop] - Plant seeds\n• harvest - Harvest ready crops\n• upgrade - Buy more plots'
+                await safeSendText(sock, chatJid, '*⚠️ Usage:* .farm [status|plant|harvest|upgrade]\n\n• status - View your farm\n• plant [crop] - Plant seeds\n• harvest - Harvest ready crops\n• upgrade - Buy more plots'
                 );
         }
         
@@ -2950,8 +3085,10 @@ const commands = {
         userProfiles.set(sender, profile);
     },
     
-    async adventure(sock, sender, args) {
-        const profile = await getUserProfile(sock, sender);
+    async adventure(sock, message, args) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         // Check cooldown (3 hours)
@@ -2960,7 +3097,7 @@ const commands = {
         
         if (Date.now() - lastAdventure < cooldown) {
             const timeLeft = Math.ceil((lastAdventure + cooldown - Date.now()) / 1000);
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*⏳ Cooldown:* You're still tired from your last adventure! Try again in ${formatTimeRemaining(timeLeft)}.`
             });
             return;
@@ -2976,14 +3113,14 @@ const commands = {
             });
             locationList += 'Use .adventure [location] to start an adventure!';
             
-            await safeSendText(sock, sender, locationList );
+            await safeSendText(sock, chatJid, locationList );
             return;
         } else {
             const locationName = args.join(' ');
             location = adventureLocations.find(l => l.name.toLowerCase() === locationName.toLowerCase());
             
             if (!location) {
-                await safeSendText(sock, sender, '*❌ Error:* Invalid location. Use .adventure to see available locations.'
+                await safeSendText(sock, chatJid, '*❌ Error:* Invalid location. Use .adventure to see available locations.'
                 );
                 return;
             }
@@ -3108,13 +3245,13 @@ const commands = {
                     }
                     
                     // Send quest completion message
-                    await safeSendMessage(sock, sender, {
+                    await safeSendMessage(sock, chatJid, {
                         text: `*🏆 Quest Completed: ${legendaryQuest.name}!*\n\nYou have completed 5 adventures and earned:\n• ${legendaryQuest.reward.coins} coins\n• ${legendaryQuest.reward.xp} XP\n• 1x Golden Amulet (Legendary Item)`
                     });
                 }
             }
             
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*🗺️ Adventure Success!*\n\n${scenario}\n\n*Rewards:*\n${rewardsMessage}• ${bonusCoins} coins\n• ${xpReward} XP\n\n*Total value:* ${formatNumber(totalValue)} coins\n*Current balance:* ${formatNumber(profile.coins)} coins`
             });
         } else {
@@ -3128,7 +3265,7 @@ const commands = {
             
             const scenario = failureScenarios[Math.floor(Math.random() * failureScenarios.length)];
             
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*🗺️ Adventure Failed!*\n\n${scenario}\n\nTry again later or choose an easier location.`
             });
         }
@@ -3137,8 +3274,10 @@ const commands = {
         userProfiles.set(sender, profile);
     },
     
-    async quest(sock, sender, args) {
-        const profile = await getUserProfile(sock, sender);
+    async quest(sock, message, args) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         // Initialize if needed
@@ -3170,14 +3309,14 @@ const commands = {
             
             questList += 'Use .quest claim [quest_id] to claim rewards when requirements are met.';
             
-            await safeSendText(sock, sender, questList );
+            await safeSendText(sock, chatJid, questList );
             return;
         }
         
         // Claim quest rewards
         if (args[0].toLowerCase() === 'claim') {
             if (args.length < 2) {
-                await safeSendText(sock, sender, '*⚠️ Usage:* .quest claim [quest_id]\n\nUse .quest to see available quests.'
+                await safeSendText(sock, chatJid, '*⚠️ Usage:* .quest claim [quest_id]\n\nUse .quest to see available quests.'
                 );
                 return;
             }
@@ -3186,14 +3325,14 @@ const commands = {
             const quest = quests.find(q => q.id.toLowerCase() === questId);
             
             if (!quest) {
-                await safeSendText(sock, sender, '*❌ Error:* Invalid quest ID. Use .quest to see available quests.'
+                await safeSendText(sock, chatJid, '*❌ Error:* Invalid quest ID. Use .quest to see available quests.'
                 );
                 return;
             }
             
             // Check if already completed
             if (profile.completedQuests.includes(quest.id)) {
-                await safeSendText(sock, sender, '*❌ Error:* You have already completed this quest.'
+                await safeSendText(sock, chatJid, '*❌ Error:* You have already completed this quest.'
                 );
                 return;
             }
@@ -3218,7 +3357,7 @@ const commands = {
             }
             
             if (!meetsRequirements) {
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*❌ Quest Requirements Not Met:*\n\nYou are missing the following:\n• ${missingRequirements.join('\n• ')}`
                 });
                 return;
@@ -3252,7 +3391,7 @@ const commands = {
                 rewardText += `\n• ${amount}x ${item}${description ? ` (${description})` : ''}`;
             });
             
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*🏆 Quest Completed: ${quest.name}!*\n\nYou have successfully completed the quest and earned:\n${rewardText}\n\nCurrent balance: ${formatNumber(profile.coins)} coins`
             });
             
@@ -3261,8 +3400,10 @@ const commands = {
         }
     },
     
-    async shop(sock, sender, args) {
-        const profile = await getUserProfile(sock, sender);
+    async shop(sock, message, args) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         // Shop items
@@ -3288,14 +3429,14 @@ const commands = {
             
             shopList += '\nUse .shop buy [item] to purchase an item.';
             
-            await safeSendText(sock, sender, shopList );
+            await safeSendText(sock, chatJid, shopList );
             return;
         }
         
         // Buy command
         if (args[0].toLowerCase() === 'buy') {
             if (args.length < 2) {
-                await safeSendText(sock, sender, '*⚠️ Usage:* .shop buy [item]\n\nUse .shop to see available items.'
+                await safeSendText(sock, chatJid, '*⚠️ Usage:* .shop buy [item]\n\nUse .shop to see available items.'
                 );
                 return;
             }
@@ -3304,14 +3445,14 @@ const commands = {
             const item = shopItems.find(i => i.id.toLowerCase() === itemId);
             
             if (!item) {
-                await safeSendText(sock, sender, '*❌ Error:* Invalid item. Use .shop to see available items.'
+                await safeSendText(sock, chatJid, '*❌ Error:* Invalid item. Use .shop to see available items.'
                 );
                 return;
             }
             
             // Check if user has enough coins
             if (profile.coins < item.price) {
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*❌ Error:* You don't have enough coins to buy ${item.id}. You need ${formatNumber(item.price)} coins.`
                 });
                 return;
@@ -3322,19 +3463,14 @@ const commands = {
             
             // Special item handling
             if (item.id === 'lottery_ticket') {
-                // Add to lottery participants
-                if (!lotteryParticipants.has(sender)) {
-                    lotteryParticipants.set(sender, 0);
-                }
-                
-                // Increment tickets
-                lotteryParticipants.set(sender, lotteryParticipants.get(sender) + 1);
-                
                 // Deduct coins
                 profile.coins -= item.price;
                 
-                await safeSendMessage(sock, sender, {
-                    text: `*🎟️ Lottery Ticket Purchased!*\n\nYou have purchased a lottery ticket for ${formatNumber(item.price)} coins.\n\nThe next lottery drawing will occur soon. Good luck!\n\nCurrent balance: ${formatNumber(profile.coins)} coins`
+                // Record the ticket in the lottery ledger
+                lotterySystem.buyTickets(sender, chatJid, 1);
+                
+                await safeSendMessage(sock, chatJid, {
+                    text: `*🎟️ Lottery Ticket Purchased!*\n\nYou have purchased a lottery ticket for ${formatNumber(item.price)} coins.\n\n${formatNextDraw()} Good luck!\n\nCurrent balance: ${formatNumber(profile.coins)} coins`
                 });
             } else if (item.id === 'gift_box') {
                 // Random rewards from gift box
@@ -3381,7 +3517,7 @@ const commands = {
                 // Deduct price
                 profile.coins -= item.price;
                 
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*🎁 Gift Box Opened!*\n\nYou opened a gift box and found:\n${rewardsText}\nCurrent balance: ${formatNumber(profile.coins)} coins`
                 });
             } else if (item.id === 'xp_booster') {
@@ -3396,7 +3532,7 @@ const commands = {
                 // Deduct coins
                 profile.coins -= item.price;
                 
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*🔥 XP Booster Activated!*\n\nYour XP booster will be active for 24 hours, doubling all XP gains!\n\nCurrent balance: ${formatNumber(profile.coins)} coins`
                 });
             } else {
@@ -3404,7 +3540,7 @@ const commands = {
                 profile.inventory[item.id] = (profile.inventory[item.id] || 0) + 1;
                 profile.coins -= item.price;
                 
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*🛒 Item Purchased!*\n\nYou bought 1x ${item.id} for ${formatNumber(item.price)} coins.\n\nCurrent balance: ${formatNumber(profile.coins)} coins`
                 });
             }
@@ -3414,8 +3550,10 @@ const commands = {
         }
     },
     
-    async stats(sock, sender, args) {
-        const profile = await getUserProfile(sock, sender);
+    async stats(sock, message, args) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         let target = sender;
@@ -3429,7 +3567,7 @@ const commands = {
             // Check if user exists
             const targetProfile = userProfiles.get(mentionedUser);
             if (!targetProfile) {
-                await safeSendText(sock, sender, '*❌ Error:* User not found or not registered.'
+                await safeSendText(sock, chatJid, '*❌ Error:* User not found or not registered.'
                 );
                 return;
             }
@@ -3473,11 +3611,13 @@ const commands = {
         statsMessage += `*Crimes:* ${targetProfile.crimeCount || 0}\n`;
         statsMessage += `*Quests Completed:* ${targetProfile.completedQuests ? targetProfile.completedQuests.length : 0}\n`;
         
-        await safeSendText(sock, sender, statsMessage );
+        await safeSendText(sock, chatJid, statsMessage );
     },
     
-    async hourly(sock, sender) {
-        const profile = await getUserProfile(sock, sender);
+    async hourly(sock, message) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         // Check cooldown
@@ -3486,7 +3626,7 @@ const commands = {
         
         if (Date.now() - lastHourly < cooldown) {
             const timeLeft = Math.ceil((lastHourly + cooldown - Date.now()) / 1000);
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*⏳ Cooldown:* You can claim your hourly reward in ${formatTimeRemaining(timeLeft)}.`
             });
             return;
@@ -3521,13 +3661,15 @@ const commands = {
         // Save profile
         userProfiles.set(sender, profile);
         
-        await safeSendMessage(sock, sender, {
+        await safeSendMessage(sock, chatJid, {
             text: `*⏰ Hourly Reward Claimed!*\n\nYou received ${formatNumber(totalReward)} coins!\n\n• Base: ${baseReward} coins\n• Level Bonus: ${levelBonus} coins\n• Streak Bonus (${profile.hourlyStreak.count}): ${streakBonus} coins\n\nCurrent balance: ${formatNumber(profile.coins)} coins\nCome back in 1 hour for your next reward!`
         });
     },
     
-    async weekly(sock, sender) {
-        const profile = await getUserProfile(sock, sender);
+    async weekly(sock, message) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         // Check cooldown
@@ -3536,7 +3678,7 @@ const commands = {
         
         if (Date.now() - lastWeekly < cooldown) {
             const timeLeft = Math.ceil((lastWeekly + cooldown - Date.now()) / 1000);
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*⏳ Cooldown:* You can claim your weekly reward in ${formatTimeRemaining(timeLeft)}.`
             });
             return;
@@ -3584,74 +3726,99 @@ const commands = {
         // Save profile
         userProfiles.set(sender, profile);
         
-        await safeSendMessage(sock, sender, {
+        await safeSendMessage(sock, chatJid, {
             text: `*📅 Weekly Reward Claimed!*\n\nYou received ${formatNumber(totalReward)} coins and 1x ${selectedItem}!\n\n• Base: ${baseReward} coins\n• Level Bonus: ${levelBonus} coins\n\nCurrent balance: ${formatNumber(profile.coins)} coins\nCome back in 7 days for your next weekly reward!`
         });
     },
     
-    async lottery(sock, sender, args) {
-        const profile = await getUserProfile(sock, sender);
-        if (!profile) return;
+    async lottery(sock, message, args) {
+        const chatJid = message.key.remoteJid;
+        const sender = message.key.participant || chatJid;
+        const profile = userProfiles.get(sender);
+        
+        if (!profile) {
+            await safeSendText(sock, chatJid, '*❌ Error:* You need to register first! Use .register to create a profile.'
+            );
+            return;
+        }
+        
+        const action = args.length > 0 ? args[0].toLowerCase() : 'info';
         
         // Command to buy tickets
-        if (args.length > 0 && args[0].toLowerCase() === 'buy') {
-            const ticketPrice = 100;
+        if (action === 'buy') {
             const count = args.length > 1 && !isNaN(parseInt(args[1])) ? parseInt(args[1]) : 1;
             
-            if (count < 1) {
-                await safeSendText(sock, sender, '*❌ Error:* Please specify a valid number of tickets to buy.'
+            if (count < 1 || count > lotterySystem.MAX_TICKETS_PER_PURCHASE) {
+                await safeSendText(sock, chatJid, `*❌ Error:* Please specify between 1 and ${lotterySystem.MAX_TICKETS_PER_PURCHASE} tickets.`
                 );
                 return;
             }
             
-            const totalCost = ticketPrice * count;
+            const totalCost = lotterySystem.TICKET_PRICE * count;
             
             // Check if user has enough coins
             if (profile.coins < totalCost) {
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*❌ Error:* You don't have enough coins to buy ${count} lottery tickets. You need ${formatNumber(totalCost)} coins.`
                 });
                 return;
             }
             
-            // Add tickets to user
-            if (!lotteryParticipants.has(sender)) {
-                lotteryParticipants.set(sender, 0);
+            // Deduct coins and record the tickets in the ledger
+            userDatabase.updateUserProfile(sender, { coins: profile.coins - totalCost });
+            const { tickets, pool } = lotterySystem.buyTickets(sender, chatJid, count);
+            
+            if (addAchievement(profile, 'lottery')) {
+                userDatabase.updateUserProfile(sender, { achievements: profile.achievements });
             }
             
-            lotteryParticipants.set(sender, lotteryParticipants.get(sender) + count);
+            await safeSendMessage(sock, chatJid, {
+                text: `*🎟️ Lottery Tickets Purchased!*\n\nYou bought ${count} lottery ticket${count > 1 ? 's' : ''} for ${formatNumber(totalCost)} coins.\n\nYou now have ${tickets} ticket${tickets > 1 ? 's' : ''}.\nPrize pool: ${formatNumber(pool)} coins\n\nCurrent balance: ${formatNumber(profile.coins)} coins\n\n${formatNextDraw()} Good luck!`
+            });
+            return;
+        }
+        
+        // Show past draws
+        if (action === 'history') {
+            const draws = lotterySystem.getHistory(10);
+            
+            if (draws.length === 0) {
+                await safeSendText(sock, chatJid, '*📜 Lottery History:*\n\nNo draws have taken place yet.'
+                );
+                return;
+            }
             
-            // Deduct coins
-            profile.coins -= totalCost;
-            userProfiles.set(sender, profile);
+            const lines = draws.map((draw, index) => 
+                `${index + 1}. ${moment(draw.drawnAt).format('YYYY-MM-DD HH:mm')} - @${draw.winner.split('@')[0]}\n` +
+                `   Prize: ${formatNumber(draw.pool)} coins (${draw.winnerTickets}/${draw.totalTickets} tickets)`
+            );
             
-            await safeSendMessage(sock, sender, {
-                text: `*🎟️ Lottery Tickets Purchased!*\n\nYou bought ${count} lottery ticket${count > 1 ? 's' : ''} for ${formatNumber(totalCost)} coins.\n\nYou now have ${lotteryParticipants.get(sender)} ticket${lotteryParticipants.get(sender) > 1 ? 's' : ''}.\n\nCurrent balance: ${formatNumber(profile.coins)} coins\n\nThe lottery drawing happens every 24 hours. Good luck!`
+            await safeSendMessage(sock, chatJid, {
+                text: `*📜 Lottery History:*\n\n${lines.join('\n\n')}`,
+                mentions: [...new Set(draws.map(draw => draw.winner))]
             });
             return;
         }
         
         // Show lottery info
-        // Calculate global totals
-        let totalTickets = 0;
-        let poolAmount = 0;
-        
-        lotteryParticipants.forEach((tickets, userId) => {
-            totalTickets += tickets;
-            poolAmount += tickets * 80; // 80% of ticket price goes to pool
-        });
-        
-        // User's tickets
-        const userTickets = lotteryParticipants.get(sender) || 0;
+        const { totalTickets, pool, participants } = lotterySystem.getPoolInfo();
+        const userTickets = lotterySystem.getUserTickets(sender);
         const winChance = totalTickets > 0 ? (userTickets / totalTickets) * 100 : 0;
-        
-        await safeSendMessage(sock, sender, {
-            text: `*🎲 Lottery Information:*\n\nTicket Price: 100 coins\nCurrent Prize Pool: ${formatNumber(poolAmount)} coins\nTotal Tickets: ${totalTickets}\n\nYour Tickets: ${userTickets}\nWin Chance: ${winChance.toFixed(2)}%\n\nUse .lottery buy [count] to purchase tickets.\nThe lottery drawing happens every 24 hours.\nLast winner: ${global.lastLotteryWinner || 'None yet'}`
+        const [lastDraw] = lotterySystem.getHistory(1);
+        const lastWinner = lastDraw
+            ? `@${lastDraw.winner.split('@')[0]} (${formatNumber(lastDraw.pool)} coins)`
+            : 'None yet';
+        
+        await safeSendMessage(sock, chatJid, {
+            text: `*🎲 Lottery Information:*\n\nTicket Price: ${lotterySystem.TICKET_PRICE} coins\nCurrent Prize Pool: ${formatNumber(pool)} coins\nTotal Tickets: ${totalTickets}\nParticipants: ${participants}\n\nYour Tickets: ${userTickets}\nWin Chance: ${winChance.toFixed(2)}%\n\n${formatNextDraw()}\nLast winner: ${lastWinner}\n\nUse .lottery buy [count] to purchase tickets.\nUse .lottery history to see past draws.`,
+            mentions: lastDraw ? [lastDraw.winner] : []
         });
     },
     
-    async recipe(sock, sender, args) {
-        const profile = await getUserProfile(sock, sender);
+    async recipe(sock, message, args) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         if (args.length === 0) {
@@ -3676,7 +3843,7 @@ const commands = {
             
             recipeList += 'Use .recipe [item] to see detailed information about a specific recipe.';
             
-            await safeSendText(sock, sender, recipeList );
+            await safeSendText(sock, chatJid, recipeList );
             return;
         }
         
@@ -3686,7 +3853,7 @@ const commands = {
             .find(([id, _]) => id.toLowerCase() === itemId);
         
         if (!itemInfo || !itemInfo[1].recipe) {
-            await safeSendText(sock, sender, '*❌ Error:* Recipe not found. Use .recipe to see available recipes.'
+            await safeSendText(sock, chatJid, '*❌ Error:* Recipe not found. Use .recipe to see available recipes.'
             );
             return;
         }
@@ -3712,17 +3879,19 @@ const commands = {
                 .join('\n• ');
         }
         
-        await safeSendMessage(sock, sender, {
+        await safeSendMessage(sock, chatJid, {
             text: `*📜 Recipe: ${id}*\n\n*Description:* ${item.description}\n*Value:* ${item.value} coins\n\n*Required Materials:*\n• ${materialsText}${effectsText}\n\nUse .craft ${id} to craft this item.`
         });
     },
     
-    async dicebet(sock, sender, args) {
-        const profile = await getUserProfile(sock, sender);
+    async dicebet(sock, message, args) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         if (args.length < 2) {
-            await safeSendText(sock, sender, '*⚠️ Usage:* .dicebet [amount] [number 1-6]\n\nPlace a bet on a dice roll. If you guess correctly, you win 5x your bet!'
+            await safeSendText(sock, chatJid, '*⚠️ Usage:* .dicebet [amount] [number 1-6]\n\nPlace a bet on a dice roll. If you guess correctly, you win 5x your bet!'
             );
             return;
         }
@@ -3733,13 +3902,13 @@ const commands = {
         
         // Validate bet amount
         if (isNaN(betAmount) || betAmount < 10) {
-            await safeSendText(sock, sender, '*❌ Error:* Minimum bet amount is 10 coins.'
+            await safeSendText(sock, chatJid, '*❌ Error:* Minimum bet amount is 10 coins.'
             );
             return;
         }
         
         if (betAmount > profile.coins) {
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*❌ Error:* You don't have enough coins for this bet. You have ${formatNumber(profile.coins)} coins.`
             });
             return;
@@ -3747,7 +3916,7 @@ const commands = {
         
         // Validate bet number
         if (isNaN(betNumber) || betNumber < 1 || betNumber > 6) {
-            await safeSendText(sock, sender, '*❌ Error:* Please bet on a number between 1 and 6.'
+            await safeSendText(sock, chatJid, '*❌ Error:* Please bet on a number between 1 and 6.'
             );
             return;
         }
@@ -3763,14 +3932,14 @@ const commands = {
             const winAmount = betAmount * 5;
             profile.coins += (winAmount - betAmount); // Subtract the original bet since we're adding the win
             
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*🎲 Dice Bet - YOU WON!*\n\nYou bet ${formatNumber(betAmount)} coins on ${betNumber}.\nDice rolled: ${diceRoll}\n\nYou won ${formatNumber(winAmount)} coins!\nCurrent balance: ${formatNumber(profile.coins)} coins`
             });
         } else {
             // Lose
             profile.coins -= betAmount;
             
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*🎲 Dice Bet - You Lost*\n\nYou bet ${formatNumber(betAmount)} coins on ${betNumber}.\nDice rolled: ${diceRoll}\n\nYou lost ${formatNumber(betAmount)} coins.\nCurrent balance: ${formatNumber(profile.coins)} coins`
             });
         }
@@ -3783,8 +3952,10 @@ const commands = {
         userProfiles.set(sender, profile);
     },
     
-    async pets(sock, sender, args) {
-        const profile = await getUserProfile(sock, sender);
+    async pets(sock, message, args) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         // Default to showing pet info
@@ -3803,7 +3974,7 @@ const commands = {
                 
                 petsList += '\nUse .pets adopt [pet name] to adopt a pet!';
                 
-                await safeSendText(sock, sender, petsList );
+                await safeSendText(sock, chatJid, petsList );
                 return;
             }
             
@@ -3811,7 +3982,7 @@ const commands = {
             const petType = petTypes.find(p => p.name.toLowerCase() === pet.type.toLowerCase());
             
             if (!petType) {
-                await safeSendText(sock, sender, '*❌ Error:* Your pet data is corrupted. Please contact an administrator.'
+                await safeSendText(sock, chatJid, '*❌ Error:* Your pet data is corrupted. Please contact an administrator.'
                 );
                 return;
             }
@@ -3847,7 +4018,7 @@ const commands = {
             const hungerBar = createBar(hunger);
             const loyaltyBar = createBar(pet.loyalty, 100);
             
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*🐾 Your Pet: ${pet.name} (${pet.type})*\n\n*Happiness:* ${happinessBar} ${happiness.toFixed(1)}/10\n*Health:* ${healthBar} ${health.toFixed(1)}/10\n*Hunger:* ${hungerBar} ${hunger.toFixed(1)}/10\n*Loyalty:* ${loyaltyBar} ${pet.loyalty.toFixed(1)}/100\n\nCommands:\n• .pets feed - Feed your pet (-hunger, +happiness)\n• .pets play - Play with your pet (+happiness)\n• .pets heal - Heal your pet (+health)\n• .pets rename [name] - Rename your pet`
             });
             
@@ -3861,14 +4032,14 @@ const commands = {
             case 'adopt':
                 // Adopt a pet
                 if (args.length < 2) {
-                    await safeSendText(sock, sender, '*⚠️ Usage:* .pets adopt [pet name]\n\nUse .pets to see available pets.'
+                    await safeSendText(sock, chatJid, '*⚠️ Usage:* .pets adopt [pet name]\n\nUse .pets to see available pets.'
                     );
                     return;
                 }
                 
                 // Check if user already has a pet
                 if (petData.get(sender)) {
-                    await safeSendText(sock, sender, '*❌ Error:* You already have a pet! You can\'t adopt another one.'
+                    await safeSendText(sock, chatJid, '*❌ Error:* You already have a pet! You can\'t adopt another one.'
                     );
                     return;
                 }
@@ -3878,14 +4049,14 @@ const commands = {
                 const petType = petTypes.find(p => p.name.toLowerCase() === petName.toLowerCase());
                 
                 if (!petType) {
-                    await safeSendText(sock, sender, '*❌ Error:* Invalid pet type. Use .pets to see available pets.'
+                    await safeSendText(sock, chatJid, '*❌ Error:* Invalid pet type. Use .pets to see available pets.'
                     );
                     return;
                 }
                 
                 // Check if user has enough coins
                 if (profile.coins < petType.cost) {
-                    await safeSendMessage(sock, sender, {
+                    await safeSendMessage(sock, chatJid, {
                         text: `*❌ Error:* You don't have enough coins to adopt a ${petType.name}. You need ${formatNumber(petType.cost)} coins.`
                     });
                     return;
@@ -3911,14 +4082,14 @@ const commands = {
                 
                 // Add achievement
                 if (addAchievement(profile, 'pet')) {
-                    await safeSendText(sock, sender, '*🏆 Achievement Unlocked:* Pet Lover\nYou adopted your first pet!'
+                    await safeSendText(sock, chatJid, '*🏆 Achievement Unlocked:* Pet Lover\nYou adopted your first pet!'
                     );
                 }
                 
                 // Save profile
                 userProfiles.set(sender, profile);
                 
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*🐾 Pet Adopted!*\n\nYou have adopted a ${petType.name}!\n\nUse .pets to check on your pet's status and interact with it.\n\nCurrent balance: ${formatNumber(profile.coins)} coins`
                 });
                 break;
@@ -3927,7 +4098,7 @@ const commands = {
                 // Feed pet
                 const pet = petData.get(sender);
                 if (!pet) {
-                    await safeSendText(sock, sender, '*❌ Error:* You don\'t have a pet to feed. Use .pets adopt [pet name] to adopt one.'
+                    await safeSendText(sock, chatJid, '*❌ Error:* You don\'t have a pet to feed. Use .pets adopt [pet name] to adopt one.'
                     );
                     return;
                 }
@@ -3937,7 +4108,7 @@ const commands = {
                 const feedCost = 25; // coins to feed without pet food
                 
                 if (!hasPetFood && profile.coins < feedCost) {
-                    await safeSendMessage(sock, sender, {
+                    await safeSendMessage(sock, chatJid, {
                         text: `*❌ Error:* You don't have pet food or enough coins to feed your pet. Feeding costs ${feedCost} coins.`
                     });
                     return;
@@ -3964,7 +4135,7 @@ const commands = {
                 petData.set(sender, pet);
                 userProfiles.set(sender, profile);
                 
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*🐾 Pet Fed!*\n\nYou fed your ${pet.name}!\n\nHunger: ${pet.hunger.toFixed(1)}/10\nHappiness: ${pet.happiness.toFixed(1)}/10\nHealth: ${pet.health.toFixed(1)}/10\n\n${hasPetFood ? 'You used 1 pet food from your inventory.' : `You spent ${feedCost} coins on food.`}\n\nCurrent balance: ${formatNumber(profile.coins)} coins`
                 });
                 break;
@@ -3973,7 +4144,7 @@ const commands = {
                 // Play with pet
                 const playPet = petData.get(sender);
                 if (!playPet) {
-                    await safeSendText(sock, sender, '*❌ Error:* You don\'t have a pet to play with. Use .pets adopt [pet name] to adopt one.'
+                    await safeSendText(sock, chatJid, '*❌ Error:* You don\'t have a pet to play with. Use .pets adopt [pet name] to adopt one.'
                     );
                     return;
                 }
@@ -3989,7 +4160,7 @@ const commands = {
                 // Save data
                 petData.set(sender, playPet);
                 
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*🐾 Playtime!*\n\nYou played with your ${playPet.name}! They seem much happier now.\n\nHappiness: ${playPet.happiness.toFixed(1)}/10\nHunger: ${playPet.hunger.toFixed(1)}/10\nLoyalty: ${playPet.loyalty.toFixed(1)}/100`
                 });
                 break;
@@ -3998,7 +4169,7 @@ const commands = {
                 // Heal pet
                 const healPet = petData.get(sender);
                 if (!healPet) {
-                    await safeSendText(sock, sender, '*❌ Error:* You don\'t have a pet to heal. Use .pets adopt [pet name] to adopt one.'
+                    await safeSendText(sock, chatJid, '*❌ Error:* You don\'t have a pet to heal. Use .pets adopt [pet name] to adopt one.'
                     );
                     return;
                 }
@@ -4007,7 +4178,7 @@ const commands = {
                 const healCost = 50;
                 
                 if (profile.coins < healCost) {
-                    await safeSendMessage(sock, sender, {
+                    await safeSendMessage(sock, chatJid, {
                         text: `*❌ Error:* You don't have enough coins to heal your pet. Healing costs ${healCost} coins.`
                     });
                     return;
@@ -4025,7 +4196,7 @@ const commands = {
                 petData.set(sender, healPet);
                 userProfiles.set(sender, profile);
                 
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*🐾 Pet Healed!*\n\nYou healed your ${healPet.name} back to full health!\n\nHealth: ${healPet.health.toFixed(1)}/10\nLoyalty: ${healPet.loyalty.toFixed(1)}/100\n\nCurrent balance: ${formatNumber(profile.coins)} coins`
                 });
                 break;
@@ -4034,13 +4205,13 @@ const commands = {
                 // Rename pet
                 const renamePet = petData.get(sender);
                 if (!renamePet) {
-                    await safeSendText(sock, sender, '*❌ Error:* You don\'t have a pet to rename. Use .pets adopt [pet name] to adopt one.'
+                    await safeSendText(sock, chatJid, '*❌ Error:* You don\'t have a pet to rename. Use .pets adopt [pet name] to adopt one.'
                     );
                     return;
                 }
                 
                 if (args.length < 2) {
-                    await safeSendText(sock, sender, '*⚠️ Usage:* .pets rename [new name]'
+                    await safeSendText(sock, chatJid, '*⚠️ Usage:* .pets rename [new name]'
                     );
                     return;
                 }
@@ -4050,7 +4221,7 @@ const commands = {
                 
                 // Check length
                 if (newName.length < 2 || newName.length > 20) {
-                    await safeSendText(sock, sender, '*❌ Error:* Pet name must be between 2 and 20 characters long.'
+                    await safeSendText(sock, chatJid, '*❌ Error:* Pet name must be between 2 and 20 characters long.'
                     );
                     return;
                 }
@@ -4065,19 +4236,21 @@ const commands = {
                 // Save data
                 petData.set(sender, renamePet);
                 
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*🐾 Pet Renamed!*\n\nYou renamed your pet from "${oldName}" to "${newName}"!`
                 });
                 break;
                 
             default:
-                await safeSendText(sock, sender, '*⚠️ Usage:* .pets [adopt|feed|play|heal|rename]'
+                await safeSendText(sock, chatJid, '*⚠️ Usage:* .pets [adopt|feed|play|heal|rename]'
                 );
         }
     },
     
-    async marriage(sock, sender, args) {
-        const profile = await getUserProfile(sock, sender);
+    async marriage(sock, message, args, { ask } = {}) {
+        const chatJid = message.key.remoteJid;
+        const sender = getSenderJid(message);
+        const profile = await getUserProfile(sock, sender, chatJid);
         if (!profile) return;
         
         // Default to showing marriage info
@@ -4085,7 +4258,7 @@ const commands = {
             const marriage = marriageData.get(sender);
             
             if (!marriage) {
-                await safeSendText(sock, sender, '*❤️ Marriage System:*\n\nYou are not currently married.\n\nUse .marriage propose @user to propose to someone!'
+                await safeSendText(sock, chatJid, '*❤️ Marriage System:*\n\nYou are not currently married.\n\nUse .marriage propose @user to propose to someone!'
                 );
                 return;
             }
@@ -4099,7 +4272,7 @@ const commands = {
             const partnerProfile = userProfiles.get(marriage.partner);
             const partnerName = partnerProfile ? partnerProfile.name : 'Unknown';
             
-            await safeSendMessage(sock, sender, {
+            await safeSendMessage(sock, chatJid, {
                 text: `*❤️ Marriage Status:*\n\nYou are married to ${partnerName}.\nMarriage date: ${new Date(marriage.date).toDateString()}\nDuration: ${days} days\n\nUse .marriage gift to give a gift to your spouse.`
             });
             return;
@@ -4110,34 +4283,43 @@ const commands = {
         
         switch (command) {
             case 'propose':
-                // Marriage proposal
-                if (args.length < 2 || !args[1].startsWith('@')) {
-                    await safeSendText(sock, sender, '*⚠️ Usage:* .marriage propose @user'
-                    );
-                    return;
-                }
-                
                 // Check if already married
                 if (marriageData.get(sender)) {
-                    await safeSendText(sock, sender, '*❌ Error:* You are already married! You must divorce first.'
+                    await safeSendText(sock, chatJid, '*❌ Error:* You are already married! You must divorce first.'
                     );
                     return;
                 }
                 
-                // Extract target user ID
-                const targetUser = args[1].substring(1) + '@s.whatsapp.net';
+                // Extract target user ID, or ask who the proposal is for
+                let targetUser = args.length >= 2 && args[1].startsWith('@')
+                    ? args[1].substring(1) + '@s.whatsapp.net'
+                    : null;
+                
+                if (!targetUser) {
+                    if (!ask) {
+                        await safeSendText(sock, chatJid, '*⚠️ Usage:* .marriage propose @user'
+                        );
+                        return;
+                    }
+                    
+                    targetUser = await ask('*💍 Marriage Proposal*\n\nWho do you want to propose to? Mention them or reply to one of their messages.', {
+                        type: 'mention',
+                        validate: jid => jid !== sender || 'You cannot propose to yourself!'
+                    });
+                    if (targetUser === null) return;
+                }
                 
                 // Check if target is valid user
                 const targetProfile = userProfiles.get(targetUser);
                 if (!targetProfile) {
-                    await safeSendText(sock, sender, '*❌ Error:* User not found or not registered.'
+                    await safeSendText(sock, chatJid, '*❌ Error:* User not found or not registered.'
                     );
                     return;
                 }
                 
                 // Check if target is already married
                 if (marriageData.get(targetUser)) {
-                    await safeSendText(sock, sender, '*❌ Error:* That user is already married to someone else!'
+                    await safeSendText(sock, chatJid, '*❌ Error:* That user is already married to someone else!'
                     );
                     return;
                 }
@@ -4149,7 +4331,7 @@ const commands = {
                     time: Date.now()
                 });
                 
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*❤️ Marriage Proposal Sent!*\n\nYou proposed to ${targetProfile.name}!\nThey need to accept by using .marriage accept.`
                 });
                 
@@ -4165,7 +4347,7 @@ const commands = {
                 const proposal = global.marriageProposals.get(sender);
                 
                 if (!proposal) {
-                    await safeSendText(sock, sender, '*❌ Error:* You don\'t have any pending marriage proposals.'
+                    await safeSendText(sock, chatJid, '*❌ Error:* You don\'t have any pending marriage proposals.'
                     );
                     return;
                 }
@@ -4173,7 +4355,7 @@ const commands = {
                 // Check if proposal is expired (24 hours)
                 if (Date.now() - proposal.time > 24 * 60 * 60 * 1000) {
                     global.marriageProposals.delete(sender);
-                    await safeSendText(sock, sender, '*❌ Error:* The marriage proposal has expired.'
+                    await safeSendText(sock, chatJid, '*❌ Error:* The marriage proposal has expired.'
                     );
                     return;
                 }
@@ -4181,7 +4363,7 @@ const commands = {
                 // Check if either user is now married
                 if (marriageData.get(sender) || marriageData.get(proposal.proposer)) {
                     global.marriageProposals.delete(sender);
-                    await safeSendText(sock, sender, '*❌ Error:* Either you or the proposer is already married.'
+                    await safeSendText(sock, chatJid, '*❌ Error:* Either you or the proposer is already married.'
                     );
                     return;
                 }
@@ -4210,7 +4392,7 @@ const commands = {
                 
                 // Add achievement for both
                 if (addAchievement(profile, 'married')) {
-                    await safeSendText(sock, sender, '*🏆 Achievement Unlocked:* Soul Bound\nYou got married!'
+                    await safeSendText(sock, chatJid, '*🏆 Achievement Unlocked:* Soul Bound\nYou got married!'
                     );
                 }
                 
@@ -4224,7 +4406,7 @@ const commands = {
                 if (proposerProfile) userProfiles.set(proposal.proposer, proposerProfile);
                 
                 // Send messages to both parties
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*❤️ Marriage Accepted!*\n\nCongratulations! You are now married to ${proposerName}!\n\nUse .marriage to check your marriage status.`
                 });
                 
@@ -4239,7 +4421,7 @@ const commands = {
                 const rejectProposal = global.marriageProposals.get(sender);
                 
                 if (!rejectProposal) {
-                    await safeSendText(sock, sender, '*❌ Error:* You don\'t have any pending marriage proposals.'
+                    await safeSendText(sock, chatJid, '*❌ Error:* You don\'t have any pending marriage proposals.'
                     );
                     return;
                 }
@@ -4250,7 +4432,7 @@ const commands = {
                 // Remove proposal
                 global.marriageProposals.delete(sender);
                 
-                await safeSendText(sock, sender, '*❤️ Proposal Rejected*\n\nYou have rejected the marriage proposal.'
+                await safeSendText(sock, chatJid, '*❤️ Proposal Rejected*\n\nYou have rejected the marriage proposal.'
                 );
                 
                 await safeSendMessage(sock, rejectProposer, {
@@ -4263,14 +4445,14 @@ const commands = {
                 const divorceMarriage = marriageData.get(sender);
                 
                 if (!divorceMarriage) {
-                    await safeSendText(sock, sender, '*❌ Error:* You are not currently married.'
+                    await safeSendText(sock, chatJid, '*❌ Error:* You are not currently married.'
                     );
                     return;
                 }
                 
                 // Confirm divorce
                 if (args.length < 2 || args[1].toLowerCase() !== 'confirm') {
-                    await safeSendText(sock, sender, '*⚠️ Divorce Confirmation:*\n\nAre you sure you want to divorce? This cannot be undone.\n\nType .marriage divorce confirm to proceed.'
+                    await safeSendText(sock, chatJid, '*⚠️ Divorce Confirmation:*\n\nAre you sure you want to divorce? This cannot be undone.\n\nType .marriage divorce confirm to proceed.'
                     );
                     return;
                 }
@@ -4287,7 +4469,7 @@ const commands = {
                 const divorceDuration = Date.now() - divorceMarriage.date;
                 const divorceDays = Math.floor(divorceDuration / (24 * 60 * 60 * 1000));
                 
-                await safeSendMessage(sock, sender, {
+                await safeSendMessage(sock, chatJid, {
                     text: `*💔 Divorce Completed*\n\nYou are now divorced. Your marriage lasted ${divorceDays} days.`
                 });
                 
@@ -4301,13 +4483,13 @@ const commands = {
                 const giftMarriage = marriageData.get(sender);
                 
                 if (!giftMarriage) {
-                    await safeSendText(sock, sender, '*❌ Error:* You are not currently married.'
+                    await safeSendText(sock, chatJid, '*❌ Error:* You are not currently married.'
                     );
                     return;
                 }
                 
                 if (args.length < 2) {
-                    await safeSendText(sock, sender, '*⚠️ Usage:* .marriage gift [coins/item] [amount/item_name]'
+                    await safeSendText(sock, chatJid, '*⚠️ Usage:* .marriage gift [coins/item] [amount/item_name]'
                     );
                     return;
                 }
@@ -4317,7 +4499,7 @@ const commands = {
                 const partnerProfile2 = userProfiles.get(partner2);
                 
                 if (!partnerProfile2) {
-                    await safeSendText(sock, sender, '*❌ Error:* Your spouse\'s profile could not be found.'
+                    await safeSendText(sock, chatJid, '*❌ Error:* Your spouse\'s profile could not be found.'
                     );
                     return;
                 }
@@ -4325,7 +4507,7 @@ const commands = {
                 if (giftType === 'coins') {
                     // Gift coins
                     if (args.length < 3 || isNaN(parseInt(args[2]))) {
-                        await safeSendText(sock, sender, '*⚠️ Usage:* .marriage gift coins [amount]'
+                        await safeSendText(sock, chatJid, '*⚠️ Usage:* .marriage gift coins [amount]'
                         );
                         return;
                     }
@@ -4333,13 +4515,13 @@ const commands = {
                     const amount = parseInt(args[2]);
                     
                     if (amount < 10) {
-                        await safeSendText(sock, sender, '*❌ Error:* Minimum gift amount is 10 coins.'
+                        await safeSendText(sock, chatJid, '*❌ Error:* Minimum gift amount is 10 coins.'
                         );
                         return;
                     }
                     
                     if (amount > profile.coins) {
-                        await safeSendMessage(sock, sender, {
+                        await safeSendMessage(sock, chatJid, {
                             text: `*❌ Error:* You don't have enough coins. You have ${formatNumber(profile.coins)} coins.`
                         });
                         return;
@@ -4353,7 +4535,7 @@ const commands = {
                     userProfiles.set(sender, profile);
                     userProfiles.set(partner2, partnerProfile2);
                     
-                    await safeSendMessage(sock, sender, {
+                    await safeSendMessage(sock, chatJid, {
                         text: `*❤️ Gift Sent!*\n\nYou sent ${formatNumber(amount)} coins to your spouse!\n\nCurrent balance: ${formatNumber(profile.coins)} coins`
                     });
                     
@@ -4363,7 +4545,7 @@ const commands = {
                 } else if (giftType === 'item') {
                     // Gift item
                     if (args.length < 4 || isNaN(parseInt(args[2]))) {
-                        await safeSendText(sock, sender, '*⚠️ Usage:* .marriage gift item [amount] [item_name]'
+                        await safeSendText(sock, chatJid, '*⚠️ Usage:* .marriage gift item [amount] [item_name]'
                         );
                         return;
                     }
@@ -4373,7 +4555,7 @@ const commands = {
                     
                     // Check if item exists in inventory
                     if (!profile.inventory || !profile.inventory[itemName] || profile.inventory[itemName] < amount) {
-                        await safeSendText(sock, sender, `*❌ Error:* You don't have enough of that item. Check your inventory with .inventory.`
+                        await safeSendText(sock, chatJid, `*❌ Error:* You don't have enough of that item. Check your inventory with .inventory.`
                         );
                         return;
                     }
@@ -4389,7 +4571,7 @@ const commands = {
                     userProfiles.set(sender, profile);
                     userProfiles.set(partner2, partnerProfile2);
                     
-                    await safeSendMessage(sock, sender, {
+                    await safeSendMessage(sock, chatJid, {
                         text: `*❤️ Gift Sent!*\n\nYou sent ${amount}x ${itemName} to your spouse!`
                     });
                     
@@ -4397,13 +4579,13 @@ const commands = {
                         text: `*❤️ Gift Received!*\n\nYour spouse ${profile.name} sent you ${amount}x ${itemName}!`
                     });
                 } else {
-                    await safeSendText(sock, sender, '*⚠️ Usage:* .marriage gift [coins/item] [amount/item_name]'
+                    await safeSendText(sock, chatJid, '*⚠️ Usage:* .marriage gift [coins/item] [amount/item_name]'
                     );
                 }
                 break;
                 
             default:
-                await safeSendText(sock, sender, '*⚠️ Usage:* .marriage [propose|accept|reject|divorce|gift]'
+                await safeSendText(sock, chatJid, '*⚠️ Usage:* .marriage [propose|accept|reject|divorce|gift]'
                 );
         }
     },
@@ -3,7 +3,9 @@ const config = require('../config/config');
 const { languageManager } = require('../utils/language');
 const axios = require('axios');
 
-const { safeSendText, safeSendMessage, safeSendImage } = require('../utils/jidHelper');
+const { safeSendText, safeSendMessage, safeSendImage } = require('../utils/safe-send');
+const { formatDuration } = require('../utils/helpers');
+const reminderScheduler = require('../utils/reminderScheduler');
 
 const utilityCommands = {
     async weather(sock, sender, args) {
@@ -435,14 +437,81 @@ const utilityCommands = {
         await safeSendText(sock, sender, `Getting price for ${symbol}...`);
     },
 
-    async reminder(sock, sender, args) {
-        const [time, ...message] = args;
-        if (!time || message.length === 0) {
-            await safeSendText(sock, sender, 'Usage: !reminder [time] [message]\nExample: !reminder 30m Call Mom');
+    async reminder(sock, message, args) {
+        const chatJid = message.key.remoteJid;
+        const sender = message.key.participant || chatJid;
+        const action = args[0]?.toLowerCase();
+        
+        if (!action) {
+            await safeSendText(sock, chatJid, 'Usage: !reminder [time] [message]\nExamples:\n!reminder 30m Call Mom\n!reminder at 18:30 Dinner\n!reminder tomorrow 9:00 Dentist\n!reminder every day 9:00 Standup\n!reminder list\n!reminder cancel [id]');
+            return;
+        }
+        
+        if (action === 'list') {
+            // Only show reminders for this chat in groups so private reminders are not exposed
+            const isGroup = chatJid.endsWith('@g.us');
+            const list = reminderScheduler.listReminders(sender, isGroup ? chatJid : null);
+            
+            if (list.length === 0) {
+                await safeSendText(sock, chatJid, '⏰ You have no active reminders');
+                return;
+            }
+            
+            const lines = list.map(reminder => {
+                const when = new Date(reminder.dueAt).toLocaleString();
+                const repeat = reminder.recurrence ? ` (🔁 ${reminderScheduler.describeRecurrence(reminder.recurrence)})` : '';
+                return `*${reminder.id}* - ${when}${repeat}\n${reminder.type === 'countdown' ? '⏳ ' : ''}${reminder.text}`;
+            });
+            
+            await safeSendText(sock, chatJid, `⏰ *Your Reminders:*\n\n${lines.join('\n\n')}\n\nUse !reminder cancel [id] to remove one`);
+            return;
+        }
+        
+        if (action === 'cancel' || action === 'delete') {
+            if (!args[1]) {
+                await safeSendText(sock, chatJid, 'Usage: !reminder cancel [id]');
+                return;
+            }
+            
+            const result = reminderScheduler.cancelReminder(args[1], sender);
+            await safeSendText(sock, chatJid, result.success
+                ? `✅ Reminder ${result.reminder.id} cancelled: ${result.reminder.text}`
+                : `❌ ${result.message}`);
+            return;
+        }
+        
+        const schedule = reminderScheduler.parseReminderTime(args);
+        if (!schedule) {
+            await safeSendText(sock, chatJid, '❌ Invalid time. Use a duration (30m, 1h30m), a time (at 18:30), tomorrow 9:00, a date (2026-12-24 18:00) or every day 9:00');
+            return;
+        }
+        
+        if (schedule.error) {
+            await safeSendText(sock, chatJid, `❌ ${schedule.error}`);
             return;
         }
-        // TODO: Implement reminder system
-        await safeSendText(sock, sender, `Reminder set for: ${message.join(' ')}`);
+        
+        const text = schedule.rest.join(' ').trim();
+        if (!text) {
+            await safeSendText(sock, chatJid, '❌ Please provide a reminder message');
+            return;
+        }
+        
+        const result = reminderScheduler.addReminder({
+            chatJid,
+            userId: sender,
+            text,
+            dueAt: schedule.dueAt,
+            recurrence: schedule.recurrence
+        });
+        
+        if (!result.success) {
+            await safeSendText(sock, chatJid, `❌ ${result.message}`);
+            return;
+        }
+        
+        const repeat = schedule.recurrence ? `\n🔁 Repeats ${reminderScheduler.describeRecurrence(schedule.recurrence)}` : '';
+        await safeSendText(sock, chatJid, `⏰ Reminder set for ${new Date(schedule.dueAt).toLocaleString()} (in ${formatDuration(Math.ceil((schedule.dueAt - Date.now()) / 1000))})${repeat}\n📝 ${text}\n🆔 ${result.reminder.id}`);
     },
 
     async translate2(sock, sender, args) {
@@ -450,29 +519,37 @@ const utilityCommands = {
         await utilityCommands.translate(sock, sender, args);
     },
 
-    async countdown(sock, sender, args) {
+    async countdown(sock, message, args) {
+        const chatJid = message.key.remoteJid;
+        const sender = message.key.participant || chatJid;
+        
         if (args.length < 2) {
-            await safeSendText(sock, sender, 'Usage: !countdown [minutes] [event]\nExample: !countdown 10 Meeting');
+            await safeSendText(sock, chatJid, 'Usage: !countdown [minutes|duration] [event]\nExample: !countdown 10 Meeting\nExample: !countdown 2h Movie night');
             return;
         }
         
-        const minutes = parseInt(args[0]);
-        if (isNaN(minutes) || minutes <= 0 || minutes > 1440) { // Max 24 hours
-            await safeSendText(sock, sender, 'Please provide a valid number of minutes (1-1440)');
+        // Plain numbers are minutes, durations like 2h or 1h30m are accepted too
+        const seconds = /^\d+$/.test(args[0]) ? parseInt(args[0]) * 60 : reminderScheduler.parseCompoundDuration(args[0]);
+        if (!seconds || seconds <= 0 || seconds > 24 * 60 * 60) { // Max 24 hours
+            await safeSendText(sock, chatJid, 'Please provide a valid number of minutes (1-1440) or a duration up to 24h');
             return;
         }
         
         const event = args.slice(1).join(' ');
-        await safeSendText(sock, sender, `⏰ Countdown set: ${minutes} minutes until ${event}`);
-        
-        // Store countdown (would normally use a database)
-        if (!global.countdowns) global.countdowns = [];
-        global.countdowns.push({
-            minutes,
-            event,
-            userId: sender.split('@')[0],
-            endTime: Date.now() + minutes * 60 * 1000
+        const result = reminderScheduler.addReminder({
+            chatJid,
+            userId: sender,
+            text: event,
+            dueAt: Date.now() + seconds * 1000,
+            type: 'countdown'
         });
+        
+        if (!result.success) {
+            await safeSendText(sock, chatJid, `❌ ${result.message}`);
+            return;
+        }
+        
+        await safeSendText(sock, chatJid, `⏰ Countdown set: ${formatDuration(seconds)} until ${event}\n🆔 ${result.reminder.id}`);
     },
 
     async poll2(sock, sender, args) {
@@ -78,10 +78,45 @@ const config = {
     messaging: {
         /**
          * Maximum message processing queue size
-         * Messages beyond this limit will be dropped during high traffic
+         * Commands beyond this limit are rejected with a notice during high traffic
          */
         maxQueueSize: 100,
         
+        /**
+         * Maximum queued commands per chat, so one busy chat cannot fill the whole queue
+         */
+        maxQueuePerChat: 10,
+        
+        /**
+         * Maximum number of commands running at the same time
+         */
+        maxConcurrent: 4,
+        
+        /**
+         * Maximum number of heavy media commands (downloads, conversions) running at the same time
+         * Commands in the media category are heavy unless their config sets "heavy": false
+         */
+        maxConcurrentHeavy: 2,
+        
+        /**
+         * Retries of a message that failed to send with a transient error (timeout, rate limit,
+         * server error), waiting sendRetryDelay milliseconds and doubling the wait each time
+         */
+        sendRetries: 3,
+        sendRetryDelay: 1000,
+        
+        /**
+         * Maximum number of outgoing messages waiting to be sent, including those kept while
+         * the connection is down
+         */
+        maxOutboundQueue: 1000,
+        
+        /**
+         * Messages kept longer than this many milliseconds while disconnected are dropped
+         * instead of being sent late after reconnecting
+         */
+        outboundBufferAge: 5 * 60 * 1000,
+        
         /**
          * Whether to delete command messages after processing
          * Only works in groups where the bot is an admin
@@ -92,6 +127,47 @@ const config = {
          * Whether to send "typing..." indicator before responding
          */
         sendTypingIndicator: true
+    },
+
+    /**
+     * Rate Limit Configuration
+     * Each limit allows a burst of `tokens` commands and refills completely over `interval`
+     * milliseconds. Bot owners are not limited.
+     */
+    rateLimits: {
+        /**
+         * Whether command rate limits are enforced
+         */
+        enabled: process.env.RATE_LIMITS !== 'false',
+
+        /**
+         * Commands per sender, across all chats
+         */
+        user: { tokens: 10, interval: 60 * 1000 },
+
+        /**
+         * Commands per group, from all of its members together
+         */
+        group: { tokens: 30, interval: 60 * 1000 },
+
+        /**
+         * Commands per sender in a category (the name of the command's config file)
+         */
+        categories: {
+            media: { tokens: 3, interval: 60 * 1000 },
+            nsfw: { tokens: 5, interval: 60 * 1000 }
+        },
+
+        /**
+         * Minimum time in milliseconds before a sender can use the same command again
+         */
+        commandCooldown: 3000,
+
+        /**
+         * Messages the bot sends in total, to stay clear of WhatsApp's rate bans
+         * Messages over the budget are delayed rather than dropped; set to null to disable
+         */
+        outbound: { tokens: 20, interval: 10 * 1000 }
     }
 };
 
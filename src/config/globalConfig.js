@@ -4,13 +4,20 @@
  */
 
 const EventEmitter = require('events');
+const path = require('path');
 const logger = require('../utils/logger');
+const { readJsonFile, writeJsonFile } = require('../utils/fileUtils');
+
+// Settings changed at runtime (e.g. with setprefix) are persisted here
+const CONFIG_FILE = path.join(process.cwd(), 'data', 'global_config.json');
 
 class GlobalConfig extends EventEmitter {
     constructor() {
         super();
+        const saved = readJsonFile(CONFIG_FILE) || {};
+        this._customPrefix = typeof saved.prefix === 'string' && saved.prefix.length > 0;
         this._config = {
-            prefix: process.env.BOT_PREFIX || '.',
+            prefix: this._customPrefix ? saved.prefix : (process.env.BOT_PREFIX || '.'),
             owner: process.env.OWNER_NUMBER || '',
             version: '1.0.0',
             name: process.env.BOT_NAME || '𝔹𝕃𝔸ℂ𝕂𝕊𝕂𝕐-𝕄𝔻'
@@ -27,10 +34,46 @@ class GlobalConfig extends EventEmitter {
         }
         const oldPrefix = this._config.prefix;
         this._config.prefix = newPrefix;
+        this._customPrefix = true;
+        this.save();
         this.emit('prefixChanged', { oldPrefix, newPrefix });
         logger.info(`Bot prefix changed from ${oldPrefix} to ${newPrefix}`);
     }
 
+    /**
+     * Prefix set by the owner, or null while the built-in prefixes are used
+     * @returns {string|null}
+     */
+    get customPrefix() {
+        return this._customPrefix ? this._config.prefix : null;
+    }
+
+    /**
+     * Go back to the built-in prefixes
+     */
+    resetPrefix() {
+        const oldPrefix = this._config.prefix;
+        this._config.prefix = process.env.BOT_PREFIX || '.';
+        this._customPrefix = false;
+        this.save();
+        this.emit('prefixChanged', { oldPrefix, newPrefix: this._config.prefix, reset: true });
+        logger.info(`Bot prefix reset from ${oldPrefix} to the defaults`);
+    }
+
+    /**
+     * Persist the runtime settings
+     * @returns {boolean} Whether the save was successful
+     */
+    save() {
+        const saved = writeJsonFile(CONFIG_FILE, {
+            prefix: this._customPrefix ? this._config.prefix : null
+        });
+        if (!saved) {
+            logger.error(`Failed to save global config to ${CONFIG_FILE}`);
+        }
+        return saved;
+    }
+
     get owner() {
         return this._config.owner;
     }
@@ -5,7 +5,7 @@
 
 const ConnectionHandler = require('./connection');
 const MessageHandler = require('./messageHandler');
-const SessionHandler = require('./sessionHandler');
+const { SessionManager } = require('./sessionManager');
 const ResponseHandler = require('./responseHandler');
 const logger = require('../utils/logger');
 const { DisconnectReason } = require('@whiskeysockets/baileys');
@@ -28,7 +28,7 @@ class Bot {
 
         this.connection = new ConnectionHandler(connectionConfig);
         this.messageHandler = new MessageHandler(config.message);
-        this.sessionHandler = new SessionHandler(config.session);
+        this.sessionManager = new SessionManager(config.session);
         this.responseHandler = new ResponseHandler(config.response);
 
         this.setupMessageHandler();
@@ -106,7 +106,7 @@ class Bot {
                         }, delay);
                     } else if (lastDisconnect?.error?.output?.statusCode === DisconnectReason.loggedOut) {
                         logger.warn('Session logged out. Please scan QR code to reconnect.');
-                        await this.sessionHandler.deleteSession('default');
+                        await this.sessionManager.backupSession();
                         this.isStarting = false;
                         // Force new QR code generation
                         this.connection.resetQRCount();
@@ -152,7 +152,7 @@ class Bot {
     getStatus() {
         return {
             connected: this.connection.isConnected,
-            activeSessions: this.sessionHandler.getActiveSessions(),
+            sessionBackups: this.sessionManager.getBackups().length,
             activeProcesses: this.messageHandler.getActiveProcesses(),
             messageQueue: this.responseHandler.getQueueStatus(),
             startupState: this.isStarting,
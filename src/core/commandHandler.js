@@ -6,7 +6,7 @@
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
-const { safeSendText } = require('../utils/jidHelper');
+const { safeSendText } = require('../utils/safe-send');
 
 class CommandHandler {
     constructor() {
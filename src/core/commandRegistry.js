@@ -7,8 +7,64 @@ const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
 const { loadCommandModule, isValidCommandModule, initializeModule } = require('../utils/moduleAdapter');
-const { safeSendText } = require('../utils/jidHelper');
+const { isJidGroup } = require('../utils/jidHelper');
+const { safeSendText, getStats: getSendStats } = require('../utils/safe-send');
 const { languageManager } = require('../utils/language');
+const { isBotOwner, checkPermission, getUserRole, ROLE_LEVELS } = require('../utils/permissions');
+const { getBan, isMaintenanceMode, getMaintenanceState } = require('../utils/accessControl');
+const { learnFromMessage } = require('../utils/ownerRegistry');
+const { getSenderJid } = require('../utils/jid');
+const { getGroupSettings } = require('../utils/groupSettings');
+const { loadCommandConfigs, getCommandConfig, hasCategoryConfig, getCommandUsage } = require('../utils/commandConfig');
+const { parseArgs } = require('../utils/commandArgs');
+const { levenshtein, formatDuration } = require('../utils/helpers');
+const { RateLimiter } = require('../utils/rateLimiter');
+const globalConfig = require('../config/globalConfig');
+const config = require('../config/config');
+const { CommandScheduler, PRIORITY } = require('./commandScheduler');
+const { conversationManager } = require('./conversationManager');
+const { SessionClaims } = require('../utils/sessionClaims');
+
+// Built-in prefixes, used until the owner sets one with setprefix
+const DEFAULT_PREFIXES = ['!', '.', '#'];
+
+// Commands a group can never disable, so it can always undo a disable
+const PROTECTED_COMMANDS = ['enable', 'disable', 'prefix'];
+
+// Command configs, watched along with the command modules
+const CONFIG_DIR = path.join(__dirname, '..', 'config', 'commands');
+
+// Written by scripts such as utils/reload-reaction-gifs.js to ask the running bot to reload its commands
+const RELOAD_TRIGGER = path.join(process.cwd(), 'reload_commands.lock');
+
+// Wait for a burst of file changes (e.g. a git pull) to settle before reloading
+const RELOAD_DEBOUNCE = 500;
+
+// Positions of the message pipeline stages; features register their middleware at these
+const MIDDLEWARE_ORDER = {
+    ban: 100,
+    maintenance: 200,
+    afk: 300,
+    moderation: 400,
+    conversation: 420,
+    plugins: 450,
+    xp: 500,
+    command: 600,
+    analytics: 700
+};
+
+/**
+ * Check whether a string can be used as a command prefix
+ * Prefixes starting with a letter or number would turn normal chat into commands
+ * @param {string} prefix Prefix to check
+ * @returns {boolean} Whether the prefix is valid
+ */
+function isValidPrefix(prefix) {
+    return typeof prefix === 'string' &&
+           prefix.length >= 1 && prefix.length <= 3 &&
+           !/\s/.test(prefix) &&
+           !/^[\p{L}\p{N}]/u.test(prefix);
+}
 
 /**
  * Command registry for managing bot commands
@@ -16,13 +72,41 @@ const { languageManager } = require('../utils/language');
 class CommandRegistry {
     constructor() {
         this.commands = new Map();
+        this.aliases = new Map();
         this.modules = new Map();
         this.categories = new Map();
+        this.loadedFiles = new Map(); // file path -> { moduleName, module, initialized }, in load order
+        this.pluginCommands = new Map(); // plugin name -> { category, commands }
+        this.commandsDir = null;
+        this.sock = null;
+        this.watchers = [];
+        this.pendingReloads = new Set();
+        this.reloadTimer = null;
+        this.configReloadTimer = null;
         this.initialized = false;
         this.loadingPromise = null;
-        this.prefixes = ['!', '.', '#']; // Default command prefixes
-        this.defaultPrefix = '!';
+        this.prefixes = globalConfig.customPrefix ? [globalConfig.customPrefix] : [...DEFAULT_PREFIXES];
+        this.defaultPrefix = this.prefixes[0];
         this.cooldowns = new Map();
+        this.middleware = []; // { name, handler, order, everySession }, sorted by order
+        this.messageClaims = new SessionClaims(); // which session handles a message several sessions received
+        this.analytics = { messages: 0, commands: new Map() }; // command name -> { count, executed, totalTime }
+        this.scheduler = new CommandScheduler(config.messaging);
+        this.rateLimiter = new RateLimiter();
+        
+        // Built-in pipeline stages; AFK, moderation and leveling are added by their features
+        // Each session answers its own conversations and commands, so these stages run for every session
+        const everySession = { everySession: true };
+        this.use('ban', (ctx, next) => this.banMiddleware(ctx, next), MIDDLEWARE_ORDER.ban, everySession);
+        this.use('maintenance', (ctx, next) => this.maintenanceMiddleware(ctx, next), MIDDLEWARE_ORDER.maintenance, everySession);
+        this.use('conversation', (ctx, next) => this.conversationMiddleware(ctx, next), MIDDLEWARE_ORDER.conversation, everySession);
+        this.use('command', (ctx, next) => this.commandMiddleware(ctx, next), MIDDLEWARE_ORDER.command, everySession);
+        this.use('analytics', (ctx, next) => this.analyticsMiddleware(ctx, next), MIDDLEWARE_ORDER.analytics, everySession);
+        
+        // Follow global prefix changes made with setprefix
+        globalConfig.on('prefixChanged', () => {
+            this.setPrefixes(globalConfig.customPrefix ? [globalConfig.customPrefix] : [...DEFAULT_PREFIXES]);
+        });
     }
 
     /**
@@ -57,10 +141,8 @@ class CommandRegistry {
         }
         
         try {
-            // Clear existing commands
-            this.commands.clear();
-            this.modules.clear();
-            this.categories.clear();
+            this.commandsDir = dirPath;
+            this.loadedFiles.clear();
             
             // Get all .js files in the directory and subdirectories
             const files = this.getCommandFiles(dirPath);
@@ -70,7 +152,9 @@ class CommandRegistry {
                 await this.loadModule(file);
             }
             
-            logger.info(`Loaded ${this.commands.size} commands from ${this.modules.size} modules`);
+            this.rebuildRegistry();
+            
+            logger.info(`Loaded ${this.commands.size} commands and ${this.aliases.size} aliases from ${this.modules.size} modules`);
             this.initialized = true;
             return true;
         } catch (error) {
@@ -121,39 +205,140 @@ class CommandRegistry {
             }
             
             const moduleName = path.basename(filePath, '.js');
+            this.loadedFiles.set(filePath, { moduleName, module, initialized: false });
+            
+            logger.info(`Loaded module: ${moduleName} (${Object.keys(module.commands).length} commands)`);
+            return true;
+        } catch (error) {
+            logger.error(`Error loading module ${filePath}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Build the command, module and category maps from the loaded files
+     * The maps are built aside and swapped in at once, so commands never see a half-built registry;
+     * files loaded later win when two modules define the same command
+     * @private
+     */
+    rebuildRegistry() {
+        const commands = new Map();
+        const modules = new Map();
+        const categories = new Map();
+        
+        // Modules such as commands/index.js re-export the handlers of other modules, so the config
+        // categories a handler may take its config from are collected from every module exporting it
+        const handlerCategories = new Map();
+        for (const [filePath, { moduleName, module }] of this.loadedFiles) {
+            const category = module.category || path.basename(path.dirname(filePath));
+            for (const cmdFunc of Object.values(module.commands)) {
+                if (typeof cmdFunc !== 'function') continue;
+                if (!handlerCategories.has(cmdFunc)) handlerCategories.set(cmdFunc, new Set());
+                [category, moduleName, moduleName.split('_')[0]].forEach(name => handlerCategories.get(cmdFunc).add(name));
+            }
+        }
+        
+        for (const [filePath, { moduleName, module, initialized }] of this.loadedFiles) {
             const category = module.category || path.basename(path.dirname(filePath));
             
-            // Add module to registry
-            this.modules.set(moduleName, {
+            modules.set(moduleName, {
                 path: filePath,
                 module: module,
                 loaded: true,
-                initialized: false
+                initialized
             });
             
-            // Add category
-            if (!this.categories.has(category)) {
-                this.categories.set(category, []);
+            if (!categories.has(category)) {
+                categories.set(category, []);
             }
-            this.categories.get(category).push(moduleName);
+            categories.get(category).push(moduleName);
             
-            // Register individual commands
             for (const [cmdName, cmdFunc] of Object.entries(module.commands)) {
                 if (typeof cmdFunc === 'function') {
-                    this.commands.set(cmdName.toLowerCase(), {
+                    commands.set(cmdName.toLowerCase(), {
                         name: cmdName,
                         module: moduleName,
+                        path: filePath,
                         category: category,
+                        configCategory: [...handlerCategories.get(cmdFunc)].find(name => hasCategoryConfig(cmdName, name)) || null,
                         handler: cmdFunc
                     });
                 }
             }
+        }
+        
+        // Plugin commands come last so they can never replace a core command or alias
+        const coreAliases = new Set();
+        if (this.pluginCommands.size) {
+            for (const [name, commandInfo] of commands) {
+                const aliases = getCommandConfig(name, commandInfo.configCategory)?.aliases;
+                if (Array.isArray(aliases)) {
+                    aliases.forEach(alias => coreAliases.add(String(alias).toLowerCase()));
+                }
+            }
+        }
+        
+        for (const [pluginName, { category, commands: pluginCommands }] of this.pluginCommands) {
+            const moduleName = `plugin:${pluginName}`;
+            modules.set(moduleName, {
+                path: null,
+                module: { commands: pluginCommands },
+                loaded: true,
+                initialized: true,
+                plugin: pluginName
+            });
             
-            logger.info(`Loaded module: ${moduleName} (${Object.keys(module.commands).length} commands)`);
-            return true;
-        } catch (error) {
-            logger.error(`Error loading module ${filePath}:`, error);
-            return false;
+            if (!categories.has(category)) {
+                categories.set(category, []);
+            }
+            categories.get(category).push(moduleName);
+            
+            for (const [cmdName, cmdFunc] of Object.entries(pluginCommands)) {
+                const key = cmdName.toLowerCase();
+                if (commands.has(key)) {
+                    logger.warn(`Plugin ${pluginName}: command ${cmdName} is already registered by ${commands.get(key).module}, skipping`);
+                    continue;
+                }
+                if (coreAliases.has(key)) {
+                    logger.warn(`Plugin ${pluginName}: command ${cmdName} is an alias of a core command, skipping`);
+                    continue;
+                }
+                commands.set(key, {
+                    name: cmdName,
+                    module: moduleName,
+                    path: null,
+                    category: category,
+                    configCategory: category,
+                    handler: cmdFunc,
+                    plugin: pluginName
+                });
+            }
+        }
+        
+        this.commands = commands;
+        this.modules = modules;
+        this.categories = categories;
+        this.registerAliases();
+    }
+
+    /**
+     * Register the commands of a plugin, replacing any it registered before
+     * @param {string} pluginName Plugin name
+     * @param {Object} commands Command handlers keyed by name
+     * @param {string} category Category to list the commands under
+     */
+    registerPluginCommands(pluginName, commands, category) {
+        this.pluginCommands.set(pluginName, { category, commands });
+        this.rebuildRegistry();
+    }
+
+    /**
+     * Remove the commands of a plugin
+     * @param {string} pluginName Plugin name
+     */
+    unregisterPluginCommands(pluginName) {
+        if (this.pluginCommands.delete(pluginName)) {
+            this.rebuildRegistry();
         }
     }
 
@@ -168,6 +353,9 @@ class CommandRegistry {
             return 0;
         }
         
+        // Kept for modules loaded later by a hot reload
+        this.sock = sock;
+        
         logger.info('Initializing command modules...');
         let successCount = 0;
         
@@ -177,6 +365,8 @@ class CommandRegistry {
             try {
                 const success = await initializeModule(moduleInfo.module, sock);
                 moduleInfo.initialized = success;
+                const loaded = this.loadedFiles.get(moduleInfo.path);
+                if (loaded) loaded.initialized = success;
                 
                 if (success) {
                     logger.info(`Initialized module: ${moduleName}`);
@@ -194,16 +384,343 @@ class CommandRegistry {
         return successCount;
     }
 
+    /**
+     * Find the command files that use a file, directly or through other files
+     * @param {string} filePath Changed file
+     * @returns {Array<string>} Paths of the dependent files under the commands directory
+     * @private
+     */
+    getDependentFiles(filePath) {
+        const dependents = new Set();
+        const visit = target => {
+            for (const [cachedPath, cached] of Object.entries(require.cache)) {
+                if (dependents.has(cachedPath) || !cachedPath.startsWith(this.commandsDir + path.sep)) continue;
+                if (cached.children?.some(child => child.filename === target)) {
+                    dependents.add(cachedPath);
+                    visit(cachedPath);
+                }
+            }
+        };
+        visit(filePath);
+        return [...dependents];
+    }
+
+    /**
+     * Reload command files and the files that depend on them
+     * All files are loaded before anything is swapped in; if one of them throws, the require
+     * cache is restored and the registry keeps the old versions
+     * @param {Array<string>} filePaths Changed files
+     * @returns {Promise<Object>} Report: success, modules, added, removed, changed and error
+     */
+    async reloadFiles(filePaths) {
+        const files = new Set();
+        for (const filePath of filePaths) {
+            files.add(filePath);
+            this.getDependentFiles(filePath).forEach(file => files.add(file));
+        }
+        
+        const backup = new Map();
+        for (const file of files) {
+            if (require.cache[file]) backup.set(file, require.cache[file]);
+            delete require.cache[file];
+        }
+        
+        const reloaded = new Map();
+        const deleted = [];
+        try {
+            for (const file of files) {
+                if (!fs.existsSync(file)) {
+                    if (this.loadedFiles.has(file)) deleted.push(file);
+                    continue;
+                }
+                
+                const module = loadCommandModule(file, { throwErrors: true });
+                if (isValidCommandModule(module)) {
+                    reloaded.set(file, module);
+                } else if (this.loadedFiles.has(file)) {
+                    throw new Error(`${path.basename(file)} no longer exports any commands`);
+                }
+            }
+        } catch (error) {
+            for (const file of files) {
+                delete require.cache[file];
+                if (backup.has(file)) require.cache[file] = backup.get(file);
+            }
+            logger.error('Hot reload failed, keeping the previous version:', error);
+            return {
+                success: false,
+                modules: [...files].map(file => path.basename(file, '.js')),
+                error: error.message
+            };
+        }
+        
+        const before = new Map([...this.commands].map(([name, info]) => [name, info.handler.toString()]));
+        
+        for (const file of deleted) {
+            this.loadedFiles.delete(file);
+        }
+        for (const [file, module] of reloaded) {
+            this.loadedFiles.set(file, { moduleName: path.basename(file, '.js'), module, initialized: false });
+        }
+        this.rebuildRegistry();
+        
+        // Reloaded modules start from a fresh state, so run their init again
+        if (this.sock) {
+            for (const file of reloaded.keys()) {
+                const loaded = this.loadedFiles.get(file);
+                loaded.initialized = await initializeModule(loaded.module, this.sock);
+                this.modules.get(loaded.moduleName).initialized = loaded.initialized;
+            }
+        }
+        
+        const after = new Map([...this.commands].map(([name, info]) => [name, info.handler.toString()]));
+        const report = {
+            success: true,
+            modules: [...reloaded.keys(), ...deleted].map(file => path.basename(file, '.js')),
+            added: [...after.keys()].filter(name => !before.has(name)),
+            removed: [...before.keys()].filter(name => !after.has(name)),
+            changed: [...after.keys()].filter(name => before.has(name) && before.get(name) !== after.get(name))
+        };
+        
+        logger.info(`Hot reload of ${report.modules.join(', ') || 'nothing'}: ` +
+            `${report.added.length} added, ${report.removed.length} removed, ${report.changed.length} changed`);
+        return report;
+    }
+
+    /**
+     * Reload a single module by name
+     * @param {string} moduleName Module name, e.g. "group"
+     * @returns {Promise<Object|null>} Reload report, or null if no module has that name
+     */
+    async reloadModule(moduleName) {
+        const name = moduleName.toLowerCase().replace(/\.js$/, '');
+        const files = [...this.loadedFiles]
+            .filter(([, loaded]) => loaded.moduleName.toLowerCase() === name)
+            .map(([file]) => file);
+        
+        if (!files.length) return null;
+        return this.reloadFiles(files);
+    }
+
+    /**
+     * Reload all command modules and configs, picking up new and deleted files
+     * @returns {Promise<Object>} Reload report
+     */
+    async reloadAll() {
+        loadCommandConfigs();
+        const files = new Set([...this.loadedFiles.keys(), ...this.getCommandFiles(this.commandsDir)]);
+        return this.reloadFiles([...files]);
+    }
+
+    /**
+     * Queue a changed file for reloading
+     * @param {string} filePath Changed file
+     * @private
+     */
+    scheduleReload(filePath) {
+        this.pendingReloads.add(filePath);
+        clearTimeout(this.reloadTimer);
+        
+        this.reloadTimer = setTimeout(async () => {
+            const files = [...this.pendingReloads];
+            this.pendingReloads.clear();
+            try {
+                await this.reloadFiles(files);
+            } catch (error) {
+                logger.error('Error during hot reload:', error);
+            }
+        }, RELOAD_DEBOUNCE);
+    }
+
+    /**
+     * Watch the command modules, the command configs and the reload trigger file
+     * Changed modules are reloaded without restarting the bot
+     */
+    watchCommands() {
+        if (!this.commandsDir || this.watchers.length) return;
+        
+        const dirs = [this.commandsDir];
+        for (let i = 0; i < dirs.length; i++) {
+            for (const entry of fs.readdirSync(dirs[i], { withFileTypes: true })) {
+                if (entry.isDirectory()) dirs.push(path.join(dirs[i], entry.name));
+            }
+        }
+        
+        const watch = (dir, extension, onChange) => {
+            try {
+                const watcher = fs.watch(dir, (eventType, filename) => {
+                    if (filename && filename.endsWith(extension)) onChange(path.join(dir, filename));
+                });
+                watcher.on('error', error => logger.error(`File watcher error for ${dir}:`, error));
+                this.watchers.push(watcher);
+            } catch (error) {
+                logger.error(`Cannot watch ${dir}:`, error);
+            }
+        };
+        
+        for (const dir of dirs) {
+            watch(dir, '.js', file => this.scheduleReload(file));
+        }
+        
+        if (fs.existsSync(CONFIG_DIR)) {
+            watch(CONFIG_DIR, '.json', () => {
+                clearTimeout(this.configReloadTimer);
+                this.configReloadTimer = setTimeout(() => {
+                    loadCommandConfigs();
+                    this.registerAliases();
+                    logger.info('Reloaded command configs');
+                }, RELOAD_DEBOUNCE);
+            });
+        }
+        
+        fs.watchFile(RELOAD_TRIGGER, { interval: 2000 }, async current => {
+            if (!current.mtimeMs) return;
+            
+            logger.info('Found reload trigger, reloading all commands');
+            try {
+                fs.unlinkSync(RELOAD_TRIGGER);
+                await this.reloadAll();
+            } catch (error) {
+                logger.error('Error handling reload trigger:', error);
+            }
+        });
+        
+        logger.info(`Watching ${dirs.length} command directories for changes`);
+    }
+
+    /**
+     * Stop watching for file changes
+     */
+    stopWatching() {
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers = [];
+        fs.unwatchFile(RELOAD_TRIGGER);
+        clearTimeout(this.reloadTimer);
+        clearTimeout(this.configReloadTimer);
+    }
+
+    /**
+     * Register the aliases declared in the command configs
+     * An alias never shadows a real command of the same name
+     */
+    registerAliases() {
+        this.aliases.clear();
+        
+        for (const [name, commandInfo] of this.commands) {
+            const config = getCommandConfig(name, commandInfo.configCategory);
+            if (!Array.isArray(config?.aliases)) continue;
+            
+            for (const alias of config.aliases) {
+                const key = String(alias).toLowerCase();
+                if (this.commands.has(key)) {
+                    logger.warn(`Alias ${key} of ${name} is also a command name, ignoring it`);
+                } else if (this.aliases.has(key)) {
+                    logger.warn(`Alias ${key} is used by both ${this.aliases.get(key)} and ${name}, keeping the first`);
+                } else {
+                    this.aliases.set(key, name);
+                }
+            }
+        }
+    }
+
+    /**
+     * Resolve a command name or alias to the registered command name
+     * @param {string} name Command name or alias
+     * @returns {string|null} Command name or null if unknown
+     */
+    resolveCommandName(name) {
+        const key = name.toLowerCase();
+        if (this.commands.has(key)) return key;
+        return this.aliases.get(key) || null;
+    }
+
+    /**
+     * Find the commands closest to an unknown name
+     * @param {string} name Unknown command name
+     * @param {Object} [chatSettings] Settings from getChatSettings, to skip disabled commands
+     * @param {number} [limit] Maximum number of suggestions
+     * @returns {Array<string>} Suggested names, closest first
+     */
+    getSuggestions(name, chatSettings = null, limit = 3) {
+        const key = name.toLowerCase();
+        // Short names allow one typo, longer names two
+        const maxDistance = key.length <= 5 ? 1 : 2;
+        const matches = new Map();
+        
+        for (const candidate of [...this.commands.keys(), ...this.aliases.keys()]) {
+            if (Math.abs(candidate.length - key.length) > maxDistance) continue;
+            
+            const distance = levenshtein(key, candidate);
+            const command = this.resolveCommandName(candidate);
+            if (distance > maxDistance || (chatSettings && this.isCommandDisabled(command, chatSettings))) continue;
+            
+            // Suggest each command once, by its own name unless an alias is closer
+            const best = matches.get(command);
+            if (!best || distance < best.distance || (distance === best.distance && candidate === command)) {
+                matches.set(command, { candidate, distance });
+            }
+        }
+        
+        return [...matches.values()]
+            .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+            .slice(0, limit)
+            .map(match => match.candidate);
+    }
+
+    /**
+     * Get the command settings of a chat
+     * Groups can use their own prefix and disable single commands or whole categories
+     * @param {string} jid Chat JID
+     * @param {Object} [session] Bot session the chat is read through, which can have its own prefix
+     * @returns {Promise<Object>} Prefixes, disabled commands and disabled categories
+     */
+    async getChatSettings(jid, session = null) {
+        const defaults = {
+            prefixes: session?.prefixes || this.prefixes,
+            disabledCommands: [],
+            disabledCategories: []
+        };
+        
+        if (!isJidGroup(jid)) return defaults;
+        
+        try {
+            const settings = await getGroupSettings(jid);
+            return {
+                prefixes: settings.prefix ? [settings.prefix] : defaults.prefixes,
+                disabledCommands: settings.disabledCommands || [],
+                disabledCategories: settings.disabledCategories || []
+            };
+        } catch (error) {
+            logger.error(`Error reading command settings for ${jid}:`, error);
+            return defaults;
+        }
+    }
+
+    /**
+     * Check whether a command is disabled in a chat
+     * @param {string} commandName Command name
+     * @param {Object} chatSettings Settings from getChatSettings
+     * @returns {boolean} Whether the command is disabled
+     */
+    isCommandDisabled(commandName, chatSettings) {
+        const commandInfo = this.commands.get(commandName.toLowerCase());
+        if (!commandInfo || PROTECTED_COMMANDS.includes(commandName.toLowerCase())) return false;
+        
+        return chatSettings.disabledCommands.includes(commandName.toLowerCase()) ||
+               chatSettings.disabledCategories.includes(commandInfo.category.toLowerCase());
+    }
+
     /**
      * Check if a message contains a command
      * @param {string} text Message text
+     * @param {Array<string>} [prefixes] Prefixes of the chat (defaults to the global prefixes)
      * @returns {Object|null} Command information or null if not a command
      */
-    parseCommand(text) {
+    parseCommand(text, prefixes = this.prefixes) {
         if (!text || typeof text !== 'string') return null;
         
         // Check each prefix
-        for (const prefix of this.prefixes) {
+        for (const prefix of prefixes) {
             if (text.startsWith(prefix)) {
                 // Extract command name and args
                 const args = text.slice(prefix.length).trim().split(/\s+/);
@@ -228,24 +745,30 @@ class CommandRegistry {
      * @param {Object} message Message object
      * @param {string} commandName Name of the command
      * @param {Array} args Command arguments
+     * @param {Object} [options] Options
+     * @param {string} [options.prefix] Prefix the command was used with, for usage texts
+     * @param {Function} [options.release] Frees the command's queue slot while it waits for an answer
+     * @param {Object} [options.session] Bot session that received the command
      * @returns {Promise<boolean>} Whether execution was successful
      */
-    async executeCommand(sock, message, commandName, args) {
-        const commandInfo = this.commands.get(commandName.toLowerCase());
+    async executeCommand(sock, message, commandName, args, options = {}) {
+        const commandInfo = this.commands.get(this.resolveCommandName(commandName) || commandName.toLowerCase());
         
         if (!commandInfo) {
             logger.debug(`Command not found: ${commandName}`);
             return false;
         }
         
-        // Check cooldowns
-        const cooldown = this.checkCooldown(message.key.remoteJid, commandName);
+        // Cooldowns are per sender, so one user's cooldown does not block the rest of a group
+        const sender = getSenderJid(message) || message.key.remoteJid;
+        const cooldown = this.checkCooldown(sender, commandInfo.name);
         if (cooldown > 0) {
             try {
                 await safeSendText(
                     sock, 
                     message.key.remoteJid, 
-                    languageManager.getText('system.command_on_cooldown', null, cooldown)
+                    languageManager.getText('system.command_on_cooldown', null, formatDuration(cooldown),
+                        `${options.prefix || this.defaultPrefix}${commandInfo.name}`)
                 );
             } catch (error) {
                 logger.error('Error sending cooldown message:', error);
@@ -253,13 +776,54 @@ class CommandRegistry {
             return false;
         }
         
+        // Check the roles required by the command
+        const permission = await checkPermission(sock, message, commandInfo.name, commandInfo.configCategory);
+        if (!permission.allowed) {
+            try {
+                await safeSendText(
+                    sock,
+                    message.key.remoteJid,
+                    languageManager.getText('system.role_required', null, permission.required.join(' or ') || 'required')
+                );
+            } catch (error) {
+                logger.error('Error sending permission message:', error);
+            }
+            return false;
+        }
+        
+        // Validate the arguments against the command's schema
+        let params = {};
+        const schema = getCommandConfig(commandInfo.name, commandInfo.configCategory)?.args;
+        if (Array.isArray(schema)) {
+            const parsed = parseArgs(schema, args, message);
+            if (parsed.error) {
+                try {
+                    await safeSendText(
+                        sock,
+                        message.key.remoteJid,
+                        languageManager.getText('system.invalid_arguments', null, parsed.error,
+                            getCommandUsage(commandInfo.name, options.prefix || this.defaultPrefix, commandInfo.configCategory))
+                    );
+                } catch (error) {
+                    logger.error('Error sending usage message:', error);
+                }
+                return false;
+            }
+            params = parsed.params;
+        }
+        
         // Execute the command
         try {
             logger.debug(`Executing command: ${commandName}`);
-            await commandInfo.handler(sock, message, args);
+            // Waiting for an answer must not hold up other commands in the chat
+            const ask = (question, askOptions) => {
+                if (options.release) options.release();
+                return conversationManager.ask(sock, message, question, { ...askOptions, session: options.session });
+            };
+            await commandInfo.handler(sock, message, args, { params, ask, session: options.session || null });
             
             // Set cooldown
-            this.setCooldown(message.key.remoteJid, commandName);
+            this.setCooldown(sender, commandInfo.name, config.rateLimits.commandCooldown);
             
             return true;
         } catch (error) {
@@ -281,7 +845,7 @@ class CommandRegistry {
     
     /**
      * Check if a command is on cooldown
-     * @param {string} jid Chat JID
+     * @param {string} jid Chat or user JID the cooldown applies to
      * @param {string} commandName Command name
      * @returns {number} Remaining cooldown in seconds, or 0 if not on cooldown
      */
@@ -304,7 +868,7 @@ class CommandRegistry {
     
     /**
      * Set cooldown for a command
-     * @param {string} jid Chat JID
+     * @param {string} jid Chat or user JID the cooldown applies to
      * @param {string} commandName Command name
      * @param {number} duration Cooldown duration in milliseconds (default: 3000)
      */
@@ -339,6 +903,16 @@ class CommandRegistry {
      */
     maxRecentMessages = 100;
     
+    /**
+     * Get the ID a message is tracked under by the anti-loop protection
+     * @param {Object} message Message object
+     * @param {Object|null} session Bot session that received the message
+     * @returns {string} Message ID, prefixed with the session ID
+     */
+    getProcessedId(message, session) {
+        return session ? `${session.id}:${message.key.id}` : message.key.id;
+    }
+    
     /**
      * Check if a message was recently processed (to prevent loops)
      * @param {string} messageId Message ID
@@ -368,12 +942,125 @@ class CommandRegistry {
     }
 
     /**
-     * Process a message for commands
+     * Add a middleware to the message pipeline, replacing any middleware with the same name
+     * Middleware is called as handler(ctx, next) in order; it continues the pipeline by
+     * awaiting next() and short-circuits it by returning without calling next().
+     * A message that several bot sessions receive (a group they share) only goes through the
+     * middleware of the first session to process it, unless the middleware runs for every session.
+     * @param {string} name Middleware name
+     * @param {Function} handler Middleware function
+     * @param {number} order Position in the pipeline, see MIDDLEWARE_ORDER
+     * @param {Object} [options] Options
+     * @param {boolean} [options.everySession] Run for each session that receives the message
+     */
+    use(name, handler, order, { everySession = false } = {}) {
+        if (typeof handler !== 'function') {
+            throw new TypeError(`Middleware ${name} must be a function`);
+        }
+        
+        this.middleware = this.middleware.filter(entry => entry.name !== name);
+        this.middleware.push({ name, handler, order, everySession });
+        
+        // Array.prototype.sort is stable, so middleware with the same order keeps its registration order
+        this.middleware.sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * Remove a middleware from the message pipeline
+     * @param {string} name Middleware name
+     * @returns {boolean} Whether the middleware was registered
+     */
+    removeMiddleware(name) {
+        const count = this.middleware.length;
+        this.middleware = this.middleware.filter(entry => entry.name !== name);
+        return this.middleware.length !== count;
+    }
+
+    /**
+     * Get the names of the middleware in pipeline order
+     * @returns {Array<string>} Middleware names
+     */
+    getMiddleware() {
+        return this.middleware.map(entry => entry.name);
+    }
+
+    /**
+     * Run the message pipeline
+     * A middleware that throws is logged and skipped, so one failing feature cannot stop the others
+     * @param {Object} ctx Message context from createContext
+     * @returns {Promise<void>}
+     * @private
+     */
+    async runMiddleware(ctx) {
+        const stack = ctx.primary ? this.middleware : this.middleware.filter(entry => entry.everySession);
+        
+        const dispatch = async index => {
+            const entry = stack[index];
+            if (!entry) return;
+            
+            let nextCalled = false;
+            const next = () => {
+                nextCalled = true;
+                return dispatch(index + 1);
+            };
+            
+            try {
+                await entry.handler(ctx, next);
+            } catch (error) {
+                logger.error(`Error in ${entry.name} middleware:`, error);
+                if (!nextCalled) await next();
+            }
+        };
+        
+        await dispatch(0);
+    }
+
+    /**
+     * Build the context shared by the middleware for one message
      * @param {Object} sock WhatsApp socket connection
      * @param {Object} message Message object
-     * @returns {Promise<boolean>} Whether a command was executed
+     * @param {Object|null} session Bot session that received the message
+     * @returns {Promise<Object>} Message context
+     * @private
      */
-    async processMessage(sock, message) {
+    async createContext(sock, message, session) {
+        const jid = message.key.remoteJid;
+        const text = message.message.conversation || message.message.extendedTextMessage?.text || '';
+        
+        // Prefixes and disabled commands can differ per group and session
+        const chatSettings = await this.getChatSettings(jid, session);
+        
+        return {
+            sock,
+            session,
+            message,
+            jid,
+            sender: getSenderJid(message) || jid,
+            isGroup: isJidGroup(jid),
+            fromMe: !!message.key.fromMe,
+            text,
+            chatSettings,
+            command: text ? this.parseCommand(text, chatSettings.prefixes) : null,
+            isOwner: false,
+            banned: false,
+            executed: false,
+            queued: false,
+            // Whether this session was the first to process the message, see use()
+            primary: this.messageClaims.claim(`message:${jid}:${message.key.id}`, session),
+            startedAt: Date.now(),
+            state: {} // free-form data middleware can pass to later stages
+        };
+    }
+
+    /**
+     * Process a message through the middleware pipeline
+     * @param {Object} sock WhatsApp socket connection
+     * @param {Object} message Message object
+     * @param {Object} [session] Bot session that received the message (see core/sessionRegistry.js)
+     * Commands run from a per-chat queue, so this resolves once the command was queued
+     * @returns {Promise<boolean>} Whether a command was executed or queued
+     */
+    async processMessage(sock, message, session = null) {
         if (!this.initialized) {
             logger.warn('Command registry not initialized');
             return false;
@@ -383,68 +1070,335 @@ class CommandRegistry {
             return false;
         }
         
-        const messageId = message.key.id;
-        
         // Anti-loop protection: Check if we've already processed this message
-        if (this.wasRecentlyProcessed(messageId)) {
-            logger.warn(`Anti-loop protection: Message ${messageId} was already processed, skipping`);
+        // Sessions in the same group each receive the message, so they keep track separately
+        const processedId = this.getProcessedId(message, session);
+        if (this.wasRecentlyProcessed(processedId)) {
+            logger.warn(`Anti-loop protection: Message ${message.key.id} was already processed, skipping`);
             return false;
         }
         
-        // Add special handling for self-messages to prevent command loops
-        if (message.key.fromMe) {
-            // If this is a self-message with a command prefix, use higher cooldown
-            // to prevent accidental loops while still allowing self-commands
-            const anyText = message.message.conversation || 
-                           message.message.extendedTextMessage?.text || '';
-            
-            const hasCommandPrefix = this.prefixes.some(prefix => anyText.startsWith(prefix));
-            
-            if (hasCommandPrefix) {
-                // Apply a longer cooldown for self-commands to prevent loops
-                const jid = message.key.remoteJid;
-                const cooldownKey = `${jid}:self-command`;
+        const ctx = await this.createContext(sock, message, session);
+        await this.runMiddleware(ctx);
+        return ctx.executed || ctx.queued;
+    }
+
+    /**
+     * Ban check middleware: owners skip the remaining access checks, and commands from
+     * banned users are dropped. Their other messages still go through moderation.
+     * @param {Object} ctx Message context
+     * @param {Function} next Continue the pipeline
+     * @private
+     */
+    async banMiddleware(ctx, next) {
+        learnFromMessage(ctx.message);
+        ctx.isOwner = ctx.fromMe || await isBotOwner(ctx.sender);
+        
+        if (!ctx.isOwner && getBan(ctx.sender)) {
+            ctx.banned = true;
+            if (ctx.command) {
+                logger.info(`Ignoring command from banned user ${ctx.sender}`);
+                return;
+            }
+        }
+        
+        await next();
+    }
+
+    /**
+     * Maintenance middleware: during maintenance only owners can run commands
+     * @param {Object} ctx Message context
+     * @param {Function} next Continue the pipeline
+     * @private
+     */
+    async maintenanceMiddleware(ctx, next) {
+        if (ctx.command && !ctx.isOwner && isMaintenanceMode()) {
+            // Only send the notice once per minute per chat to avoid spamming
+            if (this.checkCooldown(ctx.jid, 'maintenance-notice') === 0) {
+                this.setCooldown(ctx.jid, 'maintenance-notice', 60000);
                 
-                // Check if there's already a self-command cooldown
-                const selfCooldown = this.checkCooldown(jid, 'self-command');
-                if (selfCooldown > 0) {
-                    logger.warn(`Self-command rate limit exceeded, cooldown: ${selfCooldown}s`);
-                    return false;
+                const { message: notice } = getMaintenanceState();
+                try {
+                    await safeSendText(
+                        ctx.sock,
+                        ctx.jid,
+                        notice || languageManager.getText('system.maintenance_notice')
+                    );
+                } catch (error) {
+                    logger.error('Error sending maintenance notice:', error);
                 }
-                
-                // Apply longer cooldown for self-commands (5 seconds)
-                this.setCooldown(jid, 'self-command', 5000);
             }
+            return;
+        }
+        
+        await next();
+    }
+
+    /**
+     * Conversation middleware: a message from a user who was asked a question is the answer
+     * Known commands still run while a question is waiting, and "cancel" ends the conversation
+     * @param {Object} ctx Message context
+     * @param {Function} next Continue the pipeline
+     * @private
+     */
+    async conversationMiddleware(ctx, next) {
+        if (!ctx.fromMe && conversationManager.isWaiting(ctx.jid, ctx.sender, ctx.session)) {
+            if (conversationManager.isCancel(ctx.message, ctx.command)) {
+                conversationManager.cancel(ctx.jid, ctx.sender, ctx.session);
+                ctx.command = null;
+            } else if (!ctx.command || !this.resolveCommandName(ctx.command.command)) {
+                // Answers such as "#1" look like commands but are not
+                conversationManager.answer(ctx.jid, ctx.sender, ctx.message, ctx.session);
+                ctx.command = null;
+                ctx.state.conversationAnswer = true;
+            }
+        }
+        
+        await next();
+    }
+
+    /**
+     * Command middleware: dispatch the command, if the message is one
+     * @param {Object} ctx Message context
+     * @param {Function} next Continue the pipeline
+     * @private
+     */
+    async commandMiddleware(ctx, next) {
+        // Sessions using the same prefix in a group would all answer; the first one to see the command does
+        if (ctx.command && !this.messageClaims.claim(`command:${ctx.jid}:${ctx.message.key.id}`, ctx.session)) {
+            ctx.command = null;
+        }
+        
+        if (!ctx.command || !(await this.prepareCommand(ctx))) {
+            await next();
+            return;
+        }
+        
+        const { sock, session, message, jid, command } = ctx;
+        const config = this.getCommandConfig(command.command);
+        const heavy = config?.heavy ?? config?.configCategory === 'media';
+        
+        // The command runs from the chat's queue; the rest of the pipeline continues once it is done
+        const result = this.scheduler.enqueue(jid, {
+            priority: await this.getCommandPriority(ctx, heavy),
+            heavy,
+            force: ctx.isOwner,
+            run: async (release) => {
+                ctx.executed = await this.executeCommand(sock, message, command.command, command.args, { prefix: command.prefix, release, session });
+                await next();
+            }
+        });
+        
+        if (!result.accepted) {
+            logger.warn(`Command queue ${result.reason === 'full' ? 'is full' : `of ${jid} is full`}, rejecting ${command.command}`);
+            await this.sendQueueNotice(sock, jid, result.reason);
+            await next();
+            return;
+        }
+        
+        ctx.queued = true;
+    }
+
+    /**
+     * Get the queue priority of a command: owners and group admins go first, heavy media jobs last
+     * Roles are only looked up when the queue is busy, since the priority does not matter otherwise
+     * @param {Object} ctx Message context
+     * @param {boolean} heavy Whether the command is a heavy media job
+     * @returns {Promise<number>} One of PRIORITY
+     * @private
+     */
+    async getCommandPriority(ctx, heavy) {
+        if (ctx.isOwner) return PRIORITY.high;
+        
+        if (ctx.isGroup && this.scheduler.isBusy()) {
+            const { level } = await getUserRole(ctx.sock, ctx.jid, ctx.sender);
+            if (level >= ROLE_LEVELS.admin) return PRIORITY.high;
+        }
+        
+        return heavy ? PRIORITY.low : PRIORITY.normal;
+    }
+
+    /**
+     * Tell a chat its command was rejected because the queue is full
+     * @param {Object} sock WhatsApp socket connection
+     * @param {string} jid Chat JID
+     * @param {string} reason 'full' for the global limit, 'chat' for the per-chat limit
+     * @private
+     */
+    async sendQueueNotice(sock, jid, reason) {
+        // At most one notice every 30 seconds per chat
+        if (this.checkCooldown(jid, 'queue-notice') > 0) return;
+        this.setCooldown(jid, 'queue-notice', 30000);
+        
+        try {
+            await safeSendText(
+                sock,
+                jid,
+                languageManager.getText(reason === 'full' ? 'system.queue_full' : 'system.queue_chat_full')
+            );
+        } catch (error) {
+            logger.error('Error sending queue notice:', error);
+        }
+    }
+
+    /**
+     * Analytics middleware: count messages and command usage
+     * @param {Object} ctx Message context
+     * @param {Function} next Continue the pipeline
+     * @private
+     */
+    async analyticsMiddleware(ctx, next) {
+        if (ctx.primary) this.analytics.messages++;
+        
+        // Unknown commands are left out so typos do not clutter the stats
+        if (ctx.command && this.commands.has(ctx.command.command)) {
+            const name = ctx.command.command;
+            const usage = this.analytics.commands.get(name) || { count: 0, executed: 0, totalTime: 0 };
+            usage.count++;
+            if (ctx.executed) {
+                usage.executed++;
+                usage.totalTime += Date.now() - ctx.startedAt;
+            }
+            this.analytics.commands.set(name, usage);
+        }
+        
+        await next();
+    }
+
+    /**
+     * Resolve the command in a message and check it may run in this chat
+     * @param {Object} ctx Message context
+     * @returns {Promise<boolean>} Whether the command should be queued
+     * @private
+     */
+    async prepareCommand(ctx) {
+        const { sock, message, jid, chatSettings } = ctx;
+        const parsedCommand = ctx.command;
+        
+        // Add special handling for self-messages to prevent command loops
+        if (ctx.fromMe) {
+            // Apply a longer cooldown for self-commands to prevent loops
+            // while still allowing self-commands
+            const selfCooldown = this.checkCooldown(jid, 'self-command');
+            if (selfCooldown > 0) {
+                logger.warn(`Self-command rate limit exceeded, cooldown: ${selfCooldown}s`);
+                return false;
+            }
+            
+            // Apply longer cooldown for self-commands (5 seconds)
+            this.setCooldown(jid, 'self-command', 5000);
         }
         
-        // Extract text from different message types
-        let text = '';
+        // Mark this message as processed to prevent loops
+        this.markAsProcessed(this.getProcessedId(message, ctx.session));
         
-        if (message.message.conversation) {
-            text = message.message.conversation;
-        } else if (message.message.extendedTextMessage?.text) {
-            text = message.message.extendedTextMessage.text;
-        } else {
-            // No text content to process
+        // Resolve aliases, and point out likely typos of unknown commands
+        const commandName = this.resolveCommandName(parsedCommand.command);
+        if (!commandName) {
+            await this.suggestCommands(sock, message, parsedCommand, chatSettings);
             return false;
         }
+        parsedCommand.command = commandName;
         
-        // Parse command
-        const parsedCommand = this.parseCommand(text);
-        if (!parsedCommand) {
+        // Commands turned off by the group's admins
+        if (this.isCommandDisabled(parsedCommand.command, chatSettings)) {
+            const noticeKey = `disabled:${parsedCommand.command}`;
+            
+            // Only send the notice once per minute per command to avoid spamming
+            if (this.checkCooldown(jid, noticeKey) === 0) {
+                this.setCooldown(jid, noticeKey, 60000);
+                try {
+                    await safeSendText(
+                        sock,
+                        jid,
+                        languageManager.getText('system.command_disabled', null, parsedCommand.command)
+                    );
+                } catch (error) {
+                    logger.error('Error sending disabled command notice:', error);
+                }
+            }
             return false;
         }
         
-        // Mark this message as processed to prevent loops
-        this.markAsProcessed(messageId);
+        if (!ctx.isOwner && !(await this.checkRateLimits(ctx, parsedCommand.command))) {
+            return false;
+        }
+        
+        return true;
+    }
+
+    /**
+     * Take a token from the sender's, the group's and the category's rate limit
+     * @param {Object} ctx Message context
+     * @param {string} commandName Resolved command name
+     * @returns {Promise<boolean>} Whether the command may run
+     * @private
+     */
+    async checkRateLimits(ctx, commandName) {
+        const limits = config.rateLimits;
+        if (!limits?.enabled) return true;
+        
+        const { sock, jid, sender } = ctx;
+        const category = this.getCommandConfig(commandName)?.configCategory;
+        const checks = [];
+        
+        if (limits.user) checks.push({ key: `user:${sender}`, limit: limits.user, scope: 'user' });
+        if (ctx.isGroup && limits.group) checks.push({ key: `group:${jid}`, limit: limits.group, scope: 'group' });
+        if (limits.categories?.[category]) {
+            checks.push({ key: `category:${category}:${sender}`, limit: limits.categories[category], scope: 'category' });
+        }
+        
+        const result = this.rateLimiter.consume(checks);
+        if (result.allowed) return true;
         
-        // Execute command
-        return await this.executeCommand(
-            sock, 
-            message, 
-            parsedCommand.command, 
-            parsedCommand.args
-        );
+        logger.info(`Rate limited ${commandName} from ${sender} in ${jid} (${result.scope} limit)`);
+        
+        // One notice per sender until the limit has passed
+        const noticeKey = `rate-notice:${result.scope}`;
+        if (this.checkCooldown(sender, noticeKey) === 0) {
+            this.setCooldown(sender, noticeKey, result.retryAfter);
+            
+            const wait = formatDuration(Math.ceil(result.retryAfter / 1000));
+            const text = result.scope === 'category'
+                ? languageManager.getText('system.rate_limited_category', null, category, wait)
+                : languageManager.getText(`system.rate_limited_${result.scope}`, null, wait);
+            
+            try {
+                await safeSendText(sock, jid, text);
+            } catch (error) {
+                logger.error('Error sending rate limit notice:', error);
+            }
+        }
+        
+        return false;
+    }
+
+    /**
+     * Reply to an unknown command with the closest matches, if there are any
+     * @param {Object} sock WhatsApp socket connection
+     * @param {Object} message Message object
+     * @param {Object} parsedCommand Result of parseCommand
+     * @param {Object} chatSettings Settings from getChatSettings
+     */
+    async suggestCommands(sock, message, parsedCommand, chatSettings) {
+        const remoteJid = message.key.remoteJid;
+        const suggestions = this.getSuggestions(parsedCommand.command, chatSettings);
+        logger.debug(`Command not found: ${parsedCommand.command}`);
+        
+        // At most one suggestion every few seconds per chat
+        if (!suggestions.length || this.checkCooldown(remoteJid, 'suggestion') > 0) return;
+        this.setCooldown(remoteJid, 'suggestion', 5000);
+        
+        try {
+            await safeSendText(
+                sock,
+                remoteJid,
+                languageManager.getText('system.command_suggestion', null, `${parsedCommand.prefix}${parsedCommand.command}`,
+                    suggestions.map(name => `${parsedCommand.prefix}${name}`).join(', '))
+            );
+        } catch (error) {
+            logger.error('Error sending command suggestion:', error);
+        }
     }
 
     /**
@@ -474,6 +1428,16 @@ class CommandRegistry {
         return this.commands.get(name.toLowerCase()) || null;
     }
 
+    /**
+     * Get the config of a command or alias, from the config file of the module that handles it
+     * @param {string} name Command name or alias
+     * @returns {Object|null} Command config or null if it has none
+     */
+    getCommandConfig(name) {
+        const commandInfo = this.commands.get(this.resolveCommandName(name) || name.toLowerCase());
+        return getCommandConfig(commandInfo?.name || name, commandInfo?.configCategory);
+    }
+
     /**
      * Get commands by category
      * @param {string} category Category name
@@ -513,7 +1477,13 @@ class CommandRegistry {
             totalModules: this.modules.size,
             totalCategories: this.categories.size,
             initialized: this.initialized,
-            categories: Object.fromEntries(this.categories)
+            categories: Object.fromEntries(this.categories),
+            messagesProcessed: this.analytics.messages,
+            commandUsage: Object.fromEntries(this.analytics.commands),
+            queue: this.scheduler.getStats(),
+            rateLimits: this.rateLimiter.getStats(),
+            conversations: conversationManager.getStats(),
+            outbound: getSendStats()
         };
     }
 
@@ -560,5 +1530,9 @@ const commandRegistry = new CommandRegistry();
 
 module.exports = {
     CommandRegistry,
-    commandRegistry
+    commandRegistry,
+    DEFAULT_PREFIXES,
+    PROTECTED_COMMANDS,
+    MIDDLEWARE_ORDER,
+    isValidPrefix
 };
\ No newline at end of file
@@ -0,0 +1,225 @@
+/**
+ * Command Scheduler
+ * Fair per-chat queue for command execution with a global concurrency limit
+ *
+ * Each chat runs at most one command at a time, in order, so one chat cannot take every slot.
+ * When a slot frees up, the waiting chat with the most urgent command goes next; between equal
+ * priorities the chat that has waited longest wins. Heavy media jobs may only use some of the
+ * slots, so lightweight commands keep running while downloads are in progress.
+ */
+
+const logger = require('../utils/logger');
+
+// Lower runs first
+const PRIORITY = {
+    high: 0, // owners and group admins
+    normal: 1,
+    low: 2 // heavy media jobs
+};
+
+const DEFAULT_OPTIONS = {
+    maxConcurrent: 4,
+    maxConcurrentHeavy: 2,
+    maxQueueSize: 100,
+    maxQueuePerChat: 10
+};
+
+/**
+ * Scheduler for running queued command jobs
+ */
+class CommandScheduler {
+    /**
+     * @param {Object} [options] Limits, see DEFAULT_OPTIONS
+     */
+    constructor(options = {}) {
+        this.options = Object.fromEntries(Object.entries(DEFAULT_OPTIONS)
+            .map(([key, value]) => [key, options[key] ?? value]));
+        this.queues = new Map(); // chat JID -> jobs waiting, most urgent first
+        this.activeChats = new Set(); // chats with a running job
+        this.running = 0;
+        this.runningHeavy = 0;
+        this.queued = 0;
+        this.idleWaiters = [];
+        this.stats = { processed: 0, failed: 0, rejected: 0, totalWait: 0 };
+    }
+
+    /**
+     * Check whether a new job would have to wait
+     * @returns {boolean} Whether all slots are taken or jobs are waiting
+     */
+    isBusy() {
+        return this.queued > 0 || this.running >= this.options.maxConcurrent;
+    }
+
+    /**
+     * Queue a job
+     * @param {string} chatJid Chat the job belongs to
+     * @param {Object} job Job
+     * @param {Function} job.run Async function doing the work; it gets a `release` callback to give up
+     *        its slot early, e.g. while it waits for the user to answer a question
+     * @param {number} [job.priority] One of PRIORITY, defaults to normal
+     * @param {boolean} [job.heavy] Whether the job is a heavy media job
+     * @param {boolean} [job.force] Queue even when the queue is full (used for owners)
+     * @returns {{accepted: boolean, reason?: string, position?: number}} Result
+     */
+    enqueue(chatJid, { run, priority = PRIORITY.normal, heavy = false, force = false }) {
+        const queue = this.queues.get(chatJid) || [];
+
+        if (!force) {
+            if (this.queued >= this.options.maxQueueSize) {
+                this.stats.rejected++;
+                return { accepted: false, reason: 'full' };
+            }
+            if (queue.length >= this.options.maxQueuePerChat) {
+                this.stats.rejected++;
+                return { accepted: false, reason: 'chat' };
+            }
+        }
+
+        const job = { run, priority, heavy, chatJid, queuedAt: Date.now() };
+
+        // Keep the chat's queue ordered by priority, first come first served within a priority
+        let index = queue.findIndex(queuedJob => queuedJob.priority > priority);
+        if (index === -1) index = queue.length;
+        queue.splice(index, 0, job);
+
+        this.queues.set(chatJid, queue);
+        this.queued++;
+        this.drain();
+
+        return { accepted: true, position: queue.indexOf(job) };
+    }
+
+    /**
+     * Pick the next job that may start
+     * @returns {Object|null} Job or null if none can start now
+     * @private
+     */
+    pickNext() {
+        let best = null;
+
+        for (const [chatJid, queue] of this.queues) {
+            if (this.activeChats.has(chatJid)) continue;
+
+            const job = queue[0];
+            if (job.heavy && this.runningHeavy >= this.options.maxConcurrentHeavy) {
+                // The chat's first job has to wait for a heavy slot; a later light job can't skip it
+                continue;
+            }
+
+            if (!best || job.priority < best.priority ||
+                (job.priority === best.priority && job.queuedAt < best.queuedAt)) {
+                best = job;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Start jobs while there are free slots
+     * @private
+     */
+    drain() {
+        while (this.running < this.options.maxConcurrent) {
+            const job = this.pickNext();
+            if (!job) break;
+
+            const queue = this.queues.get(job.chatJid);
+            queue.shift();
+            if (!queue.length) this.queues.delete(job.chatJid);
+            this.queued--;
+
+            this.start(job);
+        }
+
+        if (!this.running && !this.queued) {
+            this.idleWaiters.splice(0).forEach(resolve => resolve());
+        }
+    }
+
+    /**
+     * Run a job and start the next one when it finishes
+     * @param {Object} job Job
+     * @private
+     */
+    start(job) {
+        this.running++;
+        if (job.heavy) this.runningHeavy++;
+        this.activeChats.add(job.chatJid);
+        this.stats.totalWait += Date.now() - job.queuedAt;
+
+        Promise.resolve()
+            .then(() => job.run(() => this.release(job)))
+            .then(() => {
+                this.stats.processed++;
+            })
+            .catch(error => {
+                this.stats.failed++;
+                logger.error(`Queued job in ${job.chatJid} failed:`, error);
+            })
+            .finally(() => this.release(job));
+    }
+
+    /**
+     * Free a job's slot and let the next job of its chat start
+     * A released job keeps running, it just no longer counts against the limits
+     * @param {Object} job Job
+     * @private
+     */
+    release(job) {
+        if (job.released) return;
+        job.released = true;
+
+        this.running--;
+        if (job.heavy) this.runningHeavy--;
+        this.activeChats.delete(job.chatJid);
+        this.drain();
+    }
+
+    /**
+     * Wait until no jobs are queued or running
+     * @returns {Promise<void>}
+     */
+    onIdle() {
+        if (!this.running && !this.queued) return Promise.resolve();
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    /**
+     * Get queue statistics
+     * @returns {Object} Queue depth, running jobs and totals
+     */
+    getStats() {
+        const byPriority = { high: 0, normal: 0, low: 0 };
+        let oldest = null;
+
+        for (const queue of this.queues.values()) {
+            for (const job of queue) {
+                const name = Object.keys(PRIORITY).find(key => PRIORITY[key] === job.priority);
+                byPriority[name]++;
+                if (oldest === null || job.queuedAt < oldest) oldest = job.queuedAt;
+            }
+        }
+
+        const started = this.stats.processed + this.stats.failed + this.running;
+        return {
+            queued: this.queued,
+            running: this.running,
+            runningHeavy: this.runningHeavy,
+            waitingChats: this.queues.size,
+            byPriority,
+            oldestWaitMs: oldest === null ? 0 : Date.now() - oldest,
+            averageWaitMs: started ? Math.round(this.stats.totalWait / started) : 0,
+            processed: this.stats.processed,
+            failed: this.stats.failed,
+            rejected: this.stats.rejected,
+            limits: { ...this.options }
+        };
+    }
+}
+
+module.exports = {
+    CommandScheduler,
+    PRIORITY
+};
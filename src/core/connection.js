@@ -5,11 +5,15 @@
 
 const { default: makeWASocket, useMultiFileAuthState, DisconnectReason, fetchLatestBaileysVersion } = require('@whiskeysockets/baileys');
 const pino = require('pino');
+const qrcode = require('qrcode-terminal');
 const { Boom } = require('@hapi/boom');
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
 const { ensureDirectoryExists } = require('../utils/fileUtils');
+const config = require('../config/config');
+const { OutboundQueue } = require('../utils/outboundQueue');
+const { PairingCodeLogin } = require('../utils/pairingCode');
 
 // Default connection settings
 const DEFAULT_RECONNECT_INTERVAL = 3000; // 3 seconds
@@ -20,6 +24,15 @@ const RECONNECT_DECAY_FACTOR = 1.5; // Exponential backoff factor
  * Connection manager for WhatsApp interactions
  */
 class ConnectionManager {
+    /**
+     * @param {Object} [options] Options
+     * @param {string} [options.authDir] Folder with the credentials of the WhatsApp account
+     * @param {string} [options.instanceIdFile] File keeping the instance ID across restarts
+     * @param {Object} [options.outbound] Options of the outbound queue, defaults to config.messaging
+     * @param {string} [options.logLevel] Baileys log level
+     * @param {Array<string>} [options.browser] Browser shown in the linked devices list
+     * @param {string} [options.pairingNumber] Link this number with a pairing code instead of a QR code
+     */
     constructor(options = {}) {
         this.authDir = options.authDir || './auth_info_baileys';
         this.logLevel = options.logLevel || 'info';
@@ -32,7 +45,7 @@ class ConnectionManager {
         
         // Store the instance ID in a file for consistency across restarts
         try {
-            const instanceIdFile = path.join(process.cwd(), '.instance_id');
+            const instanceIdFile = options.instanceIdFile || path.join(process.cwd(), '.instance_id');
             if (fs.existsSync(instanceIdFile)) {
                 this.instanceId = fs.readFileSync(instanceIdFile, 'utf8').trim();
                 logger.info(`Using existing instance ID: ${this.instanceId}`);
@@ -53,7 +66,17 @@ class ConnectionManager {
         this.reconnectInterval = DEFAULT_RECONNECT_INTERVAL;
         this.connectionEventHandlers = [];
         this.messageHandlers = [];
+        this.participantHandlers = [];
         this.wasConnected = false;
+        this.stopped = false; // set by disconnect, so a closed connection is not re-established
+
+        // Outgoing messages, kept across reconnects
+        this.outbound = new OutboundQueue(options.outbound || config.messaging);
+
+        // Pairing code login, see usePairingCode
+        this.pairing = null;
+        this.printsQR = true;
+        if (options.pairingNumber) this.usePairingCode(options.pairingNumber);
         
         // Connection monitoring vars
         this.lastMessageTimestamp = Date.now();
@@ -100,6 +123,7 @@ class ConnectionManager {
         }
 
         this.isConnecting = true;
+        this.stopped = false;
         logger.info('Initializing WhatsApp connection...');
 
         try {
@@ -113,15 +137,21 @@ class ConnectionManager {
             this.saveCreds = saveCreds;
 
             // Create socket connection with unique instance id in browser info
+            // While a pairing code is used, the QR code is only printed if pairing fails
+            this.printsQR = !this.pairing?.active;
             this.sock = makeWASocket({
                 version,
                 auth: state,
-                printQRInTerminal: true,
+                printQRInTerminal: this.printsQR,
                 markOnlineOnConnect: this.options.markOnlineOnConnect !== false,
                 logger: this.logger,
                 browser: this.options.browser || [this.instanceId, 'Chrome', '4.0.0']
             });
 
+            // Messages queued while reconnecting wait for the connection to open
+            this.outbound.attach(this.sock);
+            this.outbound.setConnected(false);
+
             // Set up event handlers
             this.setupSocketHandlers();
             this.isConnecting = false;
@@ -146,11 +176,12 @@ class ConnectionManager {
      */
     setupSocketHandlers() {
         if (!this.sock) return;
+        const sock = this.sock;
 
         // Handle connection events
         this.sock.ev.on('connection.update', async (update) => {
             try {
-                await this.handleConnectionUpdate(update);
+                await this.handleConnectionUpdate(update, sock);
             } catch (error) {
                 logger.error('Error in connection update handler:', error);
             }
@@ -163,18 +194,32 @@ class ConnectionManager {
         this.sock.ev.on('messages.upsert', (messages) => {
             this.handleIncomingMessages(messages);
         });
+
+        // Handle group members joining, leaving, promotions and demotions
+        this.sock.ev.on('group-participants.update', (update) => {
+            this.participantHandlers.forEach(handler => {
+                Promise.resolve(handler(this.sock, update)).catch(error => {
+                    logger.error('Error in group participants handler:', error);
+                });
+            });
+        });
     }
 
     /**
      * Handle connection updates
      * @param {Object} update Connection update event
+     * @param {Object} [sock] Socket that sent the update
      * @returns {Promise<void>}
      */
-    async handleConnectionUpdate(update) {
-        const { connection, lastDisconnect, qr } = update;
+    async handleConnectionUpdate(update, sock = this.sock) {
+        if (this.pairing) {
+            update = await this.pairing.handleUpdate(sock, update);
+            this.logPairingUpdate(update);
+        }
+        const { connection, lastDisconnect } = update;
         
-        // Notify all registered event handlers
-        this.notifyEventHandlers(update);
+        // Notify all registered event handlers, unless all the update had was a QR code replaced by a pairing code
+        if (Object.keys(update).length) this.notifyEventHandlers(update);
 
         if (connection === 'close') {
             const shouldReconnect = (lastDisconnect?.error instanceof Boom && 
@@ -185,6 +230,10 @@ class ConnectionManager {
             
             logger.warn(`Connection closed due to: ${errorMessage} (Code: ${statusCode})`);
             this.isConnected = false;
+            this.outbound.setConnected(false);
+            
+            // Closed on purpose
+            if (this.stopped) return;
             
             // Check for session conflict specifically
             const isConflict = lastDisconnect?.error?.output?.payload?.error === 'conflict' ||
@@ -195,7 +244,7 @@ class ConnectionManager {
                 logger.warn('Session conflict detected - another client is using this session');
                 // Add a longer delay for conflict resolution to allow other session to stabilize
                 setTimeout(() => {
-                    if (!this.isConnected && !this.isConnecting) {
+                    if (!this.isConnected && !this.isConnecting && !this.stopped) {
                         logger.info('Attempting to reconnect after session conflict...');
                         this.connect();
                     }
@@ -205,15 +254,26 @@ class ConnectionManager {
             
             // Special handling for logout cases
             if (lastDisconnect?.error?.output?.statusCode === DisconnectReason.loggedOut) {
-                logger.warn('Account logged out - attempting one-time auth repair');
+                logger.warn('Account logged out - the credentials were revoked, starting a new login');
                 
-                // Try to repair auth by creating a fresh backup and reconnecting
+                // Back up the revoked credentials, then remove them so the reconnect starts a new
+                // login (QR code or pairing code) instead of loading them again
                 try {
-                    await this.backupSession();
-                    logger.info('Created auth backup before repair attempt');
-                    
+                    if (!await this.backupSession()) {
+                        logger.error('Keeping the logged out credentials because the backup failed');
+                        return;
+                    }
+                    for (const file of fs.readdirSync(this.authDir)) {
+                        fs.rmSync(path.join(this.authDir, file), { recursive: true, force: true });
+                    }
+                    logger.info('Removed the logged out credentials after backing them up');
+
+                    // An account linked with a pairing code gets a new code rather than a QR code
+                    if (this.pairing) this.usePairingCode(this.pairing.phoneNumber);
+
                     // Force a reconnection attempt with a longer delay
                     setTimeout(() => {
+                        if (this.stopped) return;
                         this.reconnectCount = 0; // Reset counter for fresh start
                         logger.info('Attempting reconnection after logout with fresh session...');
                         this.connect();
@@ -235,7 +295,9 @@ class ConnectionManager {
                 // Last resort attempt for persistent connection issues
                 if (this.wasConnected && this.reconnectCount < 3) {
                     logger.info('Attempting emergency reconnection...');
-                    setTimeout(() => this.connect(), 10000);
+                    setTimeout(() => {
+                        if (!this.stopped) this.connect();
+                    }, 10000);
                 }
             }
         } else if (connection === 'open') {
@@ -244,6 +306,7 @@ class ConnectionManager {
             this.wasConnected = true;
             this.reconnectCount = 0;
             this.reconnectInterval = DEFAULT_RECONNECT_INTERVAL;
+            this.outbound.setConnected(true);
             
             // Reset health metrics on successful connection
             this.connectionHealth = 100;
@@ -259,6 +322,48 @@ class ConnectionManager {
         }
     }
 
+    /**
+     * Link the account with a pairing code instead of a QR code while it is not linked
+     * Takes effect on the next QR code, or on the next connect if the current one is linked
+     * @param {string|null} phoneNumber Number of the account with country code, or null to use QR codes
+     * @throws {Error} If the number is not a plausible phone number
+     */
+    usePairingCode(phoneNumber) {
+        this.pairing = phoneNumber ? new PairingCodeLogin(phoneNumber) : null;
+        if (this.pairing) {
+            logger.info(`Linking +${this.pairing.phoneNumber} with a pairing code`);
+        }
+    }
+
+    /**
+     * Get the pairing code waiting to be entered on the phone
+     * @returns {{code: string, expiresAt: number, phoneNumber: string}|null} Code, or null if there is none
+     */
+    getPairingCode() {
+        return this.pairing?.getCode() || null;
+    }
+
+    /**
+     * Show pairing codes, and the QR code after falling back to it, in the terminal
+     * @param {Object} update Connection update returned by the pairing code login
+     * @private
+     */
+    logPairingUpdate(update) {
+        if (update.pairingCode) {
+            const minutes = Math.round((update.pairingCodeExpiresAt - Date.now()) / 60000);
+            logger.success(`Pairing code for +${this.pairing.phoneNumber}: ${update.pairingCode}`);
+            logger.info('On the phone open WhatsApp > Linked devices > Link a device > Link with phone number instead, ' +
+                `and enter the code within ${minutes} minute(s)`);
+        }
+
+        if (update.pairingFallback) {
+            logger.warn(`Pairing code login failed (${update.pairingFallback}), showing a QR code instead`);
+        }
+        if (update.qr && !this.printsQR) {
+            qrcode.generate(update.qr, { small: true });
+        }
+    }
+
     /**
      * Handle incoming messages
      * @param {Object} messages Message update event
@@ -293,7 +398,7 @@ class ConnectionManager {
         logger.info(`Reconnecting in ${Math.round(reconnectDelay / 1000)}s (attempt ${this.reconnectCount}/${MAX_RECONNECT_RETRIES})`);
         
         setTimeout(() => {
-            if (!this.isConnected && !this.isConnecting) {
+            if (!this.isConnected && !this.isConnecting && !this.stopped) {
                 this.connect();
             }
         }, reconnectDelay);
@@ -319,6 +424,16 @@ class ConnectionManager {
         }
     }
 
+    /**
+     * Register a group participants update handler
+     * @param {Function} handler Handler called with (sock, { id, participants, action })
+     */
+    onGroupParticipantsUpdate(handler) {
+        if (typeof handler === 'function') {
+            this.participantHandlers.push(handler);
+        }
+    }
+
     /**
      * Notify all registered event handlers
      * @param {Object} update Connection update event
@@ -335,8 +450,11 @@ class ConnectionManager {
 
     /**
      * Disconnect from WhatsApp
+     * The connection stays closed until connect is called again
      */
     async disconnect() {
+        this.stopped = true;
+        
         // Stop connection monitoring first
         this.stopConnectionMonitoring();
         
@@ -387,11 +505,14 @@ class ConnectionManager {
         return {
             isConnected: this.isConnected,
             isConnecting: this.isConnecting,
+            isStopped: this.stopped,
             reconnectCount: this.reconnectCount,
             wasEverConnected: this.wasConnected,
             connectionHealth: this.connectionHealth,
             lastPingLatency: this.pingLatency,
-            lastActivity: this.lastActivityTimestamp
+            lastActivity: this.lastActivityTimestamp,
+            pairingCode: this.getPairingCode(),
+            outbound: this.outbound.getStats()
         };
     }
     
@@ -716,6 +837,7 @@ class ConnectionManager {
             
             // Wait a moment before reconnecting
             await new Promise(resolve => setTimeout(resolve, 2000));
+            if (this.stopped) return;
             
             // Make a reconnection attempt
             logger.info('Attempting to reestablish connection...');
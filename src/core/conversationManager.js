@@ -0,0 +1,342 @@
+/**
+ * Conversation Manager
+ * Lets a command ask the user questions and wait for the answers, so complex commands can be
+ * guided step by step instead of taking every argument in one line
+ *
+ * A command gets `ask` in its options:
+ *   async register(sock, message, args, { ask }) {
+ *       const age = await ask('🎯 How old are you?', { type: 'number', min: 13, max: 120 });
+ *       if (age === null) return; // timed out or cancelled, the user has been told
+ *   }
+ * The next message of the same user in the same chat is the answer. Answers are validated
+ * with the argument types of src/utils/commandArgs.js, and the question is asked again when
+ * an answer is invalid. Sending "cancel" ends the conversation.
+ * When several bot sessions are in a chat, only the session that asked takes the answer.
+ */
+
+const logger = require('../utils/logger');
+const { safeSendMessage, safeSendText } = require('../utils/safe-send');
+const { languageManager } = require('../utils/language');
+const { ARG_TYPES, getMessageContext } = require('../utils/commandArgs');
+const { getSenderJid } = require('../utils/jid');
+
+// Time to wait for an answer
+const DEFAULT_TIMEOUT = 60 * 1000;
+
+// Invalid answers allowed before the conversation ends
+const DEFAULT_ATTEMPTS = 3;
+
+// Answer that ends the conversation, with or without a command prefix
+const CANCEL_WORD = 'cancel';
+
+/**
+ * Get the text of an answer, including the selection of a button or list reply
+ * @param {Object} message Message object
+ * @returns {string} Answer text
+ */
+function getAnswerText(message) {
+    const content = message?.message || {};
+    const text = content.buttonsResponseMessage?.selectedButtonId ||
+        content.listResponseMessage?.singleSelectReply?.selectedRowId ||
+        content.templateButtonReplyMessage?.selectedId ||
+        content.conversation ||
+        content.extendedTextMessage?.text ||
+        content.imageMessage?.caption ||
+        content.videoMessage?.caption ||
+        '';
+    return text.trim();
+}
+
+/**
+ * Turn the choices of a question into { id, title, description } entries
+ * @param {Array<string|Object>} choices Choices
+ * @returns {Array<Object>} Normalized choices
+ */
+function normalizeChoices(choices) {
+    return choices.map(choice => typeof choice === 'string'
+        ? { id: choice, title: choice }
+        : { id: String(choice.id ?? choice.title), title: choice.title ?? String(choice.id), description: choice.description });
+}
+
+/**
+ * Tracks the questions waiting for an answer
+ */
+class ConversationManager {
+    constructor() {
+        this.pending = new Map(); // "session|chat|sender" -> { resolve, timer, startedAt }
+    }
+
+    /**
+     * Get the key of a user's conversation in a chat
+     * @param {string} jid Chat JID
+     * @param {string} sender Sender JID
+     * @param {Object} [session] Bot session the conversation runs in
+     * @returns {string} Conversation key
+     * @private
+     */
+    getKey(jid, sender, session = null) {
+        return `${session?.id || ''}|${jid}|${sender}`;
+    }
+
+    /**
+     * Check whether a user has a question waiting for an answer
+     * @param {string} jid Chat JID
+     * @param {string} sender Sender JID
+     * @param {Object} [session] Bot session that received the message
+     * @returns {boolean} Whether a question is waiting
+     */
+    isWaiting(jid, sender, session = null) {
+        return this.pending.has(this.getKey(jid, sender, session));
+    }
+
+    /**
+     * Ask the user who sent a command a question and wait for a valid answer
+     * @param {Object} sock WhatsApp socket connection
+     * @param {Object} message The command message
+     * @param {string} question Question text
+     * @param {Object} [options] Options
+     * @param {string} [options.type] Argument type the answer must match, e.g. 'number' or 'mention';
+     *        other options (min, max, integer, media) are passed on to the type like in a schema
+     * @param {Array<string|Object>} [options.choices] Allowed answers, as strings or { id, title, description };
+     *        the id of the chosen entry is returned
+     * @param {string} [options.style] How choices are shown: 'text' (numbered, default), 'buttons' or 'list'
+     * @param {string} [options.buttonText] Label of the list button
+     * @param {Function} [options.validate] Extra check `(value, message) => true | string`, returning an error text
+     * @param {number} [options.timeout] Time in milliseconds to wait for an answer
+     * @param {number} [options.attempts] Invalid answers allowed before giving up
+     * @param {Object} [options.session] Bot session that received the command, set by the registry
+     * @returns {Promise<*>} The answer, or null if the user cancelled, did not answer in time or
+     *          kept giving invalid answers
+     */
+    async ask(sock, message, question, options = {}) {
+        const jid = message.key.remoteJid;
+        const sender = getSenderJid(message) || jid;
+        const key = this.getKey(jid, sender, options.session);
+        const { timeout = DEFAULT_TIMEOUT, attempts = DEFAULT_ATTEMPTS } = options;
+        const choices = options.choices ? normalizeChoices(options.choices) : null;
+
+        let prompt = question;
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            try {
+                await this.sendQuestion(sock, message, prompt, choices, options);
+            } catch (error) {
+                logger.error(`Error sending question to ${sender}:`, error);
+                return null;
+            }
+
+            const reply = await this.waitForReply(key, timeout);
+            if (reply.ended) {
+                await this.sendEndNotice(sock, jid, reply.reason);
+                return null;
+            }
+
+            const result = await this.validate(reply.message, choices, options);
+            if (!result.error) return result.value;
+
+            prompt = languageManager.getText('system.conversation_invalid', null, result.error, question);
+        }
+
+        await this.sendEndNotice(sock, jid, 'failed');
+        return null;
+    }
+
+    /**
+     * Send a question, with its choices as numbered text, buttons or a list
+     * @param {Object} sock WhatsApp socket connection
+     * @param {Object} message The command message, quoted so group members know who is asked
+     * @param {string} prompt Question text
+     * @param {Array<Object>|null} choices Normalized choices
+     * @param {Object} options Options of ask
+     * @private
+     */
+    async sendQuestion(sock, message, prompt, choices, options) {
+        const hint = languageManager.getText('system.conversation_hint');
+        let text = prompt;
+        if (choices) {
+            text += '\n\n' + choices.map((choice, index) => `${index + 1}. ${choice.title}`).join('\n');
+        }
+
+        let content = { text: `${text}\n\n${hint}` };
+        if (choices && options.style === 'buttons') {
+            content = {
+                text,
+                footer: hint,
+                buttons: choices.map(choice => ({ buttonId: choice.id, buttonText: { displayText: choice.title }, type: 1 })),
+                headerType: 1
+            };
+        } else if (choices && options.style === 'list') {
+            content = {
+                text,
+                footer: hint,
+                buttonText: options.buttonText || languageManager.getText('system.conversation_choose'),
+                sections: [{
+                    title: options.buttonText || languageManager.getText('system.conversation_choose'),
+                    rows: choices.map(choice => ({ title: choice.title, rowId: choice.id, description: choice.description || '' }))
+                }]
+            };
+        }
+
+        await safeSendMessage(sock, message.key.remoteJid, content, { quoted: message });
+    }
+
+    /**
+     * Wait for the next message of a user, replacing a question of an earlier command
+     * @param {string} key Conversation key
+     * @param {number} timeout Time to wait in milliseconds
+     * @returns {Promise<{message?: Object, ended?: boolean, reason?: string}>} The reply, or why it ended
+     * @private
+     */
+    waitForReply(key, timeout) {
+        this.end(key, 'replaced');
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => this.end(key, 'timeout'), timeout);
+            this.pending.set(key, { resolve, timer, startedAt: Date.now() });
+        });
+    }
+
+    /**
+     * Hand a reply to a waiting question, or end it
+     * @param {string} key Conversation key
+     * @param {Object} result Reply or end reason, see waitForReply
+     * @returns {boolean} Whether a question was waiting
+     * @private
+     */
+    settle(key, result) {
+        const pending = this.pending.get(key);
+        if (!pending) return false;
+
+        clearTimeout(pending.timer);
+        this.pending.delete(key);
+        pending.resolve(result);
+        return true;
+    }
+
+    /**
+     * End a waiting question
+     * @param {string} key Conversation key
+     * @param {string} reason 'cancelled', 'timeout' or 'replaced'
+     * @returns {boolean} Whether a question was waiting
+     * @private
+     */
+    end(key, reason) {
+        return this.settle(key, { ended: true, reason });
+    }
+
+    /**
+     * Cancel a user's conversation in a chat
+     * @param {string} jid Chat JID
+     * @param {string} sender Sender JID
+     * @param {Object} [session] Bot session the conversation runs in
+     * @returns {boolean} Whether a conversation was cancelled
+     */
+    cancel(jid, sender, session = null) {
+        return this.end(this.getKey(jid, sender, session), 'cancelled');
+    }
+
+    /**
+     * Cancel every conversation, e.g. on shutdown
+     */
+    cancelAll() {
+        for (const key of [...this.pending.keys()]) {
+            this.end(key, 'cancelled');
+        }
+    }
+
+    /**
+     * Check an answer against the choices, the argument type and the custom check of a question
+     * @param {Object} reply Reply message
+     * @param {Array<Object>|null} choices Normalized choices
+     * @param {Object} options Options of ask
+     * @returns {Promise<{value?: *, error?: string}>} Parsed answer or error text
+     * @private
+     */
+    async validate(reply, choices, options) {
+        const text = getAnswerText(reply);
+        let value;
+
+        if (choices) {
+            const answer = text.toLowerCase();
+            const choice = choices[Number(answer) - 1] ||
+                choices.find(entry => entry.id.toLowerCase() === answer || entry.title.toLowerCase() === answer);
+            if (!choice) return { error: languageManager.getText('system.conversation_invalid_choice') };
+            value = choice.id;
+        } else if (options.type) {
+            const type = ARG_TYPES[options.type];
+            if (!type) return { error: `Unknown answer type "${options.type}"` };
+
+            const result = type.parse(text.split(/\s+/).filter(Boolean), getMessageContext(reply), options);
+            if (result.error) return { error: result.error };
+            value = result.value;
+        } else {
+            if (!text) return { error: 'Please answer with a text message' };
+            value = text;
+        }
+
+        if (options.validate) {
+            const check = await options.validate(value, reply);
+            if (check !== true && check !== undefined) {
+                return { error: typeof check === 'string' ? check : languageManager.getText('system.conversation_invalid_answer') };
+            }
+        }
+
+        return { value };
+    }
+
+    /**
+     * Tell the user why a conversation ended
+     * @param {Object} sock WhatsApp socket connection
+     * @param {string} jid Chat JID
+     * @param {string} reason 'cancelled', 'timeout', 'failed' (too many invalid answers) or 'replaced'
+     * @private
+     */
+    async sendEndNotice(sock, jid, reason) {
+        // The newer question speaks for itself
+        if (reason === 'replaced') return;
+
+        try {
+            await safeSendText(sock, jid, languageManager.getText(`system.conversation_${reason}`));
+        } catch (error) {
+            logger.error('Error sending conversation notice:', error);
+        }
+    }
+
+    /**
+     * Hand a user's message to the question waiting for it
+     * @param {string} jid Chat JID
+     * @param {string} sender Sender JID
+     * @param {Object} message Reply message
+     * @param {Object} [session] Bot session that received the reply
+     * @returns {boolean} Whether a question was waiting
+     */
+    answer(jid, sender, message, session = null) {
+        return this.settle(this.getKey(jid, sender, session), { message });
+    }
+
+    /**
+     * Check whether a message asks to end the conversation
+     * @param {Object} message Message object
+     * @param {Object|null} command Parsed command of the message
+     * @returns {boolean} Whether the message is "cancel", with or without a prefix
+     */
+    isCancel(message, command) {
+        if (command) return command.command.toLowerCase() === CANCEL_WORD && !command.args.length;
+        return getAnswerText(message).toLowerCase() === CANCEL_WORD;
+    }
+
+    /**
+     * Get conversation statistics
+     * @returns {Object} Number of questions waiting for an answer
+     */
+    getStats() {
+        return { waiting: this.pending.size };
+    }
+}
+
+const conversationManager = new ConversationManager();
+
+module.exports = {
+    ConversationManager,
+    conversationManager,
+    getAnswerText
+};
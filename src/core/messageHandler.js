@@ -4,6 +4,7 @@
  */
 
 const logger = require('../utils/logger');
+const { safeSendMessage } = require('../utils/safe-send');
 const commandRegistry = require('./commandRegistry');
 
 class MessageHandler {
@@ -198,7 +199,7 @@ class MessageHandler {
             const jid = message.key.remoteJid;
             const errorMessage = this.formatErrorMessage(error);
             
-            await sock.sendMessage(jid, { text: errorMessage });
+            await safeSendMessage(sock, jid, { text: errorMessage });
         } catch (sendError) {
             logger.error('Failed to send error message:', sendError);
         }
@@ -0,0 +1,470 @@
+/**
+ * Plugin Manager
+ * Loads third-party command packs from plugins/<name>/ without touching the core
+ *
+ * Each plugin folder contains a plugin.json manifest:
+ *   {
+ *     "name": "weather",
+ *     "version": "1.0.0",
+ *     "description": "Weather forecasts",
+ *     "main": "index.js",
+ *     "category": "weather",
+ *     "permissions": ["user"],
+ *     "commands": [{ "name": "weather", "description": "...", "usage": "!weather <city>" }],
+ *     "config": { "units": "metric" },
+ *     "translations": "translations"
+ *   }
+ * "commands" uses the same format as src/config/commands/*.json; commands without their own
+ * "permissions" get the manifest's. "translations" is a folder of <language>.json files (or an
+ * object keyed by language), available as plugins.<name>.<key>.
+ *
+ * The main file exports the command handlers and optional lifecycle hooks:
+ *   module.exports = {
+ *     commands: { async weather(sock, message, args, { plugin }) {} },
+ *     async init(sock, plugin) {},
+ *     async onMessage(sock, message, plugin) {},
+ *     async onGroupUpdate(sock, update, plugin) {},
+ *     async shutdown(plugin) {}
+ *   };
+ * Errors thrown by a plugin are logged against it and never reach the core.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { readJsonFile, writeJsonFile } = require('../utils/fileUtils');
+const { languageManager } = require('../utils/language');
+const { registerCommandConfigs, unregisterCommandConfigs } = require('../utils/commandConfig');
+const { commandRegistry, MIDDLEWARE_ORDER } = require('./commandRegistry');
+
+const PLUGINS_DIR = process.env.PLUGINS_DIR
+    ? path.resolve(process.env.PLUGINS_DIR)
+    : path.join(process.cwd(), 'plugins');
+const STATE_FILE = path.join(process.cwd(), 'data', 'plugins.json');
+const MANIFEST_FILE = 'plugin.json';
+
+// A hook that takes longer than this is abandoned so it cannot stall message handling
+const HOOK_TIMEOUT = 10000;
+
+const PLUGIN_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * Run a plugin hook, turning errors and timeouts into a rejected promise
+ * @param {Function} hook Hook function
+ * @param {Array} args Hook arguments
+ * @returns {Promise<*>} Hook result
+ */
+function runWithTimeout(hook, args) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${HOOK_TIMEOUT / 1000}s`)), HOOK_TIMEOUT);
+    });
+    return Promise.race([Promise.resolve().then(() => hook(...args)), timeout])
+        .finally(() => clearTimeout(timer));
+}
+
+/**
+ * Plugin manager for loading, enabling and disabling plugins
+ */
+class PluginManager {
+    constructor() {
+        this.plugins = new Map(); // name -> plugin entry, see discover()
+        this.state = {}; // name -> { enabled, config }, persisted in data/plugins.json
+        this.sock = null;
+    }
+
+    /**
+     * Read a plugin manifest
+     * @param {string} name Plugin folder name
+     * @returns {{manifest?: Object, error?: string}} Manifest or the reason it is invalid
+     * @private
+     */
+    readManifest(name) {
+        const manifestPath = path.join(PLUGINS_DIR, name, MANIFEST_FILE);
+        if (!fs.existsSync(manifestPath)) return { error: `missing ${MANIFEST_FILE}` };
+
+        const manifest = readJsonFile(manifestPath);
+        if (!manifest || typeof manifest !== 'object') return { error: `invalid ${MANIFEST_FILE}` };
+        if (!PLUGIN_NAME_PATTERN.test(name)) return { error: 'folder name must be lowercase letters, numbers, - or _' };
+        if (manifest.commands !== undefined && !Array.isArray(manifest.commands)) {
+            return { error: '"commands" must be an array' };
+        }
+        return { manifest };
+    }
+
+    /**
+     * Scan the plugins folder and read every manifest
+     * @returns {Array<string>} Names of the plugins found
+     */
+    discover() {
+        this.state = readJsonFile(STATE_FILE) || {};
+
+        let folders = [];
+        try {
+            folders = fs.readdirSync(PLUGINS_DIR, { withFileTypes: true })
+                .filter(entry => entry.isDirectory())
+                .map(entry => entry.name);
+        } catch (error) {
+            if (error.code !== 'ENOENT') logger.error(`Failed to read plugins from ${PLUGINS_DIR}:`, error);
+        }
+
+        for (const name of folders) {
+            const existing = this.plugins.get(name);
+            if (existing?.loaded) continue;
+
+            const { manifest, error } = this.readManifest(name);
+            this.plugins.set(name, {
+                name,
+                dir: path.join(PLUGINS_DIR, name),
+                manifest: manifest || {},
+                module: null,
+                context: null,
+                commandNames: [],
+                loaded: false,
+                error: error || existing?.error || null,
+                lastError: existing?.lastError || null,
+                errors: existing?.errors || 0
+            });
+        }
+        return folders;
+    }
+
+    /**
+     * Check whether a plugin is enabled; plugins are enabled until an owner disables them
+     * @param {string} name Plugin name
+     * @returns {boolean} Whether the plugin is enabled
+     */
+    isEnabled(name) {
+        return this.state[name]?.enabled !== false;
+    }
+
+    /**
+     * Save the enabled flags and configs
+     * @private
+     */
+    saveState() {
+        if (!writeJsonFile(STATE_FILE, this.state)) {
+            logger.error(`Failed to save plugin state to ${STATE_FILE}`);
+        }
+    }
+
+    /**
+     * Record an error thrown by a plugin
+     * @param {Object} plugin Plugin entry
+     * @param {string} where What the plugin was doing
+     * @param {Error} error Error
+     * @private
+     */
+    recordError(plugin, where, error) {
+        plugin.errors++;
+        plugin.lastError = `${where}: ${error?.message || error}`;
+        logger.error(`Plugin ${plugin.name} failed in ${where}:`, error);
+    }
+
+    /**
+     * Create the context object passed to a plugin's hooks and commands
+     * @param {Object} plugin Plugin entry
+     * @returns {Object} Plugin context
+     * @private
+     */
+    createContext(plugin) {
+        const { name, manifest } = plugin;
+        const prefix = `[plugin:${name}]`;
+
+        return {
+            name,
+            dir: plugin.dir,
+            manifest,
+            config: { ...(manifest.config || {}), ...(this.state[name]?.config || {}) },
+            logger: {
+                debug: (message, ...args) => logger.debug(`${prefix} ${message}`, ...args),
+                info: (message, ...args) => logger.info(`${prefix} ${message}`, ...args),
+                warn: (message, ...args) => logger.warn(`${prefix} ${message}`, ...args),
+                error: (message, ...args) => logger.error(`${prefix} ${message}`, ...args)
+            },
+            t: (key, lang = null, ...args) => languageManager.getText(`plugins.${name}.${key}`, lang, ...args),
+            saveConfig: () => {
+                this.state[name] = { ...this.state[name], config: plugin.context.config };
+                this.saveState();
+            }
+        };
+    }
+
+    /**
+     * Read the translations a plugin ships
+     * @param {Object} plugin Plugin entry
+     * @returns {Object} Translations keyed by language
+     * @private
+     */
+    readTranslations(plugin) {
+        const { translations } = plugin.manifest;
+        if (!translations) return {};
+        if (typeof translations === 'object') return translations;
+
+        const dir = path.join(plugin.dir, translations);
+        const result = {};
+        for (const file of fs.readdirSync(dir).filter(file => file.endsWith('.json'))) {
+            const strings = readJsonFile(path.join(dir, file));
+            if (strings) result[path.basename(file, '.json')] = strings;
+        }
+        return result;
+    }
+
+    /**
+     * Wrap a plugin command so its errors are attributed to the plugin
+     * @param {Object} plugin Plugin entry
+     * @param {string} commandName Command name
+     * @param {Function} handler Command handler
+     * @returns {Function} Wrapped handler
+     * @private
+     */
+    wrapCommand(plugin, commandName, handler) {
+        return async (sock, message, args, options = {}) => {
+            try {
+                return await handler(sock, message, args, { ...options, plugin: plugin.context });
+            } catch (error) {
+                this.recordError(plugin, `command ${commandName}`, error);
+                throw error;
+            }
+        };
+    }
+
+    /**
+     * Load a plugin and register its commands, configs and translations
+     * Nothing is registered if the plugin fails to load or its init hook throws
+     * @param {string} name Plugin name
+     * @returns {Promise<boolean>} Whether the plugin was loaded
+     */
+    async load(name) {
+        const plugin = this.plugins.get(name);
+        if (!plugin) return false;
+        if (plugin.loaded) return true;
+
+        const { manifest, error } = this.readManifest(name);
+        if (error) {
+            plugin.error = error;
+            logger.warn(`Skipping plugin ${name}: ${error}`);
+            return false;
+        }
+        plugin.manifest = manifest;
+        plugin.error = null;
+
+        const mainPath = path.join(plugin.dir, manifest.main || 'index.js');
+        try {
+            delete require.cache[require.resolve(mainPath)];
+            plugin.module = require(mainPath);
+            plugin.context = this.createContext(plugin);
+
+            const exported = plugin.module.commands || {};
+            const commands = {};
+            const configs = [];
+            for (const config of manifest.commands || []) {
+                if (typeof exported[config.name] !== 'function') {
+                    logger.warn(`Plugin ${name} declares command ${config.name} but does not export it`);
+                    continue;
+                }
+                commands[config.name] = this.wrapCommand(plugin, config.name, exported[config.name]);
+                configs.push({ permissions: manifest.permissions || ['user'], ...config });
+            }
+            for (const commandName of Object.keys(exported)) {
+                if (!commands[commandName] && !configs.some(config => config.name === commandName)) {
+                    logger.warn(`Plugin ${name} exports command ${commandName} without declaring it in ${MANIFEST_FILE}, skipping`);
+                }
+            }
+
+            if (typeof plugin.module.init === 'function' && this.sock) {
+                await runWithTimeout(plugin.module.init, [this.sock, plugin.context]);
+            }
+
+            const category = manifest.category || 'plugins';
+            languageManager.addPluginTranslations(name, this.readTranslations(plugin));
+            registerCommandConfigs(`plugin:${name}`, configs, category);
+            commandRegistry.registerPluginCommands(name, commands, category);
+
+            // Commands that clash with a core command are not registered
+            plugin.commandNames = Object.keys(commands)
+                .filter(commandName => commandRegistry.commands.get(commandName.toLowerCase())?.plugin === name);
+            plugin.loaded = true;
+            logger.info(`Loaded plugin ${name}${manifest.version ? ` v${manifest.version}` : ''} with ${plugin.commandNames.length} commands`);
+            return true;
+        } catch (err) {
+            this.recordError(plugin, 'load', err);
+            plugin.error = err.message;
+            this.unregister(plugin);
+            return false;
+        }
+    }
+
+    /**
+     * Remove everything a plugin registered
+     * @param {Object} plugin Plugin entry
+     * @private
+     */
+    unregister(plugin) {
+        commandRegistry.unregisterPluginCommands(plugin.name);
+        unregisterCommandConfigs(`plugin:${plugin.name}`);
+        languageManager.removePluginTranslations(plugin.name);
+
+        // Drop the plugin's files from the require cache so enabling it again loads fresh code
+        for (const cachedPath of Object.keys(require.cache)) {
+            if (cachedPath.startsWith(plugin.dir + path.sep)) delete require.cache[cachedPath];
+        }
+
+        plugin.module = null;
+        plugin.commandNames = [];
+        plugin.loaded = false;
+    }
+
+    /**
+     * Run a plugin's shutdown hook and remove it
+     * @param {string} name Plugin name
+     * @returns {Promise<boolean>} Whether the plugin was loaded
+     */
+    async unload(name) {
+        const plugin = this.plugins.get(name);
+        if (!plugin?.loaded) return false;
+
+        if (typeof plugin.module.shutdown === 'function') {
+            try {
+                await runWithTimeout(plugin.module.shutdown, [plugin.context]);
+            } catch (error) {
+                this.recordError(plugin, 'shutdown', error);
+            }
+        }
+
+        this.unregister(plugin);
+        logger.info(`Unloaded plugin ${name}`);
+        return true;
+    }
+
+    /**
+     * Discover and load all enabled plugins
+     * @param {Object} sock WhatsApp socket
+     * @returns {Promise<number>} Number of plugins loaded
+     */
+    async loadPlugins(sock) {
+        this.sock = sock;
+        this.discover();
+
+        // Plugins see every message that passed moderation
+        commandRegistry.use('plugins', async (ctx, next) => {
+            await this.handleMessage(ctx.sock, ctx.message);
+            await next();
+        }, MIDDLEWARE_ORDER.plugins);
+
+        let loaded = 0;
+        for (const name of this.plugins.keys()) {
+            if (this.isEnabled(name) && await this.load(name)) loaded++;
+        }
+
+        if (this.plugins.size) {
+            logger.info(`Loaded ${loaded} of ${this.plugins.size} plugins from ${PLUGINS_DIR}`);
+        }
+        return loaded;
+    }
+
+    /**
+     * Enable a plugin and load it
+     * @param {string} name Plugin name
+     * @returns {Promise<{success: boolean, error?: string}>} Result
+     */
+    async enable(name) {
+        this.discover();
+        const plugin = this.plugins.get(name);
+        if (!plugin) return { success: false, error: 'not found' };
+
+        this.state[name] = { ...this.state[name], enabled: true };
+        this.saveState();
+
+        if (await this.load(name)) return { success: true };
+        return { success: false, error: plugin.error || plugin.lastError };
+    }
+
+    /**
+     * Disable a plugin and unload it
+     * @param {string} name Plugin name
+     * @returns {Promise<{success: boolean, error?: string}>} Result
+     */
+    async disable(name) {
+        if (!this.plugins.has(name)) return { success: false, error: 'not found' };
+
+        this.state[name] = { ...this.state[name], enabled: false };
+        this.saveState();
+        await this.unload(name);
+        return { success: true };
+    }
+
+    /**
+     * Run a hook on every loaded plugin that has it
+     * @param {string} hookName Hook name
+     * @param {Function} getArgs Builds the hook arguments from the plugin context
+     * @private
+     */
+    async runHook(hookName, getArgs) {
+        for (const plugin of this.plugins.values()) {
+            const hook = plugin.loaded && plugin.module[hookName];
+            if (typeof hook !== 'function') continue;
+
+            try {
+                await runWithTimeout(hook, getArgs(plugin.context));
+            } catch (error) {
+                this.recordError(plugin, hookName, error);
+            }
+        }
+    }
+
+    /**
+     * Pass an incoming message to the plugins
+     * @param {Object} sock WhatsApp socket
+     * @param {Object} message Message object
+     */
+    async handleMessage(sock, message) {
+        this.sock = sock;
+        await this.runHook('onMessage', context => [sock, message, context]);
+    }
+
+    /**
+     * Pass a group participants update to the plugins
+     * @param {Object} sock WhatsApp socket
+     * @param {Object} update Update: { id, participants, action }
+     */
+    async handleGroupUpdate(sock, update) {
+        await this.runHook('onGroupUpdate', context => [sock, update, context]);
+    }
+
+    /**
+     * Unload all plugins, running their shutdown hooks
+     */
+    async shutdown() {
+        for (const name of this.plugins.keys()) {
+            await this.unload(name);
+        }
+    }
+
+    /**
+     * Get the status of every plugin
+     * @returns {Array<Object>} Plugin statuses
+     */
+    getPlugins() {
+        this.discover();
+        return [...this.plugins.values()].map(plugin => ({
+            name: plugin.name,
+            version: plugin.manifest.version || null,
+            description: plugin.manifest.description || '',
+            enabled: this.isEnabled(plugin.name),
+            loaded: plugin.loaded,
+            commands: plugin.commandNames,
+            error: plugin.error || plugin.lastError || null,
+            errors: plugin.errors
+        }));
+    }
+}
+
+// Create singleton instance
+const pluginManager = new PluginManager();
+
+module.exports = {
+    PluginManager,
+    pluginManager,
+    PLUGINS_DIR
+};
@@ -1,201 +1,252 @@
 /**
  * QR Web Server
- * Provides a simple web interface for scanning WhatsApp QR codes
+ * Web dashboard of the bot sessions: shows the state and QR or pairing code of every session
+ * and lets the owner start, stop and pair them
+ *
+ * Pairing with { "phoneNumber": "<number with country code>" } as JSON body links the session
+ * with a pairing code instead of a QR code.
+ *
+ * Reading the state is open; starting, stopping and pairing need the DASHBOARD_TOKEN, sent as
+ * "Authorization: Bearer <token>". Without DASHBOARD_TOKEN the dashboard is read-only.
  */
 
 const express = require('express');
-const path = require('path');
 const http = require('http');
-const fs = require('fs');
+const QRCode = require('qrcode');
 const logger = require('../utils/logger');
-const { connectionManager } = require('./connectionManager');
+const { sessionRegistry } = require('./sessionRegistry');
+const { normalizePhoneNumber } = require('../utils/pairingCode');
 
 // Default port
 const DEFAULT_PORT = 5000;
 
+// Session actions available from the dashboard
+const SESSION_ACTIONS = ['start', 'stop', 'pair'];
+
 class QRWebServer {
     constructor(options = {}) {
         this.options = {
             port: options.port || DEFAULT_PORT,
-            tempDir: options.tempDir || path.join(process.cwd(), 'temp'),
+            token: options.token || null,
             autoStart: options.autoStart !== false
         };
-        
+
         this.app = express();
         this.server = null;
         this.isRunning = false;
-        this.currentQR = null;
     }
-    
+
     /**
      * Initialize the QR web server
      */
     async initialize() {
-        // Ensure temp directory exists
-        if (!fs.existsSync(this.options.tempDir)) {
-            fs.mkdirSync(this.options.tempDir, { recursive: true });
-            logger.info(`Created temp directory: ${this.options.tempDir}`);
-        }
-        
-        // Set up Express app
-        this.app.use(express.static(path.join(__dirname, '..', '..', 'public')));
-        
         // Configure routes
         this._setupRoutes();
-        
-        // Connect to WhatsApp events
-        this._setupWhatsAppEvents();
-        
+
         // Auto-start if configured
         if (this.options.autoStart) {
             await this.start();
         }
     }
-    
+
     /**
      * Set up server routes
      * @private
      */
     _setupRoutes() {
-        // Main route for QR scanning
+        this.app.use(express.json());
+
+        // Dashboard page
         this.app.get('/', (req, res) => {
-            res.sendFile(path.join(__dirname, '..', '..', 'views', 'qr.html'));
+            res.type('html').send(this._createDashboardHtml());
         });
-        
-        // API routes
-        this.app.get('/api/status', (req, res) => {
-            const status = {
-                connected: connectionManager.getState() === 'connected',
-                state: connectionManager.getState(),
-                hasQR: !!this.currentQR
-            };
-            
-            res.json(status);
+
+        // All sessions
+        this.app.get('/api/sessions', (req, res) => {
+            res.json({ sessions: sessionRegistry.getStatus(), manageable: !!this.options.token });
         });
-        
-        // QR code endpoint
-        this.app.get('/api/qr', (req, res) => {
-            const qrCode = connectionManager.getQRCode();
-            
-            if (qrCode) {
-                res.json({ qr: qrCode });
+
+        // One session
+        this.app.get('/api/sessions/:id', (req, res) => {
+            const session = this._getSession(req, res);
+            if (session) res.json(session.getStatus());
+        });
+
+        // QR code of a session, as text or image
+        this.app.get('/api/sessions/:id/qr', (req, res) => {
+            const session = this._getSession(req, res);
+            if (!session) return;
+
+            if (session.qr) {
+                res.json({ qr: session.qr });
             } else {
                 res.status(404).json({ error: 'No QR code available' });
             }
         });
-        
-        // QR image endpoint (serve from file)
-        this.app.get('/qr.png', (req, res) => {
-            const qrImagePath = path.join(this.options.tempDir, 'latest_qr.png');
-            
-            if (fs.existsSync(qrImagePath)) {
-                res.sendFile(qrImagePath);
+
+        this.app.get('/api/sessions/:id/qr.png', (req, res) => {
+            const session = this._getSession(req, res);
+            if (session) this._sendQRImage(session, res);
+        });
+
+        // Pairing code of a session
+        this.app.get('/api/sessions/:id/pairing-code', (req, res) => {
+            const session = this._getSession(req, res);
+            if (!session) return;
+
+            if (session.pairingCode) {
+                res.json(session.pairingCode);
             } else {
-                res.status(404).send('QR image not available');
+                res.status(404).json({ error: 'No pairing code available' });
             }
         });
-        
-        // Connection status endpoint
-        this.app.get('/api/reconnect', (req, res) => {
-            connectionManager.forceReconnect()
-                .then(() => {
-                    res.json({ success: true, message: 'Reconnection initiated' });
-                })
-                .catch(err => {
-                    res.status(500).json({ 
-                        success: false, 
-                        message: 'Reconnection failed', 
-                        error: err.message 
-                    });
-                });
+
+        // Start, stop or pair a session
+        this.app.post('/api/sessions/:id/:action', async (req, res) => {
+            if (!SESSION_ACTIONS.includes(req.params.action)) {
+                res.status(404).json({ error: `Unknown action ${req.params.action}` });
+                return;
+            }
+            if (!this._isAuthorized(req, res)) return;
+
+            const session = this._getSession(req, res);
+            if (!session) return;
+
+            const phoneNumber = req.params.action === 'pair' ? req.body?.phoneNumber || null : null;
+            if (phoneNumber && !normalizePhoneNumber(phoneNumber)) {
+                res.status(400).json({ success: false, error: 'Invalid phone number, use the full number with country code' });
+                return;
+            }
+
+            try {
+                const { action } = req.params;
+                await sessionRegistry[action](session.id, phoneNumber);
+                logger.info(`Session ${session.id}: ${action} requested from the dashboard`);
+                res.json({ success: true, session: session.getStatus() });
+            } catch (err) {
+                logger.error(`Error running ${req.params.action} on session ${session.id}:`, err);
+                res.status(500).json({ success: false, error: err.message });
+            }
+        });
+
+        // Main session, for the single-session QR pages
+        this.app.get('/api/status', (req, res) => {
+            const session = sessionRegistry.getDefault();
+            res.json({
+                connected: session.isConnected,
+                state: session.getState(),
+                hasQR: !!session.qr,
+                pairingCode: session.pairingCode
+            });
+        });
+
+        this.app.get('/api/qr', (req, res) => {
+            const { qr } = sessionRegistry.getDefault();
+
+            if (qr) {
+                res.json({ qr });
+            } else {
+                res.status(404).json({ error: 'No QR code available' });
+            }
+        });
+
+        this.app.get('/qr.png', (req, res) => {
+            this._sendQRImage(sessionRegistry.getDefault(), res);
         });
     }
-    
+
     /**
-     * Set up WhatsApp connection events
+     * Look up the session of a request, answering 404 if there is none
+     * @param {Object} req Request
+     * @param {Object} res Response
+     * @returns {Object|null} Session
      * @private
      */
-    _setupWhatsAppEvents() {
-        // QR code event
-        connectionManager.on('qr', (qr) => {
-            this.currentQR = qr;
-        });
-        
-        // Connection event
-        connectionManager.on('connected', () => {
-            this.currentQR = null;
-        });
-        
-        // Reconnecting event
-        connectionManager.on('reconnecting', () => {
-            // We could notify clients here
-        });
-        
-        // Disconnected event
-        connectionManager.on('disconnected', () => {
-            // We could notify clients here
-        });
+    _getSession(req, res) {
+        const session = sessionRegistry.get(req.params.id);
+        if (!session) {
+            res.status(404).json({ error: `No session named ${req.params.id}` });
+        }
+        return session;
     }
-    
+
     /**
-     * Create a simple HTML page for QR scanning
+     * Check the dashboard token of a request, answering 403 if it is wrong
+     * @param {Object} req Request
+     * @param {Object} res Response
+     * @returns {boolean} Whether the request may manage sessions
      * @private
      */
-    _createQRHtml() {
-        const htmlDir = path.join(process.cwd(), 'views');
-        const htmlPath = path.join(htmlDir, 'qr.html');
-        
-        if (!fs.existsSync(htmlDir)) {
-            fs.mkdirSync(htmlDir, { recursive: true });
+    _isAuthorized(req, res) {
+        if (!this.options.token) {
+            res.status(403).json({ error: 'Set DASHBOARD_TOKEN to manage sessions from the dashboard' });
+            return false;
         }
-        
-        // Only create if it doesn't exist
-        if (!fs.existsSync(htmlPath)) {
-            const html = `<!DOCTYPE html>
+        if (req.get('authorization') !== `Bearer ${this.options.token}`) {
+            res.status(403).json({ error: 'Invalid dashboard token' });
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Send the QR code of a session as a PNG image
+     * @param {Object} session Session
+     * @param {Object} res Response
+     * @private
+     */
+    async _sendQRImage(session, res) {
+        if (!session.qr) {
+            res.status(404).send('QR image not available');
+            return;
+        }
+
+        try {
+            const image = await QRCode.toBuffer(session.qr, { width: 300, margin: 2 });
+            res.type('png').set('Cache-Control', 'no-store').send(image);
+        } catch (err) {
+            logger.error(`Error rendering QR code of session ${session.id}:`, err);
+            res.status(500).send('Could not render QR code');
+        }
+    }
+
+    /**
+     * Create the dashboard page
+     * @returns {string} HTML
+     * @private
+     */
+    _createDashboardHtml() {
+        return `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>WhatsApp QR Scanner</title>
+    <title>BLACKSKY-MD Sessions</title>
     <style>
         body {
             font-family: Arial, sans-serif;
             background-color: #f0f0f0;
             margin: 0;
-            padding: 0;
+            padding: 30px 0;
             display: flex;
-            justify-content: center;
-            align-items: center;
-            min-height: 100vh;
             flex-direction: column;
+            align-items: center;
         }
-        .container {
+        h1 {
+            color: #075e54;
+        }
+        .session {
             background-color: white;
             border-radius: 10px;
             box-shadow: 0 4px 8px rgba(0,0,0,0.1);
-            padding: 30px;
-            text-align: center;
+            padding: 20px 30px;
+            margin-bottom: 20px;
             max-width: 500px;
             width: 90%;
-        }
-        h1 {
-            color: #075e54;
-            margin-bottom: 20px;
-        }
-        .qr-container {
-            margin: 30px 0;
-            padding: 20px;
-            background-color: #f8f8f8;
-            border-radius: 8px;
-            display: flex;
-            justify-content: center;
-        }
-        .qr-container img {
-            max-width: 100%;
-            height: auto;
+            text-align: center;
         }
         .status {
-            margin-top: 20px;
+            margin: 10px 0;
             padding: 10px;
             border-radius: 5px;
             font-weight: bold;
@@ -204,7 +255,7 @@ class QRWebServer {
             background-color: #dcf8c6;
             color: #075e54;
         }
-        .disconnected {
+        .stopped, .disconnected {
             background-color: #ffebee;
             color: #d32f2f;
         }
@@ -212,103 +263,156 @@ class QRWebServer {
             background-color: #fff9c4;
             color: #ff8f00;
         }
+        .details {
+            color: #666;
+            font-size: 14px;
+        }
+        .session img {
+            max-width: 100%;
+            margin-top: 15px;
+        }
+        .pairing-code {
+            font-family: monospace;
+            font-size: 32px;
+            letter-spacing: 4px;
+            margin-top: 15px;
+            color: #075e54;
+        }
         button {
             background-color: #075e54;
             color: white;
             border: none;
-            padding: 10px 20px;
+            padding: 8px 16px;
             border-radius: 5px;
             cursor: pointer;
-            font-size: 16px;
-            margin-top: 20px;
+            font-size: 14px;
+            margin: 15px 4px 0;
         }
         button:hover {
             background-color: #128c7e;
         }
-        .instructions {
-            margin-top: 20px;
-            color: #666;
-            font-size: 14px;
-            line-height: 1.5;
-        }
     </style>
 </head>
 <body>
-    <div class="container">
-        <h1>WhatsApp QR Scanner</h1>
-        <div class="qr-container" id="qrContainer">
-            <img src="/qr.png" id="qrImage" alt="QR Code" />
-        </div>
-        <div class="status waiting" id="status">Waiting for connection...</div>
-        <button id="refreshBtn">Refresh QR Code</button>
-        <div class="instructions">
-            <p>1. Open WhatsApp on your phone</p>
-            <p>2. Tap Menu or Settings and select WhatsApp Web</p>
-            <p>3. Point your phone to this screen to scan the QR code</p>
-        </div>
-    </div>
+    <h1>WhatsApp Sessions</h1>
+    <div id="sessions"></div>
 
     <script>
-        // Function to update status
-        function updateStatus() {
-            fetch('/api/status')
+        const STATE_CLASSES = {
+            'connected': 'connected',
+            'stopped': 'stopped',
+            'disconnected': 'disconnected'
+        };
+
+        function renderSession(session, manageable) {
+            const card = document.createElement('div');
+            card.className = 'session';
+
+            const title = document.createElement('h2');
+            title.textContent = session.id + (session.default ? ' (main)' : '');
+            card.appendChild(title);
+
+            const status = document.createElement('div');
+            status.className = 'status ' + (STATE_CLASSES[session.state] || 'waiting');
+            status.textContent = session.state + (session.phone ? ' as +' + session.phone : '');
+            card.appendChild(status);
+
+            const details = document.createElement('div');
+            details.className = 'details';
+            details.textContent = 'Prefix: ' + (session.prefix || 'global') +
+                ' | Messages sent: ' + session.outbound.sent + ', queued: ' + session.outbound.queued;
+            card.appendChild(details);
+
+            if (session.hasQR) {
+                const qr = document.createElement('img');
+                qr.src = '/api/sessions/' + session.id + '/qr.png?t=' + Date.now();
+                qr.alt = 'QR code of ' + session.id;
+                card.appendChild(qr);
+            }
+
+            if (session.pairingCode) {
+                const code = document.createElement('div');
+                code.className = 'pairing-code';
+                code.textContent = session.pairingCode.code;
+                card.appendChild(code);
+
+                const seconds = Math.max(0, Math.round((session.pairingCode.expiresAt - Date.now()) / 1000));
+                const help = document.createElement('div');
+                help.className = 'details';
+                help.textContent = 'On the phone of +' + session.pairingCode.phoneNumber +
+                    ' open WhatsApp > Linked devices > Link a device > Link with phone number instead and enter this code. ' +
+                    'It expires in ' + seconds + 's, a new one is shown then.';
+                card.appendChild(help);
+            }
+
+            if (manageable) {
+                const actions = session.state === 'stopped' ? ['start', 'pair'] : ['stop', 'pair'];
+                for (const action of actions) {
+                    const button = document.createElement('button');
+                    button.textContent = action;
+                    button.addEventListener('click', () => runAction(session.id, action));
+                    card.appendChild(button);
+                }
+            }
+
+            return card;
+        }
+
+        function updateSessions() {
+            fetch('/api/sessions')
                 .then(response => response.json())
                 .then(data => {
-                    const statusElement = document.getElementById('status');
-                    if (data.connected) {
-                        statusElement.className = 'status connected';
-                        statusElement.textContent = 'Connected to WhatsApp!';
-                        document.getElementById('qrContainer').style.display = 'none';
-                        document.getElementById('refreshBtn').style.display = 'none';
-                    } else if (data.hasQR) {
-                        statusElement.className = 'status waiting';
-                        statusElement.textContent = 'Waiting for you to scan the QR code...';
-                        document.getElementById('qrContainer').style.display = 'flex';
-                        document.getElementById('refreshBtn').style.display = 'block';
-                        // Reload QR image
-                        const qrImage = document.getElementById('qrImage');
-                        qrImage.src = '/qr.png?t=' + new Date().getTime();
-                    } else {
-                        statusElement.className = 'status disconnected';
-                        statusElement.textContent = 'Disconnected. Waiting for QR code...';
-                        document.getElementById('qrContainer').style.display = 'none';
-                        document.getElementById('refreshBtn').style.display = 'block';
-                    }
+                    const container = document.getElementById('sessions');
+                    container.replaceChildren(...data.sessions.map(session => renderSession(session, data.manageable)));
                 })
                 .catch(err => {
-                    console.error('Error checking status:', err);
+                    console.error('Error loading sessions:', err);
                 });
         }
 
-        // Refresh QR code
-        document.getElementById('refreshBtn').addEventListener('click', function() {
-            fetch('/api/reconnect')
-                .then(response => response.json())
-                .then(data => {
+        function runAction(id, action) {
+            let body;
+            if (action === 'pair') {
+                const phoneNumber = prompt('Unlink ' + id + ' and link it again. Phone number with country code for a pairing code, ' +
+                    'or leave empty for a QR code:');
+                if (phoneNumber === null) return;
+                body = JSON.stringify({ phoneNumber: phoneNumber.trim() || null });
+            }
+
+            let token = localStorage.getItem('dashboardToken');
+            if (!token) {
+                token = prompt('Dashboard token');
+                if (!token) return;
+            }
+
+            fetch('/api/sessions/' + id + '/' + action, {
+                method: 'POST',
+                headers: { 'Authorization': 'Bearer ' + token, 'Content-Type': 'application/json' },
+                body
+            })
+                .then(response => response.json().then(data => ({ status: response.status, data })))
+                .then(({ status, data }) => {
                     if (data.success) {
-                        const statusElement = document.getElementById('status');
-                        statusElement.className = 'status waiting';
-                        statusElement.textContent = 'Reconnecting...please wait';
-                        setTimeout(updateStatus, 3000);
+                        localStorage.setItem('dashboardToken', token);
+                    } else {
+                        if (status === 403) localStorage.removeItem('dashboardToken');
+                        alert(data.error);
                     }
+                    updateSessions();
                 })
                 .catch(err => {
-                    console.error('Error reconnecting:', err);
+                    console.error('Error running ' + action + ':', err);
                 });
-        });
+        }
 
-        // Update status on load and every 5 seconds
-        updateStatus();
-        setInterval(updateStatus, 5000);
+        // Update on load and every 5 seconds
+        updateSessions();
+        setInterval(updateSessions, 5000);
     </script>
 </body>
 </html>`;
-            
-            fs.writeFileSync(htmlPath, html);
-            logger.info(`Created QR HTML page at ${htmlPath}`);
-        }
     }
-    
+
     /**
      * Start the web server
      * @returns {Promise<void>}
@@ -318,22 +422,15 @@ class QRWebServer {
             logger.warn('QR Web Server is already running');
             return;
         }
-        
+
         try {
-            // Create HTML file if needed
-            this._createQRHtml();
-            
             // Create HTTP server
             this.server = http.createServer(this.app);
-            
+
             // Start listening
             await new Promise((resolve, reject) => {
-                this.server.listen(this.options.port, '0.0.0.0', err => {
-                    if (err) {
-                        reject(err);
-                        return;
-                    }
-                    
+                this.server.once('error', reject);
+                this.server.listen(this.options.port, '0.0.0.0', () => {
                     this.isRunning = true;
                     logger.success(`QR Web Server running at http://localhost:${this.options.port}`);
                     resolve();
@@ -344,7 +441,7 @@ class QRWebServer {
             throw err;
         }
     }
-    
+
     /**
      * Stop the web server
      * @returns {Promise<void>}
@@ -354,7 +451,7 @@ class QRWebServer {
             logger.warn('QR Web Server is not running');
             return;
         }
-        
+
         try {
             // Close the HTTP server
             await new Promise((resolve, reject) => {
@@ -363,7 +460,7 @@ class QRWebServer {
                         reject(err);
                         return;
                     }
-                    
+
                     this.isRunning = false;
                     logger.info('QR Web Server stopped');
                     resolve();
@@ -377,9 +474,12 @@ class QRWebServer {
 }
 
 // Create singleton instance
-const qrWebServer = new QRWebServer();
+const qrWebServer = new QRWebServer({
+    port: process.env.DASHBOARD_PORT,
+    token: process.env.DASHBOARD_TOKEN
+});
 
 module.exports = {
     QRWebServer,
     qrWebServer
-};
\ No newline at end of file
+};
@@ -4,6 +4,7 @@
  */
 
 const logger = require('../utils/logger');
+const { safeSendMessage } = require('../utils/safe-send');
 
 class ResponseHandler {
     constructor(config = {}) {
@@ -17,13 +18,12 @@ class ResponseHandler {
 
         this.templates = new Map();
         this.responseQueue = new Map();
-        this.retryDelays = [1000, 2000, 5000]; // Progressive delays
     }
 
     async sendResponse(socket, to, content, options = {}) {
         const messageId = `${to}_${Date.now()}`;
-        let retries = 0;
 
+        // Ordering and retries are handled by the outbound queue
         const send = async () => {
             try {
                 const formattedContent = this.formatContent(content, options);
@@ -36,22 +36,11 @@ class ResponseHandler {
                     }
                 };
 
-                const sent = await socket.sendMessage(to, message, { ...options });
-                this.responseQueue.delete(messageId);
+                const sent = await safeSendMessage(socket, to, message, { retries: this.config.maxRetries, ...options });
+                if (!sent) throw new Error(`Failed to send message to ${to}`);
                 return sent;
-
-            } catch (error) {
-                if (retries < this.config.maxRetries) {
-                    retries++;
-                    const delay = this.retryDelays[retries - 1] || this.retryDelays[this.retryDelays.length - 1];
-                    
-                    logger.warn(`Retry ${retries}/${this.config.maxRetries} sending message to ${to} in ${delay}ms`);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                    
-                    return send();
-                }
-                
-                throw error;
+            } finally {
+                this.responseQueue.delete(messageId);
             }
         };
 
@@ -0,0 +1,660 @@
+/**
+ * Session Registry - Several WhatsApp numbers in one bot process
+ *
+ * Every session is one linked WhatsApp account with its own auth folder, connection, outbound
+ * queue, session backups, command prefix and config overrides. Commands, user data and group
+ * settings are shared by all sessions.
+ *
+ * The "main" session always exists and uses auth_info_baileys, like a single-number bot. Other
+ * sessions are defined in data/sessions.json (or with the session owner command) and keep their
+ * credentials in sessions/<id>/auth:
+ *   [
+ *     { "id": "support", "prefix": "?", "autoStart": true,
+ *       "config": { "messaging": { "sendRetries": 5 }, "rateLimits": { "outbound": { "tokens": 10, "interval": 10000 } } } }
+ *   ]
+ * Config overrides are merged over src/config/config.js for the session. The session's outbound
+ * queue uses its messaging and rateLimits.outbound settings, and commands see the merged config
+ * as session.config.
+ *
+ * Sessions sharing a group all receive its messages and participant updates. Only the first
+ * session to receive one runs moderation, XP, AFK, plugin hooks and welcome messages for it, and
+ * a command is answered by the first session whose prefixes match it (see src/utils/sessionClaims.js).
+ *
+ * Sessions link their account with a QR code, or with a pairing code when pair is given a phone
+ * number. The main session also uses a pairing code for the number of the --pairing-code flag or
+ * PAIRING_NUMBER env var while it is not linked, and imports the session archive of
+ * SESSION_ARCHIVE or SESSION_ARCHIVE_FILE before its first start (see src/utils/sessionArchive.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { readJsonFile, writeJsonFile, ensureDirectoryExists } = require('../utils/fileUtils');
+const { SendBudget } = require('../utils/rateLimiter');
+const { OutboundQueue } = require('../utils/outboundQueue');
+const { toJid } = require('../utils/jid');
+const { getPairingNumber } = require('../utils/pairingCode');
+const { importFromEnvironment } = require('../utils/sessionArchive');
+const { ConnectionManager, connectionManager } = require('./connection');
+const { SessionManager, sessionManager } = require('./sessionManager');
+const { isValidPrefix } = require('./commandRegistry');
+const { SessionClaims } = require('../utils/sessionClaims');
+
+// Session definitions besides the built-in main session
+const SESSIONS_FILE = path.join(process.cwd(), 'data', 'sessions.json');
+
+// Auth folders and backups of the sessions other than main
+const SESSIONS_DIR = path.join(process.cwd(), 'sessions');
+
+const DEFAULT_SESSION_ID = 'main';
+
+// Session IDs end up in folder names and commands
+const SESSION_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// Wait before restarting a session whose connection closed and did not reconnect by itself
+const RECONNECT_CHECK_DELAY = 5000;
+
+/**
+ * Merge config overrides into a config object
+ * Objects are merged key by key, everything else (including arrays) replaces the base value
+ * @param {Object} base Base config
+ * @param {Object} overrides Overrides
+ * @returns {Object} Merged copy
+ */
+function mergeConfig(base, overrides) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(overrides || {})) {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        merged[key] = isObject && base[key] && typeof base[key] === 'object'
+            ? mergeConfig(base[key], value)
+            : value;
+    }
+    return merged;
+}
+
+/**
+ * Check whether a string can be used as a session ID
+ * @param {string} id Session ID
+ * @returns {boolean} Whether the ID is valid
+ */
+function isValidSessionId(id) {
+    return typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+}
+
+/**
+ * One linked WhatsApp account
+ */
+class BotSession {
+    /**
+     * @param {Object} definition Session definition
+     * @param {string} definition.id Session ID
+     * @param {string|null} [definition.prefix] Command prefix, instead of the global prefixes
+     * @param {boolean} [definition.autoStart] Whether the session starts with the bot
+     * @param {Object} [definition.config] Config overrides
+     */
+    constructor({ id, prefix = null, autoStart = true, config: overrides = {} }) {
+        this.id = id;
+        this.prefix = prefix;
+        this.autoStart = autoStart !== false;
+        this.overrides = overrides || {};
+        this.config = mergeConfig(config, this.overrides);
+        this.isDefault = id === DEFAULT_SESSION_ID;
+        this.running = false;
+        this.qr = null;
+        this.loginWaiters = [];
+        this.startedAt = null;
+
+        if (this.isDefault) {
+            this.authDir = connectionManager.authDir;
+            this.connection = connectionManager;
+            this.backups = sessionManager;
+
+            const pairingNumber = getPairingNumber();
+            if (pairingNumber) {
+                try {
+                    this.connection.usePairingCode(pairingNumber);
+                } catch (error) {
+                    logger.warn(`${error.message}; linking the main session with a QR code instead`);
+                }
+            }
+
+            // The connection was set up with config.js; it has not sent anything yet
+            if (this.overrides.messaging || this.overrides.rateLimits?.outbound) {
+                this.connection.outbound.close();
+                this.connection.outbound = new OutboundQueue(this.getOutboundOptions());
+            }
+        } else {
+            const sessionDir = path.join(SESSIONS_DIR, id);
+            this.authDir = path.join(sessionDir, 'auth');
+            this.connection = new ConnectionManager({
+                authDir: this.authDir,
+                instanceIdFile: path.join(sessionDir, '.instance_id'),
+                outbound: this.getOutboundOptions()
+            });
+            this.backups = new SessionManager({
+                authFolder: this.authDir,
+                backupFolder: path.join(sessionDir, 'auth_backup')
+            });
+        }
+
+        this.connection.onConnectionUpdate(update => {
+            this.handleConnectionUpdate(update).catch(error => {
+                logger.error(`Error handling connection update of session ${this.id}:`, error);
+            });
+        });
+    }
+
+    /**
+     * Get the options of the session's outbound queue
+     * Each number has its own rate limits at WhatsApp, so sessions other than main get a send
+     * budget of their own; main shares the global one unless its config overrides it
+     * @returns {Object} Outbound queue options
+     * @private
+     */
+    getOutboundOptions() {
+        const ownBudget = !this.isDefault || this.overrides.rateLimits?.outbound;
+        return {
+            ...this.config.messaging,
+            budget: ownBudget ? new SendBudget(this.config.rateLimits?.outbound || null) : undefined
+        };
+    }
+
+    /**
+     * Current socket of the session
+     * @type {Object|null}
+     */
+    get sock() {
+        return this.connection.sock;
+    }
+
+    /**
+     * Command prefixes of the session, or null to use the global prefixes
+     * @type {Array<string>|null}
+     */
+    get prefixes() {
+        return this.prefix ? [this.prefix] : null;
+    }
+
+    /**
+     * Whether the session's WhatsApp connection is open
+     * @type {boolean}
+     */
+    get isConnected() {
+        return this.running && this.connection.isConnected;
+    }
+
+    /**
+     * Code waiting to be entered on the phone to link the session
+     * @type {{code: string, expiresAt: number, phoneNumber: string}|null}
+     */
+    get pairingCode() {
+        return this.running ? this.connection.getPairingCode() : null;
+    }
+
+    /**
+     * Keep track of QR and pairing codes and back up the credentials once connected
+     * @param {Object} update Connection update
+     * @private
+     */
+    async handleConnectionUpdate(update) {
+        const { connection, qr, pairingCode } = update;
+
+        if (qr) {
+            logger.info(`Session ${this.id}: QR code received, scan it using your WhatsApp app`);
+            this.qr = qr;
+            this.notifyLoginWaiters();
+        }
+
+        if (pairingCode) {
+            logger.info(`Session ${this.id}: pairing code ${pairingCode} received, enter it in your WhatsApp app`);
+            this.qr = null;
+            this.notifyLoginWaiters();
+        }
+
+        if (connection === 'open') {
+            logger.success(`Session ${this.id}: connected to WhatsApp`);
+            this.qr = null;
+            this.notifyLoginWaiters();
+            await this.backups.backupSession();
+        }
+
+        if (connection === 'close' && this.running) {
+            // The connection manager reconnects by itself; this catches the cases it gives up on
+            setTimeout(async () => {
+                const status = this.connection.getStatus();
+                if (this.running && !status.isConnected && !status.isConnecting) {
+                    logger.info(`Session ${this.id}: attempting reconnection...`);
+                    await this.connection.connect();
+                }
+            }, RECONNECT_CHECK_DELAY);
+        }
+    }
+
+    /**
+     * Connect the session to WhatsApp
+     * @returns {Promise<Object|null>} Socket, or null if connecting failed (it is retried)
+     */
+    async start() {
+        if (this.running) return this.sock;
+
+        this.running = true;
+        this.startedAt = Date.now();
+        logger.info(`Starting session ${this.id}...`);
+
+        await this.backups.initialize();
+        return this.connection.connect();
+    }
+
+    /**
+     * Disconnect the session, keeping its credentials
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.running) return;
+
+        logger.info(`Stopping session ${this.id}...`);
+        this.running = false;
+        this.startedAt = null;
+        this.qr = null;
+        this.notifyLoginWaiters();
+        this.backups.stopScheduledBackups();
+        await this.connection.disconnect();
+    }
+
+    /**
+     * Link the session to a (new) WhatsApp account
+     * The current credentials are backed up and removed, and the session is started again so
+     * WhatsApp sends a new QR code, or a pairing code for the given number
+     * @param {string|null} [phoneNumber] Number of the account with country code, to link it with a pairing code
+     * @returns {Promise<Object|null>} Socket of the new connection
+     * @throws {Error} If the number is not a plausible phone number
+     */
+    async pair(phoneNumber = null) {
+        // Checks the number before anything is unlinked
+        this.connection.usePairingCode(phoneNumber);
+        await this.stop();
+
+        if (fs.existsSync(this.authDir) && fs.readdirSync(this.authDir).length) {
+            await this.backups.backupSession();
+            for (const file of fs.readdirSync(this.authDir)) {
+                fs.rmSync(path.join(this.authDir, file), { recursive: true, force: true });
+            }
+            logger.info(`Session ${this.id}: removed the old credentials for pairing`);
+        }
+        ensureDirectoryExists(this.authDir);
+
+        return this.start();
+    }
+
+    /**
+     * Get what the session is waiting for to be linked
+     * @returns {{qr?: string, pairingCode?: Object}|null} QR code or pairing code, or null if it waits for neither
+     */
+    getLogin() {
+        if (this.qr) return { qr: this.qr };
+        const pairingCode = this.pairingCode;
+        return pairingCode ? { pairingCode } : null;
+    }
+
+    /**
+     * Hand the current QR or pairing code to everyone waiting for one
+     * @private
+     */
+    notifyLoginWaiters() {
+        const login = this.getLogin();
+        this.loginWaiters.splice(0).forEach(resolve => resolve(login));
+    }
+
+    /**
+     * Wait for the next QR or pairing code of the session
+     * @param {number} timeout Time to wait in milliseconds
+     * @returns {Promise<Object|null>} See getLogin; null if the session connected, stopped or timed out
+     */
+    waitForLogin(timeout) {
+        const login = this.getLogin();
+        if (login) return Promise.resolve(login);
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.loginWaiters = this.loginWaiters.filter(waiter => waiter !== done);
+                resolve(null);
+            }, timeout);
+            const done = result => {
+                clearTimeout(timer);
+                resolve(result);
+            };
+            this.loginWaiters.push(done);
+        });
+    }
+
+    /**
+     * Get the session's state
+     * @returns {string} 'stopped', 'connecting', 'waiting for QR scan', 'waiting for pairing code',
+     *          'connected' or 'disconnected'
+     */
+    getState() {
+        if (!this.running) return 'stopped';
+        if (this.connection.isConnected) return 'connected';
+        if (this.qr) return 'waiting for QR scan';
+        if (this.pairingCode) return 'waiting for pairing code';
+        return this.connection.isConnecting ? 'connecting' : 'disconnected';
+    }
+
+    /**
+     * Get the session's status
+     * @returns {Object} Status
+     */
+    getStatus() {
+        return {
+            id: this.id,
+            default: this.isDefault,
+            state: this.getState(),
+            phone: toJid(this.sock?.user?.id)?.split('@')[0] || null,
+            prefix: this.prefix,
+            autoStart: this.autoStart,
+            hasQR: !!this.qr,
+            pairingCode: this.pairingCode,
+            startedAt: this.startedAt,
+            authDir: this.authDir,
+            outbound: this.connection.outbound.getStats()
+        };
+    }
+
+    /**
+     * Get the definition saved in data/sessions.json
+     * @returns {Object} Session definition
+     */
+    toJSON() {
+        return { id: this.id, prefix: this.prefix, autoStart: this.autoStart, config: this.overrides };
+    }
+}
+
+/**
+ * Keeps the sessions of the bot and routes their events to the message pipeline
+ */
+class SessionRegistry {
+    constructor() {
+        this.sessions = new Map();
+        this.handlers = { message: [], participants: [] };
+        this.participantClaims = new SessionClaims(); // which session handles an update several sessions received
+        this.invalid = []; // definitions that could not be loaded, kept in the file for the owner to fix
+        this.loaded = false;
+    }
+
+    /**
+     * Create the main session and the sessions of data/sessions.json
+     */
+    load() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        const saved = readJsonFile(SESSIONS_FILE);
+        const definitions = Array.isArray(saved) ? saved : [];
+        if (!definitions.some(definition => definition?.id === DEFAULT_SESSION_ID)) {
+            definitions.unshift({ id: DEFAULT_SESSION_ID });
+        }
+
+        for (const definition of definitions) {
+            const error = this.validate(definition);
+            if (error) {
+                logger.warn(`Skipping session in ${SESSIONS_FILE}: ${error}`);
+                this.invalid.push(definition);
+                continue;
+            }
+            this.create(definition);
+        }
+
+        logger.info(`Loaded ${this.sessions.size} session(s): ${[...this.sessions.keys()].join(', ')}`);
+    }
+
+    /**
+     * Check a session definition
+     * @param {Object} definition Session definition
+     * @returns {string|null} Error text, or null if the definition is valid
+     * @private
+     */
+    validate(definition) {
+        if (!definition || !isValidSessionId(definition.id)) {
+            return `invalid session ID ${JSON.stringify(definition?.id)}, use up to 32 lowercase letters, digits, - and _`;
+        }
+        if (this.sessions.has(definition.id)) return `session ${definition.id} exists already`;
+        if (definition.prefix != null && !isValidPrefix(definition.prefix)) {
+            return `invalid prefix "${definition.prefix}" for session ${definition.id}`;
+        }
+        if (definition.config != null && (typeof definition.config !== 'object' || Array.isArray(definition.config))) {
+            return `config of session ${definition.id} must be an object`;
+        }
+        return null;
+    }
+
+    /**
+     * Create a session and connect the registered handlers to it
+     * @param {Object} definition Valid session definition
+     * @returns {BotSession} Session
+     * @private
+     */
+    create(definition) {
+        const session = new BotSession(definition);
+
+        session.connection.onMessage((update, sock) => {
+            for (const handler of this.handlers.message) handler(update, sock, session);
+        });
+        session.connection.onGroupParticipantsUpdate((sock, update) => {
+            // Every session in the group gets the update; welcome messages and anti-raid run once
+            const participants = (update.participants || []).map(participant => participant?.id || participant).sort();
+            if (!this.participantClaims.claim(`${update.id}:${update.action}:${participants.join(',')}`, session)) return;
+
+            return Promise.all(this.handlers.participants.map(handler => handler(sock, update, session)));
+        });
+
+        this.sessions.set(session.id, session);
+        return session;
+    }
+
+    /**
+     * Save the session definitions
+     * @private
+     */
+    save() {
+        writeJsonFile(SESSIONS_FILE, [...this.list().map(session => session.toJSON()), ...this.invalid]);
+    }
+
+    /**
+     * Register a handler for incoming messages of every session
+     * @param {Function} handler Called with (update, sock, session)
+     */
+    onMessage(handler) {
+        if (typeof handler === 'function') this.handlers.message.push(handler);
+    }
+
+    /**
+     * Register a handler for group participant updates of every session
+     * @param {Function} handler Called with (sock, update, session)
+     */
+    onGroupParticipantsUpdate(handler) {
+        if (typeof handler === 'function') this.handlers.participants.push(handler);
+    }
+
+    /**
+     * Get a session
+     * @param {string} id Session ID
+     * @returns {BotSession|null} Session
+     */
+    get(id) {
+        return this.sessions.get(String(id || '').toLowerCase()) || null;
+    }
+
+    /**
+     * Get the main session
+     * @returns {BotSession} Session
+     */
+    getDefault() {
+        this.load();
+        return this.sessions.get(DEFAULT_SESSION_ID);
+    }
+
+    /**
+     * Get all sessions
+     * @returns {Array<BotSession>} Sessions, main first
+     */
+    list() {
+        return [...this.sessions.values()];
+    }
+
+    /**
+     * Get the session a socket belongs to
+     * @param {Object} sock WhatsApp socket connection
+     * @returns {BotSession|null} Session
+     */
+    forSocket(sock) {
+        return this.list().find(session => session.sock === sock) || null;
+    }
+
+    /**
+     * Get a socket for sending messages that belong to no session, such as scheduled messages
+     * @returns {Object|null} Socket of the main session, or of another one while main is not connected
+     */
+    getSocket() {
+        const main = this.getDefault();
+        if (main.isConnected) return main.sock;
+        return this.list().find(session => session.isConnected)?.sock || main.sock;
+    }
+
+    /**
+     * Add a session and save it to data/sessions.json
+     * @param {Object} definition Session definition, see BotSession
+     * @returns {BotSession} New session, not started yet
+     * @throws {Error} If the definition is invalid or the ID is taken
+     */
+    add(definition) {
+        const error = this.validate(definition);
+        if (error) throw new Error(error);
+
+        const session = this.create(definition);
+        this.save();
+        logger.info(`Added session ${session.id}`);
+        return session;
+    }
+
+    /**
+     * Stop a session and remove it from data/sessions.json
+     * Its credentials stay in its auth folder, so adding it again links the same account
+     * @param {string} id Session ID
+     * @returns {Promise<BotSession|null>} Removed session, or null if there is none with the ID
+     * @throws {Error} For the main session
+     */
+    async remove(id) {
+        const session = this.get(id);
+        if (!session) return null;
+        if (session.isDefault) throw new Error('The main session cannot be removed');
+
+        await session.stop();
+        session.connection.outbound.close();
+        this.sessions.delete(session.id);
+        this.save();
+        logger.info(`Removed session ${session.id}`);
+        return session;
+    }
+
+    /**
+     * Change settings of a session and save them
+     * @param {string} id Session ID
+     * @param {Object} changes Changed prefix and/or autoStart
+     * @returns {BotSession|null} Session, or null if there is none with the ID
+     * @throws {Error} If the prefix is invalid
+     */
+    update(id, { prefix, autoStart } = {}) {
+        const session = this.get(id);
+        if (!session) return null;
+
+        if (prefix !== undefined) {
+            if (prefix !== null && !isValidPrefix(prefix)) throw new Error(`invalid prefix "${prefix}"`);
+            session.prefix = prefix;
+        }
+        if (autoStart !== undefined) session.autoStart = !!autoStart;
+
+        this.save();
+        return session;
+    }
+
+    /**
+     * Start a session and remember to start it with the bot
+     * @param {string} id Session ID
+     * @returns {Promise<BotSession|null>} Session, or null if there is none with the ID
+     */
+    async start(id) {
+        const session = this.update(id, { autoStart: true });
+        if (session) await session.start();
+        return session;
+    }
+
+    /**
+     * Stop a session and remember not to start it with the bot
+     * @param {string} id Session ID
+     * @returns {Promise<BotSession|null>} Session, or null if there is none with the ID
+     */
+    async stop(id) {
+        const session = this.update(id, { autoStart: false });
+        if (session) await session.stop();
+        return session;
+    }
+
+    /**
+     * Link a session to a (new) WhatsApp account, see BotSession.pair
+     * @param {string} id Session ID
+     * @param {string|null} [phoneNumber] Number to link with a pairing code instead of a QR code
+     * @returns {Promise<BotSession|null>} Session, or null if there is none with the ID
+     * @throws {Error} If the number is not a plausible phone number
+     */
+    async pair(id, phoneNumber = null) {
+        const session = this.get(id);
+        if (!session) return null;
+
+        await session.pair(phoneNumber);
+        return this.update(id, { autoStart: true });
+    }
+
+    /**
+     * Start the main session and the other sessions that start with the bot
+     * A session archive from the environment is imported into main first if main is not linked
+     * @returns {Promise<void>}
+     */
+    async startAll() {
+        this.load();
+        importFromEnvironment(this.getDefault().authDir);
+        for (const session of this.list()) {
+            if (session.autoStart || session.isDefault) await session.start();
+        }
+    }
+
+    /**
+     * Stop every session, backing up its credentials first
+     * @returns {Promise<void>}
+     */
+    async stopAll() {
+        for (const session of this.list()) {
+            if (!session.running) continue;
+            await session.backups.backupSession();
+            await session.stop();
+        }
+    }
+
+    /**
+     * Get the status of every session
+     * @returns {Array<Object>} Session statuses
+     */
+    getStatus() {
+        return this.list().map(session => session.getStatus());
+    }
+}
+
+const sessionRegistry = new SessionRegistry();
+
+module.exports = {
+    BotSession,
+    SessionRegistry,
+    sessionRegistry,
+    isValidSessionId,
+    DEFAULT_SESSION_ID
+};
@@ -0,0 +1,68 @@
+const logger = require('../utils/logger');
+const { safeSendMessage } = require('../utils/safe-send');
+const { formatDuration } = require('../utils/helpers');
+const { userAfk } = require('../utils/userDatabase');
+const { getMessageContext } = require('../utils/commandArgs');
+
+// Commands that manage the AFK status themselves
+const AFK_COMMANDS = ['afk', 'unafk'];
+
+// Tell a chat that a user is AFK at most once per minute
+const NOTICE_COOLDOWN = 60 * 1000;
+
+// Last AFK notice per chat and user ("chat|user" -> timestamp)
+const lastNotices = new Map();
+
+/**
+ * Format how long ago an AFK status was set
+ * @param {number} timestamp Time the status was set
+ * @returns {string} e.g. "1h 5m"
+ */
+function formatAfkDuration(timestamp) {
+    const minutes = Math.max(1, Math.floor((Date.now() - timestamp) / 60000));
+    return formatDuration(minutes * 60);
+}
+
+/**
+ * Pipeline middleware: clears the AFK status of users who write again, and tells a chat
+ * when someone mentions or replies to a user who is AFK
+ * @param {Object} ctx Message context
+ * @param {Function} next Continue the pipeline
+ */
+async function afkMiddleware(ctx, next) {
+    const { sock, message, jid, sender } = ctx;
+
+    if (!ctx.fromMe) {
+        const ownStatus = userAfk.get(sender);
+        if (ownStatus?.status && !AFK_COMMANDS.includes(ctx.command?.command?.toLowerCase())) {
+            userAfk.delete(sender);
+            await safeSendMessage(sock, jid, {
+                text: `👋 Welcome back @${sender.split('@')[0]}! You were AFK for ${formatAfkDuration(ownStatus.timestamp)}.`,
+                mentions: [sender]
+            });
+        }
+
+        const { mentions, quotedParticipant } = getMessageContext(message);
+        const targets = [...new Set([...mentions, quotedParticipant])]
+            .filter(target => target && target !== sender && userAfk.get(target)?.status);
+
+        for (const target of targets) {
+            const noticeKey = `${jid}|${target}`;
+            if (Date.now() - (lastNotices.get(noticeKey) || 0) < NOTICE_COOLDOWN) continue;
+            lastNotices.set(noticeKey, Date.now());
+
+            const { reason, timestamp } = userAfk.get(target);
+            await safeSendMessage(sock, jid, {
+                text: `💤 @${target.split('@')[0]} is AFK: ${reason} (since ${formatAfkDuration(timestamp)} ago)`,
+                mentions: [target]
+            });
+            logger.debug(`Sent AFK notice for ${target} in ${jid}`);
+        }
+    }
+
+    await next();
+}
+
+module.exports = {
+    afkMiddleware
+};
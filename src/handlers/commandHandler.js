@@ -1,5 +1,8 @@
 const logger = require('../utils/logger');
-const { safeSendMessage, safeSendText, safeSendImage } = require('../utils/jidHelper');
+const { safeSendMessage, safeSendText, safeSendImage } = require('../utils/safe-send');
+const { checkPermission } = require('../utils/permissions');
+const { getCommandConfig, getCommandUsage } = require('../utils/commandConfig');
+const { parseArgs } = require('../utils/commandArgs');
 const fs = require('fs');
 const path = require('path');
 
@@ -71,7 +74,7 @@ async function loadCommands() {
                             groupOnly: config?.groupOnly || false,
                             category: config?.configCategory || 'uncategorized',
                             description: config?.description || `Command: ${name}`,
-                            usage: config?.usage || `!${name}`,
+                            usage: getCommandUsage(name),
                             enabled: config?.enabled !== false,
                             permissions: config?.permissions || ['user']
                         });
@@ -158,7 +161,7 @@ async function loadCommands() {
                                 groupOnly: config?.groupOnly || name === 'group',
                                 category: config?.configCategory || category,
                                 description: config?.description || `Command: ${cmdName}`,
-                                usage: config?.usage || `!${cmdName}`,
+                                usage: getCommandUsage(cmdName),
                                 enabled: config?.enabled !== false,
                                 permissions: config?.permissions || ['user']
                             });
@@ -372,8 +375,27 @@ async function processCommand(sock, message, commandText, options = {}) {
                 return;
             }
 
+            // Check the roles required by the command
+            const permission = await checkPermission(sock, message, cmdName);
+            if (!permission.allowed) {
+                await safeSendText(sock, sender, `🔒 This command requires the ${permission.required.join(' or ')} role.`);
+                return;
+            }
+
+            // Validate the arguments against the command's schema
+            let params = {};
+            const schema = getCommandConfig(cmdName)?.args;
+            if (Array.isArray(schema)) {
+                const parsed = parseArgs(schema, args, message);
+                if (parsed.error) {
+                    await safeSendText(sock, sender, `❌ ${parsed.error}\n\n📝 Usage: ${getCommandUsage(cmdName)}`);
+                    return;
+                }
+                params = parsed.params;
+            }
+
             // Execute command
-            await command.execute(sock, message, args, options);
+            await command.execute(sock, message, args, { ...options, params });
             console.log(`Command executed successfully: ${cmdName}`);
             return;
         }
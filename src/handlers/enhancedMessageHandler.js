@@ -5,7 +5,8 @@
 
 const logger = require('../utils/logger');
 const { standardCommandLoader } = require('../utils/standardCommandLoader');
-const { isJidGroup, isJidUser, safeSendMessage, safeSendText } = require('../utils/jidHelper');
+const { isJidGroup, isJidUser } = require('../utils/jidHelper');
+const { safeSendMessage, safeSendText } = require('../utils/safe-send');
 
 class EnhancedMessageHandler {
     constructor(config = {}) {
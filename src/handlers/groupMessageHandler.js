@@ -1,56 +1,15 @@
 const logger = require('../utils/logger');
-const { isJidGroup, ensureJidString, safeSendText, safeSendMessage, safeSendImage } = require('../utils/jidHelper');
-const { isAdmin } = require('../utils/permissions');
+const { isJidGroup, ensureJidString } = require('../utils/jidHelper');
+const { safeSendMessage } = require('../utils/safe-send');
+const { getUserRole, ROLE_LEVELS } = require('../utils/permissions');
+const { getGroupSettings } = require('../utils/groupSettings');
+const { VIOLATION_TYPES, getModerationConfig, isBotMuted, applyViolation } = require('../utils/moderationPolicy');
+const { findBlockedLink, getLinkFilter } = require('../utils/linkDetector');
+const { SEVERITY, findToxicContent, getToxicFilter } = require('../utils/toxicityFilter');
 
 // Store message timestamps for spam detection
 const messageTimestamps = new Map();
 
-// Store warning counts for users
-const userWarnings = new Map();
-
-// Function to check if a message contains links
-function containsLink(message) {
-    try {
-        const urlRegex = /(https?:\/\/[^\s]+)|(www\.[^\s]+)/gi;
-        return urlRegex.test(message);
-    } catch (err) {
-        logger.error('Error in containsLink check:', err);
-        return false;
-    }
-}
-
-// Function to check if a message contains toxic content
-function containsToxicContent(message) {
-    try {
-        // Common toxic/inappropriate words
-        const toxicWords = [
-            // Profanity/slurs (obscured to avoid encoding directly)
-            'f*ck', 'sh*t', 'b*tch', 'd*ck', 'a**hole', 'c*nt',
-            // Hate speech-related
-            'n*gger', 'f*ggot', 'r*tard',
-            // Threatening language
-            'kill yourself', 'kys', 'kill you', 'suicide',
-            // Sexual harassment
-            'r*pe', 'molest', 'sexual'
-        ];
-        
-        // Convert message to lowercase for comparison
-        const lowerMessage = message.toLowerCase();
-        
-        // Check for exact matches and partial matches with word boundaries
-        return toxicWords.some(word => {
-            // Remove the asterisks for regex pattern (replacing with wildcards)
-            const pattern = word.replace(/\*/g, '\\w*');
-            // Create regex with word boundaries
-            const regex = new RegExp(`\\b${pattern}\\b|\\b${pattern}s\\b|\\b${pattern}ing\\b`, 'i');
-            return regex.test(lowerMessage);
-        });
-    } catch (err) {
-        logger.error('Error in toxicity check:', err);
-        return false;
-    }
-}
-
 // Function to check spam rate
 function isSpamming(userId, groupId, limit) {
     try {
@@ -74,129 +33,123 @@ function isSpamming(userId, groupId, limit) {
     }
 }
 
-// Function to manage warnings
-function handleWarning(userId, groupId) {
-    try {
-        const key = `${userId}-${groupId}`;
-        const warnings = userWarnings.get(key) || 0;
-        userWarnings.set(key, warnings + 1);
-        return warnings + 1;
-    } catch (err) {
-        logger.error('Error in warning management:', err);
-        return 0;
+// Function to check if a message mentions too many members
+function isMassMention(message, limit) {
+    const contextInfo = message.message?.extendedTextMessage?.contextInfo ||
+                        message.message?.imageMessage?.contextInfo ||
+                        message.message?.videoMessage?.contextInfo;
+    return (contextInfo?.mentionedJid?.length || 0) >= limit;
+}
+
+// Function to check if a message floods the chat with text
+function isFlooding(messageText, config) {
+    return messageText.length > config.floodMaxLength ||
+           messageText.split('\n').length > config.floodMaxLines;
+}
+
+/**
+ * Find the violation a message commits, checked in order of severity
+ * @param {Object} message Message object
+ * @param {string} messageText Message text
+ * @param {string} sender Sender JID
+ * @param {string} remoteJid Group JID
+ * @param {Object} settings Group settings
+ * @returns {{type: string, severe?: boolean, reason?: string}|null} Violation
+ */
+function detectViolation(message, messageText, sender, remoteJid, settings) {
+    const config = getModerationConfig(settings);
+
+    // Track the message rate first so every message counts towards the spam window
+    if (settings.antispam && isSpamming(sender, remoteJid, settings.spamLimit || 10)) return { type: 'spam' };
+    if (settings.antilink && findBlockedLink(messageText, getLinkFilter(settings))) return { type: 'link' };
+    if (settings.antimention && isMassMention(message, config.maxMentions)) return { type: 'massmention' };
+
+    if (settings.antitoxic) {
+        const toxic = findToxicContent(messageText, getToxicFilter(settings));
+        if (toxic) {
+            const level = Object.keys(SEVERITY).find(name => SEVERITY[name] === toxic.severity);
+            return { type: 'toxic', severe: toxic.severity >= SEVERITY.severe, reason: `${level} word` };
+        }
     }
+
+    if (settings.antiflood && isFlooding(messageText, config)) return { type: 'flood' };
+    return null;
 }
 
+/**
+ * Run automatic moderation on a group message
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} message Message object
+ * @returns {Promise<boolean>} Whether the message was moderated and should not be processed further
+ */
 async function handleGroupMessage(sock, message) {
     try {
         const remoteJid = ensureJidString(message.key.remoteJid);
 
-        // Only process group messages
-        if (isJidGroup(!remoteJid)) {
-            logger.debug('Message not from group, skipping');
-            return;
+        // Only process group messages from other users
+        if (!isJidGroup(remoteJid) || message.key.fromMe) {
+            return false;
         }
 
         // Determine sender with fallback options
         const sender = message.key.participant || message.participant;
         if (!sender) {
             logger.debug('Cannot identify sender in group message, skipping');
-            return;
+            return false;
         }
-        
-        // Extract message text with support for different message types
-        const messageText = message.message?.conversation || 
-                          message.message?.extendedTextMessage?.text || 
-                          message.message?.imageMessage?.caption ||
-                          message.message?.videoMessage?.caption || '';
 
-        logger.debug(`Processing group message from ${sender} in ${remoteJid}`);
-
-        // Try to get group metadata and settings with error handling
-        let groupMetadata, settings = {};
-        try {
-            groupMetadata = await sock.groupMetadata(remoteJid);
-            settings = groupMetadata.settings || {};
-        } catch (metaErr) {
-            logger.error('Failed to fetch group metadata:', metaErr);
-            // Continue with default settings
+        const settings = await getGroupSettings(remoteJid);
+        const muted = isBotMuted(settings, sender);
+        const moderationEnabled = Object.values(VIOLATION_TYPES).some(({ setting }) => settings[setting]);
+        if (!muted && !moderationEnabled) {
+            return false;
         }
 
-        // Skip moderation checks for admins
-        try {
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
-            if (isUserAdmin) {
-                logger.debug('Message from admin, skipping moderation checks');
-                return;
-            }
-        } catch (adminErr) {
-            logger.error('Failed to check admin status:', adminErr);
-            // If we can't determine admin status, continue with moderation
+        // Skip moderation for moderators and everyone above them
+        const { role, level } = await getUserRole(sock, remoteJid, sender, settings);
+        if (level >= ROLE_LEVELS.moderator) {
+            logger.debug(`Message from ${role}, skipping moderation checks`);
+            return false;
         }
 
-        // Anti-link check
-        if (settings.antilink && containsLink(messageText)) {
-            logger.info(`Link detected from ${sender}, taking action`);
-            await safeSendMessage(sock, remoteJid, {
-                text: `⚠️ @${sender.split('@')[0]} Links are not allowed in this group!`,
-                mentions: [sender]
-            });
+        // Messages of users muted by the bot are deleted without further action
+        if (muted) {
             await safeSendMessage(sock, remoteJid, { delete: message.key });
-            const warnings = handleWarning(sender, remoteJid);
-            if (warnings >= 3) {
-                await sock.groupParticipantsUpdate(remoteJid, [sender], 'remove');
-                await safeSendMessage(remoteJid, {
-                    text: `🚫 @${sender.split('@')[0]} has been removed for multiple violations`,
-                    mentions: [sender]
-                });
-            }
-            return;
+            return true;
         }
 
-        // Anti-spam check
-        if (settings.antispam) {
-            const spamLimit = settings.spamLimit || 10;
-            if (isSpamming(sender, remoteJid, spamLimit)) {
-                logger.info(`Spam detected from ${sender}, taking action`);
-                await safeSendMessage(remoteJid, {
-                    text: `⚠️ @${sender.split('@')[0]} Please don't spam!`,
-                    mentions: [sender]
-                });
-                await safeSendMessage(sock, remoteJid, { delete: message.key });
-                const warnings = handleWarning(sender, remoteJid);
-                if (warnings >= 3) {
-                    await sock.groupParticipantsUpdate(remoteJid, [sender], 'remove');
-                    await safeSendMessage(remoteJid, {
-                        text: `🚫 @${sender.split('@')[0]} has been removed for multiple violations`,
-                        mentions: [sender]
-                    });
-                }
-                return;
-            }
-        }
+        // Extract message text with support for different message types
+        const messageText = message.message?.conversation ||
+                          message.message?.extendedTextMessage?.text ||
+                          message.message?.imageMessage?.caption ||
+                          message.message?.videoMessage?.caption || '';
 
-        // Anti-toxic check
-        if (settings.antitoxic && containsToxicContent(messageText)) {
-            logger.info(`Toxic content detected from ${sender}, taking action`);
-            await safeSendMessage(remoteJid, {
-                text: `⚠️ @${sender.split('@')[0]} Please maintain group decorum!`,
-                mentions: [sender]
-            });
-            await safeSendMessage(sock, remoteJid, { delete: message.key });
-            const warnings = handleWarning(sender, remoteJid);
-            if (warnings >= 3) {
-                await sock.groupParticipantsUpdate(remoteJid, [sender], 'remove');
-                await safeSendMessage(remoteJid, {
-                    text: `🚫 @${sender.split('@')[0]} has been removed for multiple violations`,
-                    mentions: [sender]
-                });
-            }
-            return;
+        const violation = detectViolation(message, messageText, sender, remoteJid, settings);
+        if (!violation) {
+            return false;
         }
 
+        logger.info(`${violation.type} violation by ${sender} in ${remoteJid}, applying policy`);
+        await applyViolation(sock, message, sender, violation.type, violation);
+        return true;
+
     } catch (err) {
         logger.error('Error in group message handler:', err);
+        return false;
+    }
+}
+
+/**
+ * Pipeline middleware: moderated messages stop here
+ * @param {Object} ctx Message context
+ * @param {Function} next Continue the pipeline
+ */
+async function moderationMiddleware(ctx, next) {
+    if (await handleGroupMessage(ctx.sock, ctx.message)) {
+        logger.info('Message was moderated, skipping further processing');
+        return;
     }
+    await next();
 }
 
-module.exports = { handleGroupMessage };
\ No newline at end of file
+module.exports = { handleGroupMessage, detectViolation, moderationMiddleware };
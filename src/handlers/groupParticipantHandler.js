@@ -1,66 +1,195 @@
 const logger = require('../utils/logger');
-const { safeSendMessage, safeSendText, safeSendImage } = require('../utils/jidHelper');
+const { safeSendMessage, safeSendText, safeSendImage } = require('../utils/safe-send');
+const { getGroupSettings } = require('../utils/groupSettings');
+const { formatDuration } = require('../utils/helpers');
+const { generateMemberCard } = require('../utils/welcomeCard');
+
+// Recent join timestamps per group, used for the anti-raid join-rate window
+const recentJoins = new Map();
+
+// Groups currently locked by anti-raid, mapped to their unlock timer (or null when locked indefinitely)
+const raidLocks = new Map();
+
+/**
+ * Fill the placeholders of a welcome or goodbye template
+ * Supported placeholders: {user}, {group}, {memberCount}, {desc}
+ * @param {string} template Message template
+ * @param {string} participant Participant JID
+ * @param {Object} groupMetadata Group metadata
+ * @returns {string} Formatted message
+ */
+function formatMemberMessage(template, participant, groupMetadata) {
+    const values = {
+        user: `@${participant.split('@')[0]}`,
+        group: groupMetadata.subject || '',
+        memberCount: String(groupMetadata.participants?.length || 0),
+        desc: groupMetadata.desc || ''
+    };
+
+    return template.replace(/\{(user|group|memberCount|desc)\}/g, (match, key) => values[key]);
+}
+
+/**
+ * Send a welcome or goodbye message, as an image card when enabled
+ * @param {Object} sock WhatsApp socket
+ * @param {string} groupJid Group JID
+ * @param {string} participant Participant JID
+ * @param {Object} groupMetadata Group metadata
+ * @param {string} type 'welcome' or 'goodbye'
+ * @param {string} template Message template
+ * @param {boolean} withCard Whether to render an image card
+ */
+async function sendMemberMessage(sock, groupJid, participant, groupMetadata, type, template, withCard) {
+    const text = formatMemberMessage(template, participant, groupMetadata);
+
+    if (withCard) {
+        try {
+            let avatarUrl = null;
+            try {
+                avatarUrl = await sock.profilePictureUrl(participant, 'image');
+            } catch (err) {
+                // No profile picture or hidden by privacy settings
+            }
+
+            const card = await generateMemberCard({
+                type,
+                userName: `+${participant.split('@')[0]}`,
+                groupName: groupMetadata.subject,
+                memberCount: groupMetadata.participants?.length || 0,
+                avatarUrl
+            });
+
+            await safeSendMessage(sock, groupJid, {
+                image: card,
+                caption: text,
+                mentions: [participant]
+            });
+            return;
+        } catch (err) {
+            logger.error(`Failed to render ${type} card, sending text instead:`, err);
+        }
+    }
+
+    await safeSendMessage(sock, groupJid, {
+        text,
+        mentions: [participant]
+    });
+}
+
+/**
+ * Record joins and check whether the group's join rate exceeds the anti-raid threshold
+ * @param {string} groupJid Group JID
+ * @param {number} count Number of participants that joined
+ * @param {Object} settings Group settings
+ * @returns {boolean} Whether a raid was detected
+ */
+function recordJoins(groupJid, count, settings) {
+    const now = Date.now();
+    const windowMs = (settings.raidWindow || 60) * 1000;
+    const joins = (recentJoins.get(groupJid) || []).filter(time => now - time < windowMs);
+
+    for (let i = 0; i < count; i++) {
+        joins.push(now);
+    }
+    recentJoins.set(groupJid, joins);
+
+    return joins.length > (settings.raidThreshold || 5);
+}
+
+/**
+ * Lock a group after a raid so only admins can send messages
+ * @param {Object} sock WhatsApp socket
+ * @param {string} groupJid Group JID
+ * @param {Object} settings Group settings
+ * @param {Object} [session] Bot session that received the joins, used to unlock with its socket at that time
+ */
+async function lockGroupForRaid(sock, groupJid, settings, session = null) {
+    if (raidLocks.has(groupJid)) return;
 
-async function handleGroupParticipantsUpdate(sock, { id, participants, action }) {
     try {
-        // Get group metadata and settings
+        await sock.groupSettingUpdate(groupJid, 'announcement');
+    } catch (err) {
+        logger.error(`Anti-raid could not lock ${groupJid} (is the bot an admin?):`, err);
+        await safeSendText(sock, groupJid, '🛡️ Anti-raid: Possible raid detected, but I need to be an admin to lock the group');
+        return;
+    }
+
+    const lockSeconds = settings.raidLockDuration ?? 600;
+    let unlockTimer = null;
+
+    if (lockSeconds > 0) {
+        unlockTimer = setTimeout(async () => {
+            raidLocks.delete(groupJid);
+            recentJoins.delete(groupJid);
+            // The session may have reconnected since the lock, which replaces its socket
+            const currentSock = session?.sock || sock;
+            try {
+                await currentSock.groupSettingUpdate(groupJid, 'not_announcement');
+                await safeSendText(currentSock, groupJid, '🛡️ Anti-raid: The group has been unlocked');
+            } catch (err) {
+                logger.error(`Anti-raid could not unlock ${groupJid}:`, err);
+            }
+        }, lockSeconds * 1000);
+    }
+
+    raidLocks.set(groupJid, unlockTimer);
+    logger.warn(`Anti-raid locked ${groupJid}: more than ${settings.raidThreshold} joins in ${settings.raidWindow}s`);
+
+    await safeSendText(sock, groupJid, `🛡️ *Anti-raid protection*\n\nMore than ${settings.raidThreshold} members joined within ${settings.raidWindow} seconds. The group has been locked so only admins can send messages${
+        lockSeconds > 0 ? ` for ${formatDuration(lockSeconds)}` : '. Use !unmute to unlock it'
+    }.`);
+}
+
+/**
+ * Release an anti-raid lock early (e.g. when an admin unmutes the group)
+ * @param {string} groupJid Group JID
+ */
+function clearRaidLock(groupJid) {
+    const timer = raidLocks.get(groupJid);
+    if (timer) clearTimeout(timer);
+    raidLocks.delete(groupJid);
+    recentJoins.delete(groupJid);
+}
+
+/**
+ * Handle joins, leaves, promotions and demotions in a group
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} update Participants update
+ * @param {Object} [session] Bot session that received the update
+ */
+async function handleGroupParticipantsUpdate(sock, { id, participants, action }, session = null) {
+    try {
+        // Get group metadata and the settings stored for this group
         const groupMetadata = await sock.groupMetadata(id);
-        const settings = groupMetadata.settings || {};
+        const settings = await getGroupSettings(id);
+        const features = settings.features || {};
 
         // Check for anti-raid protection on member join
         if (action === 'add' && settings.antiraid) {
-            const now = Date.now();
-            const cooldown = settings.raidCooldown || 60; // Default 60 seconds
-            const lastJoin = settings.lastJoinTime || 0;
-
-            // If joining too quickly after last join, consider it potential raid
-            if (now - lastJoin < cooldown * 1000) {
-                // Add to join queue
-                if (!settings.joinQueue) settings.joinQueue = new Set();
-                participants.forEach(p => settings.joinQueue.add(p));
-
-                // Remove the users
-                await sock.groupParticipantsUpdate(id, participants, 'remove');
-                await safeSendText(sock, id, '🛡️ Anti-raid protection: Join requests temporarily blocked'
-                );
+            const raidDetected = recordJoins(id, participants.length, settings);
+
+            // Skip welcome messages while a raid is in progress
+            if (raidDetected || raidLocks.has(id)) {
+                await lockGroupForRaid(sock, id, settings, session);
                 return;
             }
-
-            // Update last join time
-            settings.lastJoinTime = now;
         }
 
         switch (action) {
             case 'add':
-                if (settings.welcomeMessage) {
+                if (settings.welcomeMessage && features.welcome !== false) {
                     // Send welcome message for each new participant
                     for (const participant of participants) {
-                        const welcomeMsg = settings.welcomeMessage
-                            .replace('{user}', `@${participant.split('@')[0]}`)
-                            .replace('{group}', groupMetadata.subject)
-                            .replace('{memberCount}', groupMetadata.participants.length);
-
-                        await safeSendMessage(sock, id, {
-                            text: welcomeMsg,
-                            mentions: [participant]
-                        });
+                        await sendMemberMessage(sock, id, participant, groupMetadata, 'welcome', settings.welcomeMessage, settings.welcomeCard);
                     }
                 }
                 break;
 
             case 'remove':
-                if (settings.goodbyeMessage) {
+                if (settings.goodbyeMessage && features.goodbye !== false) {
                     // Send goodbye message for each leaving participant
                     for (const participant of participants) {
-                        const goodbyeMsg = settings.goodbyeMessage
-                            .replace('{user}', `@${participant.split('@')[0]}`)
-                            .replace('{group}', groupMetadata.subject)
-                            .replace('{memberCount}', groupMetadata.participants.length);
-
-                        await safeSendMessage(sock, id, {
-                            text: goodbyeMsg,
-                            mentions: [participant]
-                        });
+                        await sendMemberMessage(sock, id, participant, groupMetadata, 'goodbye', settings.goodbyeMessage, settings.goodbyeCard);
                     }
                 }
                 break;
@@ -86,25 +215,14 @@ async function handleGroupParticipantsUpdate(sock, { id, participants, action })
                 break;
         }
 
-        // Update group activity tracking
-        if (!groupMetadata.activity) {
-            groupMetadata.activity = {
-                messageCount: 0,
-                activeMembers: new Set(),
-                lastReset: Date.now()
-            };
-        }
-
-        // Log the event for activity tracking
-        groupMetadata.activity.lastEvent = {
-            type: action,
-            participants: participants,
-            timestamp: Date.now()
-        };
-
     } catch (err) {
         logger.error('Error in group participants handler:', err);
     }
 }
 
-module.exports = { handleGroupParticipantsUpdate };
\ No newline at end of file
+module.exports = {
+    handleGroupParticipantsUpdate,
+    formatMemberMessage,
+    sendMemberMessage,
+    clearRaidLock
+};
@@ -4,7 +4,7 @@
  */
 
 // Import essential utilities
-const { safeSendText, safeSendMessage, safeSendImage } = require('../utils/jidHelper');
+const { safeSendText, safeSendMessage, safeSendImage } = require('../utils/safe-send');
 
 // No external dependencies to minimize failure risk
 const commands = new Map();
@@ -3,7 +3,7 @@
  */
 
 const { commandLoader } = require('../utils/commandLoader');
-const { safeSendMessage, safeSendText, safeSendImage } = require('../utils/jidHelper');
+const { safeSendMessage, safeSendText, safeSendImage } = require('../utils/safe-send');
 const logger = require('../utils/logger');
 
 // Bot configuration
@@ -6,6 +6,7 @@
 
 const path = require('path');
 const fs = require('fs');
+const { safeSendMessage } = require('../utils/safe-send');
 
 // Performance optimizations
 const commandHandlers = new Map(); // O(1) lookups
@@ -280,12 +281,9 @@ async function executeCommand(handler, sock, msg, args, commandName) {
       } else if (jidHelper && jidHelper.safeSendMessage) {
         // Regular safe send
         jidHelper.safeSendMessage(sock, jid, errorMsg).catch(() => {/* Silent */});
-      } else if (jidHelper && jidHelper.safeSendText) {
-        // Text-only send
-        jidHelper.safeSendText(sock, jid, `⚠️ Error`).catch(() => {/* Silent */});
       } else {
-        // Fallback to direct send
-        sock.sendMessage(jid, errorMsg).catch(() => {/* Silent */});
+        // Fallback if the pre-loaded helpers are missing
+        safeSendMessage(sock, jid, errorMsg).catch(() => {/* Silent */});
       }
     } catch (e) {
       // Completely silent error handling
@@ -379,11 +377,11 @@ async function init(sock) {
     
     // Pre-load utilities (only once at initialization)
     try {
-      jidHelper = require('../utils/jidHelper');
+      jidHelper = require('../utils/safe-send');
       safeSendUtility = jidHelper;
       console.log('Successfully pre-loaded safe-send utility');
     } catch (err) {
-      console.error(`Failed to load jidHelper: ${err.message}`);
+      console.error(`Failed to load safe-send: ${err.message}`);
     }
     
     // Track processed messages to prevent duplicates
@@ -3,15 +3,25 @@
  * Using @whiskeysockets/baileys with enhanced connection persistence
  */
 
-const { connectionManager } = require('./core/connection');
-const { commandRegistry } = require('./core/commandRegistry');
-const { sessionManager } = require('./core/sessionManager');
+const { commandRegistry, MIDDLEWARE_ORDER } = require('./core/commandRegistry');
+const { pluginManager } = require('./core/pluginManager');
+const { sessionRegistry } = require('./core/sessionRegistry');
+const { qrWebServer } = require('./core/qrWebServer');
 const logger = require('./utils/logger');
 const fs = require('fs');
 const path = require('path');
 const { ensureDirectoryExists } = require('./utils/fileUtils');
+const userDatabase = require('./utils/userDatabase');
 const { addErrorHandlingToAll } = require('./utils/errorHandler');
 const { verifyStartupRequirements, displayVerificationReport } = require('./utils/startupVerification');
+const { handleGroupParticipantsUpdate } = require('./handlers/groupParticipantHandler');
+const { moderationMiddleware } = require('./handlers/groupMessageHandler');
+const { afkMiddleware } = require('./handlers/afkHandler');
+const { levelingMiddleware } = require('./utils/levelingSystem');
+const { startLotteryScheduler, stopLotteryScheduler } = require('./utils/lotterySystem');
+const { startClanWarScheduler, stopClanWarScheduler } = require('./utils/clanSystem');
+const { startReminderScheduler, stopReminderScheduler } = require('./utils/reminderScheduler');
+const { startGroupScheduler, stopGroupScheduler } = require('./utils/groupScheduler');
 
 // Create required directories
 function ensureDirectoriesExist() {
@@ -39,14 +49,28 @@ async function setupMessageHandler(sock) {
     
     await commandRegistry.initializeModules(sock);
     
+    // Reload changed command modules without restarting (disable with HOT_RELOAD=false)
+    if (process.env.HOT_RELOAD !== 'false') {
+        commandRegistry.watchCommands();
+    }
+    
+    // Message pipeline: ban check → maintenance → AFK → moderation → plugins → XP → commands → analytics
+    commandRegistry.use('afk', afkMiddleware, MIDDLEWARE_ORDER.afk);
+    commandRegistry.use('moderation', moderationMiddleware, MIDDLEWARE_ORDER.moderation);
+    commandRegistry.use('leveling', levelingMiddleware, MIDDLEWARE_ORDER.xp);
+    
+    // Third-party command packs from plugins/<name>/
+    await pluginManager.loadPlugins(sock);
+    
     logger.info('Setting up message handler with error handling...');
     
     // Configuration option: set to true to allow processing the bot's own messages
     const processOwnMessages = true;
     
-    connectionManager.onMessage(async (update, sock) => {
+    // Messages of every bot session go through the same pipeline, which knows the session they came from
+    sessionRegistry.onMessage(async (update, sock, session) => {
         try {
-            logger.info(`Message handler received update of type: ${update.type}`);
+            logger.info(`Message handler received update of type: ${update.type} (session ${session.id})`);
             
             if (update.type !== 'notify') {
                 logger.info(`Skipping non-notify update type: ${update.type}`);
@@ -84,7 +108,8 @@ async function setupMessageHandler(sock) {
                             logger.info('Message has no content');
                         }
                         
-                        const result = await commandRegistry.processMessage(sock, message);
+                        // Moderation, AFK, leveling, plugins and commands all run in the registry's pipeline
+                        const result = await commandRegistry.processMessage(sock, message, session);
                         logger.info(`Command processing result: ${result ? 'Command executed' : 'No command found'}`);
                     } else {
                         logger.info('Skipping message from self (processOwnMessages is disabled)');
@@ -98,6 +123,10 @@ async function setupMessageHandler(sock) {
         }
     });
     
+    // Welcome/goodbye messages and anti-raid protection
+    sessionRegistry.onGroupParticipantsUpdate(handleGroupParticipantsUpdate);
+    sessionRegistry.onGroupParticipantsUpdate((sock, update) => pluginManager.handleGroupUpdate(sock, update));
+    
     logger.success('Message handler set up successfully');
 }
 
@@ -117,11 +146,13 @@ async function startBot() {
         logger.warn('Some startup verification checks failed, but continuing anyway...');
     }
     
-    // Initialize session manager
-    await sessionManager.initialize();
+    // Messages and scheduled jobs read user data, so it has to be loaded first
+    await userDatabase.ready;
     
-    // Connect to WhatsApp
-    const sock = await connectionManager.connect();
+    // Connect every bot session to WhatsApp (the main one plus those in data/sessions.json);
+    // each session backs up its credentials and reconnects by itself
+    await sessionRegistry.startAll();
+    const sock = sessionRegistry.getDefault().sock;
     
     if (!sock) {
         logger.error('Failed to create WhatsApp connection');
@@ -132,51 +163,22 @@ async function startBot() {
     logger.info('Setting up message handler...');
     await setupMessageHandler(sock);
     
-    // Set up connection event handler for QR code and connection status
-    connectionManager.onConnectionUpdate(async (update) => {
-        const { connection, qr } = update;
-        
-        if (qr) {
-            logger.info('QR Code received, scan it using your WhatsApp app');
-            
-            // You can implement QR code display here if needed
-            // For example:
-            // displayQrInTerminal(qr);
-        }
-        
-        if (connection === 'open') {
-            logger.success('Connected to WhatsApp');
-            
-            // Create a backup of the session
-            await sessionManager.backupSession();
-        }
-    });
+    // Start scheduled lottery draws (the socket is looked up at draw time since it changes on reconnect)
+    // Scheduled messages go out through the main session, or another one while it is offline
+    startLotteryScheduler(() => sessionRegistry.getSocket());
+    startClanWarScheduler(() => sessionRegistry.getSocket());
+    startReminderScheduler(() => sessionRegistry.getSocket());
+    await startGroupScheduler(() => sessionRegistry.getSocket());
     
-    // Set up automatic reconnection
-    connectionManager.onConnectionUpdate((update) => {
-        const { connection, lastDisconnect } = update;
-        
-        if (connection === 'close') {
-            // Schedule reconnection if needed
-            setTimeout(async () => {
-                const status = connectionManager.getStatus();
-                if (!status.isConnected && !status.isConnecting) {
-                    logger.info('Attempting reconnection...');
-                    await connectionManager.connect();
-                }
-            }, 5000); // Wait 5 seconds before attempting reconnect
-        }
-    });
+    // Session dashboard with QR codes and start/stop controls (set DASHBOARD_PORT to enable)
+    if (process.env.DASHBOARD_PORT) {
+        await qrWebServer.initialize();
+    }
     
     // Log connection status periodically
     setInterval(() => {
-        const status = connectionManager.getStatus();
-        if (status.isConnected) {
-            logger.debug('Connection status: Connected');
-        } else if (status.isConnecting) {
-            logger.debug('Connection status: Connecting...');
-        } else {
-            logger.debug('Connection status: Disconnected');
+        for (const session of sessionRegistry.list()) {
+            logger.debug(`Connection status of session ${session.id}: ${session.getState()}`);
         }
     }, 60000); // Check every minute
     
@@ -193,19 +195,23 @@ async function startBot() {
 function setupConnectionDiagnostics() {
     // Log comprehensive connection diagnostics every 15 minutes
     setInterval(() => {
-        const diagnostics = connectionManager.getDiagnostics();
-        logger.info('Connection Diagnostics Report:', JSON.stringify(diagnostics, null, 2));
-        
-        // If there are issues, log more details
-        if (diagnostics.connectionHealth < 70) {
-            logger.warn('Connection health is suboptimal:', diagnostics.connectionHealth);
+        for (const session of sessionRegistry.list()) {
+            if (!session.running) continue;
             
-            if (diagnostics.consecutiveFailedPings > 0) {
-                logger.warn(`Failed heartbeat pings: ${diagnostics.consecutiveFailedPings}`);
-            }
+            const diagnostics = session.connection.getDiagnostics();
+            logger.info(`Connection Diagnostics Report (session ${session.id}):`, JSON.stringify(diagnostics, null, 2));
             
-            if (diagnostics.reconnectFailure > 0) {
-                logger.warn(`Failed reconnection attempts: ${diagnostics.reconnectFailure}`);
+            // If there are issues, log more details
+            if (diagnostics.connectionHealth < 70) {
+                logger.warn(`Connection health of session ${session.id} is suboptimal:`, diagnostics.connectionHealth);
+                
+                if (diagnostics.consecutiveFailedPings > 0) {
+                    logger.warn(`Failed heartbeat pings: ${diagnostics.consecutiveFailedPings}`);
+                }
+                
+                if (diagnostics.reconnectFailure > 0) {
+                    logger.warn(`Failed reconnection attempts: ${diagnostics.reconnectFailure}`);
+                }
             }
         }
     }, 15 * 60 * 1000); // Every 15 minutes
@@ -216,14 +222,17 @@ function setupGracefulShutdown() {
     const shutdown = async (signal) => {
         logger.info(`Received ${signal}, shutting down gracefully...`);
         
-        // Stop the session manager backups
-        sessionManager.stopScheduledBackups();
+        // Stop scheduled lottery draws, clan war checks, reminders and group messages
+        stopLotteryScheduler();
+        stopClanWarScheduler();
+        stopReminderScheduler();
+        stopGroupScheduler();
         
-        // Create a final backup before exit
-        await sessionManager.backupSession();
+        // Let plugins clean up
+        await pluginManager.shutdown();
         
-        // Disconnect from WhatsApp if connected
-        await connectionManager.disconnect();
+        // Back up the credentials of every session and disconnect it from WhatsApp
+        await sessionRegistry.stopAll();
         
         logger.info('Shutdown complete, exiting now');
         process.exit(0);
@@ -290,10 +290,10 @@ async function executeCommand(handler, sock, msg, args, commandName) {
             // Attempt to use the JID helper for better group response
             let jidHelper;
             try {
-                jidHelper = require('./utils/jidHelper');
+                jidHelper = require('./utils/safe-send');
             } catch (e) {
                 try {
-                    jidHelper = require('../src/utils/jidHelper');
+                    jidHelper = require('../src/utils/safe-send');
                 } catch (e2) {
                     jidHelper = null;
                 }
@@ -664,10 +664,10 @@ async function init(sock) {
                             // Load safe send utility
                             let safeSendUtil;
                             try {
-                                safeSendUtil = require('./utils/jidHelper');
+                                safeSendUtil = require('./utils/safe-send');
                             } catch (e) {
                                 try {
-                                    safeSendUtil = require('../src/utils/jidHelper');
+                                    safeSendUtil = require('../src/utils/safe-send');
                                 } catch (e2) {
                                     // Use direct sock.sendMessage as fallback
                                     safeSendUtil = {
@@ -678,16 +678,7 @@ async function init(sock) {
                             
                             const levelUpMessage = `*🎉 Congratulations!*\nYou leveled up from ${levelUpData.oldLevel} to ${levelUpData.newLevel}!\n\n*💰 Reward:* ${levelUpData.coinReward} coins\n*🏆 Rank:* ${levelUpData.rankTitle}`;
                             
-                            // Use enhanced group sending for better mentions in group chats
-                            if (isGroup) {
-                                await safeSendUtil.safeSendGroupMessage(sock, msg, {
-                                    text: levelUpMessage
-                                }, { 
-                                    mentionSender: true 
-                                });
-                            } else {
-                                await safeSendUtil.safeSendText(sock, remoteJid, levelUpMessage);
-                            }
+                            await safeSendUtil.safeSendText(sock, remoteJid, levelUpMessage);
                             console.log(`Sent level up notification to ${userJid} (in chat ${remoteJid}) for reaching level ${levelUpData.newLevel}`);
                         }
                     }
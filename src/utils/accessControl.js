@@ -0,0 +1,255 @@
+/**
+ * Access Control
+ * Persistent ban list and maintenance mode state used by the command registry
+ */
+
+const path = require('path');
+const logger = require('./logger');
+const { readJsonFile, writeJsonFile } = require('./fileUtils');
+const { getKnownJids } = require('./ownerRegistry');
+
+const ACCESS_CONTROL_FILE = path.join(process.cwd(), 'data', 'access_control.json');
+
+/**
+ * Get default access control state
+ * @returns {Object} Default state
+ */
+function getDefaultState() {
+    return {
+        bannedUsers: {},
+        maintenance: {
+            enabled: false,
+            message: '',
+            enabledAt: null,
+            enabledBy: null
+        }
+    };
+}
+
+// In-memory copy of the persisted state
+let state = loadState();
+
+/**
+ * Load access control state from disk
+ * @returns {Object} Access control state
+ */
+function loadState() {
+    const data = readJsonFile(ACCESS_CONTROL_FILE);
+    const defaults = getDefaultState();
+
+    if (!data || typeof data !== 'object') {
+        return defaults;
+    }
+
+    return {
+        bannedUsers: data.bannedUsers && typeof data.bannedUsers === 'object' ? data.bannedUsers : {},
+        maintenance: { ...defaults.maintenance, ...(data.maintenance || {}) }
+    };
+}
+
+/**
+ * Save access control state to disk
+ * @returns {boolean} Whether the save was successful
+ */
+function saveState() {
+    const saved = writeJsonFile(ACCESS_CONTROL_FILE, state);
+    if (!saved) {
+        logger.error(`Failed to save access control state to ${ACCESS_CONTROL_FILE}`);
+    }
+    return saved;
+}
+
+/**
+ * Reload access control state from disk
+ * @returns {Object} Reloaded state
+ */
+function reloadState() {
+    state = loadState();
+    return state;
+}
+
+/**
+ * Normalize a JID or phone number to a bare number
+ * @param {string} jidOrNumber JID or phone number
+ * @returns {string} Digits only
+ */
+function normalizeNumber(jidOrNumber) {
+    if (!jidOrNumber || typeof jidOrNumber !== 'string') return '';
+    return jidOrNumber.split('@')[0].split(':')[0].replace(/[^0-9]/g, '');
+}
+
+/**
+ * Get the keys a user's ban may be stored under
+ * Bans are keyed by phone number; a user known only by a LID (e.g. 1234@lid) is keyed by the
+ * LID JID until the owner registry learns their number. Both are checked, so a ban applies
+ * whichever of the two a message comes from.
+ * @param {string} jidOrNumber User JID or phone number
+ * @returns {Array<string>} Ban keys, the phone number first if known
+ */
+function getBanKeys(jidOrNumber) {
+    const keys = new Set();
+    for (const jid of getKnownJids(jidOrNumber)) {
+        keys.add(jid.endsWith('@lid') ? jid : normalizeNumber(jid));
+    }
+    return [...keys].sort((a, b) => a.endsWith('@lid') - b.endsWith('@lid'));
+}
+
+/**
+ * Get the key a new ban for a user is stored under
+ * @param {string} jidOrNumber User JID or phone number
+ * @returns {string|null} Phone number, LID JID, or null if invalid
+ */
+function getBanKey(jidOrNumber) {
+    return getBanKeys(jidOrNumber)[0] || null;
+}
+
+/**
+ * Ban a user from using the bot
+ * @param {string} jidOrNumber User JID or phone number
+ * @param {Object} options Ban options
+ * @param {string} [options.reason] Reason for the ban
+ * @param {number|null} [options.duration] Ban duration in seconds, null for permanent
+ * @param {string} [options.bannedBy] JID of the user who issued the ban
+ * @returns {Object|null} Ban entry or null if the number is invalid
+ */
+function banUser(jidOrNumber, options = {}) {
+    const [number, ...aliases] = getBanKeys(jidOrNumber);
+    if (!number) return null;
+
+    const now = Date.now();
+    const entry = {
+        reason: options.reason || '',
+        bannedAt: now,
+        bannedBy: options.bannedBy || null,
+        expiresAt: options.duration ? now + options.duration * 1000 : null
+    };
+
+    state.bannedUsers[number] = entry;
+    for (const alias of aliases) {
+        delete state.bannedUsers[alias];
+    }
+    saveState();
+    logger.info(`Banned user ${number}${entry.expiresAt ? ` until ${new Date(entry.expiresAt).toISOString()}` : ' permanently'}`);
+    return entry;
+}
+
+/**
+ * Remove a user's ban
+ * @param {string} jidOrNumber User JID or phone number
+ * @returns {boolean} Whether the user was banned before
+ */
+function unbanUser(jidOrNumber) {
+    const banned = getBanKeys(jidOrNumber).filter(key => state.bannedUsers[key]);
+    if (banned.length === 0) return false;
+
+    for (const key of banned) {
+        delete state.bannedUsers[key];
+    }
+    saveState();
+    logger.info(`Unbanned user ${banned.join(', ')}`);
+    return true;
+}
+
+/**
+ * Get the active ban for a user, removing it if it has expired
+ * @param {string} jidOrNumber User JID or phone number
+ * @returns {Object|null} Ban entry or null if not banned
+ */
+function getBan(jidOrNumber) {
+    for (const key of getBanKeys(jidOrNumber)) {
+        const entry = getActiveBan(key);
+        if (entry) return entry;
+    }
+    return null;
+}
+
+/**
+ * Get the ban stored under a key, removing it if it has expired
+ * @param {string} key Phone number or LID JID
+ * @returns {Object|null} Ban entry or null if not banned
+ */
+function getActiveBan(key) {
+    const entry = state.bannedUsers[key];
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        delete state.bannedUsers[key];
+        saveState();
+        logger.info(`Ban for ${key} expired`);
+        return null;
+    }
+
+    return entry;
+}
+
+/**
+ * Check if a user is banned
+ * @param {string} jidOrNumber User JID or phone number
+ * @returns {boolean} Whether the user is currently banned
+ */
+function isBanned(jidOrNumber) {
+    return getBan(jidOrNumber) !== null;
+}
+
+/**
+ * Get all active bans
+ * @returns {Array<Object>} List of bans with their numbers
+ */
+function getBannedUsers() {
+    return Object.keys(state.bannedUsers)
+        .filter(number => getActiveBan(number))
+        .map(number => ({ number, ...state.bannedUsers[number] }));
+}
+
+/**
+ * Enable or disable maintenance mode
+ * @param {boolean} enabled Whether maintenance mode should be enabled
+ * @param {Object} options Maintenance options
+ * @param {string} [options.message] Notice shown to non-owners
+ * @param {string} [options.enabledBy] JID of the user who changed the mode
+ * @returns {Object} Updated maintenance state
+ */
+function setMaintenanceMode(enabled, options = {}) {
+    state.maintenance = enabled
+        ? {
+            enabled: true,
+            message: options.message || '',
+            enabledAt: Date.now(),
+            enabledBy: options.enabledBy || null
+        }
+        : getDefaultState().maintenance;
+
+    saveState();
+    logger.info(`Maintenance mode ${enabled ? 'enabled' : 'disabled'}`);
+    return state.maintenance;
+}
+
+/**
+ * Get current maintenance state
+ * @returns {Object} Maintenance state
+ */
+function getMaintenanceState() {
+    return { ...state.maintenance };
+}
+
+/**
+ * Check if maintenance mode is enabled
+ * @returns {boolean} Whether maintenance mode is enabled
+ */
+function isMaintenanceMode() {
+    return state.maintenance.enabled === true;
+}
+
+module.exports = {
+    normalizeNumber,
+    getBanKey,
+    banUser,
+    unbanUser,
+    getBan,
+    isBanned,
+    getBannedUsers,
+    setMaintenanceMode,
+    getMaintenanceState,
+    isMaintenanceMode,
+    reloadState
+};
@@ -0,0 +1,625 @@
+/**
+ * Clan System - Persisted clans, treasury, clan XP and clan wars
+ * Clans and wars are stored through the user database
+ */
+const cron = require('node-cron');
+const logger = require('./logger');
+const userDatabase = require('./userDatabase');
+const { safeSendMessage } = require('./safe-send');
+
+const { clans, clanWars } = userDatabase;
+
+// Clan settings
+const MAX_MEMBERS = 50;
+const CREATION_COST = 10000;
+const MAX_NAME_LENGTH = 20;
+const LEVEL_XP_BASE = 5000; // XP needed for level 2, grows with each level
+
+// War settings
+const WAR_DURATION_MS = 24 * 60 * 60 * 1000;
+const CHALLENGE_TTL_MS = 60 * 60 * 1000;
+const WAR_REWARD_XP = 2500;
+const WAR_REWARD_COINS = 5000;
+const WAR_HISTORY_LIMIT = 50;
+
+let warTask = null;
+
+/**
+ * Get the storage key for a clan name
+ * @param {string} name Clan name
+ * @returns {string} Clan key
+ */
+function getClanKey(name) {
+    return String(name || '').trim().toLowerCase();
+}
+
+/**
+ * Fill in fields missing from clans created by older versions
+ * @param {Object} clan Clan record
+ * @returns {Object} The same clan record
+ */
+function normalizeClan(clan) {
+    clan.officers = Array.isArray(clan.officers) ? clan.officers : [];
+    clan.members = Array.isArray(clan.members) ? clan.members : [];
+    clan.xp = typeof clan.xp === 'number' ? clan.xp : 0;
+    clan.level = getLevelForXp(clan.xp);
+    clan.treasury = typeof clan.treasury === 'number' ? clan.treasury : 0;
+    clan.contributions = clan.contributions || {};
+    clan.warStats = clan.warStats || { won: 0, lost: 0, draws: 0 };
+    clan.description = clan.description || '';
+    return clan;
+}
+
+/**
+ * Get the total XP a clan needs to reach a level
+ * @param {number} level Clan level
+ * @returns {number} Total XP required
+ */
+function getXpForLevel(level) {
+    // 0, 5000, 15000, 30000, ... (each level costs LEVEL_XP_BASE more than the last)
+    return LEVEL_XP_BASE * (level - 1) * level / 2;
+}
+
+/**
+ * Get the clan level for a total amount of XP
+ * @param {number} xp Total clan XP
+ * @returns {number} Clan level
+ */
+function getLevelForXp(xp) {
+    let level = 1;
+    while (xp >= getXpForLevel(level + 1)) {
+        level++;
+    }
+    return level;
+}
+
+/**
+ * Get a clan by name
+ * @param {string} name Clan name
+ * @returns {Object|null} Clan record
+ */
+function getClan(name) {
+    const clan = clans.get(getClanKey(name));
+    return clan ? normalizeClan(clan) : null;
+}
+
+/**
+ * Get every clan
+ * @returns {Array<Object>} Clan records
+ */
+function getAllClans() {
+    return [...clans.values()].map(normalizeClan);
+}
+
+/**
+ * Get all member JIDs of a clan, leader first
+ * @param {Object} clan Clan record
+ * @returns {Array<string>} Member JIDs
+ */
+function getMemberIds(clan) {
+    return [clan.leader, ...clan.officers, ...clan.members];
+}
+
+/**
+ * Find the clan a user belongs to
+ * @param {string} userId User JID
+ * @returns {{clan: Object, key: string, role: string}|null} Clan membership
+ */
+function findUserClan(userId) {
+    for (const [key, clan] of clans.entries()) {
+        if (clan.leader === userId) return { clan: normalizeClan(clan), key, role: 'leader' };
+        if ((clan.officers || []).includes(userId)) return { clan: normalizeClan(clan), key, role: 'officer' };
+        if ((clan.members || []).includes(userId)) return { clan: normalizeClan(clan), key, role: 'member' };
+    }
+    return null;
+}
+
+/**
+ * Persist a clan after it has been changed
+ * @param {Object} clan Clan record
+ */
+function saveClan(clan) {
+    const key = getClanKey(clan.name);
+    clans.set(key, clan);
+    userDatabase.persistRecord('clans', key, clan);
+}
+
+/**
+ * Create a new clan led by a user
+ * Coins are not touched here, the caller is responsible for charging the user
+ * @param {string} name Clan name
+ * @param {string} leaderId Leader JID
+ * @returns {Object} New clan record
+ */
+function createClan(name, leaderId) {
+    const clan = normalizeClan({
+        name: name.trim(),
+        leader: leaderId,
+        officers: [],
+        members: [],
+        createdAt: Date.now()
+    });
+
+    saveClan(clan);
+    return clan;
+}
+
+/**
+ * Delete a clan and cancel any war it is part of
+ * @param {string} name Clan name
+ */
+function deleteClan(name) {
+    const key = getClanKey(name);
+    const war = getCurrentWar(key);
+    if (war) {
+        war.status = 'cancelled';
+        war.endedAt = Date.now();
+        saveWar(war);
+    }
+
+    clans.delete(key);
+    userDatabase.deleteRecord('clans', key);
+}
+
+/**
+ * Record a contribution from a member
+ * @param {Object} clan Clan record
+ * @param {string} userId Member JID
+ * @param {string} field Contribution field ('xp' or 'coins')
+ * @param {number} amount Amount contributed
+ */
+function addContribution(clan, userId, field, amount) {
+    const contribution = clan.contributions[userId] || { xp: 0, coins: 0 };
+    contribution[field] = (contribution[field] || 0) + amount;
+    clan.contributions[userId] = contribution;
+}
+
+/**
+ * Add XP earned by a member to their clan
+ * Called by the leveling system whenever a user gains XP
+ * @param {string} userId Member JID
+ * @param {number} amount XP earned
+ * @returns {{clan: Object, leveledUp: boolean}|null} Updated clan, or null if the user has no clan
+ */
+function addClanXP(userId, amount) {
+    if (!amount || amount <= 0) return null;
+
+    const membership = findUserClan(userId);
+    if (!membership) return null;
+
+    const { clan } = membership;
+    const oldLevel = clan.level;
+
+    clan.xp += amount;
+    clan.level = getLevelForXp(clan.xp);
+    addContribution(clan, userId, 'xp', amount);
+    saveClan(clan);
+
+    if (clan.level > oldLevel) {
+        logger.info(`Clan ${clan.name} reached level ${clan.level}`);
+    }
+
+    return { clan, leveledUp: clan.level > oldLevel };
+}
+
+/**
+ * Move coins from a member's wallet into the clan treasury
+ * @param {string} userId Member JID
+ * @param {number} amount Coins to deposit
+ * @returns {{success: boolean, message?: string, treasury?: number, balance?: number}} Result
+ */
+function depositToTreasury(userId, amount) {
+    const membership = findUserClan(userId);
+    if (!membership) {
+        return { success: false, message: 'You are not in a clan.' };
+    }
+
+    const profile = userDatabase.getUserProfile(userId);
+    if (!profile) {
+        return { success: false, message: 'You need to register first! Use .register to create a profile.' };
+    }
+
+    if (!Number.isInteger(amount) || amount <= 0) {
+        return { success: false, message: 'Please specify a valid amount of coins.' };
+    }
+
+    if ((profile.coins || 0) < amount) {
+        return { success: false, message: `You only have ${profile.coins || 0} coins.` };
+    }
+
+    const { clan, key } = membership;
+    const balance = profile.coins - amount;
+    userDatabase.updateUserProfile(userId, { coins: balance });
+
+    clan.treasury += amount;
+    addContribution(clan, userId, 'coins', amount);
+    saveClan(clan);
+    recordWarTransfer(key, userId, amount);
+
+    return { success: true, treasury: clan.treasury, balance };
+}
+
+/**
+ * Move coins from the clan treasury to the leader's wallet
+ * @param {string} userId Leader JID
+ * @param {number} amount Coins to withdraw
+ * @returns {{success: boolean, message?: string, treasury?: number, balance?: number}} Result
+ */
+function withdrawFromTreasury(userId, amount) {
+    const membership = findUserClan(userId);
+    if (!membership || membership.role !== 'leader') {
+        return { success: false, message: 'Only the clan leader can withdraw from the treasury.' };
+    }
+
+    if (!Number.isInteger(amount) || amount <= 0) {
+        return { success: false, message: 'Please specify a valid amount of coins.' };
+    }
+
+    const { clan, key } = membership;
+    if (clan.treasury < amount) {
+        return { success: false, message: `The treasury only holds ${clan.treasury} coins.` };
+    }
+
+    const profile = userDatabase.getUserProfile(userId);
+    if (!profile) {
+        return { success: false, message: 'You need to register first! Use .register to create a profile.' };
+    }
+
+    const balance = (profile.coins || 0) + amount;
+    clan.treasury -= amount;
+    saveClan(clan);
+    userDatabase.updateUserProfile(userId, { coins: balance });
+    recordWarTransfer(key, userId, -amount);
+
+    return { success: true, treasury: clan.treasury, balance };
+}
+
+/**
+ * Note coins a member moved between their wallet and the treasury during a war
+ * Treasury moves are neither earned nor spent, so getWarScores takes them out of the wallet change
+ * @param {string} clanKey Clan key
+ * @param {string} userId Member JID
+ * @param {number} amount Coins deposited, negative for a withdrawal
+ */
+function recordWarTransfer(clanKey, userId, amount) {
+    const war = getCurrentWar(clanKey);
+    if (!war || war.status !== 'active' || !war.baseline?.[userId]) return;
+
+    war.transfers = war.transfers || {};
+    war.transfers[userId] = (war.transfers[userId] || 0) + amount;
+    saveWar(war);
+}
+
+/**
+ * Get clans ranked by level and XP
+ * @param {number} limit Maximum number of clans
+ * @returns {Array<Object>} Clan records
+ */
+function getLeaderboard(limit = 10) {
+    return getAllClans()
+        .sort((a, b) => b.xp - a.xp || b.treasury - a.treasury)
+        .slice(0, limit);
+}
+
+/**
+ * Persist a war record
+ * @param {Object} war War record
+ */
+function saveWar(war) {
+    clanWars.set(war.id, war);
+    userDatabase.persistRecord('clanWars', war.id, war);
+}
+
+/**
+ * Get the pending or active war a clan is part of
+ * @param {string} clanKey Clan key
+ * @returns {Object|null} War record
+ */
+function getCurrentWar(clanKey) {
+    for (const war of clanWars.values()) {
+        if ((war.status === 'pending' || war.status === 'active') && war.clans.includes(clanKey)) {
+            return war;
+        }
+    }
+    return null;
+}
+
+/**
+ * Challenge another clan to a war
+ * @param {string} challengerId Leader JID of the challenging clan
+ * @param {string} targetName Name of the clan being challenged
+ * @param {string} chatJid Chat the challenge was issued in (receives the result)
+ * @returns {{success: boolean, message?: string, war?: Object, target?: Object}} Result
+ */
+function challengeClan(challengerId, targetName, chatJid) {
+    const membership = findUserClan(challengerId);
+    if (!membership || membership.role !== 'leader') {
+        return { success: false, message: 'Only the clan leader can declare war.' };
+    }
+
+    const target = getClan(targetName);
+    const targetKey = getClanKey(targetName);
+    if (!target) {
+        return { success: false, message: 'Clan not found. Use .clan list to see available clans.' };
+    }
+
+    if (targetKey === membership.key) {
+        return { success: false, message: 'Your clan cannot go to war with itself.' };
+    }
+
+    if (getCurrentWar(membership.key)) {
+        return { success: false, message: 'Your clan already has a pending or active war.' };
+    }
+
+    if (getCurrentWar(targetKey)) {
+        return { success: false, message: `${target.name} is already at war.` };
+    }
+
+    const war = {
+        id: `war_${Date.now()}`,
+        clans: [membership.key, targetKey],
+        status: 'pending',
+        challengedAt: Date.now(),
+        chats: chatJid ? [chatJid] : [],
+        baseline: {},
+        transfers: {}
+    };
+
+    saveWar(war);
+    return { success: true, war, target };
+}
+
+/**
+ * Accept or decline the pending war challenge against a user's clan
+ * @param {string} userId Leader JID of the challenged clan
+ * @param {boolean} accept Whether to accept the challenge
+ * @param {string} chatJid Chat the answer was given in (receives the result)
+ * @returns {{success: boolean, message?: string, war?: Object}} Result
+ */
+function respondToChallenge(userId, accept, chatJid) {
+    const membership = findUserClan(userId);
+    if (!membership || membership.role !== 'leader') {
+        return { success: false, message: 'Only the clan leader can answer a war challenge.' };
+    }
+
+    const war = getCurrentWar(membership.key);
+    if (!war || war.status !== 'pending' || war.clans[1] !== membership.key) {
+        return { success: false, message: 'Your clan has no pending war challenge.' };
+    }
+
+    if (!accept) {
+        war.status = 'declined';
+        war.endedAt = Date.now();
+        saveWar(war);
+        return { success: true, war };
+    }
+
+    // Snapshot every member's XP and coins, the war is scored on what is earned from here
+    for (const clanKey of war.clans) {
+        const clan = clans.get(clanKey);
+        for (const memberId of clan ? getMemberIds(clan) : []) {
+            const profile = userDatabase.getUserProfile(memberId);
+            war.baseline[memberId] = {
+                clan: clanKey,
+                xp: profile ? profile.xp || 0 : 0,
+                coins: profile ? profile.coins || 0 : 0
+            };
+        }
+    }
+
+    if (chatJid && !war.chats.includes(chatJid)) {
+        war.chats.push(chatJid);
+    }
+
+    war.status = 'active';
+    war.startedAt = Date.now();
+    war.endsAt = war.startedAt + WAR_DURATION_MS;
+    saveWar(war);
+
+    return { success: true, war };
+}
+
+/**
+ * Calculate the current war scores
+ * A clan scores 1 point per XP and 1 point per 10 coins its members earned since the war started;
+ * coins a member deposited still count as earned, coins withdrawn from the treasury do not
+ * @param {Object} war War record
+ * @returns {Object<string, {xp: number, coins: number, score: number}>} Scores keyed by clan key
+ */
+function getWarScores(war) {
+    const scores = {};
+    for (const clanKey of war.clans) {
+        scores[clanKey] = { xp: 0, coins: 0, score: 0 };
+    }
+
+    for (const [memberId, start] of Object.entries(war.baseline || {})) {
+        const profile = userDatabase.getUserProfile(memberId);
+        if (!profile || !scores[start.clan]) continue;
+
+        // Spending coins during the war does not count against the clan
+        const transferred = war.transfers?.[memberId] || 0;
+        scores[start.clan].xp += Math.max(0, (profile.xp || 0) - start.xp);
+        scores[start.clan].coins += Math.max(0, (profile.coins || 0) - start.coins + transferred);
+    }
+
+    for (const score of Object.values(scores)) {
+        score.score = score.xp + Math.floor(score.coins / 10);
+    }
+
+    return scores;
+}
+
+/**
+ * Finish an active war, reward the winner and announce the result
+ * @param {Object} war War record
+ * @param {Object} sock WhatsApp socket used for announcements (optional)
+ * @returns {Promise<Object>} Finished war record
+ */
+async function finishWar(war, sock) {
+    const scores = getWarScores(war);
+    const [first, second] = war.clans;
+
+    let winner = null;
+    if (scores[first].score !== scores[second].score) {
+        winner = scores[first].score > scores[second].score ? first : second;
+    }
+
+    war.status = 'finished';
+    war.endedAt = Date.now();
+    war.scores = scores;
+    war.winner = winner;
+    saveWar(war);
+
+    for (const clanKey of war.clans) {
+        const clan = clans.get(clanKey);
+        if (!clan) continue;
+        normalizeClan(clan);
+
+        if (!winner) {
+            clan.warStats.draws++;
+        } else if (clanKey === winner) {
+            clan.warStats.won++;
+            clan.xp += WAR_REWARD_XP;
+            clan.level = getLevelForXp(clan.xp);
+            clan.treasury += WAR_REWARD_COINS;
+        } else {
+            clan.warStats.lost++;
+        }
+        saveClan(clan);
+    }
+
+    logger.info(`Clan war ${war.id} finished: ${winner || 'draw'}`);
+
+    if (sock) {
+        await announceWar(sock, war);
+    } else {
+        logger.warn('Clan war finished without a connection, result was not announced');
+    }
+
+    pruneWars();
+    return war;
+}
+
+/**
+ * Announce a war result to the chats it was fought from
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} war Finished war record
+ */
+async function announceWar(sock, war) {
+    const names = war.clans.map(key => (clans.get(key) || { name: key }).name);
+    const lines = war.clans.map((key, index) => {
+        const score = war.scores[key];
+        return `*${names[index]}*: ${score.score} points (${score.xp} XP, ${score.coins} coins)`;
+    });
+
+    const result = war.winner
+        ? `🏆 *${(clans.get(war.winner) || { name: war.winner }).name}* wins and earns ${WAR_REWARD_XP} clan XP and ${WAR_REWARD_COINS} treasury coins!`
+        : '🤝 The war ended in a draw!';
+
+    const text = `*⚔️ Clan War Results!*\n\n${names.join(' vs ')}\n\n${lines.join('\n')}\n\n${result}`;
+
+    for (const chat of war.chats) {
+        try {
+            await safeSendMessage(sock, chat, { text });
+        } catch (err) {
+            logger.error(`Failed to announce clan war result in ${chat}:`, err);
+        }
+    }
+}
+
+/**
+ * Keep only the most recent finished wars
+ */
+function pruneWars() {
+    const finished = [...clanWars.values()]
+        .filter(war => war.status !== 'pending' && war.status !== 'active')
+        .sort((a, b) => (b.endedAt || 0) - (a.endedAt || 0));
+
+    for (const war of finished.slice(WAR_HISTORY_LIMIT)) {
+        clanWars.delete(war.id);
+        userDatabase.deleteRecord('clanWars', war.id);
+    }
+}
+
+/**
+ * Finish wars whose window has closed and expire unanswered challenges
+ * @param {Object} sock WhatsApp socket used for announcements (optional)
+ * @returns {Promise<number>} Number of wars finished
+ */
+async function checkWars(sock) {
+    const now = Date.now();
+    let finished = 0;
+
+    for (const war of [...clanWars.values()]) {
+        if (war.status === 'pending' && now - war.challengedAt > CHALLENGE_TTL_MS) {
+            war.status = 'expired';
+            war.endedAt = now;
+            saveWar(war);
+        } else if (war.status === 'active' && now >= war.endsAt) {
+            try {
+                await finishWar(war, sock);
+                finished++;
+            } catch (err) {
+                logger.error(`Error finishing clan war ${war.id}:`, err);
+            }
+        }
+    }
+
+    return finished;
+}
+
+/**
+ * Start checking for finished clan wars every minute
+ * @param {Function} getSocket Returns the current WhatsApp socket (it changes on reconnect)
+ */
+function startClanWarScheduler(getSocket) {
+    if (warTask) return;
+
+    warTask = cron.schedule('* * * * *', async () => {
+        await checkWars(typeof getSocket === 'function' ? getSocket() : null);
+    });
+
+    logger.info('Clan war scheduler started');
+}
+
+/**
+ * Stop checking for finished clan wars
+ */
+function stopClanWarScheduler() {
+    if (warTask) {
+        warTask.stop();
+        warTask = null;
+        logger.info('Clan war scheduler stopped');
+    }
+}
+
+module.exports = {
+    getClanKey,
+    getClan,
+    getAllClans,
+    getMemberIds,
+    findUserClan,
+    saveClan,
+    createClan,
+    deleteClan,
+    getXpForLevel,
+    getLevelForXp,
+    addClanXP,
+    depositToTreasury,
+    withdrawFromTreasury,
+    getLeaderboard,
+    getCurrentWar,
+    challengeClan,
+    respondToChallenge,
+    getWarScores,
+    finishWar,
+    checkWars,
+    startClanWarScheduler,
+    stopClanWarScheduler,
+    // Constants for external use
+    MAX_MEMBERS,
+    CREATION_COST,
+    MAX_NAME_LENGTH,
+    WAR_DURATION_MS,
+    CHALLENGE_TTL_MS
+};
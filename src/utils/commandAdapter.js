@@ -106,6 +106,8 @@ function createCommandModuleTemplate(commandName, category = 'misc') {
  * Category: ${category}
  */
 
+const { safeSendText } = require('../utils/safe-send');
+
 /**
  * Execute the ${commandName} command
  * @param {Object} sock - The WhatsApp socket connection
@@ -117,7 +119,7 @@ async function ${commandName}Command(sock, message, args) {
     const jid = message.key.remoteJid;
     
     // Send a response
-    await sock.sendMessage(jid, { text: "Hello! This is the ${commandName} command." });
+    await safeSendText(sock, jid, "Hello! This is the ${commandName} command.");
 }
 
 // Export command module with standard structure
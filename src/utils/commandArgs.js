@@ -0,0 +1,207 @@
+/**
+ * Command Arguments - Declarative argument schemas for commands
+ *
+ * A command declares its arguments in its src/config/commands/*.json entry, e.g.
+ *   "args": [
+ *     { "name": "user", "type": "mention" },
+ *     { "name": "duration", "type": "duration", "optional": true },
+ *     { "name": "reason", "type": "text", "optional": true }
+ *   ]
+ * The command registry validates the arguments against the schema and passes the parsed
+ * values to the handler as `options.params`; the usage text is generated from the schema.
+ */
+const { parseDuration, formatDuration } = require('./helpers');
+
+// Message types accepted by quoted-media arguments
+const MEDIA_TYPES = {
+    image: 'imageMessage',
+    video: 'videoMessage',
+    audio: 'audioMessage',
+    sticker: 'stickerMessage',
+    document: 'documentMessage'
+};
+
+/**
+ * Argument types. `parse` gets the remaining tokens and returns { value, consumed } or { error };
+ * types with `fromMessage` read the message instead of consuming tokens.
+ */
+const ARG_TYPES = {
+    mention: {
+        parse(tokens, context) {
+            const token = tokens[0];
+            if (token && /^@?\+?\d{5,}$/.test(token)) {
+                const number = token.replace(/\D/g, '');
+                const mentioned = context.mentions.find(jid => jid.split('@')[0] === number);
+                return { value: mentioned || `${number}@s.whatsapp.net`, consumed: 1 };
+            }
+
+            // Replying to a message targets its sender
+            if (context.quotedParticipant) {
+                return { value: context.quotedParticipant, consumed: 0 };
+            }
+            return { error: 'Mention a user, reply to their message or give their number' };
+        }
+    },
+    number: {
+        parse(tokens, context, arg) {
+            const value = Number(tokens[0]);
+            if (!tokens[0] || !Number.isFinite(value)) return { error: 'Expected a number' };
+            if (arg.integer && !Number.isInteger(value)) return { error: 'Expected a whole number' };
+            if (arg.min !== undefined && value < arg.min) return { error: `The number must be at least ${arg.min}` };
+            if (arg.max !== undefined && value > arg.max) return { error: `The number must be at most ${arg.max}` };
+            return { value, consumed: 1 };
+        }
+    },
+    duration: {
+        parse(tokens, context, arg) {
+            const value = parseDuration(tokens[0]);
+            if (!value) return { error: 'Expected a duration such as 30m, 12h or 7d' };
+            if (arg.max !== undefined && value > arg.max) {
+                return { error: `The duration can be at most ${formatDuration(arg.max)}` };
+            }
+            return { value, consumed: 1 };
+        }
+    },
+    url: {
+        parse(tokens) {
+            try {
+                const url = new URL(tokens[0]);
+                if (url.protocol === 'http:' || url.protocol === 'https:') {
+                    return { value: url.href, consumed: 1 };
+                }
+            } catch (err) {
+                // Not a valid URL
+            }
+            return { error: 'Expected a link starting with http:// or https://' };
+        }
+    },
+    'quoted-media': {
+        fromMessage: true,
+        parse(tokens, context, arg) {
+            const allowed = arg.media || Object.keys(MEDIA_TYPES);
+            const media = context.media.find(entry => allowed.includes(entry.type));
+            if (!media) return { error: `Reply to ${allowed.join(' or ')}` };
+            return { value: media, consumed: 0 };
+        }
+    },
+    word: {
+        parse(tokens, context, arg) {
+            if (!tokens[0]) return { error: 'Missing value' };
+            if (arg.choices && !arg.choices.includes(tokens[0].toLowerCase())) {
+                return { error: `Expected one of: ${arg.choices.join(', ')}` };
+            }
+            return { value: arg.choices ? tokens[0].toLowerCase() : tokens[0], consumed: 1 };
+        }
+    },
+    text: {
+        parse(tokens) {
+            if (!tokens.length) return { error: 'Missing text' };
+            return { value: tokens.join(' '), consumed: tokens.length };
+        }
+    }
+};
+
+/**
+ * Collect the mentions, quoted sender and media a message carries
+ * @param {Object} message Message object
+ * @returns {Object} Parse context
+ */
+function getMessageContext(message) {
+    const content = message?.message || {};
+    const contextInfo = Object.values(content).find(part => part?.contextInfo)?.contextInfo || {};
+    const quoted = contextInfo.quotedMessage;
+    const media = [];
+
+    // Media sent with the command itself comes first, then quoted media
+    for (const [type, key] of Object.entries(MEDIA_TYPES)) {
+        if (content[key]) media.push({ type, message });
+    }
+    for (const [type, key] of Object.entries(MEDIA_TYPES)) {
+        if (quoted?.[key]) {
+            media.push({
+                type,
+                message: {
+                    key: {
+                        remoteJid: message.key.remoteJid,
+                        id: contextInfo.stanzaId,
+                        participant: contextInfo.participant
+                    },
+                    message: quoted
+                }
+            });
+        }
+    }
+
+    return {
+        mentions: contextInfo.mentionedJid || [],
+        quotedParticipant: contextInfo.participant || null,
+        media
+    };
+}
+
+/**
+ * Parse command arguments against a schema
+ * Optional arguments that do not match are skipped, so "!ban @user spamming" leaves the
+ * optional duration empty and passes "spamming" on as the reason
+ * @param {Array<Object>} schema Argument schema
+ * @param {Array<string>} args Raw arguments
+ * @param {Object} message Message object
+ * @returns {{params?: Object, error?: string}} Parsed values keyed by argument name, or an error
+ */
+function parseArgs(schema, args, message) {
+    const context = getMessageContext(message);
+    const tokens = args.filter(Boolean);
+    const params = {};
+    let position = 0;
+
+    for (const arg of schema) {
+        const type = ARG_TYPES[arg.type];
+        if (!type) {
+            return { error: `Unknown argument type "${arg.type}" for ${arg.name}` };
+        }
+
+        const remaining = tokens.slice(position);
+        const result = remaining.length || type.fromMessage || arg.type === 'mention'
+            ? type.parse(remaining, context, arg)
+            : { error: `Missing ${arg.name}` };
+
+        if (result.error) {
+            if (!arg.optional) return { error: result.error };
+            params[arg.name] = arg.default ?? null;
+            continue;
+        }
+
+        params[arg.name] = result.value;
+        position += result.consumed;
+    }
+
+    if (position < tokens.length && !schema.some(arg => arg.type === 'text')) {
+        return { error: `Unexpected argument: ${tokens[position]}` };
+    }
+
+    return { params };
+}
+
+/**
+ * Generate the usage text of a command from its schema
+ * @param {string} commandName Command name
+ * @param {Array<Object>} schema Argument schema
+ * @param {string} [prefix] Command prefix
+ * @returns {string} Usage, e.g. "!ban <@user> [duration] [reason]"
+ */
+function formatUsage(commandName, schema, prefix = '!') {
+    const parts = schema.map(arg => {
+        const label = arg.label || (arg.choices ? arg.choices.join('|') : arg.name);
+        if (arg.type === 'mention' && !arg.label) return arg.optional ? `[@${label}]` : `<@${label}>`;
+        return arg.optional ? `[${label}]` : `<${label}>`;
+    });
+    return [`${prefix}${commandName}`, ...parts].join(' ');
+}
+
+module.exports = {
+    ARG_TYPES,
+    MEDIA_TYPES,
+    getMessageContext,
+    parseArgs,
+    formatUsage
+};
@@ -0,0 +1,151 @@
+/**
+ * Command Config - Reads the command definitions in src/config/commands/*.json
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { formatUsage } = require('./commandArgs');
+
+const CONFIG_DIR = path.join(__dirname, '..', 'config', 'commands');
+
+// Command configs keyed by lowercase command name, loaded on first use
+let commandConfigs = null;
+
+// Command configs keyed by config category and lowercase command name, for names several files define
+let categoryConfigs = null;
+
+// Configs registered at runtime (e.g. by plugins), keyed by their source
+const runtimeConfigs = new Map();
+
+/**
+ * Load every command config file
+ * A name defined by several files keeps the config of the first file in alphabetical order;
+ * the others are only used for handlers of their own category, see getCommandConfig
+ * @returns {Map<string, Object>} Configs keyed by command name
+ */
+function loadCommandConfigs() {
+    const configs = new Map();
+    const byCategory = new Map();
+
+    let files = [];
+    try {
+        files = fs.readdirSync(CONFIG_DIR).filter(file => file.endsWith('.json')).sort();
+    } catch (err) {
+        logger.error(`Failed to read command configs from ${CONFIG_DIR}:`, err);
+    }
+
+    for (const file of files) {
+        try {
+            const data = JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, file), 'utf8'));
+            if (!Array.isArray(data.commands)) continue;
+
+            const configCategory = path.basename(file, '.json');
+            for (const command of data.commands) {
+                if (!command.name) continue;
+
+                const name = command.name.toLowerCase();
+                const key = `${configCategory}:${name}`;
+                if (byCategory.has(key)) {
+                    logger.warn(`Command ${name} is defined twice in ${file}, keeping the first`);
+                    continue;
+                }
+                byCategory.set(key, { ...command, configCategory });
+                if (!configs.has(name)) configs.set(name, byCategory.get(key));
+            }
+        } catch (err) {
+            logger.error(`Failed to load command config ${file}:`, err);
+        }
+    }
+
+    // Runtime configs never replace the bundled ones
+    for (const entries of runtimeConfigs.values()) {
+        for (const command of entries) {
+            const name = command.name.toLowerCase();
+            const key = `${command.configCategory}:${name}`;
+            if (!byCategory.has(key)) byCategory.set(key, command);
+            if (!configs.has(name)) configs.set(name, command);
+        }
+    }
+
+    commandConfigs = configs;
+    categoryConfigs = byCategory;
+    return configs;
+}
+
+/**
+ * Get the config of a command
+ * @param {string} commandName Command name
+ * @param {string} [configCategory] Config category of the module that handles the command; its
+ *        config wins over the one of another file defining the same name
+ * @returns {Object|null} Command config or null if it has none
+ */
+function getCommandConfig(commandName, configCategory = null) {
+    if (!commandConfigs) loadCommandConfigs();
+    const name = String(commandName).toLowerCase();
+    return (configCategory && categoryConfigs.get(`${configCategory}:${name}`)) || commandConfigs.get(name) || null;
+}
+
+/**
+ * Check whether a config category defines a command
+ * @param {string} commandName Command name
+ * @param {string} configCategory Config category, e.g. "group" for group.json
+ * @returns {boolean} Whether the category has a config for the command
+ */
+function hasCategoryConfig(commandName, configCategory) {
+    if (!commandConfigs) loadCommandConfigs();
+    return categoryConfigs.has(`${configCategory}:${String(commandName).toLowerCase()}`);
+}
+
+/**
+ * Get all command configs
+ * @returns {Map<string, Object>} Configs keyed by command name
+ */
+function getAllCommandConfigs() {
+    if (!commandConfigs) loadCommandConfigs();
+    return commandConfigs;
+}
+
+/**
+ * Get the usage text of a command, generated from its argument schema when it has one
+ * @param {string} commandName Command name
+ * @param {string} [prefix] Command prefix
+ * @param {string} [configCategory] Config category of the module that handles the command
+ * @returns {string} Usage text
+ */
+function getCommandUsage(commandName, prefix = '!', configCategory = null) {
+    const config = getCommandConfig(commandName, configCategory);
+    if (Array.isArray(config?.args)) return formatUsage(config.name, config.args, prefix);
+    if (config?.usage) return config.usage.replace(/^[!.#]/, prefix);
+    return `${prefix}${commandName}`;
+}
+
+/**
+ * Register command configs that do not come from the config files
+ * @param {string} source Owner of the configs, e.g. "plugin:weather"
+ * @param {Array<Object>} commands Command configs in the same format as the config files
+ * @param {string} configCategory Category reported for these commands
+ */
+function registerCommandConfigs(source, commands, configCategory) {
+    runtimeConfigs.set(source, commands
+        .filter(command => command?.name)
+        .map(command => ({ ...command, configCategory })));
+    loadCommandConfigs();
+}
+
+/**
+ * Remove the command configs registered by a source
+ * @param {string} source Owner of the configs
+ */
+function unregisterCommandConfigs(source) {
+    if (runtimeConfigs.delete(source)) loadCommandConfigs();
+}
+
+module.exports = {
+    loadCommandConfigs,
+    registerCommandConfigs,
+    unregisterCommandConfigs,
+    getCommandConfig,
+    hasCategoryConfig,
+    getAllCommandConfigs,
+    getCommandUsage
+};
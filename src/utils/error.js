@@ -3,6 +3,8 @@
  * Provides standardized error handling for WhatsApp bot commands
  */
 
+const { safeSendText } = require('./safe-send');
+
 /**
  * Handles errors in WhatsApp bot commands
  * @param {Object} sock - WhatsApp socket connection
@@ -16,7 +18,7 @@ async function handleError(sock, jid, err, message = 'An error occurred while pr
   
   // Send user-friendly error message
   try {
-    await sock.sendMessage(jid, { text: `❌ ${message}` });
+    await safeSendText(sock, jid, `❌ ${message}`);
   } catch (sendError) {
     console.error('Error sending error message:', sendError);
   }
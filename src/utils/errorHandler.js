@@ -4,7 +4,7 @@
  */
 
 const logger = require('./logger');
-const { safeSendText } = require('./jidHelper');
+const { safeSendText } = require('./safe-send');
 const { languageManager } = require('./language');
 
 /**
@@ -0,0 +1,385 @@
+/**
+ * Group Scheduler - Runs the scheduled messages stored in each group's settings
+ * Jobs live in the `scheduled` array of data/groups/<jid>.json, so they survive restarts
+ */
+const cron = require('node-cron');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const logger = require('./logger');
+const { getGroupSettings, saveGroupSettings } = require('./groupSettings');
+const { getNextOccurrence } = require('./reminderScheduler');
+const { safeSendMessage } = require('./safe-send');
+const { isJid } = require('./jid');
+
+const GROUPS_DIR = path.join(process.cwd(), 'data', 'groups');
+const MEDIA_DIR = path.join(GROUPS_DIR, 'media');
+
+// One-off messages missed by more than this while the bot was offline are dropped instead of posted late
+const MAX_LATE_MS = 60 * 60 * 1000;
+const MAX_JOBS_PER_GROUP = 20;
+
+// Recurring cron jobs keyed by `${groupJid}:${jobId}`
+const cronTasks = new Map();
+
+let tickTask = null;
+let socketGetter = null;
+
+/**
+ * Generate a short job ID
+ * @returns {string} Job ID
+ */
+function generateId() {
+    return crypto.randomBytes(3).toString('hex');
+}
+
+/**
+ * Check whether a job's text asks to mention every member
+ * @param {Object} job Scheduled job
+ * @returns {boolean} Whether to mention everyone
+ */
+function mentionsEveryone(job) {
+    return job.mentionAll || /(^|\s)@(everyone|all)\b/i.test(job.text || '');
+}
+
+/**
+ * Get a job's scheduled time description
+ * @param {Object} job Scheduled job
+ * @returns {string} Description
+ */
+function describeSchedule(job) {
+    if (job.cron) return `cron \`${job.cron}\``;
+    const when = new Date(job.nextRun).toLocaleString();
+    return job.recurrence ? `${when} (repeats)` : when;
+}
+
+/**
+ * Add a scheduled message to a group
+ * @param {string} groupJid Group JID
+ * @param {Object} job Job fields: cron or nextRun (+ recurrence), text, media, createdBy
+ * @returns {Promise<{success: boolean, message?: string, job?: Object}>} Result
+ */
+async function addScheduledMessage(groupJid, job) {
+    const settings = await getGroupSettings(groupJid);
+    if (!Array.isArray(settings.scheduled)) settings.scheduled = [];
+
+    if (settings.scheduled.length >= MAX_JOBS_PER_GROUP) {
+        return { success: false, message: `This group already has ${MAX_JOBS_PER_GROUP} scheduled messages. Remove one first.` };
+    }
+
+    if (job.cron && !cron.validate(job.cron)) {
+        return { success: false, message: 'Invalid cron expression.' };
+    }
+
+    let id;
+    do {
+        id = generateId();
+    } while (settings.scheduled.some(existing => existing.id === id));
+
+    const entry = {
+        id,
+        cron: job.cron || null,
+        nextRun: job.cron ? null : job.nextRun,
+        recurrence: job.recurrence || null,
+        text: job.text || '',
+        media: job.media || null,
+        createdBy: job.createdBy,
+        createdAt: Date.now(),
+        lastRun: null
+    };
+
+    settings.scheduled.push(entry);
+    await saveGroupSettings(groupJid, settings);
+    registerCronTask(groupJid, entry);
+
+    return { success: true, job: entry };
+}
+
+/**
+ * Remove a scheduled message from a group
+ * @param {string} groupJid Group JID
+ * @param {string} id Job ID
+ * @returns {Promise<Object|null>} Removed job or null if not found
+ */
+async function removeScheduledMessage(groupJid, id) {
+    const settings = await getGroupSettings(groupJid);
+    const jobs = Array.isArray(settings.scheduled) ? settings.scheduled : [];
+    const job = jobs.find(existing => existing.id === String(id).toLowerCase());
+    if (!job) return null;
+
+    settings.scheduled = jobs.filter(existing => existing.id !== job.id);
+    await saveGroupSettings(groupJid, settings);
+
+    unregisterCronTask(groupJid, job.id);
+    await deleteJobMedia(job);
+    return job;
+}
+
+/**
+ * List the scheduled messages of a group
+ * @param {string} groupJid Group JID
+ * @returns {Promise<Array<Object>>} Scheduled jobs
+ */
+async function listScheduledMessages(groupJid) {
+    const settings = await getGroupSettings(groupJid);
+    return Array.isArray(settings.scheduled) ? settings.scheduled : [];
+}
+
+/**
+ * Store media for a scheduled message
+ * @param {Buffer} buffer Media content
+ * @param {Object} info Media info: type (image, video, audio, document), mimetype, fileName
+ * @returns {Promise<Object>} Media descriptor stored on the job
+ */
+async function saveJobMedia(buffer, info) {
+    await fs.mkdir(MEDIA_DIR, { recursive: true });
+    const extension = (info.mimetype || '').split('/')[1]?.split(';')[0] || 'bin';
+    const file = `scheduled_${Date.now()}_${generateId()}.${extension}`;
+    await fs.writeFile(path.join(MEDIA_DIR, file), buffer);
+
+    return {
+        type: info.type,
+        mimetype: info.mimetype,
+        fileName: info.fileName || null,
+        file
+    };
+}
+
+/**
+ * Delete the stored media of a job
+ * @param {Object} job Scheduled job
+ */
+async function deleteJobMedia(job) {
+    if (!job.media || !job.media.file) return;
+    try {
+        await fs.unlink(path.join(MEDIA_DIR, path.basename(job.media.file)));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            logger.warn(`Could not delete scheduled media ${job.media.file}: ${err.message}`);
+        }
+    }
+}
+
+/**
+ * Build the message content for a job
+ * @param {Object} sock WhatsApp socket
+ * @param {string} groupJid Group JID
+ * @param {Object} job Scheduled job
+ * @returns {Promise<Object>} Message content
+ */
+async function buildContent(sock, groupJid, job) {
+    let mentions = [];
+    if (mentionsEveryone(job)) {
+        const metadata = await sock.groupMetadata(groupJid);
+        mentions = metadata.participants.map(participant => participant.id);
+    }
+
+    if (job.media && job.media.file) {
+        const buffer = await fs.readFile(path.join(MEDIA_DIR, path.basename(job.media.file)));
+        const content = { [job.media.type]: buffer, mimetype: job.media.mimetype, mentions };
+
+        if (job.media.type === 'document') {
+            content.fileName = job.media.fileName || job.media.file;
+        }
+        if (job.media.type !== 'audio' && job.text) {
+            content.caption = job.text;
+        }
+        return content;
+    }
+
+    return { text: job.text, mentions };
+}
+
+/**
+ * Post a scheduled message and update or remove the job
+ * The settings file is re-read first so jobs removed elsewhere are never posted
+ * @param {string} groupJid Group JID
+ * @param {string} id Job ID
+ * @returns {Promise<boolean>} Whether the message was sent
+ */
+async function runJob(groupJid, id) {
+    const sock = socketGetter ? socketGetter() : null;
+    if (!sock) {
+        logger.warn(`Scheduled message ${id} for ${groupJid} is due but there is no connection`);
+        return false;
+    }
+
+    const settings = await getGroupSettings(groupJid);
+    const job = (settings.scheduled || []).find(existing => existing.id === id);
+    if (!job) {
+        unregisterCronTask(groupJid, id);
+        return false;
+    }
+
+    let sent = false;
+    try {
+        const content = await buildContent(sock, groupJid, job);
+        sent = !!(await safeSendMessage(sock, groupJid, content));
+    } catch (err) {
+        logger.error(`Error posting scheduled message ${id} in ${groupJid}:`, err);
+    }
+
+    if (!sent) return false;
+
+    const now = Date.now();
+    if (job.cron || job.recurrence) {
+        job.lastRun = now;
+        if (job.recurrence) {
+            job.nextRun = getNextOccurrence(job.recurrence, Math.max(now, job.nextRun));
+        }
+        await saveGroupSettings(groupJid, settings);
+    } else {
+        settings.scheduled = settings.scheduled.filter(existing => existing.id !== id);
+        await saveGroupSettings(groupJid, settings);
+        await deleteJobMedia(job);
+    }
+
+    logger.info(`Posted scheduled message ${id} in ${groupJid}`);
+    return true;
+}
+
+/**
+ * Register the cron task for a recurring cron job
+ * @param {string} groupJid Group JID
+ * @param {Object} job Scheduled job
+ */
+function registerCronTask(groupJid, job) {
+    if (!job.cron || !socketGetter) return;
+
+    const key = `${groupJid}:${job.id}`;
+    unregisterCronTask(groupJid, job.id);
+
+    if (!cron.validate(job.cron)) {
+        logger.warn(`Skipping scheduled message ${job.id} in ${groupJid}: invalid cron "${job.cron}"`);
+        return;
+    }
+
+    cronTasks.set(key, cron.schedule(job.cron, () => {
+        runJob(groupJid, job.id).catch(err => logger.error(`Error running scheduled message ${job.id}:`, err));
+    }));
+}
+
+/**
+ * Stop the cron task of a job
+ * @param {string} groupJid Group JID
+ * @param {string} id Job ID
+ */
+function unregisterCronTask(groupJid, id) {
+    const key = `${groupJid}:${id}`;
+    const task = cronTasks.get(key);
+    if (task) {
+        task.stop();
+        cronTasks.delete(key);
+    }
+}
+
+/**
+ * Get the JIDs of all groups with a settings file
+ * @returns {Promise<Array<string>>} Group JIDs
+ */
+async function getGroupJids() {
+    try {
+        const files = await fs.readdir(GROUPS_DIR);
+        return files
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -'.json'.length))
+            .filter(jid => isJid(jid, 'group'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            logger.error(`Failed to read ${GROUPS_DIR}: ${err.message}`);
+        }
+        return [];
+    }
+}
+
+/**
+ * Post every timed job that is due
+ * Runs once a minute; cron jobs are handled by their own tasks
+ * @returns {Promise<number>} Number of messages posted
+ */
+async function runDueJobs() {
+    const now = Date.now();
+    let posted = 0;
+
+    for (const groupJid of await getGroupJids()) {
+        let jobs;
+        try {
+            jobs = await listScheduledMessages(groupJid);
+        } catch (err) {
+            continue;
+        }
+
+        for (const job of jobs) {
+            if (job.cron || !job.nextRun || job.nextRun > now) continue;
+
+            // Drop one-off messages that are too stale to still be useful
+            if (!job.recurrence && now - job.nextRun > MAX_LATE_MS) {
+                logger.warn(`Dropping scheduled message ${job.id} in ${groupJid}, it was missed while offline`);
+                await removeScheduledMessage(groupJid, job.id);
+                continue;
+            }
+
+            if (await runJob(groupJid, job.id)) posted++;
+        }
+    }
+
+    return posted;
+}
+
+/**
+ * Start the background runner
+ * @param {Function} getSocket Returns the current WhatsApp socket (it changes on reconnect)
+ * @returns {Promise<void>}
+ */
+async function startGroupScheduler(getSocket) {
+    if (socketGetter) return;
+    socketGetter = getSocket;
+
+    let cronJobs = 0;
+    for (const groupJid of await getGroupJids()) {
+        try {
+            for (const job of await listScheduledMessages(groupJid)) {
+                if (job.cron) {
+                    registerCronTask(groupJid, job);
+                    cronJobs++;
+                }
+            }
+        } catch (err) {
+            logger.error(`Failed to load scheduled messages for ${groupJid}:`, err);
+        }
+    }
+
+    tickTask = cron.schedule('* * * * *', () => {
+        runDueJobs().catch(err => logger.error('Error running scheduled group messages:', err));
+    });
+
+    logger.info(`Group scheduler started (${cronJobs} cron jobs)`);
+}
+
+/**
+ * Stop the background runner
+ */
+function stopGroupScheduler() {
+    if (tickTask) {
+        tickTask.stop();
+        tickTask = null;
+    }
+    for (const task of cronTasks.values()) {
+        task.stop();
+    }
+    cronTasks.clear();
+    socketGetter = null;
+}
+
+module.exports = {
+    addScheduledMessage,
+    removeScheduledMessage,
+    listScheduledMessages,
+    saveJobMedia,
+    describeSchedule,
+    mentionsEveryone,
+    runDueJobs,
+    startGroupScheduler,
+    stopGroupScheduler,
+    MAX_JOBS_PER_GROUP
+};
@@ -1,6 +1,9 @@
 const path = require('path');
 const fs = require('fs').promises;
 const logger = require('./logger');
+const { requireJid } = require('./jid');
+const { getDefaultLinkFilter } = require('./linkDetector');
+const { getDefaultToxicFilter } = require('./toxicityFilter');
 
 /**
  * Get default group settings
@@ -11,9 +14,28 @@ function getDefaultGroupSettings() {
         warnings: {},
         antispam: false,
         antilink: false,
+        linkFilter: getDefaultLinkFilter(),
         antitoxic: false,
+        toxicFilter: getDefaultToxicFilter(),
+        antiflood: false,
+        antimention: false,
         antiraid: false,
-        raidThreshold: 5,
+        raidThreshold: 5, // joins allowed within raidWindow seconds
+        raidWindow: 60,
+        raidLockDuration: 600, // seconds the group stays locked after a raid, 0 to keep it locked
+        welcomeMessage: null,
+        goodbyeMessage: null,
+        welcomeCard: false,
+        goodbyeCard: false,
+        moderation: {}, // escalation ladders and thresholds, see utils/moderationPolicy.js
+        botMuted: {},
+        modlog: [],
+        prefix: null, // overrides the global prefix in this group
+        disabledCommands: [],
+        disabledCategories: [],
+        roles: {}, // user JID -> moderator, vip or a custom role, see utils/permissions.js
+        customRoles: {}, // custom role name -> role it is based on
+        commandRoles: {}, // command name -> role required in this group
         polls: {},
         scheduled: [],
         pinnedMessages: [],
@@ -30,13 +52,24 @@ function getDefaultGroupSettings() {
     };
 }
 
+/**
+ * Get the settings file of a chat
+ * @param {string} jid Group JID
+ * @returns {string} File path
+ * @throws {InvalidJidError} If jid is not a JID, e.g. a message object passed by mistake
+ */
+function getSettingsPath(jid) {
+    return path.join(process.cwd(), 'data/groups', `${requireJid(jid)}.json`);
+}
+
 /**
  * Get settings for a specific group
  * @param {string} jid Group JID
  * @returns {Promise<Object>} Group settings
+ * @throws {InvalidJidError} If jid is not a JID
  */
 async function getGroupSettings(jid) {
-    const filePath = path.join(process.cwd(), 'data/groups', `${jid}.json`);
+    const filePath = getSettingsPath(jid);
     try {
         const data = await fs.readFile(filePath, 'utf8');
         const settings = JSON.parse(data);
@@ -80,9 +113,10 @@ async function getGroupSettings(jid) {
  * Save settings for a specific group
  * @param {string} jid Group JID
  * @param {Object} settings Group settings
+ * @throws {InvalidJidError} If jid is not a JID
  */
 async function saveGroupSettings(jid, settings) {
-    const filePath = path.join(process.cwd(), 'data/groups', `${jid}.json`);
+    const filePath = getSettingsPath(jid);
     try {
         await fs.writeFile(filePath, JSON.stringify(settings, null, 2));
     } catch (err) {
@@ -91,6 +125,38 @@ async function saveGroupSettings(jid, settings) {
     }
 }
 
+// Pending updateGroupSettings calls per group, so concurrent updates of a group run one after another
+const updateQueues = new Map();
+
+/**
+ * Read, change and save the settings of a group without losing concurrent changes
+ * Updates of the same group run one at a time and each reads the settings saved by the one
+ * before it; code that awaits network calls between reading and saving settings should use this
+ * @param {string} jid Group JID
+ * @param {Function} update Called with the settings, may be async; changes them in place
+ * @returns {Promise<*>} What update returned
+ * @throws {InvalidJidError} If jid is not a JID
+ */
+async function updateGroupSettings(jid, update) {
+    const key = requireJid(jid);
+    const previous = updateQueues.get(key) || Promise.resolve();
+    const current = previous.then(async () => {
+        const settings = await getGroupSettings(key);
+        const result = await update(settings);
+        await saveGroupSettings(key, settings);
+        return result;
+    });
+
+    // Later updates wait for this one whether or not it fails
+    const tail = current.catch(() => {});
+    updateQueues.set(key, tail);
+    tail.then(() => {
+        if (updateQueues.get(key) === tail) updateQueues.delete(key);
+    });
+
+    return current;
+}
+
 /**
  * Validate group settings object
  * @param {Object} settings Group settings
@@ -245,6 +311,7 @@ module.exports = {
     getDefaultGroupSettings,
     getGroupSettings,
     saveGroupSettings,
+    updateGroupSettings,
     validateGroupSettings,
     isFeatureEnabled,
     setFeatureEnabled,
@@ -112,6 +112,38 @@ function containsUrl(text) {
     return urlRegex.test(text);
 }
 
+/**
+ * Levenshtein distance between two strings, counting a swap of two adjacent
+ * characters as a single edit (so "stciker" is one edit from "sticker")
+ * @param {string} a First string
+ * @param {string} b Second string
+ * @returns {number} Number of edits
+ */
+function levenshtein(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+    }
+    for (let j = 1; j <= b.length; j++) {
+        rows[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(
+                rows[i - 1][j] + 1,
+                rows[i][j - 1] + 1,
+                rows[i - 1][j - 1] + cost
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
 /**
  * Truncate a string with ellipsis if it exceeds maxLength
  * @param {string} str String to truncate
@@ -533,6 +565,7 @@ module.exports = {
     shuffleArray,
     sleep,
     containsUrl,
+    levenshtein,
     truncateString,
     escapeRegExp,
     capitalize,
@@ -0,0 +1,215 @@
+/**
+ * JID - Canonical WhatsApp JID parsing and normalization
+ *
+ * Everything that stores data under a JID (group settings, user records, verification lists)
+ * goes through this module. Inputs that are not JID strings are rejected instead of being
+ * stringified, so a message object passed by mistake can no longer end up as an
+ * "[object Object]" record.
+ *
+ * Canonical form: "<user>@<server>" without a device suffix, with the legacy "@c.us" server
+ * replaced by "@s.whatsapp.net".
+ */
+
+// JID types by server
+const JID_SERVERS = {
+    's.whatsapp.net': 'user',
+    'c.us': 'user', // legacy user server
+    'g.us': 'group',
+    'lid': 'lid', // anonymous "linked identity" of a user in groups with hidden numbers
+    'broadcast': 'broadcast', // status updates and broadcast lists
+    'newsletter': 'newsletter' // channels
+};
+
+// Server of each type in canonical JIDs
+const CANONICAL_SERVERS = {
+    user: 's.whatsapp.net',
+    group: 'g.us',
+    lid: 'lid',
+    broadcast: 'broadcast',
+    newsletter: 'newsletter'
+};
+
+// Allowed user part per type; groups created before 2020 use "<creator>-<timestamp>"
+const USER_PATTERNS = {
+    user: /^\d{5,20}$/,
+    group: /^\d{5,20}(-\d{5,20})?$/,
+    lid: /^\d{5,20}$/,
+    broadcast: /^(status|\d{5,20})$/,
+    newsletter: /^\d{5,25}$/
+};
+
+const JID_PATTERN = /^([^@:\s]+)(?::(\d+))?@([a-z.]+)$/;
+
+/**
+ * Thrown when a value that must be a JID is not one
+ */
+class InvalidJidError extends Error {
+    /**
+     * @param {*} input The rejected value
+     * @param {string} [expected] Expected JID type
+     */
+    constructor(input, expected = null) {
+        super(`Expected a ${expected ? `${expected} JID` : 'JID'}, got ${describeInput(input)}`);
+        this.name = 'InvalidJidError';
+        this.expected = expected;
+    }
+}
+
+/**
+ * Describe a rejected value without dumping whole message objects into logs
+ * @param {*} input Value
+ * @returns {string} Short description
+ */
+function describeInput(input) {
+    if (input === null || input === undefined) return String(input);
+    if (typeof input === 'string') return `"${input.length > 60 ? `${input.slice(0, 60)}...` : input}"`;
+    if (typeof input === 'object') {
+        const keys = Object.keys(input).slice(0, 5).join(', ');
+        return `an object${keys ? ` with keys ${keys}` : ''}`;
+    }
+    return `a ${typeof input}`;
+}
+
+/**
+ * Parse a JID string
+ * @param {*} input Value to parse; anything but a string is rejected
+ * @returns {{jid: string, user: string, device: number|null, server: string, type: string}|null}
+ *          The parts and canonical JID, or null if the input is not a valid JID
+ */
+function parseJid(input) {
+    if (typeof input !== 'string') return null;
+
+    const match = JID_PATTERN.exec(input);
+    if (!match) return null;
+
+    const [, user, device, server] = match;
+    const type = JID_SERVERS[server];
+    if (!type || !USER_PATTERNS[type].test(user)) return null;
+
+    return {
+        jid: `${user}@${CANONICAL_SERVERS[type]}`,
+        user,
+        device: device === undefined ? null : Number(device),
+        server: CANONICAL_SERVERS[type],
+        type
+    };
+}
+
+/**
+ * Get the canonical form of a JID
+ * @param {*} input Value to normalize
+ * @param {string|Array<string>} [types] Accepted JID types, e.g. 'group' or ['user', 'lid']
+ * @returns {string|null} Canonical JID, or null if the input is not a JID of an accepted type
+ */
+function toJid(input, types = null) {
+    const parsed = parseJid(input);
+    if (!parsed) return null;
+    if (types && ![].concat(types).includes(parsed.type)) return null;
+    return parsed.jid;
+}
+
+/**
+ * Check whether a value is a JID
+ * @param {*} input Value to check
+ * @param {string|Array<string>} [types] Accepted JID types
+ * @returns {boolean} Whether the value is a JID of an accepted type
+ */
+function isJid(input, types = null) {
+    return toJid(input, types) !== null;
+}
+
+/**
+ * Get the canonical form of a JID, throwing if the value is not one
+ * Use this where JIDs are stored, so bad input fails loudly instead of creating bogus records
+ * @param {*} input Value to normalize
+ * @param {string|Array<string>} [types] Accepted JID types
+ * @returns {string} Canonical JID
+ * @throws {InvalidJidError} If the value is not a JID of an accepted type
+ */
+function requireJid(input, types = null) {
+    const jid = toJid(input, types);
+    if (!jid) throw new InvalidJidError(input, types ? [].concat(types).join(' or ') : null);
+    return jid;
+}
+
+/**
+ * Get the type of a JID
+ * @param {*} input JID
+ * @returns {string|null} 'user', 'group', 'lid', 'broadcast', 'newsletter' or null
+ */
+function getJidType(input) {
+    return parseJid(input)?.type || null;
+}
+
+/**
+ * Build a user JID from a phone number such as "+49 155 1234567"
+ * @param {string|number} number Phone number
+ * @returns {string|null} User JID, or null if the number is not plausible
+ */
+function jidFromNumber(number) {
+    if (typeof number !== 'string' && typeof number !== 'number') return null;
+    return toJid(`${String(number).replace(/[\s\-+()]/g, '')}@s.whatsapp.net`, 'user');
+}
+
+/**
+ * Get the message key of a message or key object
+ * @param {Object} message Message object or its key
+ * @returns {Object|null} Message key
+ */
+function getMessageKey(message) {
+    if (!message || typeof message !== 'object') return null;
+    if (message.key && typeof message.key === 'object') return message.key;
+    if (typeof message.remoteJid === 'string') return message;
+    return null;
+}
+
+/**
+ * Get the chat a message was sent in
+ * @param {Object|string} message Message object, message key or JID
+ * @returns {string|null} Canonical chat JID
+ */
+function getChatJid(message) {
+    if (typeof message === 'string') return toJid(message);
+    return toJid(getMessageKey(message)?.remoteJid);
+}
+
+/**
+ * Get the user who sent a message: the participant in groups and broadcasts, the chat in DMs
+ * Senders that only have a LID are resolved to their phone number JID when the message
+ * carries it, since user records are keyed by phone number
+ * @param {Object|string} message Message object, message key or JID
+ * @param {string} [botJid] JID of the bot, returned for the bot's own messages
+ * @returns {string|null} Canonical sender JID
+ */
+function getSenderJid(message, botJid = null) {
+    if (typeof message === 'string') return toJid(message);
+
+    const key = getMessageKey(message);
+    if (!key) return null;
+
+    if (key.fromMe && botJid) return toJid(botJid);
+
+    const chatType = getJidType(key.remoteJid);
+    const sender = chatType === 'group' || chatType === 'broadcast'
+        ? key.participant || message.participant
+        : key.remoteJid;
+
+    const jid = toJid(sender, ['user', 'lid']);
+    if (getJidType(jid) === 'lid') {
+        return toJid(key.participantPn || key.senderPn, 'user') || jid;
+    }
+    return jid;
+}
+
+module.exports = {
+    JID_SERVERS,
+    InvalidJidError,
+    parseJid,
+    toJid,
+    isJid,
+    requireJid,
+    getJidType,
+    jidFromNumber,
+    getChatJid,
+    getSenderJid
+};
@@ -18,8 +18,26 @@ const DEFAULT_TRANSLATIONS = {
         error: 'An error occurred: {0}',
         command_not_found: 'Command not found: {0}',
         missing_permissions: 'You do not have permission to use this command.',
-        command_on_cooldown: 'Please wait {0} seconds before using this command again.',
-        nsfw_not_allowed: 'NSFW content is not allowed in this group.'
+        command_on_cooldown: '⏳ Please wait {0} before using {1} again.',
+        nsfw_not_allowed: 'NSFW content is not allowed in this group.',
+        maintenance_notice: '🛠️ The bot is currently under maintenance. Please try again later.',
+        command_disabled: '🚫 The command {0} is disabled in this group.',
+        role_required: '🔒 This command requires the {0} role.',
+        command_suggestion: '❓ Unknown command {0}. Did you mean {1}?',
+        invalid_arguments: '❌ {0}\n\n📝 Usage: {1}',
+        queue_full: '⏳ The bot is busy right now. Please try again in a moment.',
+        queue_chat_full: '⏳ Too many commands are waiting in this chat. Please wait for them to finish.',
+        rate_limited_user: '⏳ You are using commands too quickly. Please try again in {0}.',
+        rate_limited_group: '⏳ This group is using a lot of commands right now. Please try again in {0}.',
+        rate_limited_category: '⏳ You have used too many {0} commands. Please try again in {1}.',
+        conversation_hint: '_Reply with *cancel* to stop._',
+        conversation_invalid: '❌ {0}\n\n{1}',
+        conversation_invalid_choice: 'Please pick one of the options, by number or name',
+        conversation_invalid_answer: 'That answer is not valid',
+        conversation_choose: 'Choose',
+        conversation_timeout: '⌛ No answer received in time. Run the command again to start over.',
+        conversation_cancelled: '❌ Cancelled.',
+        conversation_failed: '❌ Too many invalid answers. Run the command again to start over.'
     },
     basic: {
         ping_response: 'Pong! Response time: {0}ms',
@@ -309,6 +327,36 @@ class LanguageManager {
         return true;
     }
 
+    /**
+     * Add translations owned by a plugin under "plugins.<name>" without saving them
+     * Languages the bot has no translation for are skipped
+     * @param {string} pluginName - Plugin name
+     * @param {Object} translations - Translation objects keyed by language code
+     * @returns {Array<string>} - Languages the translations were added to
+     */
+    addPluginTranslations(pluginName, translations) {
+        const added = [];
+        for (const [language, strings] of Object.entries(translations || {})) {
+            const langObj = this.languages[language];
+            if (!langObj || !strings || typeof strings !== 'object') continue;
+            
+            if (!langObj.plugins) langObj.plugins = {};
+            langObj.plugins[pluginName] = strings;
+            added.push(language);
+        }
+        return added;
+    }
+
+    /**
+     * Remove the translations added by a plugin
+     * @param {string} pluginName - Plugin name
+     */
+    removePluginTranslations(pluginName) {
+        for (const langObj of Object.values(this.languages)) {
+            if (langObj.plugins) delete langObj.plugins[pluginName];
+        }
+    }
+
     /**
      * Save a translation to file
      * @param {string} language - Language code
@@ -6,7 +6,9 @@ const fs = require('fs').promises;
 const path = require('path');
 const { createCanvas, loadImage } = require('canvas');
 const userDatabase = require('./userDatabase');
+const { addClanXP } = require('./clanSystem');
 const logger = require('./logger');
+const { safeSendMessage } = require('./safe-send');
 const { isFeatureEnabled } = require('./groupSettings');
 const { languageManager } = require('./language');
 const config = require('../config/config');
@@ -321,6 +323,9 @@ async function addXP(userId, activityType = 'message', groupJid = null) {
     // Save changes
     userDatabase.updateUserProfile(userId, { xp: profile.xp, level: newLevel });
     
+    // Members' activity also levels up their clan
+    addClanXP(userId, xpAmount);
+    
     // Check for level up
     if (newLevel > oldLevel) {
         // Calculate rewards for leveling up - enhanced coin formula
@@ -1062,6 +1067,28 @@ function updateDailyStreak(userId) {
     }
 }
 
+/**
+ * Pipeline middleware: registered users gain XP for chat messages and are told when they level up
+ * @param {Object} ctx Message context
+ * @param {Function} next Continue the pipeline
+ */
+async function levelingMiddleware(ctx, next) {
+    const { sock, jid, sender } = ctx;
+
+    if (!ctx.fromMe && !ctx.banned && !ctx.command && userDatabase.getUserProfile(sender)) {
+        const levelUp = await addXP(sender, ctx.isGroup ? 'groupChat' : 'privateChat', ctx.isGroup ? jid : null);
+
+        if (levelUp && hasLevelUpNotificationEnabled(sender)) {
+            await safeSendMessage(sock, jid, {
+                text: `*🎉 Congratulations @${sender.split('@')[0]}!*\nYou leveled up from ${levelUp.oldLevel} to ${levelUp.newLevel}!\n\n*💰 Reward:* ${levelUp.coinReward} coins\n*🏆 Rank:* ${levelUp.rankTitle}`,
+                mentions: [sender]
+            });
+        }
+    }
+
+    await next();
+}
+
 module.exports = {
     initializeUser,
     getUserLevelData,
@@ -1079,6 +1106,7 @@ module.exports = {
     getUserStats,
     updateDailyStreak,
     getNextStreakReward,
+    levelingMiddleware,
     // Constants for external use
     RANK_TITLES,
     XP_SETTINGS,
@@ -0,0 +1,143 @@
+/**
+ * Link Detector - Finds links in messages and applies a group's anti-link rules
+ */
+
+// Zero-width and invisible characters used to hide links from simple filters
+const INVISIBLE_CHARS = /[\u200B-\u200F\u2060-\u2064\uFEFF\u00AD\u034F\u180E]/g;
+
+// Top-level domains recognised in links written without http:// or www.
+const BARE_TLDS = [
+    'com', 'net', 'org', 'info', 'biz', 'io', 'co', 'me', 'gg', 'ly', 'tv', 'app', 'dev', 'xyz', 'site',
+    'online', 'store', 'shop', 'club', 'live', 'link', 'click', 'top', 'tk', 'ml', 'ga', 'cf', 'gq',
+    'ru', 'de', 'uk', 'in', 'ng', 'za', 'ke', 'br', 'fr', 'es', 'it', 'nl', 'pk', 'id', 'us', 'ca', 'au'
+];
+
+const URL_PATTERN = new RegExp(
+    '\\b(?:https?:\\/\\/|www\\.)[^\\s<>"\']+' +
+    `|\\b(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\\.)+(?:${BARE_TLDS.join('|')})\\b(?:\\/[^\\s<>"']*)?`,
+    'gi'
+);
+
+const INVITE_DOMAINS = ['chat.whatsapp.com'];
+
+const LINK_MODES = ['all', 'invites'];
+
+/**
+ * Get the default anti-link configuration
+ * @returns {Object} Link filter config
+ */
+function getDefaultLinkFilter() {
+    return {
+        mode: 'all', // 'all' blocks every link not allowed, 'invites' only blocks group invites
+        allow: [],
+        block: [],
+        detectObfuscated: true
+    };
+}
+
+/**
+ * Get a group's link filter config, filled with defaults
+ * @param {Object} settings Group settings
+ * @returns {Object} Link filter config
+ */
+function getLinkFilter(settings) {
+    return { ...getDefaultLinkFilter(), ...(settings.linkFilter || {}) };
+}
+
+/**
+ * Normalize a domain or URL given by an admin, e.g. "https://www.YouTube.com/" -> "youtube.com"
+ * @param {string} input Domain or URL
+ * @returns {string|null} Domain or null if invalid
+ */
+function normalizeDomain(input) {
+    const domain = String(input || '')
+        .toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .split(/[/?#:]/)[0]
+        .replace(/^www\./, '')
+        .replace(/\.$/, '');
+
+    return /^([a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/.test(domain) ? domain : null;
+}
+
+/**
+ * Undo common tricks used to hide links, such as "example dot com" or "example[.]com"
+ * @param {string} text Message text
+ * @returns {string} Text with obfuscated links rewritten as plain links
+ */
+function deobfuscate(text) {
+    return text
+        .replace(/hxxps?:\/\//gi, 'http://')
+        .replace(/\s*[[({]\s*(?:dot|\.)\s*[\])}]\s*/gi, '.')
+        .replace(/\s+dot\s+(?=[a-z0-9])/gi, '.')
+        .replace(/([a-z0-9])\s+\.\s*(?=[a-z0-9])/gi, '$1.');
+}
+
+/**
+ * Find the links in a text
+ * @param {string} text Message text
+ * @param {Object} [options] Options
+ * @param {boolean} [options.detectObfuscated] Also find obfuscated links
+ * @returns {Array<{url: string, domain: string}>} Links found
+ */
+function extractLinks(text, { detectObfuscated = false } = {}) {
+    if (!text) return [];
+
+    let cleaned = text.replace(INVISIBLE_CHARS, '');
+    if (detectObfuscated) cleaned = deobfuscate(cleaned);
+
+    const links = [];
+    for (const match of cleaned.matchAll(URL_PATTERN)) {
+        const url = match[0].replace(/[.,!?)\]]+$/, '');
+        const domain = normalizeDomain(url);
+        if (domain) links.push({ url, domain });
+    }
+    return links;
+}
+
+/**
+ * Check whether a domain is a given domain or one of its subdomains
+ * @param {string} domain Domain to check
+ * @param {Array<string>} list Domains
+ * @returns {boolean} Whether it matches
+ */
+function matchesDomain(domain, list) {
+    return list.some(entry => domain === entry || domain.endsWith(`.${entry}`));
+}
+
+/**
+ * Check whether a link is a WhatsApp group invite
+ * @param {Object} link Link from extractLinks
+ * @returns {boolean} Whether it is an invite link
+ */
+function isInviteLink(link) {
+    return matchesDomain(link.domain, INVITE_DOMAINS);
+}
+
+/**
+ * Find the first link in a text that the group's rules do not allow
+ * Blocked domains are always rejected; allowed domains pass unless blocked
+ * @param {string} text Message text
+ * @param {Object} filter Link filter config
+ * @returns {Object|null} Offending link or null
+ */
+function findBlockedLink(text, filter) {
+    const config = { ...getDefaultLinkFilter(), ...(filter || {}) };
+    const links = extractLinks(text, { detectObfuscated: config.detectObfuscated });
+
+    return links.find(link => {
+        if (matchesDomain(link.domain, config.block)) return true;
+        if (matchesDomain(link.domain, config.allow)) return false;
+        return config.mode === 'invites' ? isInviteLink(link) : true;
+    }) || null;
+}
+
+module.exports = {
+    LINK_MODES,
+    getDefaultLinkFilter,
+    getLinkFilter,
+    normalizeDomain,
+    extractLinks,
+    isInviteLink,
+    findBlockedLink
+};
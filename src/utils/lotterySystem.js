@@ -0,0 +1,313 @@
+/**
+ * Lottery System - Ticket ledger and scheduled draws
+ * Tickets and draw history are persisted through the user database
+ */
+const cron = require('node-cron');
+const crypto = require('crypto');
+const logger = require('./logger');
+const userDatabase = require('./userDatabase');
+const { safeSendMessage } = require('./safe-send');
+const { isJid } = require('./jid');
+
+const { lotteryParticipants, lotteryHistory } = userDatabase;
+
+// Lottery settings
+const TICKET_PRICE = 100;
+const POOL_SHARE = 0.8; // 80% of ticket sales go to the prize pool
+const MAX_TICKETS_PER_PURCHASE = 100;
+const HISTORY_LIMIT = 50;
+
+// Daily at 20:00 by default, override with a cron expression in LOTTERY_SCHEDULE
+const DRAW_SCHEDULE = process.env.LOTTERY_SCHEDULE || '0 20 * * *';
+
+let drawTask = null;
+let isDrawing = false;
+
+/**
+ * Get a normalized ledger entry for a user
+ * Older data stored plain ticket counts instead of entries, and some entries hold
+ * announcement chats that are not JIDs; those are left out
+ * @param {string} userId User JID
+ * @returns {{tickets: number, chats: Array<string>, lastPurchase: number|null}} Ledger entry
+ */
+function getLedgerEntry(userId) {
+    const entry = lotteryParticipants.get(userId);
+
+    if (entry && typeof entry === 'object') {
+        return {
+            tickets: entry.tickets || 0,
+            chats: Array.isArray(entry.chats) ? entry.chats.filter(chat => isJid(chat)) : [],
+            lastPurchase: entry.lastPurchase || null
+        };
+    }
+
+    return {
+        tickets: typeof entry === 'number' ? entry : 0,
+        chats: [],
+        lastPurchase: null
+    };
+}
+
+/**
+ * Record a ticket purchase in the ledger
+ * Coins are not touched here, the caller is responsible for charging the user
+ * @param {string} userId User JID
+ * @param {string} chatJid Chat the tickets were bought in (receives the draw announcement)
+ * @param {number} count Number of tickets
+ * @returns {{tickets: number, totalTickets: number, pool: number}} Updated totals
+ */
+function buyTickets(userId, chatJid, count = 1) {
+    const entry = getLedgerEntry(userId);
+
+    entry.tickets += count;
+    entry.lastPurchase = Date.now();
+    if (chatJid && !entry.chats.includes(chatJid)) {
+        entry.chats.push(chatJid);
+    }
+
+    lotteryParticipants.set(userId, entry);
+    userDatabase.persistRecord('lottery', userId, entry);
+
+    const { totalTickets, pool } = getPoolInfo();
+    return { tickets: entry.tickets, totalTickets, pool };
+}
+
+/**
+ * Get the number of tickets a user holds for the next draw
+ * @param {string} userId User JID
+ * @returns {number} Ticket count
+ */
+function getUserTickets(userId) {
+    return getLedgerEntry(userId).tickets;
+}
+
+/**
+ * Get current pool information
+ * @returns {{totalTickets: number, pool: number, participants: number}} Pool totals
+ */
+function getPoolInfo() {
+    let totalTickets = 0;
+    let participants = 0;
+
+    for (const userId of lotteryParticipants.keys()) {
+        const { tickets } = getLedgerEntry(userId);
+        if (tickets > 0) {
+            totalTickets += tickets;
+            participants++;
+        }
+    }
+
+    return {
+        totalTickets,
+        pool: Math.floor(totalTickets * TICKET_PRICE * POOL_SHARE),
+        participants
+    };
+}
+
+/**
+ * Pick a winner, weighted by ticket count
+ * @param {Array<{userId: string, tickets: number}>} entries Ledger entries
+ * @returns {string|null} Winning user JID
+ */
+function pickWeightedWinner(entries) {
+    const totalTickets = entries.reduce((sum, entry) => sum + entry.tickets, 0);
+    if (totalTickets <= 0) return null;
+
+    let ticket = crypto.randomInt(totalTickets);
+    for (const entry of entries) {
+        if (ticket < entry.tickets) return entry.userId;
+        ticket -= entry.tickets;
+    }
+
+    return null;
+}
+
+/**
+ * Run a lottery draw: pick a winner, pay the pool, record history and announce the result
+ * @param {Object} sock WhatsApp socket used for announcements (optional)
+ * @returns {Promise<Object|null>} Draw record or null if nothing was drawn
+ */
+async function runDraw(sock) {
+    if (isDrawing) {
+        logger.warn('Lottery draw already in progress, skipping');
+        return null;
+    }
+
+    isDrawing = true;
+    try {
+        const entries = [...lotteryParticipants.keys()]
+            .map(userId => ({ userId, ...getLedgerEntry(userId) }))
+            .filter(entry => entry.tickets > 0);
+
+        if (entries.length === 0) {
+            logger.info('Lottery draw skipped: no tickets sold');
+            return null;
+        }
+
+        const { totalTickets, pool } = getPoolInfo();
+        const winner = pickWeightedWinner(entries);
+        const winnerEntry = entries.find(entry => entry.userId === winner);
+
+        // Pay out the prize
+        const profile = userDatabase.getUserProfile(winner);
+        if (profile) {
+            const achievements = Array.isArray(profile.achievements) ? profile.achievements : [];
+            userDatabase.updateUserProfile(winner, {
+                coins: (profile.coins || 0) + pool,
+                achievements: achievements.includes('Lucky Winner')
+                    ? achievements
+                    : [...achievements, 'Lucky Winner']
+            });
+        } else {
+            logger.warn(`Lottery winner ${winner} has no profile, prize could not be paid`);
+        }
+
+        const draw = {
+            id: `draw_${Date.now()}`,
+            drawnAt: Date.now(),
+            winner,
+            winnerTickets: winnerEntry.tickets,
+            totalTickets,
+            participants: entries.length,
+            pool,
+            paid: !!profile
+        };
+
+        lotteryHistory.set(draw.id, draw);
+        userDatabase.persistRecord('lotteryHistory', draw.id, draw);
+        pruneHistory();
+
+        // Reset the ledger for the next round
+        const chats = new Set(entries.flatMap(entry => entry.chats));
+        for (const { userId } of entries) {
+            lotteryParticipants.delete(userId);
+            userDatabase.deleteRecord('lottery', userId);
+        }
+
+        logger.info(`Lottery draw complete: ${winner} won ${pool} coins with ${winnerEntry.tickets}/${totalTickets} tickets`);
+
+        if (sock) {
+            await announceDraw(sock, draw, [...chats]);
+        } else {
+            logger.warn('Lottery draw finished without a connection, winner was not announced');
+        }
+
+        return draw;
+    } catch (err) {
+        logger.error('Error running lottery draw:', err);
+        return null;
+    } finally {
+        isDrawing = false;
+    }
+}
+
+/**
+ * Announce a draw result to every chat that bought tickets
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} draw Draw record
+ * @param {Array<string>} chats Chat JIDs
+ */
+async function announceDraw(sock, draw, chats) {
+    const winnerTag = `@${draw.winner.split('@')[0]}`;
+    const text = `*🎉 Lottery Draw Results!*\n\n` +
+        `Winner: ${winnerTag}\n` +
+        `Prize: ${draw.pool.toLocaleString()} coins\n` +
+        `Winning tickets: ${draw.winnerTickets} of ${draw.totalTickets}\n` +
+        `Participants: ${draw.participants}\n\n` +
+        `A new round has started. Use .lottery buy [count] to join!`;
+
+    for (const chat of chats) {
+        try {
+            await safeSendMessage(sock, chat, { text, mentions: [draw.winner] });
+        } catch (err) {
+            logger.error(`Failed to announce lottery result in ${chat}:`, err);
+        }
+    }
+}
+
+/**
+ * Keep only the most recent draws in history
+ */
+function pruneHistory() {
+    const draws = getHistory(Infinity);
+    for (const draw of draws.slice(HISTORY_LIMIT)) {
+        lotteryHistory.delete(draw.id);
+        userDatabase.deleteRecord('lotteryHistory', draw.id);
+    }
+}
+
+/**
+ * Get past draws, most recent first
+ * @param {number} limit Maximum number of draws
+ * @returns {Array<Object>} Draw records
+ */
+function getHistory(limit = 10) {
+    return [...lotteryHistory.values()]
+        .sort((a, b) => b.drawnAt - a.drawnAt)
+        .slice(0, limit);
+}
+
+/**
+ * Get the next draw time for simple daily schedules ("M H * * *")
+ * @returns {Date|null} Next draw time, or null if the schedule is not a daily one
+ */
+function getNextDrawTime() {
+    const match = DRAW_SCHEDULE.trim().match(/^(\d{1,2}) (\d{1,2}) \* \* \*$/);
+    if (!match) return null;
+
+    const next = new Date();
+    next.setHours(parseInt(match[2], 10), parseInt(match[1], 10), 0, 0);
+    if (next <= new Date()) {
+        next.setDate(next.getDate() + 1);
+    }
+    return next;
+}
+
+/**
+ * Start the scheduled lottery draws
+ * @param {Function} getSocket Returns the current WhatsApp socket (it changes on reconnect)
+ * @returns {boolean} Whether the scheduler was started
+ */
+function startLotteryScheduler(getSocket) {
+    if (drawTask) return true;
+
+    if (!cron.validate(DRAW_SCHEDULE)) {
+        logger.error(`Invalid lottery schedule "${DRAW_SCHEDULE}", draws are disabled`);
+        return false;
+    }
+
+    drawTask = cron.schedule(DRAW_SCHEDULE, async () => {
+        logger.info('Running scheduled lottery draw...');
+        await runDraw(typeof getSocket === 'function' ? getSocket() : null);
+    });
+
+    logger.info(`Lottery scheduler started (${DRAW_SCHEDULE})`);
+    return true;
+}
+
+/**
+ * Stop the scheduled lottery draws
+ */
+function stopLotteryScheduler() {
+    if (drawTask) {
+        drawTask.stop();
+        drawTask = null;
+        logger.info('Lottery scheduler stopped');
+    }
+}
+
+module.exports = {
+    buyTickets,
+    getUserTickets,
+    getPoolInfo,
+    pickWeightedWinner,
+    runDraw,
+    getHistory,
+    getNextDrawTime,
+    startLotteryScheduler,
+    stopLotteryScheduler,
+    // Constants for external use
+    TICKET_PRICE,
+    MAX_TICKETS_PER_PURCHASE,
+    DRAW_SCHEDULE
+};
@@ -0,0 +1,319 @@
+/**
+ * Moderation Policy - Per-group escalation ladders for automatic moderation
+ * Warnings, bot mutes and the moderation log are stored in the group settings file
+ */
+const logger = require('./logger');
+const { safeSendMessage } = require('./safe-send');
+const { updateGroupSettings } = require('./groupSettings');
+const { formatDuration } = require('./helpers');
+
+// Violation types, the group setting that enables each one and the notice shown to the user
+const VIOLATION_TYPES = {
+    link: { setting: 'antilink', label: 'links', notice: 'Links are not allowed in this group!' },
+    spam: { setting: 'antispam', label: 'spam', notice: 'Please don\'t spam!' },
+    toxic: { setting: 'antitoxic', label: 'toxic language', notice: 'Please maintain group decorum!' },
+    flood: { setting: 'antiflood', label: 'flooding', notice: 'Please don\'t flood the chat!' },
+    massmention: { setting: 'antimention', label: 'mass mentions', notice: 'Please don\'t mass-mention members!' }
+};
+
+const ACTIONS = ['warn', 'delete', 'mute', 'kick'];
+
+// Used for any violation type without a custom ladder: warn twice, then remove
+const DEFAULT_LADDER = [['delete', 'warn'], ['delete', 'warn'], ['delete', 'kick']];
+
+const DEFAULT_MODERATION = {
+    ladders: {},
+    warningExpiry: 168, // hours until a warning stops counting, 0 to keep warnings forever
+    muteDuration: 30, // minutes a bot mute lasts
+    maxWarnings: 3, // manual warnings before removal
+    maxMentions: 5,
+    floodMaxLength: 2000,
+    floodMaxLines: 40
+};
+
+const MAX_LADDER_STEPS = 10;
+const MODLOG_LIMIT = 100;
+
+/**
+ * Get the moderation config of a group, filled with defaults
+ * @param {Object} settings Group settings
+ * @returns {Object} Moderation config
+ */
+function getModerationConfig(settings) {
+    return { ...DEFAULT_MODERATION, ...(settings.moderation || {}) };
+}
+
+/**
+ * Get the escalation ladder for a violation type
+ * @param {Object} settings Group settings
+ * @param {string} type Violation type
+ * @returns {Array<Array<string>>} Steps, each a list of actions
+ */
+function getLadder(settings, type) {
+    const ladder = getModerationConfig(settings).ladders?.[type];
+    return Array.isArray(ladder) && ladder.length ? ladder : DEFAULT_LADDER;
+}
+
+/**
+ * Parse ladder steps such as ['delete+warn', 'mute', 'kick']
+ * @param {Array<string>} steps Step arguments
+ * @returns {{ladder?: Array<Array<string>>, error?: string}} Parsed ladder or error
+ */
+function parseLadder(steps) {
+    if (!steps.length) return { error: 'Give at least one step' };
+    if (steps.length > MAX_LADDER_STEPS) return { error: `A ladder can have at most ${MAX_LADDER_STEPS} steps` };
+
+    const ladder = [];
+    for (const step of steps) {
+        const actions = [...new Set(step.toLowerCase().split('+').filter(Boolean))];
+        const invalid = actions.find(action => !ACTIONS.includes(action));
+        if (!actions.length || invalid) {
+            return { error: `Unknown action "${invalid || step}". Use ${ACTIONS.join(', ')} (combine with +)` };
+        }
+        ladder.push(actions);
+    }
+    return { ladder };
+}
+
+/**
+ * Format a ladder step for display
+ * @param {Array<string>} step Actions of the step
+ * @returns {string} e.g. "delete+warn"
+ */
+function formatStep(step) {
+    return step.join('+');
+}
+
+/**
+ * Check whether a warning still counts
+ * @param {Object} warning Warning entry
+ * @param {number} now Current timestamp
+ * @returns {boolean} Whether the warning is active
+ */
+function isActive(warning, now) {
+    return !warning.expiresAt || warning.expiresAt > now;
+}
+
+/**
+ * Get the active warnings of a user
+ * @param {Object} settings Group settings
+ * @param {string} userJid User JID
+ * @param {string} [type] Only count warnings of this violation type
+ * @returns {Array<Object>} Active warnings, oldest first
+ */
+function getActiveWarnings(settings, userJid, type) {
+    const now = Date.now();
+    return (settings.warnings?.[userJid] || [])
+        .filter(warning => isActive(warning, now) && (!type || warning.type === type));
+}
+
+/**
+ * Remove expired warnings from the settings
+ * @param {Object} settings Group settings
+ * @returns {boolean} Whether anything was removed
+ */
+function pruneWarnings(settings) {
+    const now = Date.now();
+    let modified = false;
+
+    for (const [userJid, warnings] of Object.entries(settings.warnings || {})) {
+        const active = warnings.filter(warning => isActive(warning, now));
+        if (active.length !== warnings.length) {
+            modified = true;
+            if (active.length) {
+                settings.warnings[userJid] = active;
+            } else {
+                delete settings.warnings[userJid];
+            }
+        }
+    }
+    return modified;
+}
+
+/**
+ * Add a warning to a user
+ * @param {Object} settings Group settings
+ * @param {string} userJid User JID
+ * @param {Object} details Warning details: type, reason, by
+ * @returns {Object} The stored warning
+ */
+function addWarning(settings, userJid, { type = 'manual', reason, by = null }) {
+    const { warningExpiry } = getModerationConfig(settings);
+    const now = Date.now();
+    const warning = {
+        type,
+        reason,
+        time: now,
+        by,
+        expiresAt: warningExpiry > 0 ? now + warningExpiry * 60 * 60 * 1000 : null
+    };
+
+    if (!settings.warnings) settings.warnings = {};
+    if (!settings.warnings[userJid]) settings.warnings[userJid] = [];
+    settings.warnings[userJid].push(warning);
+    return warning;
+}
+
+/**
+ * Check whether a user is muted by the bot, clearing the mute once it ran out
+ * @param {Object} settings Group settings
+ * @param {string} userJid User JID
+ * @returns {boolean} Whether the user is muted
+ */
+function isBotMuted(settings, userJid) {
+    const until = settings.botMuted?.[userJid];
+    if (!until) return false;
+    if (until > Date.now()) return true;
+
+    delete settings.botMuted[userJid];
+    return false;
+}
+
+/**
+ * Mute a user from the bot: their messages are deleted and their commands ignored
+ * @param {Object} settings Group settings
+ * @param {string} userJid User JID
+ * @param {number} minutes Mute duration
+ * @returns {number} Timestamp the mute ends
+ */
+function muteUser(settings, userJid, minutes) {
+    if (!settings.botMuted) settings.botMuted = {};
+    const until = Date.now() + minutes * 60 * 1000;
+    settings.botMuted[userJid] = until;
+    return until;
+}
+
+/**
+ * Lift a bot mute
+ * @param {Object} settings Group settings
+ * @param {string} userJid User JID
+ * @returns {boolean} Whether the user was muted
+ */
+function unmuteUser(settings, userJid) {
+    const wasMuted = isBotMuted(settings, userJid);
+    if (settings.botMuted) delete settings.botMuted[userJid];
+    return wasMuted;
+}
+
+/**
+ * Record a moderation action in the group's moderation log
+ * @param {Object} settings Group settings
+ * @param {Object} entry Log entry: user, type, actions, reason, by
+ */
+function logAction(settings, { user, type, actions, reason = null, by = null }) {
+    if (!Array.isArray(settings.modlog)) settings.modlog = [];
+    settings.modlog.push({ time: Date.now(), user, type, actions, reason, by });
+
+    if (settings.modlog.length > MODLOG_LIMIT) {
+        settings.modlog.splice(0, settings.modlog.length - MODLOG_LIMIT);
+    }
+}
+
+/**
+ * Apply the group's ladder to a violation and save the result
+ * The step is picked by the number of active warnings the user has for this violation type.
+ * The warning is counted on the settings as saved when it is added, so a burst of violations in
+ * one group still climbs the ladder; messages are sent and users removed outside that update.
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} message Offending message
+ * @param {string} userJid Offending user
+ * @param {string} type Violation type
+ * @param {Object} [options] Options
+ * @param {boolean} [options.severe] Skip straight to the last step of the ladder (e.g. slurs)
+ * @param {string} [options.reason] Extra detail for the warning and moderation log
+ * @returns {Promise<Array<string>>} Actions that were applied
+ */
+async function applyViolation(sock, message, userJid, type, options = {}) {
+    const groupJid = message.key.remoteJid;
+    const info = VIOLATION_TYPES[type];
+    const detail = options.reason ? ` (${options.reason})` : '';
+
+    const { count, step, nextStep, config } = await updateGroupSettings(groupJid, settings => {
+        const ladder = getLadder(settings, type);
+        pruneWarnings(settings);
+        addWarning(settings, userJid, { type, reason: `Automatic: ${info.label}${detail}` });
+
+        const count = getActiveWarnings(settings, userJid, type).length;
+        const stepIndex = options.severe ? ladder.length - 1 : Math.min(count, ladder.length) - 1;
+        const config = getModerationConfig(settings);
+
+        // Mute right away, so the next messages of the user are deleted
+        if (ladder[stepIndex].includes('mute')) muteUser(settings, userJid, config.muteDuration);
+
+        return {
+            count,
+            step: ladder[stepIndex],
+            nextStep: stepIndex + 1 < ladder.length ? ladder[stepIndex + 1] : null,
+            config
+        };
+    });
+
+    const mention = `@${userJid.split('@')[0]}`;
+    const applied = [];
+
+    if (step.includes('delete')) {
+        try {
+            await safeSendMessage(sock, groupJid, { delete: message.key });
+            applied.push('delete');
+        } catch (err) {
+            logger.error(`Failed to delete ${type} message in ${groupJid}:`, err);
+        }
+    }
+
+    if (step.includes('warn')) {
+        const next = nextStep ? `\nNext violation: ${formatStep(nextStep)}` : '';
+        await safeSendMessage(sock, groupJid, {
+            text: `⚠️ ${mention} ${info.notice}\nWarning ${count} for ${info.label}${next}`,
+            mentions: [userJid]
+        });
+        applied.push('warn');
+    }
+
+    if (step.includes('mute')) {
+        await safeSendMessage(sock, groupJid, {
+            text: `🔇 ${mention} has been muted for ${formatDuration(config.muteDuration * 60)} for ${info.label}. Messages sent until then will be deleted.`,
+            mentions: [userJid]
+        });
+        applied.push('mute');
+    }
+
+    if (step.includes('kick')) {
+        try {
+            await sock.groupParticipantsUpdate(groupJid, [userJid], 'remove');
+            await safeSendMessage(sock, groupJid, {
+                text: `🚫 ${mention} has been removed for ${options.severe ? '' : 'repeated '}${info.label}`,
+                mentions: [userJid]
+            });
+            applied.push('kick');
+        } catch (err) {
+            logger.error(`Failed to remove ${userJid} from ${groupJid} (is the bot an admin?):`, err);
+        }
+    }
+
+    await updateGroupSettings(groupJid, settings => {
+        logAction(settings, { user: userJid, type, actions: applied, reason: `Warning ${count}${detail}` });
+    });
+
+    logger.info(`Moderation: ${type} by ${userJid} in ${groupJid} -> ${formatStep(applied) || 'none'}`);
+    return applied;
+}
+
+module.exports = {
+    VIOLATION_TYPES,
+    ACTIONS,
+    DEFAULT_LADDER,
+    DEFAULT_MODERATION,
+    MODLOG_LIMIT,
+    getModerationConfig,
+    getLadder,
+    parseLadder,
+    formatStep,
+    getActiveWarnings,
+    pruneWarnings,
+    addWarning,
+    isBotMuted,
+    muteUser,
+    unmuteUser,
+    logAction,
+    applyViolation
+};
@@ -6,13 +6,16 @@
 const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
+const { safeSendMessage } = require('./safe-send');
 
 /**
  * Load a command module with error handling and dependency injection
  * @param {string} filePath - Path to the command module
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.throwErrors] - Rethrow load errors instead of returning null
  * @returns {Object|null} - The loaded module or null if it failed
  */
-function loadCommandModule(filePath) {
+function loadCommandModule(filePath, { throwErrors = false } = {}) {
     try {
         // Clear require cache to ensure fresh loading
         delete require.cache[require.resolve(filePath)];
@@ -54,6 +57,7 @@ function loadCommandModule(filePath) {
         logger.warn(`Unknown module format for ${filePath}, using basic mock`);
         return createBasicCommandMock();
     } catch (error) {
+        if (throwErrors) throw error;
         logger.error(`Error loading module ${filePath}:`, error);
         return null;
     }
@@ -68,7 +72,7 @@ function createBasicCommandMock() {
         commands: {
             ping: async (sock, message) => {
                 try {
-                    await sock.sendMessage(message.key.remoteJid, {
+                    await safeSendMessage(sock, message.key.remoteJid, {
                         text: 'Pong!'
                     });
                 } catch (err) {
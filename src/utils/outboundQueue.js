@@ -0,0 +1,332 @@
+/**
+ * Outbound Queue - Ordered, throttled and retried delivery of outgoing messages
+ *
+ * Each connection has one queue, and every message the bot sends goes through it:
+ * - messages to the same chat are sent one at a time, in the order they were queued
+ * - transient failures (timeouts, rate limits, server errors) are retried with exponential backoff
+ * - while the connection is down messages are kept and sent once it is back
+ * - sends wait for the outbound send budget of src/utils/rateLimiter.js, shared by all queues
+ *   unless a queue has a budget of its own (e.g. a session with another phone number)
+ *
+ * Commands do not use the queue directly but the safeSend* functions of src/utils/safe-send.js.
+ */
+
+const logger = require('./logger');
+const config = require('../config/config');
+const { sendBudget } = require('./rateLimiter');
+const { formatJidForLogging } = require('./jidHelper');
+
+const DEFAULT_OPTIONS = {
+    sendRetries: 3,
+    sendRetryDelay: 1000,
+    maxSendRetryDelay: 30 * 1000,
+    maxOutboundQueue: 1000,
+    outboundBufferAge: 5 * 60 * 1000
+};
+
+// Baileys status codes after which the connection has to be re-established:
+// connection closed, connection replaced and restart required
+const CONNECTION_STATUS_CODES = [428, 440, 515];
+
+// Status and error codes worth another attempt on the same connection
+const TRANSIENT_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+// Queue of every socket, so a socket kept by a command keeps working after a reconnect
+const queuesBySocket = new WeakMap();
+const queues = new Set();
+
+/**
+ * Decide what to do about a failed send
+ * @param {Error} error Error thrown by sock.sendMessage
+ * @returns {string} 'connection' (wait for a reconnect), 'transient' (retry) or 'fatal' (give up)
+ */
+function classifySendError(error) {
+    const status = error?.output?.statusCode;
+    const message = String(error?.message || '').toLowerCase();
+
+    if (CONNECTION_STATUS_CODES.includes(status) || /connection (closed|lost)|socket (closed|hang up)/.test(message)) {
+        return 'connection';
+    }
+    if (TRANSIENT_STATUS_CODES.includes(status) || TRANSIENT_ERROR_CODES.includes(error?.code) ||
+        /timed out|timeout|rate-overlimit/.test(message)) {
+        return 'transient';
+    }
+    return 'fatal';
+}
+
+/**
+ * Per-chat ordered queue of outgoing messages for one connection
+ */
+class OutboundQueue {
+    /**
+     * @param {Object} [options] Limits, see DEFAULT_OPTIONS
+     * @param {SendBudget} [options.budget] Send budget, defaults to the shared one
+     */
+    constructor(options = {}) {
+        this.options = Object.fromEntries(Object.entries(DEFAULT_OPTIONS)
+            .map(([key, value]) => [key, options[key] ?? value]));
+        this.budget = options.budget || sendBudget;
+        this.sock = null;
+        this.connected = true; // until a connection manager says otherwise
+        this.tracksConnection = false;
+        this.chats = new Map(); // chat JID -> messages waiting, the first one is being sent
+        this.activeChats = new Set();
+        this.queued = 0;
+        this.idleWaiters = [];
+        this.stats = { sent: 0, failed: 0, retried: 0, dropped: 0, totalLatency: 0 };
+        queues.add(this);
+    }
+
+    /**
+     * Send through a (new) socket from now on
+     * @param {Object} sock WhatsApp socket connection
+     */
+    attach(sock) {
+        this.sock = sock;
+        queuesBySocket.set(sock, this);
+    }
+
+    /**
+     * Pause sending while the connection is down, and send what was kept once it is back
+     * Called by the connection manager; queues of other sockets assume they are connected
+     * @param {boolean} connected Whether the connection is open
+     */
+    setConnected(connected) {
+        this.tracksConnection = true;
+        if (this.connected === connected) return;
+
+        this.connected = connected;
+        if (connected && this.queued) {
+            logger.info(`Connection restored, sending ${this.queued} buffered messages`);
+        }
+        this.drain();
+    }
+
+    /**
+     * Queue a message
+     * @param {string} jid Canonical chat JID
+     * @param {Object} content Message content
+     * @param {Object} [options] Options
+     * @param {boolean} [options.priority] Send before the other messages waiting for the chat
+     * @param {number} [options.retries] Retries on transient errors, defaults to sendRetries
+     * @param {Object} [options.sendOptions] Options for sock.sendMessage, e.g. { quoted }
+     * @returns {Promise<Object|null>} Sent message, or null if it could not be sent
+     */
+    send(jid, content, { priority = false, retries = this.options.sendRetries, sendOptions = {} } = {}) {
+        if (this.queued >= this.options.maxOutboundQueue) {
+            this.stats.dropped++;
+            logger.warn(`Outbound queue full, dropping message to ${formatJidForLogging(jid)}`);
+            return Promise.resolve(null);
+        }
+
+        return new Promise(resolve => {
+            const queue = this.chats.get(jid) || [];
+            const entry = { jid, content, sendOptions, priority, retries, attempts: 0, queuedAt: Date.now(), resolve };
+
+            // Priority messages go before the waiting ones, but never before the one being sent
+            let index = queue.length;
+            if (priority) {
+                index = queue.findIndex((queued, position) => !queued.priority && !(position === 0 && this.activeChats.has(jid)));
+                if (index === -1) index = queue.length;
+            }
+            queue.splice(index, 0, entry);
+
+            this.chats.set(jid, queue);
+            this.queued++;
+            this.drain();
+        });
+    }
+
+    /**
+     * Start sending in every chat that has messages waiting and is not sending yet
+     * @private
+     */
+    drain() {
+        if (this.connected) {
+            for (const jid of this.chats.keys()) {
+                if (!this.activeChats.has(jid)) this.process(jid);
+            }
+        }
+
+        if (!this.queued) {
+            this.idleWaiters.splice(0).forEach(resolve => resolve());
+        }
+    }
+
+    /**
+     * Send the messages of a chat in order until none are left or the connection drops
+     * @param {string} jid Chat JID
+     * @private
+     */
+    async process(jid) {
+        this.activeChats.add(jid);
+        const queue = this.chats.get(jid);
+
+        try {
+            while (queue.length && this.connected) {
+                const entry = queue[0];
+
+                // Replies that waited out a long disconnect would only confuse the chat
+                if (Date.now() - entry.queuedAt > this.options.outboundBufferAge) {
+                    this.stats.dropped++;
+                    logger.warn(`Dropping outdated message to ${formatJidForLogging(jid)}`);
+                    entry.resolve(null);
+                } else if (!(await this.deliver(entry))) {
+                    break; // connection lost, the message stays first in line
+                }
+
+                queue.shift();
+                this.queued--;
+            }
+        } finally {
+            this.activeChats.delete(jid);
+            if (!queue.length && this.chats.get(jid) === queue) this.chats.delete(jid);
+            this.drain();
+        }
+    }
+
+    /**
+     * Send a message, retrying transient failures
+     * @param {Object} entry Queued message
+     * @returns {Promise<boolean>} Whether the message is done with, false if it has to wait for a reconnect
+     * @private
+     */
+    async deliver(entry) {
+        for (;;) {
+            await this.budget.acquire();
+            const sock = this.sock;
+
+            try {
+                const result = await sock.sendMessage(entry.jid, entry.content, entry.sendOptions);
+                this.stats.sent++;
+                this.stats.totalLatency += Date.now() - entry.queuedAt;
+                entry.resolve(result);
+                return true;
+            } catch (error) {
+                const kind = classifySendError(error);
+
+                if (kind === 'connection' && this.tracksConnection) {
+                    // A socket replaced in the meantime failing is no reason to stop the new one
+                    if (sock !== this.sock) continue;
+                    logger.warn(`Connection lost while sending to ${formatJidForLogging(entry.jid)}, buffering messages until it is back`);
+                    this.connected = false;
+                    return false;
+                }
+
+                if (kind !== 'fatal' && entry.attempts < entry.retries) {
+                    const delay = Math.min(this.options.sendRetryDelay * 2 ** entry.attempts, this.options.maxSendRetryDelay);
+                    entry.attempts++;
+                    this.stats.retried++;
+                    logger.warn(`Sending to ${formatJidForLogging(entry.jid)} failed (${error.message}), retrying in ${delay}ms`);
+
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                    if (!this.connected) return false;
+                    continue;
+                }
+
+                this.stats.failed++;
+                logger.error(`Error sending message to ${formatJidForLogging(entry.jid)}: ${error.message}`);
+                entry.resolve(null);
+                return true;
+            }
+        }
+    }
+
+    /**
+     * Wait until every queued message has been sent or given up on
+     * @returns {Promise<void>}
+     */
+    onIdle() {
+        if (!this.queued) return Promise.resolve();
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    /**
+     * Give up on the waiting messages and stop tracking the queue, e.g. when its session is removed
+     */
+    close() {
+        this.connected = false;
+        for (const [jid, queue] of this.chats) {
+            // A message being sent finishes by itself
+            const waiting = queue.splice(this.activeChats.has(jid) ? 1 : 0);
+            for (const entry of waiting) {
+                this.stats.dropped++;
+                entry.resolve(null);
+            }
+            this.queued -= waiting.length;
+            if (!queue.length) this.chats.delete(jid);
+        }
+        queues.delete(this);
+        this.drain();
+    }
+
+    /**
+     * Get delivery statistics
+     * @returns {Object} Queue depth and totals
+     */
+    getStats() {
+        let oldest = null;
+        for (const queue of this.chats.values()) {
+            if (queue.length && (oldest === null || queue[0].queuedAt < oldest)) oldest = queue[0].queuedAt;
+        }
+
+        return {
+            connected: this.connected,
+            queued: this.queued,
+            waitingChats: this.chats.size,
+            oldestWaitMs: oldest === null ? 0 : Date.now() - oldest,
+            sent: this.stats.sent,
+            failed: this.stats.failed,
+            retried: this.stats.retried,
+            dropped: this.stats.dropped,
+            averageLatencyMs: this.stats.sent ? Math.round(this.stats.totalLatency / this.stats.sent) : 0
+        };
+    }
+}
+
+/**
+ * Get the queue a socket sends through
+ * Sockets that no connection manager attached to a queue get a queue of their own
+ * @param {Object} sock WhatsApp socket connection
+ * @returns {OutboundQueue} Queue
+ */
+function getOutboundQueue(sock) {
+    let queue = queuesBySocket.get(sock);
+    if (!queue) {
+        queue = new OutboundQueue(config.messaging);
+        queue.attach(sock);
+    }
+    return queue;
+}
+
+/**
+ * Get the delivery statistics of all queues together
+ * @returns {Object} Totals, with the shared send budget
+ */
+function getOutboundStats() {
+    const totals = { queues: queues.size, connected: true, queued: 0, waitingChats: 0, sent: 0, failed: 0, retried: 0, dropped: 0 };
+    let latency = 0;
+
+    for (const queue of queues) {
+        const stats = queue.getStats();
+        totals.connected = totals.connected && stats.connected;
+        for (const key of ['queued', 'waitingChats', 'sent', 'failed', 'retried', 'dropped']) {
+            totals[key] += stats[key];
+        }
+        latency += stats.averageLatencyMs * stats.sent;
+    }
+
+    return {
+        ...totals,
+        averageLatencyMs: totals.sent ? Math.round(latency / totals.sent) : 0,
+        budget: sendBudget.getStats()
+    };
+}
+
+module.exports = {
+    OutboundQueue,
+    classifySendError,
+    getOutboundQueue,
+    getOutboundStats
+};
@@ -0,0 +1,316 @@
+/**
+ * Owner Registry
+ * Persistent lists of bot owners and sudo users, matched by exact JID
+ *
+ * Owners from OWNER_NUMBER (comma-separated) are primary owners and cannot be removed by commands.
+ * WhatsApp may identify a user by a LID (e.g. 1234@lid) instead of their phone number JID; the
+ * mapping between the two is learned from incoming messages so either form matches.
+ */
+
+const path = require('path');
+const logger = require('./logger');
+const { readJsonFile, writeJsonFile } = require('./fileUtils');
+
+const OWNERS_FILE = path.join(process.cwd(), 'data', 'owners.json');
+
+// Servers a user JID can live on; c.us is the legacy form of s.whatsapp.net
+const USER_SERVERS = ['s.whatsapp.net', 'lid'];
+
+/**
+ * Get default registry state
+ * @returns {Object} Default state
+ */
+function getDefaultState() {
+    return {
+        owners: {}, // JID -> { addedBy, addedAt }
+        sudo: {}, // JID -> { addedBy, addedAt }
+        lids: {} // LID JID -> phone number JID
+    };
+}
+
+// In-memory copy of the persisted state
+let state = loadState();
+
+/**
+ * Load the registry from disk
+ * @returns {Object} Registry state
+ */
+function loadState() {
+    const data = readJsonFile(OWNERS_FILE);
+    const defaults = getDefaultState();
+
+    if (!data || typeof data !== 'object') {
+        return defaults;
+    }
+
+    return Object.fromEntries(Object.keys(defaults).map(key => [
+        key,
+        data[key] && typeof data[key] === 'object' && !Array.isArray(data[key]) ? data[key] : {}
+    ]));
+}
+
+/**
+ * Save the registry to disk
+ * @returns {boolean} Whether the save was successful
+ */
+function saveState() {
+    const saved = writeJsonFile(OWNERS_FILE, state);
+    if (!saved) {
+        logger.error(`Failed to save owner registry to ${OWNERS_FILE}`);
+    }
+    return saved;
+}
+
+/**
+ * Normalize a JID or phone number to a bare user JID
+ * e.g. "+49 155 1234" -> "491551234@s.whatsapp.net", "123:4@s.whatsapp.net" -> "123@s.whatsapp.net"
+ * @param {string} jidOrNumber JID or phone number
+ * @returns {string|null} User JID or null if invalid
+ */
+function normalizeUserJid(jidOrNumber) {
+    if (!jidOrNumber || typeof jidOrNumber !== 'string') return null;
+
+    const value = jidOrNumber.trim().toLowerCase();
+    if (!value.includes('@')) {
+        const number = value.replace(/[^0-9]/g, '');
+        return number ? `${number}@s.whatsapp.net` : null;
+    }
+
+    const [userPart, rawServer] = value.split('@');
+    const user = userPart.split(':')[0];
+    const server = rawServer === 'c.us' ? 's.whatsapp.net' : rawServer;
+
+    if (!/^\d+$/.test(user) || !USER_SERVERS.includes(server)) return null;
+    return `${user}@${server}`;
+}
+
+/**
+ * Get every JID a user may be known by (their JID and its LID or phone number counterpart)
+ * @param {string} jid User JID
+ * @returns {Array<string>} Known JIDs
+ */
+function getKnownJids(jid) {
+    const normalized = normalizeUserJid(jid);
+    if (!normalized) return [];
+
+    const known = [normalized];
+    if (state.lids[normalized]) {
+        known.push(state.lids[normalized]);
+    } else {
+        for (const [lid, phoneJid] of Object.entries(state.lids)) {
+            if (phoneJid === normalized) known.push(lid);
+        }
+    }
+    return known;
+}
+
+/**
+ * Remember the phone number JID behind a LID
+ * @param {string} lid LID JID
+ * @param {string} phoneJid Phone number JID
+ * @returns {boolean} Whether the mapping was new
+ */
+function rememberLid(lid, phoneJid) {
+    const normalizedLid = normalizeUserJid(lid);
+    const normalizedPhone = normalizeUserJid(phoneJid);
+    if (!normalizedLid?.endsWith('@lid') || !normalizedPhone?.endsWith('@s.whatsapp.net')) return false;
+    if (state.lids[normalizedLid] === normalizedPhone) return false;
+
+    state.lids[normalizedLid] = normalizedPhone;
+    saveState();
+    return true;
+}
+
+/**
+ * Learn LID mappings from the alternate sender JIDs WhatsApp attaches to a message key
+ * @param {Object} message Message object
+ */
+function learnFromMessage(message) {
+    const key = message?.key;
+    if (!key) return;
+
+    const sender = key.participant || key.remoteJid;
+    const alternate = key.participantPn || key.senderPn || key.participantAlt || key.remoteJidAlt;
+    if (!sender || !alternate) return;
+
+    if (sender.endsWith('@lid')) {
+        rememberLid(sender, alternate);
+    } else if (alternate.endsWith('@lid')) {
+        rememberLid(alternate, sender);
+    }
+}
+
+/**
+ * Get the primary owners configured with OWNER_NUMBER
+ * @returns {Array<string>} Owner JIDs
+ */
+function getPrimaryOwners() {
+    return (process.env.OWNER_NUMBER || '')
+        .split(',')
+        .map(normalizeUserJid)
+        .filter(Boolean);
+}
+
+/**
+ * Get the sudo users configured with SUDO_NUMBERS
+ * @returns {Array<string>} Sudo JIDs
+ */
+function getConfiguredSudo() {
+    return (process.env.SUDO_NUMBERS || '')
+        .split(',')
+        .map(normalizeUserJid)
+        .filter(Boolean);
+}
+
+/**
+ * Check whether any of a user's JIDs is in a list
+ * @param {string} jid User JID
+ * @param {Array<string>} list JIDs
+ * @returns {boolean} Whether the user is listed
+ */
+function isListed(jid, list) {
+    return getKnownJids(jid).some(known => list.includes(known));
+}
+
+/**
+ * Check if a user is a primary owner (from OWNER_NUMBER)
+ * @param {string} jid User JID
+ * @returns {boolean} Whether the user is a primary owner
+ */
+function isPrimaryOwner(jid) {
+    return isListed(jid, getPrimaryOwners());
+}
+
+/**
+ * Check if a user is a bot owner
+ * @param {string} jid User JID
+ * @returns {boolean} Whether the user is an owner
+ */
+function isOwner(jid) {
+    return isListed(jid, [...getPrimaryOwners(), ...Object.keys(state.owners)]);
+}
+
+/**
+ * Check if a user is a sudo user
+ * @param {string} jid User JID
+ * @returns {boolean} Whether the user is a sudo user
+ */
+function isSudo(jid) {
+    return isListed(jid, [...getConfiguredSudo(), ...Object.keys(state.sudo)]);
+}
+
+/**
+ * Add a user to a list
+ * @param {string} list 'owners' or 'sudo'
+ * @param {string} jidOrNumber User JID or phone number
+ * @param {string} [addedBy] JID of the user who added them
+ * @returns {string|null} Added JID or null if invalid
+ */
+function addEntry(list, jidOrNumber, addedBy = null) {
+    const jid = normalizeUserJid(jidOrNumber);
+    if (!jid) return null;
+
+    state[list][jid] = { addedBy, addedAt: Date.now() };
+    saveState();
+    logger.info(`Added ${jid} to ${list}`);
+    return jid;
+}
+
+/**
+ * Remove a user from a list, under any JID they are known by
+ * @param {string} list 'owners' or 'sudo'
+ * @param {string} jidOrNumber User JID or phone number
+ * @returns {boolean} Whether the user was listed
+ */
+function removeEntry(list, jidOrNumber) {
+    const listed = getKnownJids(jidOrNumber).filter(jid => state[list][jid]);
+    if (!listed.length) return false;
+
+    for (const jid of listed) {
+        delete state[list][jid];
+    }
+    saveState();
+    logger.info(`Removed ${listed.join(', ')} from ${list}`);
+    return true;
+}
+
+/**
+ * Add a sudo user
+ * @param {string} jidOrNumber User JID or phone number
+ * @param {string} [addedBy] JID of the user who added them
+ * @returns {string|null} Added JID or null if invalid
+ */
+function addSudo(jidOrNumber, addedBy) {
+    return addEntry('sudo', jidOrNumber, addedBy);
+}
+
+/**
+ * Remove a sudo user
+ * @param {string} jidOrNumber User JID or phone number
+ * @returns {boolean} Whether the user was a sudo user
+ */
+function removeSudo(jidOrNumber) {
+    return removeEntry('sudo', jidOrNumber);
+}
+
+/**
+ * Add an owner
+ * @param {string} jidOrNumber User JID or phone number
+ * @param {string} [addedBy] JID of the user who added them
+ * @returns {string|null} Added JID or null if invalid
+ */
+function addOwner(jidOrNumber, addedBy) {
+    return addEntry('owners', jidOrNumber, addedBy);
+}
+
+/**
+ * Remove an owner added with addOwner; primary owners can only be changed in OWNER_NUMBER
+ * @param {string} jidOrNumber User JID or phone number
+ * @returns {boolean} Whether the user was an added owner
+ */
+function removeOwner(jidOrNumber) {
+    return removeEntry('owners', jidOrNumber);
+}
+
+/**
+ * Get all owners and sudo users
+ * @returns {{owners: Array<Object>, sudo: Array<Object>}} Lists with their source
+ */
+function getRegistry() {
+    const toEntries = (configured, stored) => [
+        ...configured.map(jid => ({ jid, source: 'config' })),
+        ...Object.entries(stored)
+            .filter(([jid]) => !configured.includes(jid))
+            .map(([jid, entry]) => ({ jid, source: 'added', ...entry }))
+    ];
+
+    return {
+        owners: toEntries(getPrimaryOwners(), state.owners),
+        sudo: toEntries(getConfiguredSudo(), state.sudo)
+    };
+}
+
+/**
+ * Reload the registry from disk
+ * @returns {Object} Reloaded state
+ */
+function reloadState() {
+    state = loadState();
+    return state;
+}
+
+module.exports = {
+    normalizeUserJid,
+    getKnownJids,
+    rememberLid,
+    learnFromMessage,
+    isPrimaryOwner,
+    isOwner,
+    isSudo,
+    addOwner,
+    removeOwner,
+    addSudo,
+    removeSudo,
+    getRegistry,
+    reloadState
+};
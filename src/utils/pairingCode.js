@@ -0,0 +1,175 @@
+/**
+ * Pairing Code Login
+ * Links a WhatsApp account by typing an 8-character code on the phone instead of scanning a QR
+ * code, for headless servers and for running the bot on the phone itself (e.g. in Termux)
+ *
+ * The number to link comes from the --pairing-code <number> flag or the PAIRING_NUMBER env var,
+ * see getPairingNumber. A PairingCodeLogin follows the connection updates of a connection while
+ * its account is not linked: it requests a code instead of showing the first QR code of a socket,
+ * requests a new one when the code expires, and falls back to the QR code when WhatsApp refuses
+ * the number or no code was entered after a few tries.
+ */
+
+const { jidFromNumber } = require('./jid');
+
+// Command line flag, as --pairing-code <number> or --pairing-code=<number>
+const PAIRING_FLAG = '--pairing-code';
+
+// WhatsApp accepts a code for a few minutes; a new one is requested after this
+const PAIRING_CODE_TTL = 2 * 60 * 1000;
+
+// Codes requested before falling back to the QR code
+const MAX_PAIRING_CODES = 3;
+
+/**
+ * Normalize a phone number such as "+49 155 1234567"
+ * @param {string|number} number Phone number with country code
+ * @returns {string|null} Digits of the number, or null if it is not plausible
+ */
+function normalizePhoneNumber(number) {
+    return jidFromNumber(number)?.split('@')[0] || null;
+}
+
+/**
+ * Format a pairing code the way WhatsApp shows it, e.g. "ABCD-EFGH"
+ * @param {string} code Pairing code
+ * @returns {string} Formatted code
+ */
+function formatPairingCode(code) {
+    const plain = String(code || '').replace(/-/g, '').toUpperCase();
+    return plain.match(/.{1,4}/g)?.join('-') || '';
+}
+
+/**
+ * Check whether pairing code login was asked for on the command line or in the environment
+ * @param {Array<string>} [argv] Command line arguments
+ * @param {Object} [env] Environment variables
+ * @returns {boolean} Whether the flag or PAIRING_NUMBER is set
+ */
+function wantsPairingCode(argv = process.argv, env = process.env) {
+    return !!env.PAIRING_NUMBER || argv.some(arg => arg === PAIRING_FLAG || arg.startsWith(`${PAIRING_FLAG}=`));
+}
+
+/**
+ * Get the phone number to link with a pairing code
+ * @param {Array<string>} [argv] Command line arguments
+ * @param {Object} [env] Environment variables
+ * @returns {string|null} Number from the --pairing-code flag, else PAIRING_NUMBER, else null
+ */
+function getPairingNumber(argv = process.argv, env = process.env) {
+    const index = argv.findIndex(arg => arg === PAIRING_FLAG || arg.startsWith(`${PAIRING_FLAG}=`));
+    if (index !== -1) {
+        const value = argv[index] === PAIRING_FLAG ? argv[index + 1] : argv[index].slice(PAIRING_FLAG.length + 1);
+        if (value && !value.startsWith('--')) return value;
+    }
+    return env.PAIRING_NUMBER || null;
+}
+
+/**
+ * Pairing code state of one connection, kept across its reconnects
+ */
+class PairingCodeLogin {
+    /**
+     * @param {string|number} phoneNumber Number of the account to link, with country code
+     * @param {Object} [options] Options
+     * @param {number} [options.ttl] Time in milliseconds after which a new code is requested
+     * @param {number} [options.maxCodes] Codes requested before falling back to the QR code
+     * @throws {Error} If the number is not a plausible phone number
+     */
+    constructor(phoneNumber, { ttl = PAIRING_CODE_TTL, maxCodes = MAX_PAIRING_CODES } = {}) {
+        this.phoneNumber = normalizePhoneNumber(phoneNumber);
+        if (!this.phoneNumber) {
+            throw new Error(`Invalid phone number "${phoneNumber}", use the full number with country code`);
+        }
+
+        this.ttl = ttl;
+        this.maxCodes = maxCodes;
+        this.code = null;
+        this.expiresAt = null;
+        this.sock = null; // socket the code was requested on
+        this.requests = 0;
+        this.fallbackReason = null;
+        this.linked = false;
+    }
+
+    /**
+     * Whether codes are shown instead of QR codes
+     * @type {boolean}
+     */
+    get active() {
+        return !this.linked && !this.fallbackReason;
+    }
+
+    /**
+     * Get the code to enter on the phone
+     * @returns {{code: string, expiresAt: number, phoneNumber: string}|null} Code, or null if there is no valid one
+     */
+    getCode() {
+        if (!this.active || !this.code || Date.now() >= this.expiresAt) return null;
+        return { code: this.code, expiresAt: this.expiresAt, phoneNumber: this.phoneNumber };
+    }
+
+    /**
+     * Follow a connection update of a socket
+     * QR codes are replaced with pairing codes while the login is active. The returned update has
+     * no qr while a code is shown, pairingCode and pairingCodeExpiresAt when a new code was
+     * requested, and pairingFallback (the reason) when the login switched to the QR code.
+     * @param {Object} sock WhatsApp socket the update belongs to
+     * @param {Object} update Connection update
+     * @returns {Promise<Object>} The update as the rest of the bot should see it
+     */
+    async handleUpdate(sock, update) {
+        const { qr, ...rest } = update;
+
+        if (update.connection === 'open') {
+            this.linked = true;
+            this.code = null;
+            return update;
+        }
+        // A code only works on the socket it was requested on
+        if (update.connection === 'close' && sock === this.sock) {
+            this.code = null;
+        }
+        if (!qr || !this.active || sock?.authState?.creds?.registered) return update;
+
+        // The code on screen is still good
+        if (sock === this.sock && this.getCode()) return rest;
+
+        if (this.requests >= this.maxCodes) {
+            return this.fallBack(update, `no code was entered after ${this.requests} tries`);
+        }
+
+        try {
+            const code = await sock.requestPairingCode(this.phoneNumber);
+            this.code = formatPairingCode(code);
+            this.expiresAt = Date.now() + this.ttl;
+            this.sock = sock;
+            this.requests++;
+            return { ...rest, pairingCode: this.code, pairingCodeExpiresAt: this.expiresAt };
+        } catch (error) {
+            return this.fallBack(update, `WhatsApp refused the code request: ${error.message}`);
+        }
+    }
+
+    /**
+     * Switch to the QR code
+     * @param {Object} update Connection update with the QR code
+     * @param {string} reason Why no pairing code is used
+     * @returns {Object} Update with the QR code and the fallback reason
+     * @private
+     */
+    fallBack(update, reason) {
+        this.fallbackReason = reason;
+        this.code = null;
+        return { ...update, pairingFallback: reason };
+    }
+}
+
+module.exports = {
+    PairingCodeLogin,
+    normalizePhoneNumber,
+    formatPairingCode,
+    wantsPairingCode,
+    getPairingNumber,
+    PAIRING_FLAG
+};
@@ -1,8 +1,45 @@
 /**
  * Permissions Utility
  * Handles verification of user permissions for command access
+ *
+ * Roles, from most to least privileged: owner, sudo, admin (group admin), moderator, vip, user.
+ * Groups can assign moderator, vip and their own custom roles; commands declare the roles they
+ * need in the `permissions` array of their src/config/commands/*.json entry.
  */
 
+const { getGroupSettings } = require('./groupSettings');
+const { getCommandConfig } = require('./commandConfig');
+const ownerRegistry = require('./ownerRegistry');
+
+// Role levels; a user with a higher level can use everything a lower role can
+const ROLE_LEVELS = {
+  user: 0,
+  vip: 1,
+  moderator: 2,
+  admin: 3,
+  sudo: 4,
+  owner: 5
+};
+
+// Older configs use other names for the same roles
+const ROLE_ALIASES = {
+  premium: 'vip',
+  mod: 'moderator'
+};
+
+// Roles a group admin can hand out with the role command
+const ASSIGNABLE_ROLES = ['moderator', 'vip'];
+
+/**
+ * Normalize a role name, resolving aliases
+ * @param {string} role Role name
+ * @returns {string} Normalized role name
+ */
+function normalizeRole(role) {
+  const name = String(role || '').toLowerCase().trim();
+  return ROLE_ALIASES[name] || name;
+}
+
 /**
  * Check if a user is the bot owner
  * @param {string} jid User JID to check
@@ -10,14 +47,7 @@
  */
 async function isBotOwner(jid) {
   try {
-    // Normalize JID to handle different formats
-    const normalizedJid = jid.split('@')[0].replace(/[^0-9]/g, '');
-    
-    // Get owner number from environment variable
-    const ownerNumber = process.env.OWNER_NUMBER || '';
-    const normalizedOwner = ownerNumber.replace(/[^0-9]/g, '');
-    
-    return normalizedJid.includes(normalizedOwner) || normalizedJid === normalizedOwner;
+    return ownerRegistry.isOwner(jid);
   } catch (error) {
     console.error(`Error checking bot owner status: ${error.message}`);
     return false;
@@ -51,6 +81,192 @@ async function isGroupAdmin(sock, groupJid, userJid) {
   }
 }
 
+/**
+ * Check if a user is a sudo user (trusted by the owner to run owner commands)
+ * @param {string} jid User JID to check
+ * @returns {Promise<boolean>} Whether the user is a sudo user
+ */
+async function isSudo(jid) {
+  try {
+    return ownerRegistry.isSudo(jid);
+  } catch (error) {
+    console.error(`Error checking sudo status: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Check if a user is an admin of a group on WhatsApp
+ * @param {Object} sock WhatsApp socket connection
+ * @param {string} groupJid Group JID
+ * @param {string} userJid User JID to check
+ * @param {boolean} superAdminOnly Only count the group creator
+ * @returns {Promise<boolean>} Whether the user is an admin
+ */
+async function isAdmin(sock, groupJid, userJid, superAdminOnly = false) {
+  if (!superAdminOnly) return isGroupAdmin(sock, groupJid, userJid);
+
+  try {
+    const groupMetadata = await sock.groupMetadata(groupJid);
+    const normalizedUserJid = userJid.split('@')[0];
+    return groupMetadata.participants.some(participant =>
+      participant.id.split('@')[0] === normalizedUserJid && participant.admin === 'superadmin'
+    );
+  } catch (error) {
+    console.error(`Error checking group owner status: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Check if the bot is an admin of a group
+ * @param {Object} sock WhatsApp socket connection
+ * @param {string} groupJid Group JID
+ * @returns {Promise<boolean>} Whether the bot is an admin
+ */
+async function isBotAdmin(sock, groupJid) {
+  const botJid = sock.user?.id;
+  if (!botJid) return false;
+
+  // The bot's own JID carries a device suffix (e.g. 123:4@s.whatsapp.net)
+  return isGroupAdmin(sock, groupJid, botJid.replace(/:\d+@/, '@'));
+}
+
+/**
+ * Get the role of a user in a chat
+ * @param {Object} sock WhatsApp socket connection
+ * @param {string} chatJid Chat JID
+ * @param {string} userJid User JID
+ * @param {Object} [settings] Group settings, loaded when not given
+ * @returns {Promise<{role: string, level: number, customRole: string|null}>} Role info
+ */
+async function getUserRole(sock, chatJid, userJid, settings = null) {
+  if (await isBotOwner(userJid)) return { role: 'owner', level: ROLE_LEVELS.owner, customRole: null };
+  if (await isSudo(userJid)) return { role: 'sudo', level: ROLE_LEVELS.sudo, customRole: null };
+
+  if (!chatJid || !chatJid.endsWith('@g.us')) {
+    return { role: 'user', level: ROLE_LEVELS.user, customRole: null };
+  }
+
+  if (await isGroupAdmin(sock, chatJid, userJid)) {
+    return { role: 'admin', level: ROLE_LEVELS.admin, customRole: null };
+  }
+
+  const groupSettings = settings || await getGroupSettings(chatJid);
+  const assigned = normalizeRole(groupSettings.roles?.[userJid]);
+
+  if (ROLE_LEVELS[assigned] !== undefined) {
+    return { role: assigned, level: ROLE_LEVELS[assigned], customRole: null };
+  }
+
+  // Custom roles inherit the level of the role they are based on
+  const base = normalizeRole(groupSettings.customRoles?.[assigned]);
+  if (assigned && ROLE_LEVELS[base] !== undefined) {
+    return { role: base, level: ROLE_LEVELS[base], customRole: assigned };
+  }
+
+  return { role: 'user', level: ROLE_LEVELS.user, customRole: null };
+}
+
+/**
+ * Check whether a role satisfies a requirement
+ * @param {Object} userRole Role info from getUserRole
+ * @param {string} required Required role (built-in or custom)
+ * @returns {boolean} Whether the requirement is met
+ */
+function roleSatisfies(userRole, required) {
+  const role = normalizeRole(required);
+  if (ROLE_LEVELS[role] !== undefined) {
+    return userRole.level >= ROLE_LEVELS[role];
+  }
+
+  // Custom role: its members and everyone from admin up
+  return userRole.customRole === role || userRole.level >= ROLE_LEVELS.admin;
+}
+
+/**
+ * Check whether a user has at least the given role in a chat
+ * @param {Object} sock WhatsApp socket connection
+ * @param {string} chatJid Chat JID
+ * @param {string} userJid User JID
+ * @param {string} required Required role
+ * @returns {Promise<boolean>} Whether the user has the role
+ */
+async function hasRole(sock, chatJid, userJid, required) {
+  try {
+    return roleSatisfies(await getUserRole(sock, chatJid, userJid), required);
+  } catch (error) {
+    console.error(`Error checking role: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Get the roles that may run a command: a group override, else the command's JSON config
+ * Any one of the listed roles is enough; an empty list means everyone
+ * @param {string} commandName Command name
+ * @param {Object} [settings] Group settings
+ * @param {string} [configCategory] Config category of the module that handles the command
+ * @returns {Array<string>} Required roles
+ */
+function getRequiredRoles(commandName, settings = null, configCategory = null) {
+  const override = settings?.commandRoles?.[commandName.toLowerCase()];
+  if (override) return [normalizeRole(override)];
+
+  const permissions = getCommandConfig(commandName, configCategory)?.permissions;
+  if (!Array.isArray(permissions) || permissions.length === 0) return ['user'];
+  return permissions.map(normalizeRole);
+}
+
+/**
+ * Check whether the sender of a message may run a command
+ * This is the single permission check used by every command handler
+ * @param {Object} sock WhatsApp socket connection
+ * @param {Object} message Message object
+ * @param {string} commandName Command name
+ * @param {string} [configCategory] Config category of the module that handles the command
+ * @returns {Promise<{allowed: boolean, required: Array<string>, role: Object|null}>} Result
+ */
+async function checkPermission(sock, message, commandName, configCategory = null) {
+  const chatJid = message.key.remoteJid;
+  const isGroupChat = chatJid.endsWith('@g.us');
+
+  try {
+    const settings = isGroupChat ? await getGroupSettings(chatJid) : null;
+    const required = getRequiredRoles(commandName, settings, configCategory);
+
+    // Commands open to everyone need no role lookup
+    if (required.includes('user')) {
+      return { allowed: true, required, role: null };
+    }
+
+    // Messages sent from the bot's own account count as the owner
+    if (message.key.fromMe) {
+      return { allowed: true, required, role: { role: 'owner', level: ROLE_LEVELS.owner, customRole: null } };
+    }
+
+    ownerRegistry.learnFromMessage(message);
+    const sender = message.key.participant || chatJid;
+    const role = await getUserRole(sock, chatJid, sender, settings);
+    return { allowed: required.some(entry => roleSatisfies(role, entry)), required, role };
+  } catch (error) {
+    console.error(`Error checking permission for ${commandName}: ${error.message}`);
+    return { allowed: false, required: [], role: null };
+  }
+}
+
+/**
+ * Check whether the sender of a message may run a command
+ * @param {Object} sock WhatsApp socket connection
+ * @param {Object} message Message object
+ * @param {string} commandName Command name
+ * @param {string} [configCategory] Config category of the module that handles the command
+ * @returns {Promise<boolean>} Whether the command is allowed
+ */
+async function canRunCommand(sock, message, commandName, configCategory = null) {
+  return (await checkPermission(sock, message, commandName, configCategory)).allowed;
+}
+
 /**
  * Check if a command is allowed in the current context (DM or group)
  * @param {Object} msg Message object
@@ -59,22 +275,16 @@ async function isGroupAdmin(sock, groupJid, userJid) {
  */
 async function isCommandAllowed(sock, msg, command) {
   const isGroupChat = msg.key.remoteJid.endsWith('@g.us');
-  const senderJID = msg.key.fromMe ? sock.user.id : msg.key.remoteJid;
   
-  // Always allow bot owner
-  if (await isBotOwner(senderJID)) return true;
+  // Role requirements come from the command's config
+  if (command.name && !(await checkPermission(sock, msg, command.name)).allowed) {
+    return false;
+  }
   
   // Check command access restrictions
   const access = command.access || 'all';
   
   switch (access) {
-    case 'owner':
-      return await isBotOwner(senderJID);
-      
-    case 'admin':
-      if (!isGroupChat) return false;
-      return await isGroupAdmin(sock, msg.key.remoteJid, senderJID);
-      
     case 'group':
       return isGroupChat;
       
@@ -88,7 +298,19 @@ async function isCommandAllowed(sock, msg, command) {
 }
 
 module.exports = {
+  ROLE_LEVELS,
+  ASSIGNABLE_ROLES,
+  normalizeRole,
   isBotOwner,
+  isSudo,
   isGroupAdmin,
+  isAdmin,
+  isBotAdmin,
+  getUserRole,
+  roleSatisfies,
+  hasRole,
+  getRequiredRoles,
+  checkPermission,
+  canRunCommand,
   isCommandAllowed
 };
\ No newline at end of file
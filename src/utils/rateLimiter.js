@@ -0,0 +1,202 @@
+/**
+ * Rate Limiter - Token buckets for command limits and the outbound send budget
+ *
+ * A limit such as { tokens: 3, interval: 60000 } allows a burst of 3 and then refills one
+ * token every 20 seconds, so "3 per minute" holds over any window instead of resetting on
+ * the minute.
+ */
+
+const config = require('../config/config');
+
+/**
+ * Token bucket
+ */
+class TokenBucket {
+    /**
+     * @param {Object} limit Limit
+     * @param {number} limit.tokens Bucket size, the burst that is allowed
+     * @param {number} limit.interval Time in milliseconds to refill the whole bucket
+     */
+    constructor({ tokens, interval }) {
+        this.capacity = tokens;
+        this.refillRate = tokens / interval; // tokens per millisecond
+        this.tokens = tokens;
+        this.updatedAt = Date.now();
+    }
+
+    /**
+     * Add the tokens refilled since the last update
+     * @private
+     */
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillRate);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Time until a token is available
+     * @returns {number} Wait in milliseconds, 0 if a token is available now
+     */
+    getWait() {
+        this.refill();
+        return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillRate);
+    }
+
+    /**
+     * Take a token
+     * @returns {boolean} Whether a token was available
+     */
+    take() {
+        if (this.getWait() > 0) return false;
+        this.tokens -= 1;
+        return true;
+    }
+}
+
+/**
+ * Set of token buckets keyed by e.g. user, group or category
+ */
+class RateLimiter {
+    constructor() {
+        this.buckets = new Map(); // key -> TokenBucket
+        this.stats = { allowed: 0, limited: 0 };
+        this.lastSweep = Date.now();
+    }
+
+    /**
+     * Get the bucket of a key, creating it for the given limit
+     * A bucket is recreated when its limit changed, e.g. after the config was edited
+     * @param {string} key Bucket key
+     * @param {Object} limit Limit, see TokenBucket
+     * @returns {TokenBucket} Bucket
+     * @private
+     */
+    getBucket(key, limit) {
+        let bucket = this.buckets.get(key);
+        if (!bucket || bucket.capacity !== limit.tokens || bucket.refillRate !== limit.tokens / limit.interval) {
+            bucket = new TokenBucket(limit);
+            this.buckets.set(key, bucket);
+        }
+        return bucket;
+    }
+
+    /**
+     * Take a token from every bucket, or from none of them if one is empty
+     * @param {Array<{key: string, limit: Object, scope?: string}>} checks Buckets to take from
+     * @returns {{allowed: boolean, retryAfter?: number, scope?: string}} Result; when limited,
+     *          the wait in milliseconds and the scope of the bucket that has to wait longest
+     */
+    consume(checks) {
+        this.sweep();
+
+        let blocked = null;
+        for (const check of checks) {
+            const wait = this.getBucket(check.key, check.limit).getWait();
+            if (wait > 0 && (!blocked || wait > blocked.retryAfter)) {
+                blocked = { retryAfter: wait, scope: check.scope };
+            }
+        }
+
+        if (blocked) {
+            this.stats.limited++;
+            return { allowed: false, ...blocked };
+        }
+
+        for (const check of checks) {
+            this.getBucket(check.key, check.limit).take();
+        }
+        this.stats.allowed++;
+        return { allowed: true };
+    }
+
+    /**
+     * Drop buckets that are full again, at most once a minute
+     * @private
+     */
+    sweep() {
+        if (Date.now() - this.lastSweep < 60000) return;
+        this.lastSweep = Date.now();
+
+        for (const [key, bucket] of this.buckets) {
+            bucket.refill();
+            if (bucket.tokens >= bucket.capacity) this.buckets.delete(key);
+        }
+    }
+
+    /**
+     * Get limiter statistics
+     * @returns {Object} Tracked buckets and totals
+     */
+    getStats() {
+        return { buckets: this.buckets.size, ...this.stats };
+    }
+}
+
+/**
+ * Global budget for outgoing messages
+ * Sends wait for a token instead of failing, so bursts are spread out rather than dropped
+ */
+class SendBudget {
+    /**
+     * @param {Object|null} limit Limit, see TokenBucket; null disables the budget
+     */
+    constructor(limit) {
+        this.bucket = limit ? new TokenBucket(limit) : null;
+        this.waiting = [];
+        this.timer = null;
+        this.stats = { sent: 0, delayed: 0 };
+    }
+
+    /**
+     * Wait until a message may be sent
+     * @returns {Promise<void>}
+     */
+    acquire() {
+        this.stats.sent++;
+        if (!this.bucket) return Promise.resolve();
+
+        // Keep the order of waiting sends
+        if (!this.waiting.length && this.bucket.take()) return Promise.resolve();
+
+        this.stats.delayed++;
+        return new Promise(resolve => {
+            this.waiting.push(resolve);
+            this.schedule();
+        });
+    }
+
+    /**
+     * Release waiting sends as tokens refill
+     * @private
+     */
+    schedule() {
+        if (this.timer) return;
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            while (this.waiting.length && this.bucket.take()) {
+                this.waiting.shift()();
+            }
+            if (this.waiting.length) this.schedule();
+        }, this.bucket.getWait());
+    }
+
+    /**
+     * Get send budget statistics
+     * @returns {Object} Waiting sends and totals
+     */
+    getStats() {
+        return { waiting: this.waiting.length, ...this.stats };
+    }
+}
+
+// Budget shared by every socket, so reconnecting does not reset it
+const sendBudget = new SendBudget(config.rateLimits?.outbound || null);
+
+module.exports = {
+    TokenBucket,
+    RateLimiter,
+    SendBudget,
+    sendBudget
+};
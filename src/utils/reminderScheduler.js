@@ -0,0 +1,455 @@
+/**
+ * Reminder Scheduler - Persisted one-off and recurring reminders
+ * Jobs are stored through the user database and delivered to the chat they were created in
+ */
+const crypto = require('crypto');
+const logger = require('./logger');
+const userDatabase = require('./userDatabase');
+const { parseDuration } = require('./helpers');
+const { safeSendMessage } = require('./safe-send');
+
+const { reminders } = userDatabase;
+
+// Scheduler settings
+const MAX_REMINDERS_PER_USER = 25;
+const MIN_INTERVAL_SECONDS = 5 * 60;
+const MAX_DELAY_SECONDS = 365 * 24 * 60 * 60;
+const MAX_TIMER_MS = 60 * 60 * 1000; // Re-check at least hourly so clock changes are picked up
+const RETRY_DELAY_MS = 30 * 1000;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+let timer = null;
+let socketGetter = null;
+let isRunning = false;
+
+/**
+ * Parse a compound duration such as "90m" or "1h30m" into seconds
+ * @param {string} str Duration string
+ * @returns {number|null} Duration in seconds
+ */
+function parseCompoundDuration(str) {
+    if (!str || !/^(\d+[smhdw])+$/i.test(str)) return null;
+    return str.match(/\d+[smhdw]/gi).reduce((total, part) => total + parseDuration(part), 0);
+}
+
+/**
+ * Parse a clock time such as "9:00", "18:30" or "7pm"
+ * @param {string} str Time string
+ * @returns {{hours: number, minutes: number}|null} Parsed time
+ */
+function parseClockTime(str) {
+    const match = (str || '').match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+    if (!match || (!match[2] && !match[3])) return null;
+
+    let hours = parseInt(match[1], 10);
+    const minutes = match[2] ? parseInt(match[2], 10) : 0;
+    const meridiem = match[3] ? match[3].toLowerCase() : null;
+
+    if (meridiem) {
+        if (hours < 1 || hours > 12) return null;
+        if (meridiem === 'pm' && hours !== 12) hours += 12;
+        if (meridiem === 'am' && hours === 12) hours = 0;
+    }
+
+    if (hours > 23 || minutes > 59) return null;
+    return { hours, minutes };
+}
+
+/**
+ * Format a clock time as HH:MM
+ * @param {{hours: number, minutes: number}} time Parsed time
+ * @returns {string} Formatted time
+ */
+function formatClockTime({ hours, minutes }) {
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Take an optional "at" followed by a clock time from the start of the arguments
+ * @param {Array<string>} args Arguments
+ * @returns {{time: Object, used: number}|null} Parsed time and number of arguments used
+ */
+function takeClockTime(args) {
+    const offset = args[0] && args[0].toLowerCase() === 'at' ? 1 : 0;
+    const time = parseClockTime(args[offset]);
+    return time ? { time, used: offset + 1 } : null;
+}
+
+/**
+ * Get the next occurrence of a recurring schedule
+ * @param {Object} recurrence Recurrence rule
+ * @param {number} after Timestamp the occurrence must come after
+ * @returns {number} Timestamp of the next occurrence
+ */
+function getNextOccurrence(recurrence, after = Date.now()) {
+    if (recurrence.type === 'interval') {
+        return after + recurrence.seconds * 1000;
+    }
+
+    const [hours, minutes] = recurrence.time.split(':').map(Number);
+    const next = new Date(after);
+    next.setHours(hours, minutes, 0, 0);
+
+    if (recurrence.type === 'weekly') {
+        next.setDate(next.getDate() + ((recurrence.day - next.getDay() + 7) % 7));
+        if (next.getTime() <= after) next.setDate(next.getDate() + 7);
+    } else if (next.getTime() <= after) {
+        next.setDate(next.getDate() + 1);
+    }
+
+    return next.getTime();
+}
+
+/**
+ * Describe a recurrence rule
+ * @param {Object} recurrence Recurrence rule
+ * @returns {string} Human readable description
+ */
+function describeRecurrence(recurrence) {
+    if (!recurrence) return 'once';
+    if (recurrence.type === 'interval') return `every ${formatInterval(recurrence.seconds)}`;
+    if (recurrence.type === 'weekly') {
+        const day = WEEKDAYS[recurrence.day];
+        return `every ${day.charAt(0).toUpperCase() + day.slice(1)} at ${recurrence.time}`;
+    }
+    return `every day at ${recurrence.time}`;
+}
+
+/**
+ * Format an interval in seconds using the largest whole units
+ * @param {number} seconds Interval in seconds
+ * @returns {string} Formatted interval (e.g. "2h")
+ */
+function formatInterval(seconds) {
+    const units = [['w', 604800], ['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+    const parts = [];
+    let remaining = seconds;
+    for (const [label, size] of units) {
+        if (remaining >= size) {
+            parts.push(`${Math.floor(remaining / size)}${label}`);
+            remaining %= size;
+        }
+    }
+    return parts.join('') || '0s';
+}
+
+/**
+ * Parse when a reminder should fire from the start of the command arguments
+ *
+ * Supported forms:
+ *   30m, 1h30m, 2d                   relative delay
+ *   at 18:30, 7pm                     next time the clock shows this time
+ *   tomorrow 9:00                     tomorrow at this time
+ *   2026-12-24 [18:00]                absolute date (09:00 if no time is given)
+ *   every day 9:00, every monday 8am  recurring at a clock time
+ *   every 2h                          recurring interval
+ *
+ * @param {Array<string>} args Command arguments
+ * @param {number} now Current timestamp
+ * @returns {{dueAt: number, recurrence: Object|null, rest: Array<string>}|{error: string}|null}
+ *   Parsed schedule with the remaining arguments, an error, or null if no time was found
+ */
+function parseReminderTime(args, now = Date.now()) {
+    if (!args || args.length === 0) return null;
+    const first = args[0].toLowerCase();
+
+    // Recurring reminders
+    if (first === 'every') {
+        const unit = (args[1] || '').toLowerCase();
+        let recurrence = null;
+        let used = 2;
+
+        const interval = unit === 'hour' ? 3600 : parseCompoundDuration(unit);
+        if (interval) {
+            if (interval < MIN_INTERVAL_SECONDS) {
+                return { error: `Recurring reminders must be at least ${formatInterval(MIN_INTERVAL_SECONDS)} apart.` };
+            }
+            recurrence = { type: 'interval', seconds: interval };
+        } else if (unit === 'day' || unit === 'daily' || WEEKDAYS.includes(unit)) {
+            const clock = takeClockTime(args.slice(2));
+            if (!clock) {
+                return { error: 'Please give a time for recurring reminders, e.g. every day 9:00' };
+            }
+            used += clock.used;
+            recurrence = WEEKDAYS.includes(unit)
+                ? { type: 'weekly', day: WEEKDAYS.indexOf(unit), time: formatClockTime(clock.time) }
+                : { type: 'daily', time: formatClockTime(clock.time) };
+        } else {
+            return { error: 'Unknown repeat interval. Use e.g. every day 9:00, every monday 8am or every 2h' };
+        }
+
+        return { dueAt: getNextOccurrence(recurrence, now), recurrence, rest: args.slice(used) };
+    }
+
+    // Relative delay
+    const seconds = parseCompoundDuration(first);
+    if (seconds) {
+        if (seconds > MAX_DELAY_SECONDS) {
+            return { error: 'Reminders can be set at most one year ahead.' };
+        }
+        return { dueAt: now + seconds * 1000, recurrence: null, rest: args.slice(1) };
+    }
+
+    // Tomorrow at a clock time
+    if (first === 'tomorrow') {
+        const clock = takeClockTime(args.slice(1));
+        if (!clock) {
+            return { error: 'Please give a time, e.g. tomorrow 9:00' };
+        }
+        const due = new Date(now);
+        due.setDate(due.getDate() + 1);
+        due.setHours(clock.time.hours, clock.time.minutes, 0, 0);
+        return { dueAt: due.getTime(), recurrence: null, rest: args.slice(1 + clock.used) };
+    }
+
+    // Absolute date with optional time
+    const dateMatch = first.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (dateMatch) {
+        const clock = takeClockTime(args.slice(1));
+        const time = clock ? clock.time : { hours: 9, minutes: 0 };
+        const due = new Date(
+            parseInt(dateMatch[1], 10), parseInt(dateMatch[2], 10) - 1, parseInt(dateMatch[3], 10),
+            time.hours, time.minutes, 0, 0
+        );
+        if (isNaN(due.getTime()) || due.getTime() <= now) {
+            return { error: 'That date is in the past or invalid.' };
+        }
+        if (due.getTime() - now > MAX_DELAY_SECONDS * 1000) {
+            return { error: 'Reminders can be set at most one year ahead.' };
+        }
+        return { dueAt: due.getTime(), recurrence: null, rest: args.slice(1 + (clock ? clock.used : 0)) };
+    }
+
+    // Next time the clock shows this time
+    const clock = takeClockTime(args);
+    if (clock) {
+        const dueAt = getNextOccurrence({ type: 'daily', time: formatClockTime(clock.time) }, now);
+        return { dueAt, recurrence: null, rest: args.slice(clock.used) };
+    }
+
+    return null;
+}
+
+/**
+ * Generate a short reminder ID that is not in use
+ * @returns {string} Reminder ID
+ */
+function generateId() {
+    let id;
+    do {
+        id = crypto.randomBytes(3).toString('hex');
+    } while (reminders.has(id));
+    return id;
+}
+
+/**
+ * Schedule a reminder
+ * @param {Object} options Reminder options
+ * @param {string} options.chatJid Chat the reminder is delivered to
+ * @param {string} options.userId User who set the reminder (mentioned on delivery)
+ * @param {string} options.text Reminder text
+ * @param {number} options.dueAt Timestamp of the first delivery
+ * @param {Object|null} [options.recurrence] Recurrence rule
+ * @param {string} [options.type] 'reminder' or 'countdown'
+ * @returns {{success: boolean, message?: string, reminder?: Object}} Result
+ */
+function addReminder({ chatJid, userId, text, dueAt, recurrence = null, type = 'reminder' }) {
+    const existing = [...reminders.values()].filter(reminder => reminder.userId === userId);
+    if (existing.length >= MAX_REMINDERS_PER_USER) {
+        return { success: false, message: `You can have at most ${MAX_REMINDERS_PER_USER} active reminders. Cancel one with .reminder cancel <id>.` };
+    }
+
+    const reminder = {
+        id: generateId(),
+        type,
+        chatJid,
+        userId,
+        text,
+        dueAt,
+        recurrence,
+        createdAt: Date.now()
+    };
+
+    reminders.set(reminder.id, reminder);
+    userDatabase.persistRecord('reminders', reminder.id, reminder);
+    armTimer();
+
+    return { success: true, reminder };
+}
+
+/**
+ * List a user's reminders, soonest first
+ * @param {string} userId User JID
+ * @param {string} [chatJid] Only include reminders delivered to this chat
+ * @returns {Array<Object>} Reminders
+ */
+function listReminders(userId, chatJid = null) {
+    return [...reminders.values()]
+        .filter(reminder => reminder.userId === userId && (!chatJid || reminder.chatJid === chatJid))
+        .sort((a, b) => a.dueAt - b.dueAt);
+}
+
+/**
+ * Cancel a reminder
+ * @param {string} id Reminder ID
+ * @param {string} userId User cancelling the reminder (must have created it)
+ * @returns {{success: boolean, message?: string, reminder?: Object}} Result
+ */
+function cancelReminder(id, userId) {
+    const reminder = reminders.get(String(id || '').toLowerCase());
+    if (!reminder || reminder.userId !== userId) {
+        return { success: false, message: 'Reminder not found. Use .reminder list to see your reminders.' };
+    }
+
+    removeReminder(reminder.id);
+    return { success: true, reminder };
+}
+
+/**
+ * Remove a reminder from memory and storage
+ * @param {string} id Reminder ID
+ */
+function removeReminder(id) {
+    reminders.delete(id);
+    userDatabase.deleteRecord('reminders', id);
+}
+
+/**
+ * Deliver a reminder to its chat
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} reminder Reminder record
+ * @param {number} now Current timestamp
+ * @returns {Promise<boolean>} Whether the message was sent
+ */
+async function deliverReminder(sock, reminder, now) {
+    const mention = `@${reminder.userId.split('@')[0]}`;
+    const lateMinutes = Math.floor((now - reminder.dueAt) / 60000);
+    const late = lateMinutes >= 5 ? `\n\n_(delivered ${lateMinutes} minutes late, the bot was offline)_` : '';
+
+    const text = reminder.type === 'countdown'
+        ? `*⏰ Countdown finished!* ${mention}\n\n${reminder.text} is starting now!${late}`
+        : `*⏰ Reminder* for ${mention}\n\n${reminder.text}${reminder.recurrence ? `\n\n🔁 Repeats ${describeRecurrence(reminder.recurrence)}` : ''}${late}`;
+
+    const result = await safeSendMessage(sock, reminder.chatJid, { text, mentions: [reminder.userId] });
+    return !!result;
+}
+
+/**
+ * Deliver every reminder that is due and reschedule recurring ones
+ * Reminders are kept until they are delivered, so nothing is lost while the bot is offline
+ * @returns {Promise<number>} Number of reminders delivered
+ */
+async function processDueReminders() {
+    if (isRunning) return 0;
+    isRunning = true;
+
+    let delivered = 0;
+    try {
+        const now = Date.now();
+        const due = [...reminders.values()].filter(reminder => reminder.dueAt <= now);
+        const sock = socketGetter ? socketGetter() : null;
+
+        if (due.length > 0 && !sock) {
+            logger.warn(`${due.length} reminder(s) due but there is no connection, retrying shortly`);
+            return 0;
+        }
+
+        for (const reminder of due) {
+            let sent = false;
+            try {
+                sent = await deliverReminder(sock, reminder, now);
+            } catch (err) {
+                logger.error(`Error delivering reminder ${reminder.id}:`, err);
+            }
+
+            if (!sent) {
+                logger.warn(`Reminder ${reminder.id} could not be delivered, retrying shortly`);
+                continue;
+            }
+
+            delivered++;
+            if (reminder.recurrence) {
+                // Skip occurrences missed while offline instead of sending them all at once
+                reminder.dueAt = getNextOccurrence(reminder.recurrence, Math.max(now, reminder.dueAt));
+                userDatabase.persistRecord('reminders', reminder.id, reminder);
+            } else {
+                removeReminder(reminder.id);
+            }
+        }
+    } finally {
+        isRunning = false;
+        armTimer();
+    }
+
+    return delivered;
+}
+
+/**
+ * Arm the timer for the next due reminder
+ */
+function armTimer() {
+    if (!socketGetter) return;
+    if (timer) clearTimeout(timer);
+
+    let nextDue = Infinity;
+    for (const reminder of reminders.values()) {
+        nextDue = Math.min(nextDue, reminder.dueAt);
+    }
+
+    // Anything still due after a run failed to deliver and is retried after a short delay
+    const now = Date.now();
+    const delay = nextDue <= now ? RETRY_DELAY_MS : Math.min(nextDue - now, MAX_TIMER_MS);
+    timer = setTimeout(() => {
+        timer = null;
+        processDueReminders().catch(err => logger.error('Error processing reminders:', err));
+    }, delay);
+}
+
+/**
+ * Start delivering reminders
+ * @param {Function} getSocket Returns the current WhatsApp socket (it changes on reconnect)
+ */
+function startReminderScheduler(getSocket) {
+    if (socketGetter) return;
+    socketGetter = getSocket;
+
+    // Deliver anything that came due while the bot was offline
+    processDueReminders().catch(err => logger.error('Error processing reminders:', err));
+    logger.info(`Reminder scheduler started (${reminders.size} pending)`);
+
+    // Reminders are only known once storage has loaded, so schedule again from the loaded set
+    userDatabase.ready.then(() => {
+        if (socketGetter !== getSocket) return;
+        processDueReminders().catch(err => logger.error('Error processing reminders:', err));
+    });
+}
+
+/**
+ * Stop delivering reminders
+ */
+function stopReminderScheduler() {
+    if (timer) {
+        clearTimeout(timer);
+        timer = null;
+    }
+    if (socketGetter) {
+        socketGetter = null;
+        logger.info('Reminder scheduler stopped');
+    }
+}
+
+module.exports = {
+    parseCompoundDuration,
+    parseReminderTime,
+    getNextOccurrence,
+    describeRecurrence,
+    addReminder,
+    listReminders,
+    cancelReminder,
+    processDueReminders,
+    startReminderScheduler,
+    stopReminderScheduler,
+    // Constants for external use
+    MAX_REMINDERS_PER_USER
+};
@@ -0,0 +1,239 @@
+/**
+ * Session Archive - Portable, encrypted copies of a WhatsApp login
+ *
+ * An archive holds every file of a Baileys auth folder (creds.json, keys, sessions) in one line
+ * of text that can be put into an env var or a file and moved to another host:
+ *   BLACKSKY-SESSION-1:<base64url of salt | iv | auth tag | encrypted data>
+ * The data is the gzipped JSON { version, createdAt, checksum, files: { name: base64 } },
+ * encrypted with AES-256-GCM under a key derived from a passphrase with scrypt. The checksum
+ * covers the names and contents of the files and is checked again after decrypting.
+ *
+ * Archives are made with the session owner command or scripts/session-archive.js, and imported
+ * on startup from SESSION_ARCHIVE (the text) or SESSION_ARCHIVE_FILE (a file holding it), with
+ * the passphrase in SESSION_PASSPHRASE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const logger = require('./logger');
+const { ensureDirectoryExists } = require('./fileUtils');
+
+const ARCHIVE_VERSION = 1;
+const ARCHIVE_PREFIX = `BLACKSKY-SESSION-${ARCHIVE_VERSION}:`;
+const ARCHIVE_PATTERN = /^BLACKSKY-SESSION-(\d+):([A-Za-z0-9_-]+)$/;
+
+// Sizes in bytes of the parts in front of the encrypted data
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Shortest passphrase accepted when exporting
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Files operating systems leave in folders
+const IGNORED_FILES = ['.DS_Store', 'Thumbs.db'];
+
+/**
+ * Thrown when an archive cannot be made or read
+ */
+class SessionArchiveError extends Error {
+    /**
+     * @param {string} message What went wrong
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'SessionArchiveError';
+    }
+}
+
+/**
+ * Derive the encryption key of an archive
+ * @param {string} passphrase Passphrase
+ * @param {Buffer} salt Salt of the archive
+ * @returns {Buffer} 256-bit key
+ */
+function deriveKey(passphrase, salt) {
+    return crypto.scryptSync(String(passphrase), salt, 32);
+}
+
+/**
+ * Compute the checksum of a set of files
+ * @param {Object} files File name -> base64 content
+ * @returns {string} SHA-256 hex digest
+ */
+function calculateChecksum(files) {
+    const hash = crypto.createHash('sha256');
+    for (const name of Object.keys(files).sort()) {
+        hash.update(name).update('\0').update(files[name]).update('\0');
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Check whether a text looks like a session archive
+ * @param {string} text Text
+ * @returns {boolean} Whether it has the archive prefix
+ */
+function isSessionArchive(text) {
+    return typeof text === 'string' && ARCHIVE_PATTERN.test(text.trim());
+}
+
+/**
+ * Pack the files of an auth folder into an archive
+ * @param {string} authDir Auth folder
+ * @param {string} passphrase Passphrase to encrypt the archive with
+ * @returns {{archive: string, files: number, checksum: string}} Archive text, file count and checksum
+ * @throws {SessionArchiveError} If the passphrase is too short or the folder has no credentials
+ */
+function exportAuthState(authDir, passphrase) {
+    if (!passphrase || String(passphrase).length < MIN_PASSPHRASE_LENGTH) {
+        throw new SessionArchiveError(`The passphrase must have at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+    if (!fs.existsSync(path.join(authDir, 'creds.json'))) {
+        throw new SessionArchiveError(`No credentials in ${authDir}, link the session first`);
+    }
+
+    const files = {};
+    for (const entry of fs.readdirSync(authDir, { withFileTypes: true })) {
+        if (!entry.isFile() || IGNORED_FILES.includes(entry.name)) continue;
+        files[entry.name] = fs.readFileSync(path.join(authDir, entry.name)).toString('base64');
+    }
+
+    const checksum = calculateChecksum(files);
+    const payload = zlib.gzipSync(JSON.stringify({ version: ARCHIVE_VERSION, createdAt: Date.now(), checksum, files }));
+
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+    cipher.setAAD(Buffer.from(ARCHIVE_PREFIX));
+    const encrypted = Buffer.concat([cipher.update(payload), cipher.final()]);
+
+    const archive = ARCHIVE_PREFIX + Buffer.concat([salt, iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+    return { archive, files: Object.keys(files).length, checksum };
+}
+
+/**
+ * Decrypt and check an archive
+ * @param {string} archive Archive text
+ * @param {string} passphrase Passphrase the archive was encrypted with
+ * @returns {{version: number, createdAt: number, checksum: string, files: Object}} Contents, files as name -> base64
+ * @throws {SessionArchiveError} If the text is no archive, of another version, the passphrase is
+ *         wrong or the contents are damaged
+ */
+function readArchive(archive, passphrase) {
+    const match = ARCHIVE_PATTERN.exec(String(archive || '').trim());
+    if (!match) throw new SessionArchiveError('Not a session archive, it should start with BLACKSKY-SESSION-');
+
+    const version = Number(match[1]);
+    if (version !== ARCHIVE_VERSION) {
+        throw new SessionArchiveError(`Archive version ${version} is not supported, this bot reads version ${ARCHIVE_VERSION}`);
+    }
+
+    const data = Buffer.from(match[2], 'base64url');
+    if (data.length <= SALT_LENGTH + IV_LENGTH + TAG_LENGTH) throw new SessionArchiveError('The archive is truncated');
+
+    const salt = data.subarray(0, SALT_LENGTH);
+    const iv = data.subarray(SALT_LENGTH, SALT_LENGTH + IV_LENGTH);
+    const tag = data.subarray(SALT_LENGTH + IV_LENGTH, SALT_LENGTH + IV_LENGTH + TAG_LENGTH);
+    const encrypted = data.subarray(SALT_LENGTH + IV_LENGTH + TAG_LENGTH);
+
+    let contents;
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(passphrase || '', salt), iv);
+        decipher.setAAD(Buffer.from(`BLACKSKY-SESSION-${version}:`));
+        decipher.setAuthTag(tag);
+        const payload = Buffer.concat([decipher.update(encrypted), decipher.final()]);
+        contents = JSON.parse(zlib.gunzipSync(payload).toString('utf8'));
+    } catch (error) {
+        throw new SessionArchiveError('Could not decrypt the archive, the passphrase is wrong or the archive is damaged');
+    }
+
+    if (!contents?.files || typeof contents.files !== 'object' || !contents.files['creds.json']) {
+        throw new SessionArchiveError('The archive holds no credentials');
+    }
+    if (calculateChecksum(contents.files) !== contents.checksum) {
+        throw new SessionArchiveError('Checksum mismatch, the archive is damaged');
+    }
+    return contents;
+}
+
+/**
+ * Unpack an archive into an auth folder
+ * @param {string} archive Archive text
+ * @param {string} passphrase Passphrase the archive was encrypted with
+ * @param {string} authDir Auth folder
+ * @param {Object} [options] Options
+ * @param {boolean} [options.overwrite] Replace credentials already in the folder
+ * @returns {{files: number, createdAt: number, checksum: string}} What was imported
+ * @throws {SessionArchiveError} If the archive cannot be read, see readArchive, or the folder has
+ *         credentials and overwrite is not set
+ */
+function importAuthState(archive, passphrase, authDir, { overwrite = false } = {}) {
+    const contents = readArchive(archive, passphrase);
+
+    // Names come from a file that may have been edited; never write outside the folder
+    for (const name of Object.keys(contents.files)) {
+        if (path.basename(name) !== name || name.startsWith('.')) {
+            throw new SessionArchiveError(`Invalid file name ${JSON.stringify(name)} in the archive`);
+        }
+    }
+
+    if (fs.existsSync(path.join(authDir, 'creds.json'))) {
+        if (!overwrite) throw new SessionArchiveError(`${authDir} has credentials already`);
+
+        // Keys of the old account must not mix with the imported ones
+        for (const entry of fs.readdirSync(authDir, { withFileTypes: true })) {
+            if (entry.isFile()) fs.unlinkSync(path.join(authDir, entry.name));
+        }
+    }
+
+    ensureDirectoryExists(authDir);
+    for (const [name, content] of Object.entries(contents.files)) {
+        fs.writeFileSync(path.join(authDir, name), Buffer.from(content, 'base64'));
+    }
+
+    return { files: Object.keys(contents.files).length, createdAt: contents.createdAt, checksum: contents.checksum };
+}
+
+/**
+ * Import the archive of SESSION_ARCHIVE or SESSION_ARCHIVE_FILE into an auth folder without credentials
+ * Does nothing if neither is set or the folder is linked already; failures are logged, so the
+ * bot goes on to show a QR code instead
+ * @param {string} authDir Auth folder
+ * @param {Object} [env] Environment variables
+ * @returns {Object|null} What was imported, see importAuthState, or null
+ */
+function importFromEnvironment(authDir, env = process.env) {
+    const { SESSION_ARCHIVE: text, SESSION_ARCHIVE_FILE: file, SESSION_PASSPHRASE: passphrase } = env;
+    if (!text && !file) return null;
+
+    if (fs.existsSync(path.join(authDir, 'creds.json'))) {
+        logger.info(`${authDir} has credentials, not importing the session archive`);
+        return null;
+    }
+
+    try {
+        if (!passphrase) throw new SessionArchiveError('SESSION_PASSPHRASE is not set');
+        const archive = text || fs.readFileSync(file, 'utf8');
+        const result = importAuthState(archive, passphrase, authDir);
+        logger.success(`Imported session archive from ${text ? 'SESSION_ARCHIVE' : file} ` +
+            `(${result.files} files, exported ${new Date(result.createdAt).toISOString()})`);
+        return result;
+    } catch (error) {
+        logger.error(`Could not import the session archive: ${error.message}`);
+        return null;
+    }
+}
+
+module.exports = {
+    SessionArchiveError,
+    exportAuthState,
+    importAuthState,
+    importFromEnvironment,
+    readArchive,
+    isSessionArchive,
+    ARCHIVE_VERSION,
+    MIN_PASSPHRASE_LENGTH
+};
@@ -0,0 +1,59 @@
+/**
+ * Session Claims - One bot session handles an event every session in a chat receives
+ *
+ * When several bot numbers (see src/core/sessionRegistry.js) share a group, each of them receives
+ * the same messages and participant updates. The first session to claim an event owns it and the
+ * others skip it, so warnings, XP, AFK notices or welcome messages are not repeated per number.
+ */
+
+// Long enough for every session to have received the event
+const CLAIM_TTL = 60 * 1000;
+
+/**
+ * Claims of recent events, keyed by an ID all sessions derive the same way
+ */
+class SessionClaims {
+    /**
+     * @param {Object} [options] Options
+     * @param {number} [options.ttl] Time in milliseconds a claim is kept
+     */
+    constructor({ ttl = CLAIM_TTL } = {}) {
+        this.ttl = ttl;
+        this.claims = new Map(); // key -> { owner, expires }, in claim order
+    }
+
+    /**
+     * Claim an event for a session
+     * @param {string} key Event key, e.g. the chat and message ID
+     * @param {Object|null} session Bot session that received the event
+     * @returns {boolean} Whether the session owns the event, i.e. was the first to claim it
+     */
+    claim(key, session) {
+        const now = Date.now();
+        this.prune(now);
+
+        const owner = session?.id ?? null;
+        const claim = this.claims.get(key);
+        if (claim) return claim.owner === owner;
+
+        this.claims.set(key, { owner, expires: now + this.ttl });
+        return true;
+    }
+
+    /**
+     * Drop expired claims; all claims live equally long, so the oldest come first
+     * @param {number} now Current time
+     * @private
+     */
+    prune(now) {
+        for (const [key, claim] of this.claims) {
+            if (claim.expires > now) break;
+            this.claims.delete(key);
+        }
+    }
+}
+
+module.exports = {
+    SessionClaims,
+    CLAIM_TTL
+};
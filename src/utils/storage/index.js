@@ -0,0 +1,63 @@
+/**
+ * Storage Backends
+ * Selects the persistence adapter used by the user database
+ *
+ * Adapters share one interface: init(), load(), set(collection, key, value),
+ * delete(collection, key), saveAll(collections), close() and getInfo().
+ */
+
+const logger = require('../logger');
+const { JsonFileAdapter } = require('./jsonFileAdapter');
+const { SqliteAdapter } = require('./sqliteAdapter');
+
+const ADAPTERS = {
+    json: JsonFileAdapter,
+    sqlite: SqliteAdapter
+};
+
+/**
+ * Create a storage adapter
+ * @param {Object} options Adapter options
+ * @param {string} [options.type] Backend type ('json' or 'sqlite'), defaults to DB_BACKEND or 'json'
+ * @param {boolean} [options.readOnly] Read the stored data without changing anything on disk
+ * @returns {Object} Storage adapter instance
+ */
+function createStorageAdapter(options = {}) {
+    const type = (options.type || process.env.DB_BACKEND || 'json').toLowerCase();
+    const Adapter = ADAPTERS[type];
+
+    if (!Adapter) {
+        logger.warn(`Unknown storage backend "${type}", falling back to json`);
+        return new JsonFileAdapter(options);
+    }
+
+    return new Adapter(options);
+}
+
+/**
+ * Create and initialize a storage adapter, falling back to JSON if it cannot start
+ * @param {Object} options Adapter options
+ * @returns {Promise<Object>} Initialized storage adapter
+ */
+async function openStorage(options = {}) {
+    const adapter = createStorageAdapter(options);
+
+    try {
+        await adapter.init();
+        return adapter;
+    } catch (err) {
+        if (adapter.type === 'json') throw err;
+
+        logger.error(`Failed to open ${adapter.type} storage, falling back to json: ${err.message}`);
+        const fallback = new JsonFileAdapter(options);
+        await fallback.init();
+        return fallback;
+    }
+}
+
+module.exports = {
+    createStorageAdapter,
+    openStorage,
+    JsonFileAdapter,
+    SqliteAdapter
+};
@@ -0,0 +1,309 @@
+/**
+ * JSON File Storage Adapter
+ * Stores collections in a single JSON snapshot with an append-only journal
+ *
+ * Every change is appended to the journal as soon as it happens, so a crash between
+ * snapshots loses nothing: on load the journal is replayed over the last snapshot.
+ * Snapshots are written to a temporary file, flushed and renamed into place.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../logger');
+
+class JsonFileAdapter {
+    /**
+     * @param {Object} options Adapter options
+     * @param {string} [options.dataDir] Directory holding the data files
+     * @param {string} [options.filename] Snapshot filename
+     * @param {boolean} [options.readOnly] Only read the data, e.g. for a dry run; nothing on disk is changed
+     */
+    constructor(options = {}) {
+        this.type = 'json';
+        this.readOnly = options.readOnly === true;
+        this.dataDir = options.dataDir || path.join(process.cwd(), 'data');
+        this.filename = options.filename || 'user_data.json';
+        this.filePath = path.join(this.dataDir, this.filename);
+        this.backupPath = `${this.filePath}.bak`;
+        this.tempPath = `${this.filePath}.tmp`;
+        this.journalPath = path.join(this.dataDir, `${path.basename(this.filename, '.json')}.journal`);
+        this.journalEntries = 0;
+        this.writeChain = Promise.resolve();
+    }
+
+    /**
+     * Prepare the data directory and remove leftovers from interrupted writes
+     * @returns {Promise<void>}
+     */
+    async init() {
+        if (this.readOnly) return;
+        await fs.mkdir(this.dataDir, { recursive: true });
+
+        // Older versions wrote timestamped temp files that were never cleaned up after a crash
+        const entries = await fs.readdir(this.dataDir);
+        const stalePrefix = `${this.filename}.temp.`;
+        for (const entry of entries) {
+            if (entry.startsWith(stalePrefix) || entry === path.basename(this.tempPath)) {
+                try {
+                    await fs.unlink(path.join(this.dataDir, entry));
+                    logger.info(`Removed stale temporary file: ${entry}`);
+                } catch (err) {
+                    logger.warn(`Could not remove stale temporary file ${entry}: ${err.message}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Load all collections, replaying the journal over the last snapshot
+     * @returns {Promise<Object>} Collections keyed by name
+     */
+    async load() {
+        const snapshot = await this.readSnapshot(this.filePath) ||
+            await this.readSnapshot(this.backupPath) ||
+            {};
+
+        const collections = {};
+        for (const [name, value] of Object.entries(snapshot)) {
+            if (name === '_meta') continue;
+            collections[name] = normalizeCollection(value);
+        }
+
+        const replayed = await this.replayJournal(collections);
+        if (replayed > 0) {
+            logger.info(`Replayed ${replayed} journal entries from ${this.journalPath}`);
+        }
+
+        return collections;
+    }
+
+    /**
+     * Read and parse a snapshot file
+     * @param {string} filePath Snapshot path
+     * @returns {Promise<Object|null>} Parsed snapshot or null if missing or corrupted
+     * @private
+     */
+    async readSnapshot(filePath) {
+        let content;
+        try {
+            content = await fs.readFile(filePath, 'utf8');
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                logger.error(`Failed to read ${filePath}: ${err.message}`);
+            }
+            return null;
+        }
+
+        try {
+            const data = JSON.parse(content);
+            if (!data || typeof data !== 'object') {
+                throw new Error('Invalid data format');
+            }
+            return data;
+        } catch (err) {
+            logger.error(`Failed to parse ${filePath}: ${err.message}`);
+            if (this.readOnly) return null;
+
+            // Keep the corrupted file around for manual recovery
+            const corruptedPath = `${filePath}.corrupted.${Date.now()}`;
+            try {
+                await fs.writeFile(corruptedPath, content);
+                logger.info(`Saved corrupted data to ${corruptedPath}`);
+            } catch (backupErr) {
+                logger.error(`Failed to save corrupted data: ${backupErr.message}`);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Apply journal entries to loaded collections
+     * @param {Object} collections Collections to update in place
+     * @returns {Promise<number>} Number of entries applied
+     * @private
+     */
+    async replayJournal(collections) {
+        let content;
+        try {
+            content = await fs.readFile(this.journalPath, 'utf8');
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                logger.error(`Failed to read journal: ${err.message}`);
+            }
+            return 0;
+        }
+
+        const validLines = [];
+        let truncated = false;
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                // A partially written last line after a crash, nothing after it is valid
+                logger.warn('Ignoring truncated journal entry');
+                truncated = true;
+                break;
+            }
+
+            if (!collections[entry.c]) collections[entry.c] = {};
+            if (entry.op === 'set') {
+                collections[entry.c][entry.k] = entry.v;
+            } else if (entry.op === 'del') {
+                delete collections[entry.c][entry.k];
+            }
+            validLines.push(line);
+        }
+
+        // Drop the broken tail so new entries are not appended after it
+        if (truncated && !this.readOnly) {
+            await fs.writeFile(this.journalPath, validLines.map(line => `${line}\n`).join(''), 'utf8');
+        }
+
+        this.journalEntries = validLines.length;
+        return validLines.length;
+    }
+
+    /**
+     * Queue a write so journal appends and snapshots never interleave
+     * @param {Function} task Async write operation
+     * @returns {Promise<*>} Result of the task
+     * @private
+     */
+    enqueue(task) {
+        const result = this.writeChain.then(task);
+        this.writeChain = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Store a single record
+     * @param {string} collection Collection name
+     * @param {string} key Record key
+     * @param {*} value Record value
+     * @returns {Promise<void>}
+     */
+    set(collection, key, value) {
+        return this.appendJournal({ op: 'set', c: collection, k: key, v: value });
+    }
+
+    /**
+     * Delete a single record
+     * @param {string} collection Collection name
+     * @param {string} key Record key
+     * @returns {Promise<void>}
+     */
+    delete(collection, key) {
+        return this.appendJournal({ op: 'del', c: collection, k: key });
+    }
+
+    /**
+     * Append an entry to the journal
+     * @param {Object} entry Journal entry
+     * @returns {Promise<void>}
+     * @private
+     */
+    appendJournal(entry) {
+        // Serialize now so the entry reflects the value at the time of the change
+        const line = `${JSON.stringify({ ...entry, t: Date.now() })}\n`;
+        return this.enqueue(async () => {
+            this.assertWritable();
+            await fs.appendFile(this.journalPath, line, 'utf8');
+            this.journalEntries++;
+        });
+    }
+
+    /**
+     * Write a full snapshot atomically and reset the journal
+     * @param {Object} collections Collections keyed by name
+     * @returns {Promise<void>}
+     */
+    saveAll(collections) {
+        return this.enqueue(async () => {
+            this.assertWritable();
+            const data = {
+                ...collections,
+                _meta: {
+                    version: 2,
+                    savedAt: new Date().toISOString()
+                }
+            };
+            const json = JSON.stringify(data, null, 2);
+
+            // Write and flush the new snapshot before it replaces the old one
+            const handle = await fs.open(this.tempPath, 'w');
+            try {
+                await handle.writeFile(json, 'utf8');
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+
+            try {
+                await fs.copyFile(this.filePath, this.backupPath);
+            } catch (err) {
+                if (err.code !== 'ENOENT') {
+                    logger.warn(`Could not back up ${this.filePath}: ${err.message}`);
+                }
+            }
+
+            await fs.rename(this.tempPath, this.filePath);
+
+            // Everything in the journal is now part of the snapshot
+            await fs.writeFile(this.journalPath, '', 'utf8');
+            this.journalEntries = 0;
+        });
+    }
+
+    /**
+     * Refuse writes to storage opened read-only
+     * @throws {Error} If the adapter is read-only
+     * @private
+     */
+    assertWritable() {
+        if (this.readOnly) throw new Error(`${this.filePath} was opened read-only`);
+    }
+
+    /**
+     * Wait for pending writes to finish
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await this.writeChain;
+    }
+
+    /**
+     * Get adapter information
+     * @returns {Object} Adapter details
+     */
+    getInfo() {
+        return {
+            type: this.type,
+            path: this.filePath,
+            journal: this.journalPath,
+            pendingJournalEntries: this.journalEntries
+        };
+    }
+}
+
+/**
+ * Convert a stored collection to a plain key/value object
+ * Legacy files stored some collections (e.g. lottery) as arrays of keys
+ * @param {*} value Stored collection
+ * @returns {Object} Key/value object
+ */
+function normalizeCollection(value) {
+    if (Array.isArray(value)) {
+        return Object.fromEntries(value.map(item => (
+            Array.isArray(item) ? item : [item, true]
+        )));
+    }
+    return value && typeof value === 'object' ? value : {};
+}
+
+module.exports = {
+    JsonFileAdapter,
+    normalizeCollection
+};
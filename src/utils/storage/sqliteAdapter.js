@@ -0,0 +1,156 @@
+/**
+ * SQLite Storage Adapter
+ * Stores collections as JSON records in an embedded SQLite database
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+
+class SqliteAdapter {
+    /**
+     * @param {Object} options Adapter options
+     * @param {string} [options.dataDir] Directory holding the database
+     * @param {string} [options.filename] Database filename
+     * @param {boolean} [options.readOnly] Open an existing database without changing it
+     */
+    constructor(options = {}) {
+        this.type = 'sqlite';
+        this.dataDir = options.dataDir || path.join(process.cwd(), 'data');
+        this.filename = options.filename || 'user_data.db';
+        this.filePath = path.join(this.dataDir, this.filename);
+        this.readOnly = options.readOnly === true;
+        this.db = null;
+    }
+
+    /**
+     * Open the database and create the schema
+     * @returns {Promise<void>}
+     */
+    async init() {
+        // Loaded lazily so the JSON backend works without the native module installed
+        const Database = require('better-sqlite3');
+
+        if (this.readOnly) {
+            // Only an existing database can be read; SQLite rejects every write
+            this.db = new Database(this.filePath, { readonly: true, fileMustExist: true });
+        } else {
+            fs.mkdirSync(this.dataDir, { recursive: true });
+            this.db = new Database(this.filePath);
+            this.db.pragma('journal_mode = WAL');
+            this.db.pragma('synchronous = NORMAL');
+
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS records (
+                    collection TEXT NOT NULL,
+                    key TEXT NOT NULL,
+                    value TEXT NOT NULL,
+                    updated_at INTEGER NOT NULL,
+                    PRIMARY KEY (collection, key)
+                )
+            `);
+        }
+
+        this.statements = {
+            selectAll: this.db.prepare('SELECT collection, key, value FROM records'),
+            upsert: this.db.prepare(`
+                INSERT INTO records (collection, key, value, updated_at)
+                VALUES (?, ?, ?, ?)
+                ON CONFLICT (collection, key) DO UPDATE SET
+                    value = excluded.value,
+                    updated_at = excluded.updated_at
+            `),
+            remove: this.db.prepare('DELETE FROM records WHERE collection = ? AND key = ?'),
+            clearCollection: this.db.prepare('DELETE FROM records WHERE collection = ?'),
+            count: this.db.prepare('SELECT COUNT(*) AS total FROM records')
+        };
+
+        logger.info(`SQLite storage opened at ${this.filePath}`);
+    }
+
+    /**
+     * Load all collections
+     * @returns {Promise<Object>} Collections keyed by name
+     */
+    async load() {
+        const collections = {};
+
+        for (const row of this.statements.selectAll.iterate()) {
+            if (!collections[row.collection]) collections[row.collection] = {};
+            try {
+                collections[row.collection][row.key] = JSON.parse(row.value);
+            } catch (err) {
+                logger.warn(`Skipping unreadable record ${row.collection}/${row.key}: ${err.message}`);
+            }
+        }
+
+        return collections;
+    }
+
+    /**
+     * Store a single record
+     * @param {string} collection Collection name
+     * @param {string} key Record key
+     * @param {*} value Record value
+     * @returns {Promise<void>}
+     */
+    async set(collection, key, value) {
+        this.statements.upsert.run(collection, key, JSON.stringify(value), Date.now());
+    }
+
+    /**
+     * Delete a single record
+     * @param {string} collection Collection name
+     * @param {string} key Record key
+     * @returns {Promise<void>}
+     */
+    async delete(collection, key) {
+        this.statements.remove.run(collection, key);
+    }
+
+    /**
+     * Replace the stored collections in a single transaction
+     * @param {Object} collections Collections keyed by name
+     * @returns {Promise<void>}
+     */
+    async saveAll(collections) {
+        const now = Date.now();
+        const replaceAll = this.db.transaction((data) => {
+            for (const [name, records] of Object.entries(data)) {
+                this.statements.clearCollection.run(name);
+                for (const [key, value] of Object.entries(records)) {
+                    this.statements.upsert.run(name, key, JSON.stringify(value), now);
+                }
+            }
+        });
+
+        replaceAll(collections);
+    }
+
+    /**
+     * Close the database
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    /**
+     * Get adapter information
+     * @returns {Object} Adapter details
+     */
+    getInfo() {
+        return {
+            type: this.type,
+            path: this.filePath,
+            records: this.db ? this.statements.count.get().total : 0
+        };
+    }
+}
+
+module.exports = {
+    SqliteAdapter
+};
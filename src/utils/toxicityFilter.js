@@ -0,0 +1,251 @@
+/**
+ * Toxicity Filter - Matches messages against bundled and per-group word lists
+ * Bundled lists live in src/config/toxicity/<language>.json, one per language in src/translations
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const LISTS_DIR = path.join(__dirname, '..', 'config', 'toxicity');
+
+// Severity levels: mild words follow the moderation ladder, severe words jump to its last step
+const SEVERITY = {
+    mild: 1,
+    moderate: 2,
+    severe: 3
+};
+
+// Look-alike letters from other scripts mapped to their Latin counterparts
+const HOMOGLYPHS = {
+    '\u0430': 'a', '\u0432': 'b', '\u0435': 'e', '\u0451': 'e', '\u043A': 'k', '\u043C': 'm',
+    '\u043D': 'h', '\u043E': 'o', '\u0440': 'p', '\u0441': 'c', '\u0442': 't', '\u0443': 'y',
+    '\u0445': 'x', '\u0456': 'i', '\u0458': 'j', '\u0455': 's', '\u03B1': 'a', '\u03B5': 'e',
+    '\u03B9': 'i', '\u03BA': 'k', '\u03BD': 'v', '\u03BF': 'o', '\u03C1': 'p', '\u03C4': 't',
+    '\u03C5': 'u', '\u00DF': 'ss'
+};
+
+const LEETSPEAK = {
+    '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b',
+    '@': 'a', '$': 's', '!': 'i', '|': 'l', '+': 't'
+};
+
+// Bundled lists keyed by language, loaded on first use
+let bundledLists = null;
+
+// Harmless words of the bundled lists that a wildcard entry would match, e.g. "shiitake" for "shit*"
+const bundledAllowed = new Set();
+
+// Compiled patterns keyed by normalized word
+const patternCache = new Map();
+
+/**
+ * Get the default toxicity filter config for a group
+ * @returns {Object} Toxicity filter config
+ */
+function getDefaultToxicFilter() {
+    return {
+        languages: 'all', // 'all' or an array of bundled list languages
+        custom: {}, // word -> severity level name
+        exclude: [], // bundled words this group does not want to filter
+        allow: [] // words that are never filtered although an entry matches them
+    };
+}
+
+/**
+ * Get a group's toxicity filter config, filled with defaults
+ * @param {Object} settings Group settings
+ * @returns {Object} Toxicity filter config
+ */
+function getToxicFilter(settings) {
+    return { ...getDefaultToxicFilter(), ...(settings.toxicFilter || {}) };
+}
+
+/**
+ * Load the bundled word lists
+ * @returns {Object} Lists keyed by language, each mapping normalized words to severity
+ */
+function loadBundledLists() {
+    if (bundledLists) return bundledLists;
+    bundledLists = {};
+
+    try {
+        for (const file of fs.readdirSync(LISTS_DIR).filter(name => name.endsWith('.json'))) {
+            const language = path.basename(file, '.json');
+            const data = JSON.parse(fs.readFileSync(path.join(LISTS_DIR, file), 'utf8'));
+            const words = {};
+
+            for (const [level, severity] of Object.entries(SEVERITY)) {
+                for (const word of data[level] || []) {
+                    words[normalizeWord(word)] = severity;
+                }
+            }
+            bundledLists[language] = words;
+
+            for (const word of data.allow || []) {
+                bundledAllowed.add(normalizeWord(word));
+            }
+        }
+        logger.info(`Loaded toxicity word lists: ${Object.keys(bundledLists).join(', ')}`);
+    } catch (err) {
+        logger.error('Failed to load toxicity word lists:', err);
+    }
+
+    return bundledLists;
+}
+
+/**
+ * Get the languages with a bundled word list
+ * @returns {Array<string>} Language codes
+ */
+function getBundledLanguages() {
+    return Object.keys(loadBundledLists());
+}
+
+/**
+ * Normalize text for matching: unify look-alike characters, strip accents and
+ * remove separators hidden inside words (e.g. "f.u.c.k")
+ * @param {string} text Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[\u0370-\u03FF\u0400-\u04FF\u00DF]/g, char => HOMOGLYPHS[char] || char)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036F]/g, '')
+        .replace(/(?<=\p{L})[._\-~]+(?=\p{L})/gu, '');
+}
+
+/**
+ * Replace leetspeak characters with the letters they stand for
+ * @param {string} text Normalized text
+ * @returns {string} Text with leetspeak decoded
+ */
+function decodeLeetspeak(text) {
+    return text.replace(/[0134578@$!|+]/g, char => LEETSPEAK[char]);
+}
+
+/**
+ * Normalize a list entry the same way message text is normalized, with leetspeak decoded
+ * @param {string} word Word or phrase, '*' matches any letters
+ * @returns {string} Normalized entry
+ */
+function normalizeWord(word) {
+    return decodeLeetspeak(normalizeText(word)).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Compile a list entry to a regex: each letter may repeat ("fuuuck"), '*' matches any letters,
+ * spaces match any whitespace, and the entry must not be part of a longer word
+ * @param {string} word Normalized entry
+ * @returns {RegExp} Pattern
+ */
+function compilePattern(word) {
+    if (patternCache.has(word)) return patternCache.get(word);
+
+    const body = [...word].map(char => {
+        if (char === '*') return '\\p{L}*';
+        if (char === ' ') return '\\s+';
+        return `${char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}+`;
+    }).join('');
+
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, 'gu');
+    patternCache.set(word, pattern);
+    return pattern;
+}
+
+/**
+ * Get the words a group filters, with their severity
+ * @param {Object} filter Toxicity filter config
+ * @returns {Map<string, number>} Normalized words mapped to severity
+ */
+function getGroupWords(filter) {
+    const lists = loadBundledLists();
+    const languages = filter.languages === 'all' ? Object.keys(lists) : (filter.languages || []);
+    const excluded = new Set((filter.exclude || []).map(normalizeWord));
+    const words = new Map();
+
+    for (const language of languages) {
+        for (const [word, severity] of Object.entries(lists[language] || {})) {
+            if (!excluded.has(word)) words.set(word, severity);
+        }
+    }
+    for (const [word, level] of Object.entries(filter.custom || {})) {
+        words.set(normalizeWord(word), SEVERITY[level] || SEVERITY.mild);
+    }
+    return words;
+}
+
+/**
+ * Get the words a group never filters: the bundled allowlist and the group's own
+ * @param {Object} filter Toxicity filter config
+ * @returns {Set<string>} Normalized words
+ */
+function getAllowedWords(filter) {
+    loadBundledLists();
+    return new Set([...bundledAllowed, ...(filter.allow || []).map(normalizeWord)]);
+}
+
+/**
+ * Check whether a pattern matches text anywhere other than on an allowed word
+ * @param {string} text Normalized message text
+ * @param {RegExp} pattern Compiled entry
+ * @param {Set<string>} allowed Allowed words
+ * @returns {boolean} Whether the text contains the entry
+ */
+function matchesOutsideAllowed(text, pattern, allowed) {
+    for (const match of text.matchAll(pattern)) {
+        if (!allowed.has(match[0].replace(/\s+/g, ' '))) return true;
+    }
+    return false;
+}
+
+/**
+ * Find the most severe toxic word in a message
+ * @param {string} text Message text
+ * @param {Object} filter Toxicity filter config
+ * @returns {{word: string, severity: number}|null} Match or null
+ */
+function findToxicContent(text, filter) {
+    const normalized = normalizeText(text);
+    if (!normalized.trim()) return null;
+
+    const variants = [normalized];
+    const decoded = decodeLeetspeak(normalized);
+    if (decoded !== normalized) variants.push(decoded);
+
+    const allowed = getAllowedWords(filter);
+    let worst = null;
+    for (const [word, severity] of getGroupWords(filter)) {
+        if (worst && worst.severity >= severity) continue;
+
+        const pattern = compilePattern(word);
+        if (variants.some(variant => matchesOutsideAllowed(variant, pattern, allowed))) {
+            worst = { word, severity };
+            if (severity === SEVERITY.severe) break;
+        }
+    }
+    return worst;
+}
+
+/**
+ * Check whether a word is on one of the bundled lists
+ * @param {string} word Word
+ * @returns {boolean} Whether it is bundled
+ */
+function isBundledWord(word) {
+    const normalized = normalizeWord(word);
+    return Object.values(loadBundledLists()).some(list => list[normalized] !== undefined);
+}
+
+module.exports = {
+    SEVERITY,
+    getDefaultToxicFilter,
+    getToxicFilter,
+    getBundledLanguages,
+    normalizeText,
+    normalizeWord,
+    findToxicContent,
+    isBundledWord
+};
@@ -5,8 +5,14 @@
 const logger = require('./logger');
 const fs = require('fs').promises;
 const path = require('path');
+const { openStorage } = require('./storage');
+const { normalizeCollection } = require('./storage/jsonFileAdapter');
+const { toJid, requireJid } = require('./jid');
 
-// Simulated database for user profiles (should be replaced with actual database)
+// Profiles belong to users, known by phone number or, in groups with hidden numbers, by LID
+const PROFILE_JID_TYPES = ['user', 'lid'];
+
+// In-memory user profiles, persisted through the configured storage backend
 const userProfiles = new Map();
 
 // Other user-related data
@@ -18,15 +24,21 @@ const petData = new Map();
 const userAfk = new Map();
 const streakData = new Map();
 const checkinData = new Map();
-const lotteryParticipants = new Set();
+const lotteryParticipants = new Map();
+const lotteryHistory = new Map();
+const clans = new Map();
+const clanWars = new Map();
+const reminders = new Map();
 
 /**
  * Initialize a user if they don't exist
  * @param {string} userId User's unique identifier
  * @param {Object} initialData Initial data to set
  * @returns {Object} User profile
+ * @throws {InvalidJidError} If userId is not a user JID
  */
 function initializeUserProfile(userId, initialData = {}) {
+    userId = requireJid(userId, PROFILE_JID_TYPES);
     if (!userProfiles.has(userId)) {
         const defaultProfile = {
             name: initialData.name || 'User',
@@ -51,6 +63,7 @@ function initializeUserProfile(userId, initialData = {}) {
         
         console.log(`Initializing user profile for ${userId}:`, profileData);
         userProfiles.set(userId, profileData);
+        persistRecord('profiles', userId, profileData);
     }
     
     return userProfiles.get(userId);
@@ -62,7 +75,7 @@ function initializeUserProfile(userId, initialData = {}) {
  * @returns {Object|null} User profile or null if not found
  */
 function getUserProfile(userId) {
-    return userProfiles.get(userId) || null;
+    return userProfiles.get(toJid(userId, PROFILE_JID_TYPES)) || null;
 }
 
 /**
@@ -70,8 +83,10 @@ function getUserProfile(userId) {
  * @param {string} userId User's unique identifier
  * @param {Object} data Data to update
  * @returns {Object} Updated user profile
+ * @throws {InvalidJidError} If userId is not a user JID
  */
 function updateUserProfile(userId, data) {
+    userId = requireJid(userId, PROFILE_JID_TYPES);
     const profile = getUserProfile(userId);
     
     if (!profile) {
@@ -89,184 +104,197 @@ function updateUserProfile(userId, data) {
     }
     
     console.log(`Updated profile for ${userId}:`, profile);
+    persistRecord('profiles', userId, profile);
     return profile;
 }
 
+// Storage backend (JSON file or SQLite), opened when this module is first imported
+let storage = null;
+
+// Records written or deleted before the storage backend was open, written once it is
+// ("collection\0key" -> { collection, key, value, deleted })
+const pendingRecords = new Map();
+
 /**
- * Save all user data to a JSON file with enhanced error handling and data validation
- * @param {string} filename Filename to save to
- * @returns {Promise<{success: boolean, message: string, path?: string}>} Result object with status and details
+ * Collections persisted by the storage backend, keyed by their stored name
+ * @type {Object<string, Map>}
  */
-async function saveAllUserData(filename = 'user_data.json') {
-    const startTime = Date.now();
-    let backupCreated = false;
-    let tempFilePath = null;
-    
-    try {
-        // Ensure data directory exists
-        const dataDir = path.join(process.cwd(), 'data');
-        try {
-            await fs.mkdir(dataDir, { recursive: true });
-        } catch (dirErr) {
-            logger.error(`Failed to create data directory: ${dirErr.message}`);
-            return { 
-                success: false, 
-                message: `Failed to create data directory: ${dirErr.message}`
-            };
-        }
-        
-        // Define file paths
-        const filePath = path.join(dataDir, filename);
-        const backupPath = `${filePath}.bak`;
-        tempFilePath = `${filePath}.temp.${Date.now()}`;
-        
-        // Create backup of existing file if it exists
-        try {
-            await fs.access(filePath);
-            await fs.copyFile(filePath, backupPath);
-            backupCreated = true;
-            logger.debug(`Created backup of user data at ${backupPath}`);
-        } catch (backupErr) {
-            // No existing file to backup or backup failed
-            logger.debug(`No existing file to backup or backup failed: ${backupErr.message}`);
-        }
-        
-        // Validate user data before saving
-        // Count valid profiles
-        let validProfileCount = 0;
-        let invalidProfileCount = 0;
-        
-        // Prepare the data object with validation
-        const validatedUserProfiles = new Map();
-        
-        // Validate each profile
-        for (const [key, profile] of userProfiles.entries()) {
-            if (!profile || typeof profile !== 'object') {
+const collections = {
+    profiles: userProfiles,
+    games: userGames,
+    marriages: marriageData,
+    bank: bankAccounts,
+    jobs: userJobs,
+    pets: petData,
+    afk: userAfk,
+    streaks: streakData,
+    checkins: checkinData,
+    lottery: lotteryParticipants,
+    lotteryHistory: lotteryHistory,
+    clans: clans,
+    clanWars: clanWars,
+    reminders: reminders
+};
+
+/**
+ * Persist a single record immediately
+ * Feature modules that mutate the exported Maps call this so changes survive a crash.
+ * Failures are logged only; the record is still written by the next full save
+ * @param {string} collection Collection name
+ * @param {string} key Record key
+ * @param {*} value Record value
+ */
+function persistRecord(collection, key, value) {
+    if (!storage) {
+        pendingRecords.set(`${collection}\0${key}`, { collection, key, value, deleted: false });
+        return;
+    }
+    storage.set(collection, key, value).catch(err => {
+        logger.error(`Failed to persist ${collection}/${key}: ${err.message}`);
+    });
+}
+
+/**
+ * Remove a single record from storage immediately
+ * @param {string} collection Collection name
+ * @param {string} key Record key
+ */
+function deleteRecord(collection, key) {
+    if (!storage) {
+        pendingRecords.set(`${collection}\0${key}`, { collection, key, deleted: true });
+        return;
+    }
+    storage.delete(collection, key).catch(err => {
+        logger.error(`Failed to delete ${collection}/${key}: ${err.message}`);
+    });
+}
+
+/**
+ * Validate a profile, filling in missing required fields
+ * @param {Object} profile Profile to validate
+ * @returns {Object} Validated profile
+ */
+function validateProfile(profile) {
+    return {
+        ...profile,
+        name: profile.name || 'User',
+        age: profile.age || 0,
+        xp: typeof profile.xp === 'number' ? profile.xp : 0,
+        level: typeof profile.level === 'number' ? profile.level : 1,
+        coins: typeof profile.coins === 'number' ? profile.coins : 0,
+        bio: profile.bio || '',
+        language: profile.language || 'en',
+        registeredAt: profile.registeredAt || new Date().toISOString(),
+        lastDaily: profile.lastDaily || null,
+        inventory: Array.isArray(profile.inventory) ? profile.inventory : [],
+        achievements: Array.isArray(profile.achievements) ? profile.achievements : [],
+        customTitle: profile.customTitle || '',
+        warnings: typeof profile.warnings === 'number' ? profile.warnings : 0
+    };
+}
+
+/**
+ * Build a plain snapshot of all collections
+ * @returns {{data: Object, validProfileCount: number, invalidProfileCount: number}} Snapshot and profile counts
+ */
+function buildSnapshot() {
+    const data = {};
+    let validProfileCount = 0;
+    let invalidProfileCount = 0;
+
+    for (const [name, map] of Object.entries(collections)) {
+        data[name] = {};
+        for (const [key, value] of map.entries()) {
+            if (name !== 'profiles') {
+                data[name][key] = value;
+                continue;
+            }
+
+            if (!value || typeof value !== 'object') {
                 logger.warn(`Skipping invalid profile for user ${key}`);
                 invalidProfileCount++;
                 continue;
             }
-            
-            // Ensure all required fields exist
-            const validatedProfile = {
-                name: profile.name || 'User',
-                age: profile.age || 0,
-                xp: typeof profile.xp === 'number' ? profile.xp : 0,
-                level: typeof profile.level === 'number' ? profile.level : 1,
-                coins: typeof profile.coins === 'number' ? profile.coins : 0,
-                bio: profile.bio || '',
-                language: profile.language || 'en',
-                registeredAt: profile.registeredAt || new Date().toISOString(),
-                lastDaily: profile.lastDaily || null,
-                inventory: Array.isArray(profile.inventory) ? profile.inventory : [],
-                achievements: Array.isArray(profile.achievements) ? profile.achievements : [],
-                customTitle: profile.customTitle || '',
-                warnings: typeof profile.warnings === 'number' ? profile.warnings : 0
-            };
-            
-            validatedUserProfiles.set(key, validatedProfile);
+            data[name][key] = validateProfile(value);
             validProfileCount++;
         }
-        
-        // Prepare the final data object
-        const userData = {
-            profiles: Object.fromEntries(validatedUserProfiles),
-            games: Object.fromEntries(userGames),
-            marriages: Object.fromEntries(marriageData),
-            bank: Object.fromEntries(bankAccounts),
-            jobs: Object.fromEntries(userJobs),
-            pets: Object.fromEntries(petData),
-            afk: Object.fromEntries(userAfk),
-            streaks: Object.fromEntries(streakData),
-            checkins: Object.fromEntries(checkinData),
-            lottery: [...lotteryParticipants],
-            _meta: {
-                version: 1,
-                savedAt: new Date().toISOString(),
-                profileCount: validProfileCount,
-                invalidProfileCount: invalidProfileCount
-            }
-        };
-        
-        // Serialize data with error handling
-        let jsonData;
-        try {
-            jsonData = JSON.stringify(userData, null, 2);
-            if (!jsonData) {
-                throw new Error('JSON serialization resulted in empty string');
-            }
-        } catch (jsonErr) {
-            logger.error(`Failed to stringify user data: ${jsonErr.message}`);
-            return {
-                success: false,
-                message: `Failed to serialize user data: ${jsonErr.message}`
-            };
-        }
-        
-        // Write to temporary file first
-        try {
-            await fs.writeFile(tempFilePath, jsonData, 'utf8');
-        } catch (writeErr) {
-            logger.error(`Failed to write temporary user data file: ${writeErr.message}`);
-            return {
-                success: false,
-                message: `Failed to write user data file: ${writeErr.message}`
-            };
-        }
-        
-        // Validate the written file
-        try {
-            const readData = await fs.readFile(tempFilePath, 'utf8');
-            JSON.parse(readData); // Just to validate it's proper JSON
-        } catch (validateErr) {
-            logger.error(`Validation of written file failed: ${validateErr.message}`);
-            return {
-                success: false,
-                message: `Validation of saved data failed: ${validateErr.message}`
-            };
+    }
+
+    return { data, validProfileCount, invalidProfileCount };
+}
+
+/**
+ * Replace in-memory collections with loaded data
+ * @param {Object} data Collections keyed by name
+ * @param {Object} [options] Options
+ * @param {boolean} [options.merge] Keep the records already in memory (and leave out records
+ *        deleted) instead of replacing everything, for changes made while the data was loading
+ * @returns {number} Number of profiles loaded
+ */
+function applyLoadedData(data, { merge = false } = {}) {
+    if (!merge) {
+        for (const map of Object.values(collections)) {
+            map.clear();
         }
-        
-        // Rename temporary file to the actual file
-        try {
-            await fs.rename(tempFilePath, filePath);
-        } catch (renameErr) {
-            logger.error(`Failed to rename temporary file: ${renameErr.message}`);
-            return {
-                success: false,
-                message: `Failed to finalize user data file: ${renameErr.message}`
-            };
+    }
+
+    let loadedCount = 0;
+    let invalidKeyCount = 0;
+    for (const [name, records] of Object.entries(data)) {
+        const map = collections[name];
+        if (!map) {
+            logger.warn(`Ignoring unknown collection in stored data: ${name}`);
+            continue;
         }
-        
-        // Clean up temporary file if it still exists for some reason
-        try {
-            await fs.access(tempFilePath);
-            await fs.unlink(tempFilePath);
-        } catch {
-            // Temp file doesn't exist or was successfully renamed
+
+        for (const [key, value] of Object.entries(records)) {
+            if (merge && (map.has(key) || pendingRecords.get(`${name}\0${key}`)?.deleted)) continue;
+            if (name === 'profiles') {
+                if (!value || typeof value !== 'object') {
+                    logger.warn(`Skipping invalid profile for user ${key}`);
+                    continue;
+                }
+                if (toJid(key, PROFILE_JID_TYPES) !== key) invalidKeyCount++;
+                loadedCount++;
+            }
+            map.set(key, value);
         }
-        
+    }
+
+    // Kept so nothing is lost, but unreachable through getUserProfile until repaired
+    if (invalidKeyCount) {
+        logger.warn(`${invalidKeyCount} profiles are stored under keys that are not user JIDs; run "node scripts/repair-jids.js" to migrate them`);
+    }
+
+    return loadedCount;
+}
+
+/**
+ * Save all user data through the storage backend
+ * @returns {Promise<{success: boolean, message: string, path?: string}>} Result object with status and details
+ */
+async function saveAllUserData() {
+    const startTime = Date.now();
+
+    if (!storage) {
+        return { success: false, message: 'Storage backend not initialized' };
+    }
+
+    try {
+        const { data, validProfileCount, invalidProfileCount } = buildSnapshot();
+        await storage.saveAll(data);
+
+        const { path: storagePath } = storage.getInfo();
         const duration = Date.now() - startTime;
-        logger.info(`User data saved to ${filePath} in ${duration}ms (${validProfileCount} profiles, ${invalidProfileCount} invalid)`);
-        
+        logger.info(`User data saved to ${storagePath} in ${duration}ms (${validProfileCount} profiles, ${invalidProfileCount} invalid)`);
+
         return {
             success: true,
             message: `User data saved successfully (${validProfileCount} profiles)`,
-            path: filePath
+            path: storagePath
         };
     } catch (error) {
         logger.error('Unexpected error saving user data:', error);
-        
-        // Try to clean up temp file if it exists
-        if (tempFilePath) {
-            try {
-                await fs.access(tempFilePath);
-                await fs.unlink(tempFilePath);
-                logger.debug(`Cleaned up temporary file: ${tempFilePath}`);
-            } catch {
-                // Temp file doesn't exist or can't be deleted
-            }
-        }
-        
         return {
             success: false,
             message: `Unexpected error saving user data: ${error.message}`,
@@ -276,283 +304,125 @@ async function saveAllUserData(filename = 'user_data.json') {
 }
 
 /**
- * Load all user data from a JSON file with enhanced error handling
- * @param {string} filename Filename to load from
+ * Load all user data from the storage backend
+ * @param {Object} [options] Options
+ * @param {boolean} [options.merge] Keep records already in memory, see applyLoadedData
  * @returns {Promise<{success: boolean, message: string, count?: number}>} Result object with status and details
  */
-async function loadAllUserData(filename = 'user_data.json') {
-    // Create backup of current state before loading
-    const backupData = {
-        profiles: new Map(userProfiles),
-        games: new Map(userGames),
-        marriages: new Map(marriageData),
-        bank: new Map(bankAccounts),
-        jobs: new Map(userJobs),
-        pets: new Map(petData),
-        afk: new Map(userAfk),
-        streaks: new Map(streakData),
-        checkins: new Map(checkinData),
-        lottery: new Set(lotteryParticipants)
-    };
-    
+async function loadAllUserData({ merge = false } = {}) {
+    if (!storage) {
+        return { success: false, message: 'Storage backend not initialized' };
+    }
+
     try {
-        const filePath = path.join(process.cwd(), 'data', filename);
-        const dataDir = path.dirname(filePath);
-        
-        // Check if directory exists, create if not
-        try {
-            await fs.mkdir(dataDir, { recursive: true });
-        } catch (dirErr) {
-            logger.error(`Failed to create data directory: ${dirErr.message}`);
-            return { success: false, message: 'Failed to create data directory' };
-        }
-        
-        // Check if file exists
-        let fileExists = false;
-        try {
-            await fs.access(filePath);
-            fileExists = true;
-        } catch (err) {
-            logger.warn(`User data file ${filePath} not found. Starting with empty data.`);
-            return { success: false, message: 'User data file not found' };
-        }
-        
-        // Read file with extra validation
-        let fileContent;
-        try {
-            fileContent = await fs.readFile(filePath, 'utf8');
-            if (!fileContent || fileContent.trim() === '') {
-                throw new Error('Empty file');
-            }
-        } catch (readErr) {
-            logger.error(`Failed to read user data file: ${readErr.message}`);
-            return { success: false, message: `Failed to read user data file: ${readErr.message}` };
-        }
-        
-        // Parse JSON with validation
-        let data;
-        try {
-            data = JSON.parse(fileContent);
-            if (!data || typeof data !== 'object') {
-                throw new Error('Invalid data format');
-            }
-        } catch (parseErr) {
-            logger.error(`Failed to parse user data: ${parseErr.message}`);
-            
-            // Create backup of corrupted file for recovery
-            try {
-                const backupPath = `${filePath}.corrupted.${Date.now()}`;
-                await fs.writeFile(backupPath, fileContent);
-                logger.info(`Created backup of corrupted user data at ${backupPath}`);
-            } catch (backupErr) {
-                logger.error(`Failed to backup corrupted data: ${backupErr.message}`);
-            }
-            
-            return { success: false, message: `Failed to parse user data: ${parseErr.message}` };
-        }
-        
-        // Backup current data before clearing
-        try {
-            const backupPath = `${filePath}.bak`;
-            await fs.writeFile(backupPath, JSON.stringify({
-                profiles: Object.fromEntries(userProfiles),
-                games: Object.fromEntries(userGames),
-                marriages: Object.fromEntries(marriageData),
-                bank: Object.fromEntries(bankAccounts),
-                jobs: Object.fromEntries(userJobs),
-                pets: Object.fromEntries(petData),
-                afk: Object.fromEntries(userAfk),
-                streaks: Object.fromEntries(streakData),
-                checkins: Object.fromEntries(checkinData),
-                lottery: [...lotteryParticipants]
-            }, null, 2));
-            logger.info(`Created backup of current user data at ${backupPath}`);
-        } catch (backupErr) {
-            logger.warn(`Could not create backup of current data: ${backupErr.message}`);
-        }
-        
-        // Clear existing data
-        userProfiles.clear();
-        userGames.clear();
-        marriageData.clear();
-        bankAccounts.clear();
-        userJobs.clear();
-        petData.clear();
-        userAfk.clear();
-        streakData.clear();
-        checkinData.clear();
-        lotteryParticipants.clear();
-        
-        let loadedCount = 0;
-        
-        // Load profiles with validation
-        if (data.profiles && typeof data.profiles === 'object') {
-            Object.entries(data.profiles).forEach(([key, value]) => {
-                if (value && typeof value === 'object') {
-                    userProfiles.set(key, value);
-                    loadedCount++;
-                } else {
-                    logger.warn(`Skipping invalid profile for user ${key}`);
-                }
-            });
-        } else {
-            logger.warn('No valid profile data found');
-        }
-        
-        // Load games with validation
-        if (data.games && typeof data.games === 'object') {
-            Object.entries(data.games).forEach(([key, value]) => {
-                if (value && typeof value === 'object') {
-                    userGames.set(key, value);
-                }
-            });
-        }
-        
-        // Load marriages with validation
-        if (data.marriages && typeof data.marriages === 'object') {
-            Object.entries(data.marriages).forEach(([key, value]) => {
-                if (value && typeof value === 'object') {
-                    marriageData.set(key, value);
-                }
-            });
-        }
-        
-        // Load bank accounts with validation
-        if (data.bank && typeof data.bank === 'object') {
-            Object.entries(data.bank).forEach(([key, value]) => {
-                if (value !== undefined) {
-                    bankAccounts.set(key, value);
-                }
-            });
-        }
-        
-        // Load jobs
-        if (data.jobs) {
-            Object.entries(data.jobs).forEach(([key, value]) => {
-                userJobs.set(key, value);
-            });
-        }
-        
-        // Load pets
-        if (data.pets) {
-            Object.entries(data.pets).forEach(([key, value]) => {
-                petData.set(key, value);
-            });
-        }
-        
-        // Load AFK
-        if (data.afk) {
-            Object.entries(data.afk).forEach(([key, value]) => {
-                userAfk.set(key, value);
-            });
-        }
-        
-        // Load streaks
-        if (data.streaks) {
-            Object.entries(data.streaks).forEach(([key, value]) => {
-                streakData.set(key, value);
-            });
-        }
-        
-        // Load checkins
-        if (data.checkins) {
-            Object.entries(data.checkins).forEach(([key, value]) => {
-                checkinData.set(key, value);
-            });
-        }
-        
-        // Load lottery
-        if (data.lottery && Array.isArray(data.lottery)) {
-            data.lottery.forEach(participant => {
-                lotteryParticipants.add(participant);
-            });
-        }
-        
-        logger.info(`User data loaded successfully from ${filePath}: ${loadedCount} profiles`);
-        return { 
-            success: true, 
-            message: 'User data loaded successfully', 
-            count: loadedCount 
+        const data = await storage.load();
+        const loadedCount = applyLoadedData(data, { merge });
+
+        logger.info(`User data loaded successfully from ${storage.getInfo().path}: ${loadedCount} profiles`);
+        return {
+            success: true,
+            message: 'User data loaded successfully',
+            count: loadedCount
         };
     } catch (error) {
         logger.error('Error loading user data:', error);
-        
-        // Restore from backup if we have one and loading failed
-        if (Object.keys(backupData.profiles).length > 0) {
-            try {
-                logger.info('Restoring user data from memory backup...');
-                
-                // Restore all data collections from backup
-                userProfiles.clear();
-                userGames.clear();
-                marriageData.clear();
-                bankAccounts.clear();
-                userJobs.clear();
-                petData.clear();
-                userAfk.clear();
-                streakData.clear();
-                checkinData.clear();
-                lotteryParticipants.clear();
-                
-                // Copy data from backup
-                for (const [key, value] of backupData.profiles) {
-                    userProfiles.set(key, value);
-                }
-                
-                for (const [key, value] of backupData.games) {
-                    userGames.set(key, value);
-                }
-                
-                for (const [key, value] of backupData.marriages) {
-                    marriageData.set(key, value);
-                }
-                
-                for (const [key, value] of backupData.bank) {
-                    bankAccounts.set(key, value);
-                }
-                
-                for (const [key, value] of backupData.jobs) {
-                    userJobs.set(key, value);
-                }
-                
-                for (const [key, value] of backupData.pets) {
-                    petData.set(key, value);
-                }
-                
-                for (const [key, value] of backupData.afk) {
-                    userAfk.set(key, value);
-                }
-                
-                for (const [key, value] of backupData.streaks) {
-                    streakData.set(key, value);
-                }
-                
-                for (const [key, value] of backupData.checkins) {
-                    checkinData.set(key, value);
-                }
-                
-                for (const participant of backupData.lottery) {
-                    lotteryParticipants.add(participant);
-                }
-                
-                logger.info('Restored user data from memory backup');
-                return { 
-                    success: false, 
-                    message: 'Error loading user data, restored from memory backup',
-                    error: error.message
-                };
-            } catch (restoreErr) {
-                logger.error('Failed to restore from memory backup:', restoreErr);
-            }
-        }
-        
-        return { 
-            success: false, 
-            message: 'Error loading user data: ' + error.message 
+        return {
+            success: false,
+            message: 'Error loading user data: ' + error.message
         };
     }
 }
 
+/**
+ * Import a legacy user_data.json file into the active storage backend
+ * @param {string} filePath Path to the JSON file (defaults to data/user_data.json)
+ * @param {Object} options Import options
+ * @param {boolean} [options.overwrite=false] Whether imported records replace existing ones
+ * @returns {Promise<{success: boolean, message: string, imported?: Object}>} Result object with per-collection counts
+ */
+async function migrateFromJson(filePath = path.join(process.cwd(), 'data', 'user_data.json'), options = {}) {
+    let data;
+    try {
+        data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid data format');
+        }
+    } catch (err) {
+        logger.error(`Failed to read ${filePath} for migration: ${err.message}`);
+        return { success: false, message: `Failed to read ${filePath}: ${err.message}` };
+    }
+
+    const imported = {};
+    for (const [name, value] of Object.entries(data)) {
+        if (name === '_meta') continue;
+
+        const records = normalizeCollection(value);
+        let count = 0;
+
+        for (const [key, record] of Object.entries(records)) {
+            const map = collections[name];
+            if (!map || (map.has(key) && !options.overwrite)) continue;
+            if (name === 'profiles' && (!record || typeof record !== 'object')) continue;
+
+            map.set(key, record);
+            count++;
+        }
+
+        imported[name] = count;
+    }
+
+    const saveResult = await saveAllUserData();
+    if (!saveResult.success) {
+        return { success: false, message: saveResult.message, imported };
+    }
+
+    const total = Object.values(imported).reduce((sum, count) => sum + count, 0);
+    logger.info(`Migrated ${total} records from ${filePath} into ${storage.type} storage`);
+    return {
+        success: true,
+        message: `Imported ${total} records into ${storage.type} storage`,
+        imported
+    };
+}
+
+/**
+ * Query user profiles
+ * @param {Object} options Query options
+ * @param {Function} [options.filter] Predicate receiving (profile, userId)
+ * @param {string} [options.sortBy] Numeric or string profile field to sort by
+ * @param {string} [options.order='desc'] Sort order ('asc' or 'desc')
+ * @param {number} [options.limit] Maximum number of results
+ * @returns {Array<Object>} Matching profiles with their userId
+ */
+function queryUserProfiles(options = {}) {
+    let results = [...userProfiles.entries()]
+        .filter(([userId, profile]) => profile && (!options.filter || options.filter(profile, userId)))
+        .map(([userId, profile]) => ({ userId, ...profile }));
+
+    if (options.sortBy) {
+        const direction = options.order === 'asc' ? 1 : -1;
+        results.sort((a, b) => {
+            const left = a[options.sortBy] ?? 0;
+            const right = b[options.sortBy] ?? 0;
+            return left > right ? direction : left < right ? -direction : 0;
+        });
+    }
+
+    if (options.limit) {
+        results = results.slice(0, options.limit);
+    }
+
+    return results;
+}
+
+/**
+ * Get information about the active storage backend
+ * @returns {Object|null} Storage details or null if not initialized
+ */
+function getStorageInfo() {
+    return storage ? storage.getInfo() : null;
+}
+
 // Setup auto-save interval (every 5 minutes)
 let autoSaveInterval = null;
 
@@ -596,11 +466,33 @@ function stopAutoSave() {
 // Start auto-save when this module is imported
 startAutoSave();
 
-// Initialize with attempt to load existing data
-(async () => {
+/**
+ * Write the records changed before the storage backend was open
+ * @private
+ */
+function flushPendingRecords() {
+    const pending = [...pendingRecords.values()];
+    pendingRecords.clear();
+
+    for (const { collection, key, value, deleted } of pending) {
+        if (deleted) deleteRecord(collection, key);
+        else persistRecord(collection, key, value);
+    }
+    if (pending.length) logger.info(`Wrote ${pending.length} user data records changed while loading`);
+}
+
+/**
+ * Open the storage backend and load existing data
+ * Resolves once the data is loaded, or failed to load; await it before reading user data
+ * @type {Promise<void>}
+ */
+const ready = (async () => {
     try {
-        // Use the enhanced loadAllUserData with proper error handling
-        const loadResult = await loadAllUserData();
+        storage = await openStorage();
+        logger.info(`Using ${storage.type} storage backend for user data`);
+
+        // Records created while the data was loading are newer than the stored ones
+        const loadResult = await loadAllUserData({ merge: true });
         
         if (loadResult.success) {
             logger.info(`Successfully loaded initial user data: ${loadResult.count} profiles`);
@@ -608,6 +500,7 @@ startAutoSave();
             logger.warn(`Initial user data load issue: ${loadResult.message}`);
             // Still a graceful startup even if data not loaded - we'll use empty maps
         }
+        flushPendingRecords();
     } catch (error) {
         logger.error('Unexpected error during initial user data load:', error);
         // Continue with empty data structures
@@ -624,6 +517,7 @@ process.on('SIGINT', async () => {
         } else {
             logger.error(`Failed to save user data on shutdown: ${saveResult.message}`);
         }
+        if (storage) await storage.close();
     } catch (error) {
         logger.error('Critical error saving user data on shutdown:', error);
     } finally {
@@ -641,6 +535,7 @@ process.on('SIGTERM', async () => {
         } else {
             logger.error(`Failed to save user data on shutdown: ${saveResult.message}`);
         }
+        if (storage) await storage.close();
     } catch (error) {
         logger.error('Critical error saving user data on shutdown:', error);
     } finally {
@@ -660,11 +555,21 @@ module.exports = {
     streakData,
     checkinData,
     lotteryParticipants,
+    lotteryHistory,
+    clans,
+    clanWars,
+    reminders,
+    ready,
     initializeUserProfile,
     getUserProfile,
+    persistRecord,
+    deleteRecord,
     updateUserProfile,
     saveAllUserData,
     loadAllUserData,
+    migrateFromJson,
+    queryUserProfiles,
+    getStorageInfo,
     startAutoSave,
     stopAutoSave
 };
\ No newline at end of file
@@ -0,0 +1,110 @@
+/**
+ * Welcome Card - Renders welcome/goodbye images for group members
+ */
+const { createCanvas, loadImage } = require('canvas');
+const logger = require('./logger');
+
+const CARD_WIDTH = 800;
+const CARD_HEIGHT = 300;
+const AVATAR_SIZE = 180;
+
+const THEMES = {
+    welcome: { accent: '#5865f2', title: 'WELCOME' },
+    goodbye: { accent: '#ed4245', title: 'GOODBYE' }
+};
+
+/**
+ * Shorten text with an ellipsis until it fits the given width
+ * @param {CanvasRenderingContext2D} ctx Canvas context
+ * @param {string} text Text to fit
+ * @param {number} maxWidth Maximum width in pixels
+ * @returns {string} Fitted text
+ */
+function fitText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+
+    let fitted = text;
+    while (fitted.length > 1 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted}…`;
+}
+
+/**
+ * Render a welcome or goodbye card
+ * @param {Object} options Card options
+ * @param {string} options.type 'welcome' or 'goodbye'
+ * @param {string} options.userName Name or number shown on the card
+ * @param {string} options.groupName Group subject
+ * @param {number} options.memberCount Current member count
+ * @param {string} [options.avatarUrl] Profile picture URL
+ * @returns {Promise<Buffer>} PNG image
+ */
+async function generateMemberCard({ type, userName, groupName, memberCount, avatarUrl }) {
+    const theme = THEMES[type] || THEMES.welcome;
+    const canvas = createCanvas(CARD_WIDTH, CARD_HEIGHT);
+    const ctx = canvas.getContext('2d');
+
+    // Background and border
+    ctx.fillStyle = '#36393f';
+    ctx.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+    ctx.strokeStyle = theme.accent;
+    ctx.lineWidth = 8;
+    ctx.strokeRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+
+    // Avatar, falling back to the user's initial when there is no profile picture
+    const avatarX = 40;
+    const avatarY = (CARD_HEIGHT - AVATAR_SIZE) / 2;
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(avatarX + AVATAR_SIZE / 2, avatarY + AVATAR_SIZE / 2, AVATAR_SIZE / 2, 0, Math.PI * 2);
+    ctx.closePath();
+    ctx.clip();
+
+    let avatarDrawn = false;
+    if (avatarUrl) {
+        try {
+            const avatar = await loadImage(avatarUrl);
+            ctx.drawImage(avatar, avatarX, avatarY, AVATAR_SIZE, AVATAR_SIZE);
+            avatarDrawn = true;
+        } catch (err) {
+            logger.debug(`Could not load avatar for member card: ${err.message}`);
+        }
+    }
+
+    if (!avatarDrawn) {
+        ctx.fillStyle = theme.accent;
+        ctx.fillRect(avatarX, avatarY, AVATAR_SIZE, AVATAR_SIZE);
+        ctx.font = 'bold 80px Arial';
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'center';
+        ctx.fillText((userName || '?').charAt(0).toUpperCase(), avatarX + AVATAR_SIZE / 2, avatarY + AVATAR_SIZE / 2 + 28);
+        ctx.textAlign = 'left';
+    }
+    ctx.restore();
+
+    // Text
+    const textX = avatarX + AVATAR_SIZE + 40;
+    const textWidth = CARD_WIDTH - textX - 40;
+
+    ctx.font = 'bold 44px Arial';
+    ctx.fillStyle = theme.accent;
+    ctx.fillText(theme.title, textX, 100);
+
+    ctx.font = 'bold 34px Arial';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(fitText(ctx, userName || 'Member', textWidth), textX, 155);
+
+    ctx.font = '26px Arial';
+    ctx.fillStyle = '#bbbbbb';
+    ctx.fillText(fitText(ctx, groupName || 'Group', textWidth), textX, 200);
+
+    ctx.font = '22px Arial';
+    ctx.fillText(`Members: ${memberCount}`, textX, 240);
+
+    return canvas.toBuffer('image/png');
+}
+
+module.exports = {
+    generateMemberCard
+};
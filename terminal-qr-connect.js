@@ -2,6 +2,9 @@
  * Terminal QR Connect
  * Enhanced script to connect to WhatsApp via QR code in the terminal
  * With improved session management and error recovery
+ *
+ * Run with --pairing-code [number] (or set PAIRING_NUMBER) to link with a pairing code instead
+ * of scanning the QR code; without a number the script asks for it.
  */
 
 const { default: makeWASocket, useMultiFileAuthState, DisconnectReason, fetchLatestBaileysVersion } = require('@whiskeysockets/baileys');
@@ -11,6 +14,8 @@ const readline = require('readline');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const qrcode = require('qrcode-terminal');
+const { PairingCodeLogin, wantsPairingCode, getPairingNumber } = require('./src/utils/pairingCode');
 
 // Constants
 const AUTH_FOLDER = './auth_info_baileys';
@@ -64,6 +69,32 @@ function print(message, type = 'info') {
     console.log(colors[type] || colors.info, message);
 }
 
+// Pairing code login, kept across reconnects (null to scan a QR code)
+let pairing = null;
+let pairingChecked = false;
+
+// Set up the pairing code login if it was asked for, asking for the number if it was not given
+async function setupPairingCode() {
+    if (pairingChecked) return;
+    pairingChecked = true;
+    if (!wantsPairingCode()) return;
+
+    let number = getPairingNumber();
+    while (!pairing) {
+        if (!number) {
+            number = await ask('Phone number to link, with country code (e.g. +49 155 1234567), empty for a QR code: ');
+            if (!number.trim()) return;
+        }
+        try {
+            pairing = new PairingCodeLogin(number);
+        } catch (error) {
+            print(error.message, 'error');
+            number = null;
+        }
+    }
+    print(`Linking +${pairing.phoneNumber} with a pairing code`, 'info');
+}
+
 // Create a backup of the auth folder
 async function backupAuthFolder() {
     try {
@@ -151,20 +182,37 @@ async function connectWithQR() {
         }
         
         // Create WhatsApp connection
+        await setupPairingCode();
+        const printsQR = !pairing?.active;
         const sock = makeWASocket({
             version,
             auth: state,
-            printQRInTerminal: true,
+            printQRInTerminal: printsQR,
             logger: pino({ level: 'silent' }),
             browser: ['BLACKSKY-MD Terminal', 'Chrome', '4.0.0']
         });
         
         // Handle connection updates
-        sock.ev.on('connection.update', async (update) => {
+        sock.ev.on('connection.update', async (rawUpdate) => {
+            const update = pairing ? await pairing.handleUpdate(sock, rawUpdate) : rawUpdate;
             const { connection, lastDisconnect, qr } = update;
             
+            if (update.pairingCode) {
+                print('\n┌───────────────────────────────────┐', 'highlight');
+                print(`│   PAIRING CODE:  ${update.pairingCode}        │`, 'highlight');
+                print('└───────────────────────────────────┘\n', 'highlight');
+                print('On your phone open WhatsApp > Linked devices > Link a device >', 'info');
+                print('Link with phone number instead, and enter the code above.', 'info');
+                print(`The code expires in ${Math.round((update.pairingCodeExpiresAt - Date.now()) / 60000)} minute(s), a new one is shown then.\n`, 'info');
+            }
+            
+            if (update.pairingFallback) {
+                print(`Pairing code login failed (${update.pairingFallback}), falling back to the QR code`, 'warning');
+            }
+            
             if (qr) {
                 print('\nQR Code received! Scan this QR code with your WhatsApp app:\n', 'highlight');
+                if (!printsQR) qrcode.generate(qr, { small: true });
             }
             
             if (connection === 'close') {
@@ -28,14 +28,14 @@ function getStagedFiles() {
 function checkFile(filePath) {
   try {
     // Skip implementation files
-    if (filePath.endsWith('jidHelper.js')) {
+    if (filePath.endsWith('outboundQueue.js')) {
       return { valid: true };
     }
     
     const content = fs.readFileSync(filePath, 'utf8');
     
     // Check for safeSendMessage import
-    const hasJidHelperImport = content.includes('jidHelper');
+    const hasSafeSendImport = content.includes('safe-send');
     const usesSafeSend = content.includes('safeSendMessage') || 
                          content.includes('safeSendText') || 
                          content.includes('safeSendImage');
@@ -50,8 +50,8 @@ function checkFile(filePath) {
     // Problems
     const problems = [];
     
-    if (usesSafeSend && !hasJidHelperImport) {
-      problems.push('Uses safeSendMessage functions but missing jidHelper import');
+    if (usesSafeSend && !hasSafeSendImport) {
+      problems.push('Uses safeSendMessage functions but missing safe-send import');
     }
     
     if (directCalls.length > 0 && !isValidationCheck) {
@@ -101,7 +101,7 @@ function main() {
     console.error('\n❌ Your commit contains files with unsafe message sending!');
     console.error('Please fix the issues before committing. You can:');
     console.error('1. Use safeSendMessage/safeSendText instead of direct sock.sendMessage calls');
-    console.error('2. Import jidHelper: const { safeSendMessage } = require("../utils/jidHelper");');
+    console.error('2. Import safe-send: const { safeSendMessage } = require("../utils/safe-send");');
     console.error('\nTo bypass this check, use git commit with --no-verify');
     process.exit(1);
   } else {
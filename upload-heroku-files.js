@@ -21,7 +21,7 @@ const ESSENTIAL_FILES = [
   '.slugignore',
   'package.json',
   'src/cloud-qr-server.js',
-  'src/heroku-session-restore.js',
+  'src/utils/sessionArchive.js',
   'src/index.js',
   'src/qr-web-server-fixed.js',
   'HEROKU_DEPLOYMENT.md',